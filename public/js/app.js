@@ -1,3 +1,18 @@
+// Debate formats that run for a set number of rounds; Oxford always has three phases
+const ROUND_BASED_FORMATS = ['round-robin', 'socratic', 'devils-advocate'];
+// How many providers the analyst order can list in the settings
+const MAX_ANALYST_CHOICES = 3;
+// Forks deeper than this in the history tree are indented no further
+const MAX_FORK_INDENT = 4;
+
+// For text from conversations (topics, speakers, messages) put into innerHTML;
+// imported conversations can carry any text there
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 class PhilosopherChatApp {
     constructor() {
         this.socket = null;
@@ -7,6 +22,12 @@ class PhilosopherChatApp {
         this.allMessages = [];
         this.availableProviders = [];
         this.activeProviders = new Set();
+        this.debateFormats = [];
+        this.personas = [];
+        this.promptKinds = [];
+        this.promptTemplates = [];
+        this.argumentGraph = null;
+        this.selectedArgumentNode = null;
         this.currentConfig = {
             maxTokens: 300,
             temperature: 0.7,
@@ -17,10 +38,18 @@ class PhilosopherChatApp {
         this.init();
     }
 
-    init() {
+    async init() {
         this.setupEventListeners();
         this.connectSocket();
-        this.checkProviderStatus();
+        this.loadDebateFormats();
+        this.loadPrompts();
+        this.loadSummaryStyles();
+        this.loadExportFormats();
+        await Promise.all([this.checkProviderStatus(), this.loadPersonas()]);
+        this.renderPersonaPickers();
+        this.renderConsensusJudgeOptions();
+        this.renderAnalystSelects('analystSelects');
+        this.renderAnalystSelects('modalAnalystSelects');
         this.loadRecentConversations();
     }
 
@@ -36,6 +65,8 @@ class PhilosopherChatApp {
             });
         });
 
+        document.getElementById('debateFormat').addEventListener('change', () => this.updateFormatDescription());
+
         // Temperature slider updates
         document.getElementById('temperature').addEventListener('input', (e) => {
             document.getElementById('tempValue').textContent = e.target.value;
@@ -74,10 +105,28 @@ class PhilosopherChatApp {
             }
         });
 
+        // Prompt template modal events
+        document.querySelectorAll('.edit-prompts-btn').forEach(button => {
+            button.addEventListener('click', () => this.showPromptModal());
+        });
+        document.getElementById('closePromptModal').addEventListener('click', () => this.hidePromptModal());
+        document.getElementById('promptKind').addEventListener('change', () => this.selectPromptKind());
+        document.getElementById('promptTemplate').addEventListener('change', () => this.loadPromptTemplate());
+        document.getElementById('previewPromptBtn').addEventListener('click', () => this.previewPrompt());
+        document.getElementById('savePromptBtn').addEventListener('click', () => this.savePrompt());
+        document.getElementById('deletePromptBtn').addEventListener('click', () => this.deletePrompt());
+
+        document.getElementById('promptModal').addEventListener('click', (e) => {
+            if (e.target.id === 'promptModal') {
+                this.hidePromptModal();
+            }
+        });
+
         // Summary modal events
         document.getElementById('closeSummaryModal').addEventListener('click', () => this.hideSummaryModal());
         document.getElementById('closeSummaryBtn').addEventListener('click', () => this.hideSummaryModal());
         document.getElementById('downloadSummaryBtn').addEventListener('click', () => this.downloadSummary());
+        document.getElementById('rewriteSummaryBtn').addEventListener('click', () => this.rewriteSummary());
 
         document.getElementById('summaryModal').addEventListener('click', (e) => {
             if (e.target.id === 'summaryModal') {
@@ -89,10 +138,19 @@ class PhilosopherChatApp {
         document.getElementById('closeHistoryModal').addEventListener('click', () => this.hideHistoryModal());
         document.getElementById('closeHistoryBtn').addEventListener('click', () => this.hideHistoryModal());
         document.getElementById('newConversationBtn').addEventListener('click', () => this.startNewConversation());
+        document.getElementById('importConversationBtn').addEventListener('click', () => document.getElementById('importFile').click());
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            const [file] = e.target.files;
+            e.target.value = '';
+            if (file) this.importConversation(file);
+        });
         document.getElementById('searchBtn').addEventListener('click', () => this.searchConversations());
         document.getElementById('historySearch').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.searchConversations();
         });
+        ['searchProvider', 'searchStatus', 'searchFrom', 'searchTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.searchConversations());
+        });
 
         document.getElementById('historyModal').addEventListener('click', (e) => {
             if (e.target.id === 'historyModal') {
@@ -127,23 +185,58 @@ class PhilosopherChatApp {
             this.scrollToBottom();
         });
 
+        this.socket.on('message-chunk', (data) => {
+            this.appendStreamChunk(data);
+        });
+
+        this.socket.on('message-complete', (message) => {
+            this.allMessages.push(message);
+            this.displayMessages();
+            this.scrollToBottom();
+        });
+
         this.socket.on('ai-thinking', (data) => {
             this.showThinkingIndicator(data.provider);
-            this.updateAIStatus(`${data.provider} is thinking...`);
+            this.updateAIStatus(data.phase ? `${data.provider} is thinking (${data.phase})...` : `${data.provider} is thinking...`);
         });
 
         this.socket.on('ai-error', (data) => {
             this.hideThinkingIndicator();
+            // A reply that broke off mid-stream is not kept
+            if (data.streamId) {
+                document.getElementById(`stream-${data.streamId}`)?.remove();
+            }
             this.updateAIStatus(`${data.provider} encountered an error: ${data.error}`);
         });
 
-        this.socket.on('demo-response', (data) => {
-            this.updateAIStatus(data.message);
+        this.socket.on('provider-status', (data) => {
+            this.updateProviderStatus(data);
+            if (data.state !== 'half-open') {
+                this.showNotification(data.message.replace(/^\S+ /, ''), data.state === 'open' ? 'warning' : 'success');
+            }
         });
 
         this.socket.on('analytics-update', (data) => {
             this.updateThemes(data.themes);
             this.updateWordMap(data.wordMap);
+            this.updateStanceMap(data.positions);
+            this.loadArgumentGraph();
+        });
+
+        this.socket.on('usage-update', (data) => {
+            this.updateUsageCounter(data.usage);
+        });
+
+        this.socket.on('budget-warning', (data) => {
+            this.showNotification(data.message.replace('💰 ', 'Budget: '), 'warning');
+        });
+
+        this.socket.on('budget-exceeded', (data) => {
+            // Pauses are announced by the moderation-pause event
+            if (data.action === 'deactivate') {
+                this.showNotification(data.message.replace('💰 ', ''), 'warning');
+                this.updateAIStatus(data.message);
+            }
         });
 
         this.socket.on('summary-generating', (data) => {
@@ -151,7 +244,7 @@ class PhilosopherChatApp {
         });
 
         this.socket.on('summary-generated', (data) => {
-            this.displaySummary(data.summary);
+            this.displaySummary(data);
         });
 
         this.socket.on('providers-updated', (data) => {
@@ -178,6 +271,25 @@ class PhilosopherChatApp {
             this.updateAIStatus('Random selection: ' + data.message.replace('🎲 ', ''));
         });
 
+        this.socket.on('format-round', (data) => {
+            this.showRandomSelectionNotification(data);
+            this.updateAIStatus(data.message);
+        });
+
+        this.socket.on('format-complete', (data) => {
+            this.showNotification(data.message.replace('🏁 ', ''), 'success');
+            this.updateAIStatus(data.message);
+        });
+
+        this.socket.on('debate-stopped', (data) => {
+            this.showNotification(data.message.replace('🛑 ', ''), 'success');
+            this.updateAIStatus(data.message);
+            this.updateStatus('ready', 'Debate ended');
+            if (data.summarize) {
+                this.showSummaryModal();
+            }
+        });
+
         this.socket.on('targeted-response', (data) => {
             this.showNotification(data.message, 'info');
             this.updateAIStatus(`Generating targeted response from ${data.targetProvider}...`);
@@ -198,7 +310,9 @@ class PhilosopherChatApp {
             this.activeProviders = new Set(this.availableProviders.map(p => p.name));
             
             if (!data.available) {
-                this.updateAIStatus('Demo mode - Add API keys for full functionality');
+                this.updateAIStatus('No AI providers available');
+            } else if (data.offline) {
+                this.updateAIStatus(`Offline mode - ${data.providers.length} mock provider(s) standing in: ${data.providers.map(p => p.name).join(', ')}`);
             } else {
                 this.updateAIStatus(`${data.providers.length} AI provider(s) available: ${data.providers.map(p => p.name).join(', ')}`);
             }
@@ -207,6 +321,330 @@ class PhilosopherChatApp {
         }
     }
 
+    async loadDebateFormats() {
+        try {
+            const response = await fetch('/api/formats');
+            const data = await response.json();
+            this.debateFormats = data.formats || [];
+
+            const select = document.getElementById('debateFormat');
+            select.innerHTML = this.debateFormats.map(format =>
+                `<option value="${escapeHtml(format.id)}">${escapeHtml(format.label)}</option>`
+            ).join('');
+            select.value = data.default;
+            this.updateFormatDescription();
+        } catch (error) {
+            console.error('Failed to load debate formats:', error);
+        }
+    }
+
+    async loadPersonas() {
+        try {
+            const response = await fetch('/api/personas');
+            const data = await response.json();
+            this.personas = data.personas || [];
+        } catch (error) {
+            console.error('Failed to load personas:', error);
+        }
+    }
+
+    // One persona select per provider; "Custom" reveals a free-text stance
+    renderPersonaPickers() {
+        const container = document.getElementById('personaPickers');
+        const options = [
+            '<option value="">No persona</option>',
+            ...this.personas.map(persona => `<option value="${escapeHtml(persona.id)}" title="${escapeHtml(persona.stance)}">${escapeHtml(persona.label)}</option>`),
+            '<option value="custom">Custom...</option>'
+        ].join('');
+
+        container.innerHTML = this.availableProviders.map(provider => `
+            <div class="persona-picker" data-provider="${escapeHtml(provider.name)}">
+                <span class="persona-provider">${escapeHtml(provider.name)}</span>
+                <select class="persona-select">${options}</select>
+                <input type="text" class="persona-custom" maxlength="500" placeholder="Describe the stance to argue from" style="display: none;">
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.persona-picker').forEach(picker => {
+            const select = picker.querySelector('.persona-select');
+            select.addEventListener('change', () => {
+                picker.querySelector('.persona-custom').style.display = select.value === 'custom' ? '' : 'none';
+            });
+        });
+    }
+
+    renderConsensusJudgeOptions() {
+        const select = document.getElementById('consensusJudge');
+        select.innerHTML = [
+            '<option value="">Keyword heuristic</option>',
+            '<option value="analyst">Analyst</option>',
+            ...this.availableProviders.map(provider => `<option value="${escapeHtml(provider.name)}">${escapeHtml(provider.name)}</option>`)
+        ].join('');
+    }
+
+    // Up to MAX_ANALYST_CHOICES selects for the analyst order, keeping the given list of names
+    renderAnalystSelects(containerId, analyst = []) {
+        const container = document.getElementById(containerId);
+        const providers = this.availableProviders.map(provider => `<option value="${escapeHtml(provider.name)}">${escapeHtml(provider.name)}</option>`).join('');
+        const slots = Math.min(this.availableProviders.length, MAX_ANALYST_CHOICES);
+
+        container.innerHTML = Array.from({ length: slots }, (_, index) => `
+            <label class="analyst-select">
+                ${index === 0 ? 'First choice' : 'Then'}
+                <select>
+                    <option value="">${index === 0 ? 'Any available' : 'No fallback'}</option>
+                    ${providers}
+                </select>
+            </label>
+        `).join('');
+
+        container.querySelectorAll('select').forEach((select, index) => {
+            if (this.availableProviders.some(p => p.name === analyst[index])) {
+                select.value = analyst[index];
+            }
+        });
+    }
+
+    // The chosen analyst names in order; an empty list means any available provider
+    getAnalyst(containerId) {
+        const names = [...document.querySelectorAll(`#${containerId} select`)].map(select => select.value).filter(Boolean);
+        return [...new Set(names)];
+    }
+
+    getPersonaAssignments() {
+        const personas = {};
+        document.querySelectorAll('#personaPickers .persona-picker').forEach(picker => {
+            const value = picker.querySelector('.persona-select').value;
+            if (value === 'custom') {
+                const custom = picker.querySelector('.persona-custom').value.trim();
+                if (custom) personas[picker.dataset.provider] = { custom };
+            } else if (value) {
+                personas[picker.dataset.provider] = value;
+            }
+        });
+        return personas;
+    }
+
+    async loadPrompts() {
+        try {
+            const response = await fetch('/api/prompts');
+            const data = await response.json();
+            this.promptKinds = data.kinds || [];
+            this.promptTemplates = data.templates || [];
+
+            this.renderPromptSelects('promptSelects', this.getPromptSelection('promptSelects'));
+            this.renderPromptSelects('modalPromptSelects', this.getPromptSelection('modalPromptSelects'));
+        } catch (error) {
+            console.error('Failed to load prompt templates:', error);
+        }
+    }
+
+    // One template select per prompt kind, keeping the given { kind: id } selection
+    renderPromptSelects(containerId, selection = {}) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = this.promptKinds.map(kind => {
+            const options = this.promptTemplates
+                .filter(template => template.kind === kind.id)
+                .map(template => `<option value="${escapeHtml(template.id)}">${escapeHtml(template.id)}</option>`)
+                .join('');
+            return `
+                <label class="prompt-select">
+                    ${escapeHtml(kind.label)}
+                    <select data-kind="${escapeHtml(kind.id)}">${options}</select>
+                </label>
+            `;
+        }).join('');
+
+        container.querySelectorAll('select').forEach(select => {
+            const id = selection[select.dataset.kind];
+            if (id && this.promptTemplates.some(t => t.kind === select.dataset.kind && t.id === id)) {
+                select.value = id;
+            }
+        });
+    }
+
+    getPromptSelection(containerId) {
+        const selection = {};
+        document.querySelectorAll(`#${containerId} select`).forEach(select => {
+            selection[select.dataset.kind] = select.value;
+        });
+        return selection;
+    }
+
+    showPromptModal() {
+        const kindSelect = document.getElementById('promptKind');
+        kindSelect.innerHTML = this.promptKinds.map(kind =>
+            `<option value="${escapeHtml(kind.id)}">${escapeHtml(kind.label)}</option>`
+        ).join('');
+        this.selectPromptKind();
+        document.getElementById('promptModal').style.display = 'flex';
+    }
+
+    hidePromptModal() {
+        document.getElementById('promptModal').style.display = 'none';
+    }
+
+    selectPromptKind(templateId = null) {
+        const kind = this.promptKinds.find(k => k.id === document.getElementById('promptKind').value);
+        if (!kind) return;
+
+        document.getElementById('promptKindDescription').textContent = kind.description;
+
+        const variables = document.getElementById('promptVariables');
+        variables.innerHTML = '';
+        kind.variables.forEach(variable => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'prompt-variable';
+            chip.textContent = `{{${variable.name}}}`;
+            chip.title = variable.description;
+            chip.addEventListener('click', () => this.insertPromptVariable(variable.name));
+            variables.appendChild(chip);
+        });
+
+        const templateSelect = document.getElementById('promptTemplate');
+        templateSelect.innerHTML = [
+            ...this.promptTemplates
+                .filter(template => template.kind === kind.id)
+                .map(template => `<option value="${escapeHtml(template.id)}">${escapeHtml(template.id)}${template.modified ? ' (edited)' : ''}</option>`),
+            '<option value="">New template...</option>'
+        ].join('');
+        if (templateId) templateSelect.value = templateId;
+
+        this.loadPromptTemplate();
+    }
+
+    async loadPromptTemplate() {
+        const kind = document.getElementById('promptKind').value;
+        const id = document.getElementById('promptTemplate').value;
+        const idInput = document.getElementById('promptTemplateId');
+        const body = document.getElementById('promptBody');
+        const deleteButton = document.getElementById('deletePromptBtn');
+
+        document.getElementById('promptPreview').style.display = 'none';
+        idInput.style.display = id ? 'none' : '';
+        idInput.value = '';
+
+        if (!id) {
+            body.value = '';
+            deleteButton.style.display = 'none';
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/prompts/${kind}/${id}`);
+            const { template } = await response.json();
+            body.value = template.body;
+
+            // Built-in templates can only be reset once they have been edited
+            deleteButton.style.display = template.builtin && !template.modified ? 'none' : '';
+            deleteButton.textContent = template.builtin ? 'Reset to built-in' : 'Delete';
+        } catch (error) {
+            console.error('Failed to load prompt template:', error);
+            this.showNotification('Failed to load prompt template', 'error');
+        }
+    }
+
+    insertPromptVariable(name) {
+        const body = document.getElementById('promptBody');
+        const placeholder = `{{${name}}}`;
+        body.setRangeText(placeholder, body.selectionStart, body.selectionEnd, 'end');
+        body.focus();
+    }
+
+    async previewPrompt() {
+        const preview = document.getElementById('promptPreview');
+
+        try {
+            const response = await fetch('/api/prompts/preview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    kind: document.getElementById('promptKind').value,
+                    body: document.getElementById('promptBody').value,
+                    conversationId: this.conversationId
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                this.showNotification(data.error, 'error');
+                return;
+            }
+
+            // Filled-in prompts contain conversation text, so they go in as text nodes
+            preview.innerHTML = '';
+            data.previews.forEach((text, index) => {
+                if (index > 0) preview.appendChild(document.createElement('hr'));
+                preview.appendChild(document.createTextNode(text));
+            });
+            preview.style.display = '';
+        } catch (error) {
+            console.error('Failed to preview prompt template:', error);
+            this.showNotification('Failed to preview prompt template', 'error');
+        }
+    }
+
+    async savePrompt() {
+        const kind = document.getElementById('promptKind').value;
+        const id = document.getElementById('promptTemplate').value || document.getElementById('promptTemplateId').value.trim();
+        if (!id) {
+            this.showNotification('Give the new template an id', 'warning');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/prompts/${kind}/${encodeURIComponent(id)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ body: document.getElementById('promptBody').value })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                this.showNotification(data.error, 'error');
+                return;
+            }
+
+            await this.loadPrompts();
+            this.selectPromptKind(id);
+            this.showNotification(`Saved ${kind} template "${id}"`, 'success');
+        } catch (error) {
+            console.error('Failed to save prompt template:', error);
+            this.showNotification('Failed to save prompt template', 'error');
+        }
+    }
+
+    async deletePrompt() {
+        const kind = document.getElementById('promptKind').value;
+        const id = document.getElementById('promptTemplate').value;
+        if (!id || !confirm(`Remove your changes to the ${kind} template "${id}"?`)) return;
+
+        try {
+            const response = await fetch(`/api/prompts/${kind}/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) {
+                this.showNotification(data.error, 'error');
+                return;
+            }
+
+            await this.loadPrompts();
+            this.selectPromptKind(data.template ? id : null);
+            this.showNotification(data.template ? `Reset ${kind} template "${id}"` : `Deleted ${kind} template "${id}"`, 'success');
+        } catch (error) {
+            console.error('Failed to delete prompt template:', error);
+            this.showNotification('Failed to delete prompt template', 'error');
+        }
+    }
+
+    updateFormatDescription() {
+        const id = document.getElementById('debateFormat').value;
+        const format = this.debateFormats.find(f => f.id === id);
+        if (format) {
+            document.getElementById('debateFormatDescription').textContent = format.description;
+        }
+        document.getElementById('formatRoundsItem').style.display =
+            ROUND_BASED_FORMATS.includes(id) ? '' : 'none';
+    }
+
     async startConversation() {
         const topic = document.getElementById('topicInput').value.trim();
         if (!topic) {
@@ -218,8 +656,17 @@ class PhilosopherChatApp {
             maxTokens: parseInt(document.getElementById('maxTokens').value),
             temperature: parseFloat(document.getElementById('temperature').value),
             autoRounds: document.getElementById('autoRounds').checked,
-            moderationPause: parseInt(document.getElementById('moderationPause').value)
+            moderationPause: parseInt(document.getElementById('moderationPause').value),
+            format: document.getElementById('debateFormat').value,
+            prompts: this.getPromptSelection('promptSelects'),
+            consensusJudge: document.getElementById('consensusJudge').value || null,
+            analyst: this.getAnalyst('analystSelects'),
+            stopConditions: this.getStopConditions('stop'),
+            budget: this.getBudget('budget')
         };
+        if (ROUND_BASED_FORMATS.includes(config.format)) {
+            config.formatOptions = { rounds: parseInt(document.getElementById('formatRounds').value) };
+        }
 
         try {
             this.updateStatus('connecting', 'Starting conversation...');
@@ -227,10 +674,13 @@ class PhilosopherChatApp {
             const response = await fetch('/api/conversation', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ topic, config })
+                body: JSON.stringify({ topic, config, personas: this.getPersonaAssignments() })
             });
 
             const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to start conversation');
+            }
             this.conversationId = data.conversationId;
             this.currentConfig = config; // Store the initial config
 
@@ -238,15 +688,19 @@ class PhilosopherChatApp {
             document.getElementById('mainInterface').style.display = 'flex';
             document.getElementById('conversationTopic').textContent = topic;
             
-            this.displayParticipants(data.participants);
+            this.displayParticipants(data.participants, data.personas);
             this.socket.emit('join-conversation', this.conversationId);
             this.initializeAIControls();
+            this.argumentGraph = null;
+            this.selectedArgumentNode = null;
+            this.renderArgumentGraph();
+            this.updateUsageCounter(null);
             
             this.updateStatus('ready', 'Conversation started');
             
         } catch (error) {
             console.error('Failed to start conversation:', error);
-            this.updateStatus('error', 'Failed to start conversation');
+            this.updateStatus('error', error.message);
         }
     }
 
@@ -320,11 +774,25 @@ class PhilosopherChatApp {
         this.updateAIStatus('Ending conversation and generating summary...');
     }
 
-    displayParticipants(participants) {
+    displayParticipants(participants, personas = {}) {
         const container = document.getElementById('participants');
-        container.innerHTML = participants.map(name => 
-            `<span class="participant">${name}</span>`
-        ).join('');
+        container.innerHTML = '';
+        participants.forEach(name => {
+            const chip = document.createElement('span');
+            chip.className = 'participant';
+            chip.textContent = name;
+
+            // Built with textContent because custom persona labels are user input
+            const persona = personas[name];
+            if (persona) {
+                const badge = document.createElement('span');
+                badge.className = 'persona-badge';
+                badge.textContent = persona.label;
+                badge.title = persona.stance;
+                chip.appendChild(badge);
+            }
+            container.appendChild(chip);
+        });
     }
 
     displayMessages() {
@@ -334,7 +802,10 @@ class PhilosopherChatApp {
         const paginated = this.allMessages.slice(startIndex, endIndex);
 
         container.innerHTML = paginated.map(msg => this.formatMessage(msg)).join('');
-        
+        container.querySelectorAll('.fork-btn').forEach(button => {
+            button.addEventListener('click', () => this.forkConversation(button.dataset.messageId));
+        });
+
         this.updatePagination();
         this.hideThinkingIndicator();
     }
@@ -345,21 +816,49 @@ class PhilosopherChatApp {
         const timestamp = new Date(message.timestamp).toLocaleTimeString();
 
         return `
-            <div class="message ${speakerClass}">
+            <div class="message ${escapeHtml(speakerClass)}" data-message-id="${escapeHtml(message.id || '')}">
                 <div class="message-header">
-                    <span class="speaker">${message.speaker}</span>
+                    <span class="speaker">${escapeHtml(message.speaker)}</span>
                     <span class="timestamp">${timestamp}</span>
+                    ${message.id ? `<button class="fork-btn" data-message-id="${escapeHtml(message.id)}" title="Fork the debate from this message">
+                        <i class="fas fa-code-branch"></i>
+                    </button>` : ''}
                 </div>
                 <div class="message-content">${this.formatContent(message.content)}</div>
             </div>
         `;
     }
 
+    // Markdown to HTML with everything from the model escaped (see src/utils/markdown.js)
     formatContent(content) {
-        return content
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            .replace(/\n/g, '<br>')
-            .replace(/(https?:\/\/[^\s]+)/g, '<a href="$1" target="_blank">$1</a>');
+        return window.renderMarkdown(content);
+    }
+
+    appendStreamChunk(data) {
+        const container = document.getElementById('messages');
+        let streamingMessage = document.getElementById(`stream-${data.streamId}`);
+
+        if (!streamingMessage) {
+            this.hideThinkingIndicator();
+
+            const speakerClass = `ai ${data.speaker.toLowerCase().replace(/\s+/g, '-')}`;
+            streamingMessage = document.createElement('div');
+            streamingMessage.className = `message ${speakerClass} streaming`;
+            streamingMessage.id = `stream-${data.streamId}`;
+            streamingMessage.dataset.raw = '';
+            streamingMessage.innerHTML = `
+                <div class="message-header">
+                    <span class="speaker">${escapeHtml(data.speaker)}</span>
+                    <span class="timestamp">${new Date().toLocaleTimeString()}</span>
+                </div>
+                <div class="message-content"></div>
+            `;
+            container.appendChild(streamingMessage);
+        }
+
+        streamingMessage.dataset.raw += data.chunk;
+        streamingMessage.querySelector('.message-content').innerHTML = this.formatContent(streamingMessage.dataset.raw);
+        this.scrollToBottom();
     }
 
     showThinkingIndicator(provider) {
@@ -370,7 +869,7 @@ class PhilosopherChatApp {
         indicator.className = 'thinking-indicator';
         indicator.id = 'thinkingIndicator';
         indicator.innerHTML = `
-            <span>${provider} is thinking</span>
+            <span>${escapeHtml(provider)} is thinking</span>
             <div class="thinking-dots">
                 <span></span>
                 <span></span>
@@ -402,13 +901,15 @@ class PhilosopherChatApp {
             const iconClass = provider.name.toLowerCase().replace(/\s+/g, '-');
             const iconText = provider.name.charAt(0);
             
+            const unavailable = provider.status?.state === 'open';
+
             return `
-                <div class="ai-control-item">
+                <div class="ai-control-item ${unavailable ? 'unavailable' : ''}" data-provider="${escapeHtml(provider.name)}" title="${unavailable ? escapeHtml(`Out of rotation after repeated errors: ${provider.status.error || ''}`) : ''}">
                     <div class="ai-provider-info">
-                        <div class="ai-provider-icon ${iconClass}">${iconText}</div>
-                        <span class="ai-provider-name">${provider.name}</span>
+                        <div class="ai-provider-icon ${escapeHtml(iconClass)}">${escapeHtml(iconText)}</div>
+                        <span class="ai-provider-name">${escapeHtml(provider.name)}</span>
                     </div>
-                    <div class="ai-toggle ${isActive ? 'active' : ''}" data-provider="${provider.name}"></div>
+                    <div class="ai-toggle ${isActive ? 'active' : ''}" data-provider="${escapeHtml(provider.name)}"></div>
                 </div>
             `;
         }).join('');
@@ -422,6 +923,22 @@ class PhilosopherChatApp {
         });
     }
 
+    // Mark a provider whose circuit breaker opened or closed (provider-status event)
+    updateProviderStatus(status) {
+        const provider = this.availableProviders.find(p => p.name === status.provider);
+        if (provider) {
+            provider.status = status;
+        }
+
+        const item = document.querySelector(`.ai-control-item[data-provider="${CSS.escape(status.provider)}"]`);
+        if (item) {
+            const unavailable = status.state === 'open';
+            item.classList.toggle('unavailable', unavailable);
+            item.title = unavailable ? `Out of rotation after repeated errors: ${status.error || ''}` : '';
+        }
+        this.updateAIStatus(status.message);
+    }
+
     toggleAIProvider(providerName) {
         if (this.activeProviders.has(providerName)) {
             this.activeProviders.delete(providerName);
@@ -430,7 +947,7 @@ class PhilosopherChatApp {
         }
 
         // Update UI
-        const toggle = document.querySelector(`.ai-toggle[data-provider="${providerName}"]`);
+        const toggle = document.querySelector(`.ai-toggle[data-provider="${CSS.escape(providerName)}"]`);
         if (toggle) {
             toggle.classList.toggle('active', this.activeProviders.has(providerName));
         }
@@ -488,11 +1005,11 @@ class PhilosopherChatApp {
                         <div class="idea-type">
                             <i class="fas ${typeIcon}"></i>
                             <span class="type-label">${typeLabel}</span>
-                            ${theme.count > 1 ? `<span class="recurrence-badge">${theme.count}x</span>` : ''}
+                            ${theme.count > 1 ? `<span class="recurrence-badge">${escapeHtml(theme.count)}x</span>` : ''}
                         </div>
                     </div>
-                    <div class="idea-name">${theme.name}</div>
-                    <div class="idea-summary">${theme.summary}</div>
+                    <div class="idea-name">${escapeHtml(theme.name)}</div>
+                    <div class="idea-summary">${escapeHtml(theme.summary)}</div>
                 </div>
             `;
         }).join('');
@@ -507,21 +1024,302 @@ class PhilosopherChatApp {
         }
 
         const wordCloudHtml = wordMap.map(word => `
-            <span class="word-item size-${word.size}" 
+            <span class="word-item size-${escapeHtml(word.size)}" 
                   data-frequency="${Math.min(word.frequency, 5)}" 
-                  title="${word.word}: ${word.frequency} occurrences">
-                ${word.word}
+                  title="${escapeHtml(word.word)}: ${escapeHtml(word.frequency)} occurrences">
+                ${escapeHtml(word.word)}
             </span>
         `).join('');
 
         container.innerHTML = `<div class="word-cloud">${wordCloudHtml}</div>`;
     }
 
+    // Pairwise agreement matrix, each participant's stance on the key
+    // questions, and the latest changes of position
+    updateStanceMap(positions) {
+        const container = document.getElementById('stanceContainer');
+        container.innerHTML = '';
+
+        const participants = positions?.participants || [];
+        const questions = (positions?.questions || []).filter(question => Object.keys(question.stances).length > 0);
+        if (participants.length === 0 || (questions.length === 0 && positions.shifts.length === 0)) {
+            container.innerHTML = '<div class="no-data">Positions will be mapped as the participants take sides...</div>';
+            return;
+        }
+
+        const element = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+
+        if (participants.length > 1) {
+            const table = element('table', 'agreement-matrix');
+            const header = table.insertRow();
+            header.appendChild(element('th'));
+            participants.forEach(name => header.appendChild(element('th', null, name)));
+
+            participants.forEach(rowName => {
+                const row = table.insertRow();
+                row.appendChild(element('th', null, rowName));
+                participants.forEach(columnName => {
+                    const cell = row.insertCell();
+                    if (rowName === columnName) {
+                        cell.className = 'matrix-self';
+                        return;
+                    }
+                    const { agree, disagree, score } = positions.matrix[rowName][columnName];
+                    cell.className = score === null ? 'matrix-unknown' : score > 0.2 ? 'matrix-agree' : score < -0.2 ? 'matrix-disagree' : 'matrix-mixed';
+                    cell.textContent = score === null ? '–' : `${score > 0 ? '+' : ''}${score.toFixed(1)}`;
+                    cell.title = `${rowName} → ${columnName}: ${agree} agreeing, ${disagree} disagreeing`;
+                });
+            });
+            container.appendChild(table);
+        }
+
+        questions.forEach(question => {
+            const item = element('div', 'stance-question');
+            item.appendChild(element('div', 'stance-question-text', question.text));
+            const stances = element('div', 'stance-chips');
+            Object.entries(question.stances).forEach(([name, entry]) => {
+                const chip = element('span', `stance-chip stance-${entry.stance}`, `${name}: ${entry.stance}`);
+                chip.title = `Score ${entry.score} after ${entry.history.length} message${entry.history.length === 1 ? '' : 's'}`;
+                stances.appendChild(chip);
+            });
+            item.appendChild(stances);
+            container.appendChild(item);
+        });
+
+        positions.shifts.slice(-5).reverse().forEach(shift => {
+            const item = element('div', 'stance-shift');
+            const change = shift.from && shift.to && shift.from !== shift.to ? ` (${shift.from} → ${shift.to})` : '';
+            item.appendChild(element('div', 'stance-shift-title', `${shift.speaker} changed position${change}`));
+            item.appendChild(element('div', 'stance-shift-excerpt', `"${shift.excerpt}"`));
+            item.title = shift.question;
+            container.appendChild(item);
+        });
+    }
+
+    async loadUsage() {
+        if (!this.conversationId) return;
+
+        try {
+            const response = await fetch(`/api/conversation/${this.conversationId}/usage`);
+            if (!response.ok) return;
+            const data = await response.json();
+            this.updateUsageCounter(data.usage);
+        } catch (error) {
+            console.error('Failed to load usage:', error);
+        }
+    }
+
+    formatCost(cost, currency = 'USD') {
+        return new Intl.NumberFormat(undefined, {
+            style: 'currency',
+            currency,
+            maximumFractionDigits: cost > 0 && cost < 1 ? 4 : 2
+        }).format(cost);
+    }
+
+    // Live token and cost counter in the status bar; hover for the per-provider split
+    updateUsageCounter(usage) {
+        const counter = document.getElementById('usageCounter');
+        if (!usage || usage.totals.calls === 0) {
+            counter.style.display = 'none';
+            return;
+        }
+
+        const { totals, currency } = usage;
+        const estimated = totals.estimatedCalls > 0 ? ' (some estimated)' : '';
+        counter.innerHTML = `<i class="fas fa-coins"></i> ${escapeHtml(totals.totalTokens.toLocaleString())} tokens · ${escapeHtml(this.formatCost(totals.cost, currency))}`;
+        counter.title = Object.entries(usage.providers)
+            .map(([name, provider]) => `${name}: ${provider.promptTokens.toLocaleString()} in / ${provider.completionTokens.toLocaleString()} out, ${this.formatCost(provider.cost, currency)}, ${provider.averageLatencyMs} ms avg`)
+            .concat(usage.analysis?.calls > 0 ? [`Judge and summaries: ${usage.analysis.totalTokens.toLocaleString()} tokens, ${this.formatCost(usage.analysis.cost, currency)}`] : [])
+            .concat(totals.unpricedCalls > 0 ? [`${totals.unpricedCalls} call(s) without a price`] : [])
+            .join('\n') + estimated;
+        counter.style.display = 'block';
+    }
+
+    async loadArgumentGraph() {
+        if (!this.conversationId) return;
+
+        try {
+            const response = await fetch(`/api/conversation/${this.conversationId}/arguments`);
+            if (!response.ok) return;
+            this.argumentGraph = await response.json();
+            this.renderArgumentGraph();
+        } catch (error) {
+            console.error('Failed to load argument graph:', error);
+        }
+    }
+
+    // One column per speaker, nodes top to bottom in the order they were made;
+    // each edge points from a node to the one it responds to
+    renderArgumentGraph() {
+        const container = document.getElementById('argumentGraphContainer');
+        const graph = this.argumentGraph;
+        container.innerHTML = '';
+
+        if (!graph || graph.nodes.length === 0) {
+            container.innerHTML = '<div class="no-data">Claims, objections and rebuttals will be mapped as they are made...</div>';
+            return;
+        }
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const create = (tag, attributes = {}) => {
+            const element = document.createElementNS(svgNS, tag);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            return element;
+        };
+
+        const speakers = [...new Set(graph.nodes.map(node => node.speaker))];
+        const width = 320;
+        const laneWidth = width / speakers.length;
+        const rowHeight = 30;
+        const top = 28;
+        const radius = node => node.type === 'reason' ? 5 : 8;
+        const positions = new Map(graph.nodes.map((node, index) => [node.id, {
+            x: laneWidth * (speakers.indexOf(node.speaker) + 0.5) + (node.type === 'reason' ? 12 : 0),
+            y: top + index * rowHeight + rowHeight / 2
+        }]));
+
+        const svg = create('svg', { viewBox: `0 0 ${width} ${top + graph.nodes.length * rowHeight}`, class: 'argument-graph' });
+        const marker = create('marker', { id: 'argumentArrow', viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 5, markerHeight: 5, orient: 'auto' });
+        marker.appendChild(create('path', { d: 'M 0 0 L 10 5 L 0 10 z', class: 'argument-arrow' }));
+        const defs = create('defs');
+        defs.appendChild(marker);
+        svg.appendChild(defs);
+
+        speakers.forEach((speaker, index) => {
+            const label = create('text', { x: laneWidth * (index + 0.5), y: 14, 'text-anchor': 'middle', class: 'argument-lane' });
+            label.textContent = speaker;
+            svg.appendChild(label);
+        });
+
+        const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+        graph.edges.forEach(edge => {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            if (!from || !to) return;
+
+            // Links within a column bow out to the right so they don't run through other nodes
+            const control = from.x === to.x
+                ? { x: from.x + 40, y: (from.y + to.y) / 2 }
+                : { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+            const dx = to.x - control.x;
+            const dy = to.y - control.y;
+            const length = Math.hypot(dx, dy) || 1;
+            const gap = radius(nodesById.get(edge.to)) + 2;
+            const end = { x: to.x - (dx / length) * gap, y: to.y - (dy / length) * gap };
+
+            const path = create('path', {
+                d: `M ${from.x} ${from.y} Q ${control.x} ${control.y} ${end.x} ${end.y}`,
+                class: `argument-edge edge-${edge.type}`,
+                'marker-end': 'url(#argumentArrow)'
+            });
+            path.dataset.from = edge.from;
+            path.dataset.to = edge.to;
+            svg.appendChild(path);
+        });
+
+        graph.nodes.forEach(node => {
+            const { x, y } = positions.get(node.id);
+            const circle = create('circle', { cx: x, cy: y, r: radius(node), class: `argument-node node-${node.type}` });
+            circle.dataset.id = node.id;
+            const title = create('title');
+            title.textContent = `${node.speaker} (${node.type}): ${node.text}`;
+            circle.appendChild(title);
+            circle.addEventListener('click', () => this.selectArgumentNode(node.id));
+            svg.appendChild(circle);
+        });
+
+        const legend = document.createElement('div');
+        legend.className = 'argument-legend';
+        Object.entries(graph.counts).forEach(([type, count]) => {
+            const item = document.createElement('span');
+            item.className = `argument-legend-item node-${type}`;
+            item.textContent = `${type} ${count}`;
+            legend.appendChild(item);
+        });
+
+        const scroller = document.createElement('div');
+        scroller.className = 'argument-scroll';
+        scroller.appendChild(svg);
+
+        const detail = document.createElement('div');
+        detail.id = 'argumentDetail';
+        detail.className = 'argument-detail';
+
+        container.append(legend, scroller, detail);
+        scroller.scrollTop = scroller.scrollHeight;
+
+        if (this.selectedArgumentNode && nodesById.has(this.selectedArgumentNode)) {
+            this.selectArgumentNode(this.selectedArgumentNode, { keep: true });
+        }
+    }
+
+    // Highlight a node and what it is linked to, and show it in full; clicking
+    // the selected node again clears the selection
+    selectArgumentNode(id, { keep = false } = {}) {
+        const container = document.getElementById('argumentGraphContainer');
+        const detail = document.getElementById('argumentDetail');
+        const svg = container.querySelector('svg');
+        if (!svg || !detail) return;
+
+        this.selectedArgumentNode = !keep && this.selectedArgumentNode === id ? null : id;
+        svg.classList.toggle('has-selection', Boolean(this.selectedArgumentNode));
+        svg.querySelectorAll('.argument-node, .argument-edge').forEach(element => element.classList.remove('selected', 'linked'));
+        detail.innerHTML = '';
+        if (!this.selectedArgumentNode) return;
+
+        const { nodes, edges } = this.argumentGraph;
+        const node = nodes.find(candidate => candidate.id === id);
+        const linkedEdges = edges.filter(edge => edge.from === id || edge.to === id);
+
+        svg.querySelector(`.argument-node[data-id="${id}"]`)?.classList.add('selected');
+        svg.querySelectorAll('.argument-edge').forEach(path => {
+            if (path.dataset.from === id || path.dataset.to === id) path.classList.add('linked');
+        });
+        linkedEdges.forEach(edge => {
+            const other = edge.from === id ? edge.to : edge.from;
+            svg.querySelector(`.argument-node[data-id="${other}"]`)?.classList.add('linked');
+        });
+
+        const line = (className, text) => {
+            const element = document.createElement('div');
+            element.className = className;
+            element.textContent = text;
+            detail.appendChild(element);
+        };
+
+        line(`argument-detail-type node-${node.type}`, `${node.speaker} · ${node.type}`);
+        line('argument-detail-text', node.text);
+        if (node.themes?.length) line('argument-detail-links', `Ideas: ${node.themes.join('; ')}`);
+        linkedEdges.forEach(edge => {
+            const other = nodes.find(candidate => candidate.id === (edge.from === id ? edge.to : edge.from));
+            if (!other) return;
+            const text = other.text.length > 80 ? `${other.text.slice(0, 80)}...` : other.text;
+            line('argument-detail-links', edge.from === id
+                ? `${edge.type} ${other.speaker}: "${text}"`
+                : `${other.speaker}'s ${other.type} ${edge.type} this: "${text}"`);
+        });
+
+        if (node.messageId && this.allMessages.some(message => message.id === node.messageId)) {
+            const button = document.createElement('button');
+            button.className = 'argument-jump';
+            button.innerHTML = '<i class="fas fa-arrow-right"></i> Show message';
+            button.addEventListener('click', () => this.jumpToMessage(node.messageId));
+            detail.appendChild(button);
+        }
+    }
+
     updateAnalytics(analytics) {
         if (!analytics) return;
         
         this.updateThemes(analytics.themes);
         this.updateWordMap(analytics.wordMap);
+        this.updateStanceMap(analytics.positions);
     }
 
     updatePagination() {
@@ -557,7 +1355,7 @@ class PhilosopherChatApp {
         const icon = indicator.querySelector('i');
         
         indicator.className = `status-${type}`;
-        indicator.innerHTML = `<i class="fas fa-circle"></i> ${message}`;
+        indicator.innerHTML = `<i class="fas fa-circle"></i> ${escapeHtml(message)}`;
     }
 
     updateAIStatus(message) {
@@ -572,10 +1370,96 @@ class PhilosopherChatApp {
         document.getElementById('modalTempValue').textContent = currentConfig.temperature;
         document.getElementById('modalAutoRounds').checked = currentConfig.autoRounds;
         document.getElementById('modalModerationPause').value = currentConfig.moderationPause;
+        this.renderPromptSelects('modalPromptSelects', currentConfig.prompts);
+        this.renderAnalystSelects('modalAnalystSelects', currentConfig.analyst);
+        this.fillStopConditions('modalStop', currentConfig.stopConditions);
+        this.fillBudget('modalBudget', currentConfig.budget);
+        this.loadBudgetStatus();
 
         document.getElementById('configModal').style.display = 'flex';
     }
 
+    // Read the stop-condition fields whose ids start with prefix; empty fields are off
+    getStopConditions(prefix) {
+        const number = id => {
+            const value = document.getElementById(`${prefix}${id}`).value;
+            return value === '' ? null : Number(value);
+        };
+        return {
+            consensusThreshold: number('Consensus'),
+            consensusTurns: number('ConsensusTurns') || 3,
+            maxTurns: number('MaxTurns'),
+            maxTokens: number('MaxTokens'),
+            maxCost: number('MaxCost'),
+            maxDurationMinutes: number('Minutes'),
+            summarize: document.getElementById(`${prefix}Summarize`).checked
+        };
+    }
+
+    fillStopConditions(prefix, conditions = {}) {
+        const set = (id, value) => {
+            document.getElementById(`${prefix}${id}`).value = value ?? '';
+        };
+        set('Consensus', conditions.consensusThreshold);
+        set('ConsensusTurns', conditions.consensusTurns ?? 3);
+        set('MaxTurns', conditions.maxTurns);
+        set('MaxTokens', conditions.maxTokens);
+        set('MaxCost', conditions.maxCost);
+        set('Minutes', conditions.maxDurationMinutes);
+        document.getElementById(`${prefix}Summarize`).checked = Boolean(conditions.summarize);
+    }
+
+    // Read the budget fields whose ids start with prefix; empty limits are off
+    getBudget(prefix) {
+        const number = id => {
+            const value = document.getElementById(`${prefix}${id}`).value;
+            return value === '' ? null : Number(value);
+        };
+        return {
+            conversationTokens: number('ConversationTokens'),
+            conversationCost: number('ConversationCost'),
+            dailyTokens: number('DailyTokens'),
+            dailyCost: number('DailyCost'),
+            warnAt: number('WarnAt') || 80,
+            action: document.getElementById(`${prefix}Action`).value
+        };
+    }
+
+    fillBudget(prefix, budget = {}) {
+        const set = (id, value) => {
+            document.getElementById(`${prefix}${id}`).value = value ?? '';
+        };
+        set('ConversationTokens', budget.conversationTokens);
+        set('ConversationCost', budget.conversationCost);
+        set('DailyTokens', budget.dailyTokens);
+        set('DailyCost', budget.dailyCost);
+        set('WarnAt', budget.warnAt ?? 80);
+        set('Action', budget.action || 'pause');
+    }
+
+    // What is left of each budget limit, shown in the settings modal
+    async loadBudgetStatus() {
+        const container = document.getElementById('budgetRemaining');
+        container.innerHTML = '';
+        if (!this.conversationId) return;
+
+        try {
+            const response = await fetch(`/api/conversation/${this.conversationId}/budget`);
+            if (!response.ok) return;
+            const { limits, currency } = await response.json();
+
+            const amount = (value, unit) => unit === 'cost' ? this.formatCost(value, currency) : `${value.toLocaleString()} tokens`;
+            limits.forEach(limit => {
+                const item = document.createElement('div');
+                item.className = `budget-limit budget-${limit.state}`;
+                item.textContent = `${limit.scope === 'daily' ? 'Today' : 'This conversation'}: ${amount(limit.remaining, limit.unit)} left of ${amount(limit.limit, limit.unit)} (${limit.percent}% used)`;
+                container.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Failed to load budget:', error);
+        }
+    }
+
     hideConfigModal() {
         document.getElementById('configModal').style.display = 'none';
     }
@@ -589,7 +1473,11 @@ class PhilosopherChatApp {
             maxTokens: parseInt(document.getElementById('modalMaxTokens').value),
             temperature: parseFloat(document.getElementById('modalTemperature').value),
             autoRounds: document.getElementById('modalAutoRounds').checked,
-            moderationPause: parseInt(document.getElementById('modalModerationPause').value)
+            moderationPause: parseInt(document.getElementById('modalModerationPause').value),
+            prompts: this.getPromptSelection('modalPromptSelects'),
+            analyst: this.getAnalyst('modalAnalystSelects'),
+            stopConditions: this.getStopConditions('modalStop'),
+            budget: this.getBudget('modalBudget')
         };
 
         if (!this.conversationId) {
@@ -611,7 +1499,7 @@ class PhilosopherChatApp {
                 this.showNotification('Configuration updated successfully', 'success');
                 this.hideConfigModal();
             } else {
-                this.showNotification('Failed to update configuration', 'error');
+                this.showNotification(data.error || 'Failed to update configuration', 'error');
             }
         } catch (error) {
             console.error('Failed to update configuration:', error);
@@ -634,7 +1522,7 @@ class PhilosopherChatApp {
 
         notification.innerHTML = `
             <i class="fas ${iconClass} notification-icon"></i>
-            <span class="notification-text">${message}</span>
+            <span class="notification-text">${escapeHtml(message)}</span>
         `;
 
         notificationArea.appendChild(notification);
@@ -653,7 +1541,7 @@ class PhilosopherChatApp {
         indicator.className = 'auto-round-indicator';
         indicator.innerHTML = `
             <i class="fas fa-sync-alt"></i>
-            <span>${data.message}</span>
+            <span>${escapeHtml(data.message)}</span>
         `;
 
         chatContainer.appendChild(indicator);
@@ -677,9 +1565,9 @@ class PhilosopherChatApp {
         indicator.innerHTML = `
             <i class="fas fa-pause-circle"></i>
             <div class="pause-content">
-                <div class="pause-title">${data.message}</div>
-                <div class="pause-suggestion">${data.suggestion}</div>
-                <div class="pause-stats">Consecutive AI messages: ${data.consecutiveMessages}</div>
+                <div class="pause-title">${escapeHtml(data.message)}</div>
+                <div class="pause-suggestion">${escapeHtml(data.suggestion)}</div>
+                ${data.reason === 'budget' ? '' : `<div class="pause-stats">Consecutive AI messages: ${escapeHtml(data.consecutiveMessages)}</div>`}
             </div>
         `;
         chatContainer.appendChild(indicator);
@@ -701,8 +1589,8 @@ class PhilosopherChatApp {
         const indicator = document.createElement('div');
         indicator.className = 'random-selection-indicator';
         indicator.innerHTML = `
-            <i class="fas fa-dice"></i>
-            <span>${data.message}</span>
+            <i class="fas ${data.type === 'format-round' ? 'fa-gavel' : 'fa-dice'}"></i>
+            <span>${escapeHtml(data.message)}</span>
         `;
 
         chatContainer.appendChild(indicator);
@@ -719,35 +1607,45 @@ class PhilosopherChatApp {
         this.showNotification(data.message.replace('🎲 ', ''), 'info');
     }
 
-    async exportConversation() {
+    async loadExportFormats() {
+        try {
+            const response = await fetch('/api/export-formats');
+            const data = await response.json();
+
+            document.getElementById('exportFormat').innerHTML = (data.formats || [])
+                .map(format => `<option value="${escapeHtml(format.id)}"${format.id === data.default ? ' selected' : ''}>${escapeHtml(format.label)}</option>`)
+                .join('');
+        } catch (error) {
+            console.error('Failed to load export formats:', error);
+        }
+    }
+
+    exportConversation() {
         if (!this.conversationId) return;
-        
+
+        // The server names the file and sends it as an attachment
+        const format = document.getElementById('exportFormat').value || 'json';
+        const a = document.createElement('a');
+        a.href = `/api/conversation/${this.conversationId}/export?format=${encodeURIComponent(format)}`;
+        a.download = '';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        this.updateAIStatus('Conversation exported successfully');
+    }
+
+    async loadSummaryStyles() {
         try {
-            const response = await fetch(`/api/conversation/${this.conversationId}`);
+            const response = await fetch('/api/summary-styles');
             const data = await response.json();
-            
-            const exportData = {
-                conversation: data.history,
-                analytics: data.analytics,
-                exportedAt: new Date().toISOString()
-            };
-            
-            const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `philosopher-chat-${Date.now()}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            
-            URL.revokeObjectURL(url);
-            this.updateAIStatus('Conversation exported successfully');
-            
+            this.summaryStyles = data.styles || [];
+
+            document.getElementById('summaryStyle').innerHTML = this.summaryStyles
+                .map(style => `<option value="${escapeHtml(style.id)}" title="${escapeHtml(style.description)}">${escapeHtml(style.label)}</option>`)
+                .join('');
         } catch (error) {
-            console.error('Export failed:', error);
-            this.updateAIStatus('Export failed');
+            console.error('Failed to load summary styles:', error);
         }
     }
 
@@ -756,11 +1654,21 @@ class PhilosopherChatApp {
         document.getElementById('summaryContent').innerHTML = `
             <div class="loading-summary">
                 <i class="fas fa-spinner fa-spin"></i>
-                <div class="progress-text">Preparing comprehensive analysis...</div>
-                <div class="progress-note">This may take 1-2 minutes for a detailed white paper style summary</div>
+                <div class="progress-text">Preparing the summary...</div>
+                <div class="progress-note">The white paper can take 1-2 minutes; the shorter styles are quicker</div>
             </div>
         `;
         document.getElementById('downloadSummaryBtn').style.display = 'none';
+        document.getElementById('rewriteSummaryBtn').disabled = true;
+    }
+
+    // Summarize the conversation again in the style picked in the modal
+    rewriteSummary() {
+        if (!this.conversationId) return;
+
+        const style = document.getElementById('summaryStyle').value;
+        this.showSummaryModal();
+        this.socket.emit('generate-summary', { conversationId: this.conversationId, style });
     }
 
     updateSummaryProgress(status) {
@@ -777,11 +1685,14 @@ class PhilosopherChatApp {
         document.getElementById('summaryModal').style.display = 'none';
     }
 
-    displaySummary(summary) {
+    displaySummary({ summary, markdown, style, styleLabel, analyst }) {
         const content = document.getElementById('summaryContent');
-        content.innerHTML = `<div class="summary-text">${summary}</div>`;
+        const byline = analyst ? `<div class="summary-analyst">${escapeHtml(styleLabel)} written by ${escapeHtml(analyst)}</div>` : '';
+        content.innerHTML = `${byline}<div class="summary-text">${summary}</div>`;
         document.getElementById('downloadSummaryBtn').style.display = 'inline-flex';
-        this.currentSummary = summary;
+        document.getElementById('rewriteSummaryBtn').disabled = false;
+        document.getElementById('summaryStyle').value = style;
+        this.currentSummary = { markdown, styleLabel };
     }
 
     downloadSummary() {
@@ -790,17 +1701,18 @@ class PhilosopherChatApp {
         const conversation = this.memory?.getCurrentConversation() || {};
         const summaryData = {
             topic: conversation.topic || 'Philosophical Discussion',
-            summary: this.currentSummary,
+            summary: this.currentSummary.markdown,
+            styleLabel: this.currentSummary.styleLabel,
             generatedAt: new Date().toISOString(),
             messageCount: this.allMessages.length
         };
         
-        const blob = new Blob([this.formatSummaryForDownload(summaryData)], { type: 'text/plain' });
+        const blob = new Blob([this.formatSummaryForDownload(summaryData)], { type: 'text/markdown' });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = `conversation-summary-${Date.now()}.txt`;
+        a.download = `conversation-summary-${Date.now()}.md`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -809,48 +1721,24 @@ class PhilosopherChatApp {
         this.showNotification('Summary downloaded successfully', 'success');
     }
 
+    // The summary's own Markdown under a short metadata header
     formatSummaryForDownload(summaryData) {
-        // Convert HTML back to clean text format for download
-        const cleanText = summaryData.summary
-            .replace(/<h1[^>]*>(.*?)<\/h1>/g, '\n\n$1\n' + '='.repeat(50) + '\n')
-            .replace(/<h2[^>]*>(.*?)<\/h2>/g, '\n\n$1\n' + '-'.repeat(30) + '\n')
-            .replace(/<h3[^>]*>(.*?)<\/h3>/g, '\n\n$1\n' + '~'.repeat(20) + '\n')
-            .replace(/<h4[^>]*>(.*?)<\/h4>/g, '\n\n$1:\n')
-            .replace(/<p[^>]*>(.*?)<\/p>/g, '\n$1\n')
-            .replace(/<li[^>]*>(.*?)<\/li>/g, '• $1\n')
-            .replace(/<ul[^>]*>|<\/ul>/g, '')
-            .replace(/<ol[^>]*>|<\/ol>/g, '')
-            .replace(/<blockquote[^>]*>(.*?)<\/blockquote>/g, '\n"$1"\n')
-            .replace(/<strong>(.*?)<\/strong>/g, '**$1**')
-            .replace(/<em>(.*?)<\/em>/g, '*$1*')
-            .replace(/<code[^>]*>(.*?)<\/code>/g, '`$1`')
-            .replace(/<br>/g, '\n')
-            .replace(/<hr[^>]*>/g, '\n' + '-'.repeat(50) + '\n')
-            .replace(/<[^>]+>/g, '') // Remove any remaining HTML tags
-            .replace(/\n\n\n+/g, '\n\n'); // Clean up excessive newlines
-
-        return `COMPREHENSIVE PHILOSOPHICAL ANALYSIS
-========================================
-
-CONVERSATION METADATA:
+        return `<!--
 Topic: ${summaryData.topic}
 Generated: ${new Date(summaryData.generatedAt).toLocaleString()}
 Total Messages: ${summaryData.messageCount}
-Analysis Type: Detailed White Paper Style Summary
-Word Count: ~${cleanText.split(' ').length} words
+Summary Style: ${summaryData.styleLabel}
+Word Count: ~${summaryData.summary.split(/\s+/).length} words
+-->
 
-${cleanText}
-
-=====================================
-Generated by AI Philosopher Chat
-Academic Analysis Engine v2.0
-=====================================
+${summaryData.summary.trim()}
 `;
     }
 
     // Chat History Management Methods
     async showHistoryModal() {
         document.getElementById('historyModal').style.display = 'flex';
+        this.populateSearchProviders();
         await this.loadConversationsList();
         await this.loadHistoryStats();
     }
@@ -859,6 +1747,16 @@ Academic Analysis Engine v2.0
         document.getElementById('historyModal').style.display = 'none';
     }
 
+    populateSearchProviders() {
+        const select = document.getElementById('searchProvider');
+        const selected = select.value;
+        const speakers = ['Human', ...this.availableProviders.map(p => p.name)];
+
+        select.innerHTML = '<option value="">All speakers</option>' +
+            speakers.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        select.value = speakers.includes(selected) ? selected : '';
+    }
+
     async loadConversationsList() {
         try {
             const response = await fetch('/api/conversations');
@@ -889,52 +1787,128 @@ Academic Analysis Engine v2.0
             return;
         }
 
-        container.innerHTML = conversations.map(conv => {
+        // Search results stay in rank order; the full list shows forks under their parents
+        const entries = conversations.some(conv => conv.hits)
+            ? conversations.map(conv => ({ conv, depth: 0 }))
+            : this.arrangeForkTree(conversations);
+
+        container.innerHTML = entries.map(({ conv, depth }) => {
             const lastMessagePreview = conv.lastMessage 
-                ? `${conv.lastMessage.speaker}: ${conv.lastMessage.content.substring(0, 100)}...`
+                ? escapeHtml(`${conv.lastMessage.speaker}: ${conv.lastMessage.content.substring(0, 100)}...`)
                 : 'No messages yet';
             
             const statusIcon = {
                 'active': 'fa-play-circle',
                 'ended': 'fa-stop-circle',
-                'resumed': 'fa-redo-alt'
+                'resumed': 'fa-redo-alt',
+                'imported': 'fa-file-import'
             }[conv.status] || 'fa-question-circle';
 
             const timeAgo = this.getTimeAgo(conv.createdAt);
 
             return `
-                <div class="conversation-item" data-id="${conv.id}">
+                <div class="conversation-item${depth > 0 ? ' conversation-fork' : ''}" data-id="${escapeHtml(conv.id)}"${depth > 0 ? ` style="margin-left: ${Math.min(depth, MAX_FORK_INDENT) * 24}px"` : ''}>
                     <div class="conversation-header">
                         <div class="conversation-title">
-                            <i class="fas ${statusIcon} status-icon status-${conv.status}"></i>
-                            <h4>${conv.topic}</h4>
+                            <i class="fas ${statusIcon} status-icon status-${escapeHtml(conv.status)}"></i>
+                            <h4>${escapeHtml(conv.topic)}</h4>
                         </div>
                         <div class="conversation-actions">
-                            <button class="resume-btn" onclick="app.resumeConversation('${conv.id}')" title="Resume conversation">
+                            <button class="resume-btn" data-id="${escapeHtml(conv.id)}" title="Resume conversation">
                                 <i class="fas fa-play"></i>
                             </button>
-                            <button class="delete-btn" onclick="app.deleteConversation('${conv.id}')" title="Delete conversation">
+                            <button class="delete-btn" data-id="${escapeHtml(conv.id)}" title="Delete conversation">
                                 <i class="fas fa-trash"></i>
                             </button>
                         </div>
                     </div>
+                    ${conv.forkedFrom ? `
+                    <div class="fork-origin">
+                        <i class="fas fa-code-branch"></i> Forked at message ${escapeHtml(conv.forkedFrom.messageIndex + 1)}${depth === 0 ? ' of a deleted conversation' : ''}
+                    </div>` : ''}
                     <div class="conversation-meta">
                         <span class="participants">
-                            <i class="fas fa-users"></i> ${conv.participants.join(', ')}
+                            <i class="fas fa-users"></i> ${escapeHtml(conv.participants.join(', '))}
                         </span>
                         <span class="message-count">
-                            <i class="fas fa-comments"></i> ${conv.messageCount} messages
+                            <i class="fas fa-comments"></i> ${escapeHtml(conv.messageCount)} messages
                         </span>
                         <span class="created-date">
-                            <i class="fas fa-clock"></i> ${timeAgo}
+                            <i class="fas fa-clock"></i> ${escapeHtml(timeAgo)}
                         </span>
                     </div>
+                    ${conv.hits ? this.formatSearchHits(conv) : `
                     <div class="conversation-preview">
                         ${lastMessagePreview}
-                    </div>
+                    </div>`}
                 </div>
             `;
         }).join('');
+
+        container.querySelectorAll('.resume-btn').forEach(button => {
+            button.addEventListener('click', () => this.resumeConversation(button.dataset.id));
+        });
+        container.querySelectorAll('.delete-btn').forEach(button => {
+            button.addEventListener('click', () => this.deleteConversation(button.dataset.id));
+        });
+        container.querySelectorAll('.search-hit').forEach(hit => {
+            hit.addEventListener('click', () => this.resumeConversation(hit.dataset.id, hit.dataset.messageId));
+        });
+    }
+
+    // Each conversation followed by its forks, oldest first. A fork whose parent
+    // has been deleted goes under the root of its tree, or to the top level.
+    arrangeForkTree(conversations) {
+        const byId = new Map(conversations.map(conv => [conv.id, conv]));
+        const children = new Map();
+        const roots = [];
+
+        conversations.forEach(conv => {
+            const fork = conv.forkedFrom;
+            const parentId = [fork?.parentId, fork?.rootId].find(id => id && byId.has(id));
+            if (parentId) {
+                if (!children.has(parentId)) children.set(parentId, []);
+                children.get(parentId).push(conv);
+            } else {
+                roots.push(conv);
+            }
+        });
+
+        const entries = [];
+        const visit = (conv, depth) => {
+            entries.push({ conv, depth });
+            (children.get(conv.id) || [])
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+                .forEach(child => visit(child, depth + 1));
+        };
+        roots.forEach(conv => visit(conv, 0));
+        return entries;
+    }
+
+    // Snippets arrive HTML-escaped from the server with matches wrapped in <mark>
+    formatSearchHits(conv) {
+        if (conv.hits.length === 0) {
+            return `<div class="conversation-preview search-topic-match"><i class="fas fa-tag"></i> Topic match</div>`;
+        }
+
+        const more = conv.totalHits > conv.hits.length
+            ? `<div class="search-hits-more">+${escapeHtml(conv.totalHits - conv.hits.length)} more matching messages</div>`
+            : '';
+
+        return `
+            <div class="search-hits">
+                ${conv.hits.map(hit => `
+                    <div class="search-hit" data-id="${escapeHtml(conv.id)}" data-message-id="${escapeHtml(hit.messageId)}" title="Jump to this message">
+                        <div class="search-hit-meta">
+                            <span class="speaker">${escapeHtml(hit.speaker)}</span>
+                            <span class="timestamp">${escapeHtml(new Date(hit.timestamp).toLocaleString())}</span>
+                        </div>
+                        <div class="search-hit-snippet">${hit.snippet}</div>
+                    </div>
+                `).join('')}
+                ${more}
+            </div>
+        `;
     }
 
     async loadHistoryStats() {
@@ -953,25 +1927,47 @@ Academic Analysis Engine v2.0
     displayHistoryStats(stats) {
         const container = document.getElementById('historyStats');
         const sizeInMB = (stats.storageSize / (1024 * 1024)).toFixed(2);
+        const usage = stats.usage;
+        const providers = Object.entries(usage.providers).sort((a, b) => b[1].cost - a[1].cost || b[1].totalTokens - a[1].totalTokens);
         
         container.innerHTML = `
             <div class="stats-grid">
                 <div class="stat-item">
                     <i class="fas fa-comments"></i>
-                    <span class="stat-value">${stats.totalConversations}</span>
+                    <span class="stat-value">${escapeHtml(stats.totalConversations)}</span>
                     <span class="stat-label">Conversations</span>
                 </div>
                 <div class="stat-item">
                     <i class="fas fa-comment"></i>
-                    <span class="stat-value">${stats.totalMessages}</span>
+                    <span class="stat-value">${escapeHtml(stats.totalMessages)}</span>
                     <span class="stat-label">Messages</span>
                 </div>
                 <div class="stat-item">
                     <i class="fas fa-hdd"></i>
-                    <span class="stat-value">${sizeInMB} MB</span>
+                    <span class="stat-value">${escapeHtml(sizeInMB)} MB</span>
                     <span class="stat-label">Storage Used</span>
                 </div>
+                <div class="stat-item">
+                    <i class="fas fa-microchip"></i>
+                    <span class="stat-value">${escapeHtml(usage.totals.totalTokens.toLocaleString())}</span>
+                    <span class="stat-label">Tokens</span>
+                </div>
+                <div class="stat-item">
+                    <i class="fas fa-coins"></i>
+                    <span class="stat-value">${escapeHtml(this.formatCost(usage.totals.cost, usage.currency))}</span>
+                    <span class="stat-label">Estimated Cost</span>
+                </div>
             </div>
+            ${providers.length > 0 ? `
+                <div class="usage-breakdown">
+                    ${providers.map(([name, totals]) => `
+                        <span class="usage-provider">
+                            <strong>${escapeHtml(name)}</strong>
+                            ${escapeHtml(totals.totalTokens.toLocaleString())} tokens · ${escapeHtml(this.formatCost(totals.cost, usage.currency))} · ${escapeHtml(totals.averageLatencyMs)} ms avg
+                        </span>
+                    `).join('')}
+                </div>
+            ` : ''}
         `;
     }
 
@@ -984,7 +1980,18 @@ Academic Analysis Engine v2.0
         }
 
         try {
-            const response = await fetch(`/api/conversations/search?q=${encodeURIComponent(query)}`);
+            const params = new URLSearchParams({ q: query });
+            const filters = {
+                provider: document.getElementById('searchProvider').value,
+                status: document.getElementById('searchStatus').value,
+                from: document.getElementById('searchFrom').value,
+                to: document.getElementById('searchTo').value
+            };
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) params.set(key, value);
+            });
+
+            const response = await fetch(`/api/conversations/search?${params}`);
             const data = await response.json();
             
             if (data.success) {
@@ -998,7 +2005,7 @@ Academic Analysis Engine v2.0
         }
     }
 
-    async resumeConversation(conversationId) {
+    async resumeConversation(conversationId, messageId = null) {
         try {
             const response = await fetch(`/api/conversation/${conversationId}/resume`, {
                 method: 'POST'
@@ -1006,29 +2013,9 @@ Academic Analysis Engine v2.0
             const data = await response.json();
             
             if (data.success) {
-                // Hide history modal
-                this.hideHistoryModal();
-                
-                // Update conversation state
-                this.conversationId = data.conversation.id;
-                this.allMessages = data.history || [];
-                
-                // Switch to main interface
-                document.getElementById('setupPanel').style.display = 'none';
-                document.getElementById('mainInterface').style.display = 'flex';
-                document.getElementById('conversationTopic').textContent = data.conversation.topic;
-                
-                // Display participants and messages
-                this.displayParticipants(data.conversation.participants);
-                this.displayMessages();
-                this.initializeAIControls();
-                
-                // Join the conversation room
-                this.socket.emit('join-conversation', this.conversationId);
-                
+                this.showConversation(data, messageId);
                 this.updateStatus('ready', 'Conversation resumed');
                 this.showNotification(`Resumed: ${data.conversation.topic}`, 'success');
-                
             } else {
                 this.showNotification('Failed to resume conversation', 'error');
             }
@@ -1038,6 +2025,80 @@ Academic Analysis Engine v2.0
         }
     }
 
+    // Continue the debate in a new conversation that ends at this message
+    async forkConversation(messageId) {
+        if (!this.conversationId) return;
+
+        try {
+            const response = await fetch(`/api/conversation/${this.conversationId}/fork`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ messageId })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.showConversation(data);
+                this.updateStatus('ready', 'Conversation forked');
+                this.showNotification(`Forked at message ${data.conversation.forkedFrom.messageIndex + 1}`, 'success');
+            } else {
+                this.showNotification(`Failed to fork conversation: ${data.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to fork conversation:', error);
+            this.showNotification('Failed to fork conversation', 'error');
+        }
+    }
+
+    // Switch the main interface to a conversation from the resume or fork routes
+    showConversation(data, messageId = null) {
+        this.hideHistoryModal();
+
+        // Stop following the debate we are switching away from
+        if (this.conversationId && this.conversationId !== data.conversation.id) {
+            this.socket.emit('leave-conversation', this.conversationId);
+        }
+
+        // Update conversation state
+        this.conversationId = data.conversation.id;
+        this.allMessages = data.history || [];
+
+        // Switch to main interface
+        document.getElementById('setupPanel').style.display = 'none';
+        document.getElementById('mainInterface').style.display = 'flex';
+        document.getElementById('conversationTopic').textContent = data.conversation.topic;
+
+        // Display participants and messages
+        this.displayParticipants(data.conversation.participants, data.conversation.personas);
+        this.displayMessages();
+        this.initializeAIControls();
+        this.selectedArgumentNode = null;
+        this.loadArgumentGraph();
+        this.loadUsage();
+        if (messageId) {
+            this.jumpToMessage(messageId);
+        }
+
+        // Join the conversation room
+        this.socket.emit('join-conversation', this.conversationId);
+    }
+
+    // Show the page containing a message, scroll to it and flash a highlight
+    jumpToMessage(messageId) {
+        const index = this.allMessages.findIndex(msg => msg.id === messageId);
+        if (index === -1) return;
+
+        this.currentPage = Math.floor(index / this.messagesPerPage) + 1;
+        this.displayMessages();
+
+        const element = document.querySelector(`#messages [data-message-id="${CSS.escape(messageId)}"]`);
+        if (element) {
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            element.classList.add('search-target');
+            setTimeout(() => element.classList.remove('search-target'), 3000);
+        }
+    }
+
     async deleteConversation(conversationId) {
         if (!confirm('Are you sure you want to delete this conversation? This action cannot be undone.')) {
             return;
@@ -1062,6 +2123,36 @@ Academic Analysis Engine v2.0
         }
     }
 
+    // The server works out whether the file is an export or a transcript
+    async importConversation(file) {
+        try {
+            const response = await fetch('/api/conversations/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ content: await file.text(), topic: file.name.replace(/\.[^.]+$/, '') })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showNotification(`Import failed: ${data.error}`, 'error');
+                return;
+            }
+
+            this.showNotification(`Imported "${data.conversation.topic}" (${data.conversation.messageCount} messages)`, 'success');
+            await this.loadConversationsList();
+            await this.loadHistoryStats();
+
+            const item = document.querySelector(`.conversation-item[data-id="${CSS.escape(data.conversation.id)}"]`);
+            if (item) {
+                item.classList.add('just-imported');
+                item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        } catch (error) {
+            console.error('Failed to import conversation:', error);
+            this.showNotification('Failed to import conversation', 'error');
+        }
+    }
+
     startNewConversation() {
         this.hideHistoryModal();
         // Reset to setup panel
@@ -1120,34 +2211,35 @@ Academic Analysis Engine v2.0
             const statusIcon = {
                 'active': 'fa-play-circle',
                 'ended': 'fa-stop-circle', 
-                'resumed': 'fa-redo-alt'
+                'resumed': 'fa-redo-alt',
+                'imported': 'fa-file-import'
             }[conv.status] || 'fa-question-circle';
 
             const lastMessagePreview = conv.lastMessage 
-                ? `${conv.lastMessage.speaker}: ${conv.lastMessage.content.substring(0, 80)}...`
+                ? escapeHtml(`${conv.lastMessage.speaker}: ${conv.lastMessage.content.substring(0, 80)}...`)
                 : 'No messages yet';
 
             return `
-                <div class="recent-conversation-card" data-id="${conv.id}">
+                <div class="recent-conversation-card" data-id="${escapeHtml(conv.id)}">
                     <div class="recent-card-header">
                         <div class="recent-card-title">
-                            <i class="fas ${statusIcon} status-icon status-${conv.status}"></i>
-                            <h4>${conv.topic}</h4>
+                            <i class="fas ${statusIcon} status-icon status-${escapeHtml(conv.status)}"></i>
+                            <h4>${escapeHtml(conv.topic)}</h4>
                         </div>
-                        <button class="resume-conversation-btn" onclick="app.resumeConversationFromLanding('${conv.id}')" title="Resume conversation">
+                        <button class="resume-conversation-btn" data-id="${escapeHtml(conv.id)}" title="Resume conversation">
                             <i class="fas fa-play"></i>
                             Resume
                         </button>
                     </div>
                     <div class="recent-card-meta">
                         <span class="participants-count">
-                            <i class="fas fa-users"></i> ${conv.participants.length} participants
+                            <i class="fas fa-users"></i> ${escapeHtml(conv.participants.length)} participants
                         </span>
                         <span class="message-count">
-                            <i class="fas fa-comments"></i> ${conv.messageCount} messages
+                            <i class="fas fa-comments"></i> ${escapeHtml(conv.messageCount)} messages
                         </span>
                         <span class="time-ago">
-                            <i class="fas fa-clock"></i> ${timeAgo}
+                            <i class="fas fa-clock"></i> ${escapeHtml(timeAgo)}
                         </span>
                     </div>
                     <div class="recent-card-preview">
@@ -1156,6 +2248,10 @@ Academic Analysis Engine v2.0
                 </div>
             `;
         }).join('');
+
+        container.querySelectorAll('.resume-conversation-btn').forEach(button => {
+            button.addEventListener('click', () => this.resumeConversationFromLanding(button.dataset.id));
+        });
     }
 
     hideRecentConversations() {
@@ -1168,7 +2264,6 @@ Academic Analysis Engine v2.0
     }
 }
 
-// Make app available globally for onclick handlers
 let app;
 
 document.addEventListener('DOMContentLoaded', () => {
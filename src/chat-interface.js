@@ -1,6 +1,15 @@
+import fs from 'fs';
+import path from 'path';
 import readline from 'readline';
 import chalk from 'chalk';
 import { ConversationMemory } from './utils/memory.js';
+import { Analyst, parseAnalystList } from './utils/analyst.js';
+import { isConsensusReply } from './utils/consensus.js';
+import { ContextSummarizer } from './utils/context-window.js';
+import { createDebateFormat, isDebateFormat, listDebateFormats } from './formats/index.js';
+import { DEFAULT_EXPORT_FORMAT, isExportFormat, listExportFormats } from './export/index.js';
+
+const DEFAULT_CLI_FORMAT = 'round-robin';
 
 export class ChatInterface {
   constructor(aiProviders) {
@@ -11,9 +20,20 @@ export class ChatInterface {
       output: process.stdout
     });
     this.currentTopic = null;
+    this.conversationId = null;
     this.moderatorName = 'Human';
     this.roundCount = 0;
     this.maxRounds = 10;
+    this.format = null;
+    this.analyst = this.createAnalyst();
+    this.contextSummarizer = new ContextSummarizer(this.analyst);
+  }
+
+  // The providers named in ANALYST, in that order, or all of them
+  createAnalyst() {
+    const names = parseAnalystList(process.env.ANALYST);
+    const chosen = names.map(name => this.aiProviders.find(p => p.name === name)).filter(Boolean);
+    return new Analyst(chosen.length > 0 ? chosen : this.aiProviders);
   }
 
   async start() {
@@ -29,9 +49,11 @@ export class ChatInterface {
     const participants = [this.moderatorName, ...this.aiProviders.map(p => p.name)];
     
     this.currentTopic = topic;
-    this.memory.createConversation(topic, participants);
+    this.conversationId = this.memory.createConversation(topic, participants);
+    this.format = await this.chooseFormat();
     
     console.log(chalk.green(`\n✨ Starting philosophical debate on: "${topic}"`));
+    console.log(chalk.gray(`Format: ${this.format.constructor.label}`));
     console.log(chalk.gray(`Participants: ${participants.join(', ')}\n`));
     
     console.log(chalk.yellow('🎯 Moderation Commands:'));
@@ -43,13 +65,29 @@ export class ChatInterface {
     console.log(chalk.gray('  - Type "quit" to end the conversation\n'));
   }
 
+  async chooseFormat() {
+    console.log(chalk.yellow('\n🏛️ Debate formats:'));
+    for (const { id, label, description } of listDebateFormats()) {
+      console.log(chalk.gray(`  - ${id}: ${label} - ${description}`));
+    }
+
+    const answer = (await this.askQuestion(chalk.cyan(`Debate format [${DEFAULT_CLI_FORMAT}]: `))).toLowerCase();
+    if (answer && !isDebateFormat(answer)) {
+      console.log(chalk.yellow(`Unknown format "${answer}", using ${DEFAULT_CLI_FORMAT}`));
+    }
+
+    const id = isDebateFormat(answer) ? answer : DEFAULT_CLI_FORMAT;
+    // Round robin keeps the CLI's original ten-round limit
+    return createDebateFormat(id, id === 'round-robin' ? { rounds: this.maxRounds } : {});
+  }
+
   async runConversation() {
     const openingPrompt = `Let's begin our philosophical discussion about "${this.currentTopic}". Each of you should present your initial perspective in turn.`;
     
-    this.memory.addMessage(this.moderatorName, openingPrompt);
+    await this.memory.addMessage(this.moderatorName, openingPrompt, this.conversationId);
     console.log(chalk.blue.bold(`${this.moderatorName}: `) + openingPrompt + '\n');
 
-    while (this.roundCount < this.maxRounds) {
+    while (this.roundCount < this.maxRounds && !this.format.isComplete) {
       await this.conductRound();
       this.roundCount++;
       
@@ -59,32 +97,46 @@ export class ChatInterface {
       }
     }
 
+    if (this.format.isComplete) {
+      console.log(chalk.green.bold('\n🏁 The debate format has run its course.\n'));
+    }
+
     await this.concludeConversation();
   }
 
   async conductRound() {
-    console.log(chalk.magenta(`\n--- Round ${this.roundCount + 1} ---\n`));
+    const history = this.memory.getConversationHistory(this.conversationId);
+    const plan = this.format.planRound(this.aiProviders, history);
+    if (!plan) return;
+
+    console.log(chalk.magenta(`\n--- ${plan.selection && this.format.structured ? plan.selection.message : `Round ${this.roundCount + 1}`} ---\n`));
     
-    for (const provider of this.aiProviders) {
-      const history = this.memory.getConversationHistory();
+    for (const turn of plan.turns) {
+      const { provider } = turn;
       const context = {
         topic: this.currentTopic,
         participants: [this.moderatorName, ...this.aiProviders.map(p => p.name)],
         conversationHistory: history
       };
 
-      const lastMessage = history[history.length - 1];
-      const prompt = `Continue the philosophical discussion about "${this.currentTopic}". Build on the previous responses and work toward finding common ground.`;
+      const prompt = this.format.buildPrompt(turn, { topic: this.currentTopic, history });
 
-      console.log(chalk.yellow(`${provider.name} is thinking...`));
-      
-      const response = await provider.sendMessage(prompt, context);
-      this.memory.addMessage(provider.name, response);
+      console.log(chalk.yellow(`${provider.name} is thinking...${turn.phase && this.format.structured ? ` (${turn.phase})` : ''}`));
       
-      console.log(chalk.green.bold(`${provider.name}: `) + response + '\n');
+      try {
+        await this.summarizeEarlierTurns(provider, prompt, context);
+        const response = await provider.sendMessage(prompt, context);
+        await this.memory.addMessage(provider.name, response, this.conversationId);
+        console.log(chalk.green.bold(`${provider.name}: `) + response + '\n');
+      } catch (error) {
+        // Failed turns are skipped rather than recorded
+        console.log(chalk.red(`${provider.name} is unavailable: ${error.message}\n`));
+      }
+      this.format.completeTurn(turn);
       
       await this.sleep(1000);
     }
+    this.format.finishRound(plan);
 
     const moderatorInput = await this.askQuestion(
       chalk.cyan('Your response (or "next" to continue, "consensus" to check, "quit" to end): ')
@@ -101,35 +153,34 @@ export class ChatInterface {
     } else if (moderatorInput.toLowerCase() === 'export') {
       await this.exportConversation();
     } else {
-      this.memory.addMessage(this.moderatorName, moderatorInput);
+      await this.memory.addMessage(this.moderatorName, moderatorInput, this.conversationId);
       console.log(chalk.blue.bold(`${this.moderatorName}: `) + moderatorInput + '\n');
     }
   }
 
   async checkForConsensus(manual = false) {
-    const history = this.memory.getConversationHistory();
+    const history = this.memory.getConversationHistory(this.conversationId);
     const recentMessages = history.slice(-6);
     
     const consensusPrompt = `Based on the recent discussion, analyze if the participants have reached a consensus on "${this.currentTopic}". Look for common themes, agreements, and shared conclusions. Respond with "CONSENSUS: [brief summary]" if consensus is reached, or "NO_CONSENSUS: [what still needs discussion]" if not.`;
 
     try {
-      const claudeProvider = this.aiProviders.find(p => p.name === 'Claude');
-      if (claudeProvider) {
-        const context = {
-          topic: this.currentTopic,
-          participants: [this.moderatorName, ...this.aiProviders.map(p => p.name)],
-          conversationHistory: recentMessages
-        };
-        
-        const analysis = await claudeProvider.sendMessage(consensusPrompt, context);
-        
-        if (manual) {
-          console.log(chalk.magenta.bold('\n📊 Consensus Analysis:'));
-          console.log(chalk.white(analysis) + '\n');
-        }
-        
-        return analysis.toLowerCase().includes('consensus:');
+      const context = {
+        topic: this.currentTopic,
+        participants: [this.moderatorName, ...this.aiProviders.map(p => p.name)],
+        conversationHistory: recentMessages
+      };
+      
+      const { text: analysis, provider } = await this.analyst.run(consensusPrompt, context, {
+        onFailure: (failed, error) => console.log(chalk.yellow(`${failed.name} could not check consensus (${error.message}), asking the next analyst...`))
+      });
+      
+      if (manual) {
+        console.log(chalk.magenta.bold(`\n📊 Consensus Analysis (${provider}):`));
+        console.log(chalk.white(analysis) + '\n');
       }
+      
+      return isConsensusReply(analysis);
     } catch (error) {
       console.log(chalk.red('Error checking consensus:', error.message));
     }
@@ -138,7 +189,7 @@ export class ChatInterface {
   }
 
   showSummary() {
-    const summary = this.memory.summarizeConversation();
+    const summary = this.memory.summarizeConversation(this.conversationId);
     if (summary) {
       console.log(chalk.magenta.bold('\n📋 Conversation Summary:'));
       console.log(chalk.white(`Topic: ${summary.topic}`));
@@ -150,17 +201,28 @@ export class ChatInterface {
   }
 
   async exportConversation() {
-    const format = await this.askQuestion(chalk.cyan('Export format (json/text): '));
-    const exportData = this.memory.exportConversation(null, format.toLowerCase());
-    
-    if (exportData) {
-      const filename = `conversation_${Date.now()}.${format.toLowerCase()}`;
-      console.log(chalk.green(`\n💾 Conversation exported as: ${filename}`));
-      console.log(chalk.gray('(Note: In a full implementation, this would save to file)\n'));
-      
-      if (format.toLowerCase() === 'text') {
-        console.log(chalk.dim(exportData.substring(0, 300) + '...'));
-      }
+    console.log(chalk.yellow('\n💾 Export formats:'));
+    for (const { id, label } of listExportFormats()) {
+      console.log(chalk.gray(`  - ${id}: ${label}`));
+    }
+
+    const answer = (await this.askQuestion(chalk.cyan(`Export format [${DEFAULT_EXPORT_FORMAT}]: `))).toLowerCase();
+    if (answer && !isExportFormat(answer)) {
+      console.log(chalk.yellow(`Unknown format "${answer}", using ${DEFAULT_EXPORT_FORMAT}`));
+    }
+
+    const format = isExportFormat(answer) ? answer : DEFAULT_EXPORT_FORMAT;
+    try {
+      const exported = await this.memory.exportStoredConversation(this.conversationId, format);
+      if (!exported) return;
+
+      const directory = path.resolve(process.env.EXPORTS_DIR || 'exports');
+      const file = path.join(directory, exported.filename);
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(file, exported.content, 'utf8');
+      console.log(chalk.green(`\n💾 Conversation exported to: ${file}\n`));
+    } catch (error) {
+      console.log(chalk.red('Error exporting conversation:', error.message));
     }
   }
 
@@ -185,6 +247,16 @@ export class ChatInterface {
     });
   }
 
+  // Fold the turns that no longer fit the provider's context window into its
+  // running summary; turns left unsummarized are sent as excerpts instead
+  async summarizeEarlierTurns(provider, prompt, context) {
+    try {
+      await provider.summarizeContext(prompt, context, this.contextSummarizer);
+    } catch (error) {
+      console.log(chalk.yellow(`Could not summarize the earlier turns for ${provider.name} (${error.message}), sending excerpts`));
+    }
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -11,21 +11,21 @@ const conversationId = memory.createConversation(
 
 console.log(chalk.green('✨ Demo conversation created'));
 
-memory.addMessage("Human", "Let's explore the nature of consciousness. What makes something conscious?");
-memory.addMessage("Claude", "I think consciousness involves subjective experience - the felt sense of 'what it's like' to be something. It's that inner theater of awareness that seems to accompany our thoughts and perceptions.");
-memory.addMessage("ChatGPT", "Building on that, consciousness appears to require integration of information. It's not just having experiences, but binding them into a unified, coherent perspective of reality.");
-memory.addMessage("Gemini", "I'd add that consciousness might also involve self-reflection - the ability to be aware of one's own awareness. This meta-cognitive aspect seems crucial to what we call conscious experience.");
-memory.addMessage("Human", "Interesting perspectives. Do you think consciousness exists on a spectrum, or is it binary?");
+memory.addMessage("Human", "Let's explore the nature of consciousness. What makes something conscious?", conversationId);
+memory.addMessage("Claude", "I think consciousness involves subjective experience - the felt sense of 'what it's like' to be something. It's that inner theater of awareness that seems to accompany our thoughts and perceptions.", conversationId);
+memory.addMessage("ChatGPT", "Building on that, consciousness appears to require integration of information. It's not just having experiences, but binding them into a unified, coherent perspective of reality.", conversationId);
+memory.addMessage("Gemini", "I'd add that consciousness might also involve self-reflection - the ability to be aware of one's own awareness. This meta-cognitive aspect seems crucial to what we call conscious experience.", conversationId);
+memory.addMessage("Human", "Interesting perspectives. Do you think consciousness exists on a spectrum, or is it binary?", conversationId);
 
 console.log(chalk.yellow('\n📋 Conversation Summary:'));
-const summary = memory.summarizeConversation();
+const summary = memory.summarizeConversation(conversationId);
 console.log(`Topic: ${summary.topic}`);
 console.log(`Participants: ${summary.participants.join(', ')}`);
 console.log(`Messages: ${summary.messageCount}`);
 console.log(`Duration: ${summary.duration}`);
 
 console.log(chalk.magenta('\n💬 Full Conversation:'));
-const history = memory.getConversationHistory();
+const history = memory.getConversationHistory(conversationId);
 history.forEach(msg => {
   const color = msg.speaker === 'Human' ? chalk.blue : chalk.green;
   console.log(color.bold(`${msg.speaker}: `) + msg.content + '\n');
@@ -36,7 +36,7 @@ const searchResults = memory.searchConversations('awareness');
 console.log(`Found ${searchResults.length} conversations containing "awareness"`);
 
 console.log(chalk.yellow('\n📁 Export Demo (Text Format):'));
-const exportText = memory.exportConversation(null, 'text');
+const exportText = memory.exportConversation(conversationId, 'text');
 console.log(chalk.dim(exportText.substring(0, 300) + '...'));
 
 console.log(chalk.green.bold('\n✅ Demo complete! All systems working correctly.'));
@@ -0,0 +1,34 @@
+// One row per message with its sentiment and token usage, for spreadsheets
+
+const COLUMNS = [
+  ['id', msg => msg.id],
+  ['timestamp', msg => msg.timestamp],
+  ['speaker', msg => msg.speaker],
+  ['content', msg => msg.content],
+  ['sentiment', msg => msg.analysis?.sentiment],
+  ['model', msg => msg.usage?.model],
+  ['promptTokens', msg => msg.usage?.promptTokens],
+  ['completionTokens', msg => msg.usage?.completionTokens],
+  ['totalTokens', msg => msg.usage?.totalTokens],
+  ['cost', msg => msg.usage?.cost],
+  ['latencyMs', msg => msg.usage?.latencyMs]
+];
+
+// RFC 4180 quoting. Text that a spreadsheet would take for a formula gets a
+// leading apostrophe, so a message can't run one when the file is opened.
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV({ conversation }) {
+  const rows = [
+    COLUMNS.map(([name]) => name),
+    ...conversation.history.map(msg => COLUMNS.map(([, value]) => value(msg)))
+  ];
+  return `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,166 @@
+import { escapeHtml, renderMarkdown } from '../utils/markdown.js';
+import { participantLabels } from './text.js';
+import { formatCost } from './markdown.js';
+
+// A standalone HTML page: no scripts and nothing fetched, so it opens anywhere.
+// Messages are rendered from Markdown, which escapes what the models wrote, and
+// the analytics charts are inline SVG. With { print: true } the page is laid
+// out for A4 paper, ready for the browser's "Save as PDF".
+
+const SENTIMENT_COLORS = { positive: '#2e9d5b', neutral: '#8a94a6', negative: '#d1495b' };
+const BAR_COLOR = '#4a6fa5';
+
+const STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #222; max-width: 860px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.6; }
+  h1 { font-size: 1.9rem; margin-bottom: 0.25rem; }
+  h2 { border-bottom: 1px solid #ddd; padding-bottom: 0.25rem; margin-top: 2.5rem; }
+  .meta { color: #666; font-size: 0.9rem; }
+  .message { border-left: 3px solid #4a6fa5; padding: 0.25rem 0 0.25rem 1rem; margin: 1.25rem 0; }
+  .message.human { border-left-color: #999; }
+  .speaker { font-weight: bold; }
+  .time { color: #888; font-size: 0.8rem; margin-left: 0.5rem; }
+  pre { background: #f5f5f5; padding: 0.75rem; overflow-x: auto; }
+  code { font-family: Menlo, Consolas, monospace; font-size: 0.9em; }
+  blockquote { color: #555; border-left: 3px solid #ddd; margin-left: 0; padding-left: 1rem; }
+  table { border-collapse: collapse; margin: 1rem 0; }
+  th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; }
+  .chart { margin: 1rem 0; }
+  .chart text { font-family: Helvetica, Arial, sans-serif; font-size: 11px; fill: #555; }
+  .words span { display: inline-block; margin: 0 0.5rem 0.25rem 0; }
+`;
+
+const PRINT_STYLES = `
+  @page { size: A4; margin: 18mm 16mm; }
+  body { max-width: none; margin: 0; padding: 0; font-size: 11pt; }
+  h2 { break-after: avoid; }
+  .message, .chart, table { break-inside: avoid; }
+  a { color: inherit; }
+`;
+
+function lineChart(points) {
+  const width = 600;
+  const height = 180;
+  const pad = 30;
+  const step = points.length > 1 ? (width - pad * 2) / (points.length - 1) : 0;
+  const coords = points.map((point, index) => [
+    pad + index * step,
+    height - pad - (Math.max(0, Math.min(100, point.level)) / 100) * (height - pad * 2)
+  ]);
+
+  return `<svg class="chart" role="img" aria-label="Consensus over time" viewBox="0 0 ${width} ${height}" width="100%">
+  <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#ccc"/>
+  <line x1="${pad}" y1="${pad}" x2="${width - pad}" y2="${pad}" stroke="#eee"/>
+  <text x="4" y="${pad + 4}">100%</text>
+  <text x="12" y="${height - pad + 4}">0%</text>
+  <polyline fill="none" stroke="${BAR_COLOR}" stroke-width="2" points="${coords.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}"/>
+  ${coords.map(([x, y], index) => `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3" fill="${BAR_COLOR}"><title>${escapeHtml(`${points[index].level}% - ${points[index].summary || ''}`)}</title></circle>`).join('\n  ')}
+</svg>`;
+}
+
+// Horizontal bars: [{ label, value, color?, caption? }]
+function barChart(bars, label) {
+  const width = 600;
+  const rowHeight = 26;
+  const labelWidth = 140;
+  const max = Math.max(...bars.map(bar => bar.value), 1);
+
+  const rows = bars.map((bar, index) => {
+    const y = index * rowHeight;
+    const barWidth = (bar.value / max) * (width - labelWidth - 110);
+    return `<text x="0" y="${y + 16}">${escapeHtml(bar.label)}</text>
+  <rect x="${labelWidth}" y="${y + 4}" width="${barWidth.toFixed(1)}" height="16" fill="${bar.color || BAR_COLOR}"/>
+  <text x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${y + 16}">${escapeHtml(bar.caption ?? String(bar.value))}</text>`;
+  });
+
+  return `<svg class="chart" role="img" aria-label="${escapeHtml(label)}" viewBox="0 0 ${width} ${bars.length * rowHeight}" width="100%">
+  ${rows.join('\n  ')}
+</svg>`;
+}
+
+function table(headers, rows) {
+  return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row.map(value => `<td>${escapeHtml(String(value ?? ''))}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+function analyticsSection(analytics, usage) {
+  const parts = [];
+
+  if (analytics?.consensusHistory?.length) {
+    parts.push('<h3>Consensus</h3>', lineChart(analytics.consensusHistory));
+  }
+
+  const sentiment = analytics?.sentimentDistribution;
+  if (sentiment && sentiment.positive + sentiment.neutral + sentiment.negative > 0) {
+    parts.push('<h3>Sentiment</h3>', barChart(
+      Object.entries(SENTIMENT_COLORS).map(([key, color]) => ({ label: key, value: sentiment[key] || 0, color })),
+      'Sentiment of messages'
+    ));
+  }
+
+  if (usage.totals.calls > 0) {
+    parts.push('<h3>Usage</h3>', barChart(
+      Object.entries(usage.providers).map(([name, totals]) => ({
+        label: name,
+        value: totals.totalTokens,
+        caption: `${totals.totalTokens} tokens · ${formatCost(totals.cost, usage.currency)}`
+      })),
+      'Tokens by provider'
+    ), table(
+      ['Provider', 'Calls', 'Tokens', 'Cost', 'Avg latency'],
+      [
+        ...Object.entries(usage.providers).map(([name, totals]) => [
+          name, totals.calls, totals.totalTokens, formatCost(totals.cost, usage.currency), `${totals.averageLatencyMs} ms`
+        ]),
+        ['Total', usage.totals.calls, usage.totals.totalTokens, formatCost(usage.totals.cost, usage.currency), `${usage.totals.averageLatencyMs} ms`]
+      ]
+    ));
+  }
+
+  if (analytics?.themes?.length) {
+    parts.push('<h3>Themes</h3>', table(
+      ['Theme', 'Type', 'Mentions', 'Strength'],
+      analytics.themes.map(theme => [theme.name, theme.type, theme.count, Number(theme.averageStrength || 0).toFixed(2)])
+    ));
+  }
+
+  if (analytics?.positions?.shifts?.length) {
+    parts.push('<h3>Position shifts</h3>', table(
+      ['Speaker', 'Question', 'From', 'To'],
+      analytics.positions.shifts.map(shift => [shift.speaker, shift.question, shift.from || '-', shift.to || '-'])
+    ));
+  }
+
+  if (analytics?.wordMap?.length) {
+    const max = Math.max(...analytics.wordMap.map(entry => entry.frequency));
+    parts.push('<h3>Frequent words</h3>', `<p class="words">${analytics.wordMap.map(({ word, frequency }) =>
+      `<span style="font-size: ${(0.8 + (frequency / max) * 0.8).toFixed(2)}rem" title="${frequency}">${escapeHtml(word)}</span>`).join('')}</p>`);
+  }
+
+  return parts.length > 0 ? `<h2>Analytics</h2>\n${parts.join('\n')}` : '';
+}
+
+export function toHTML({ conversation, analytics, usage, exportedAt }, { print = false } = {}) {
+  const messages = conversation.history.map(msg => `<div class="message${msg.speaker === 'Human' ? ' human' : ''}">
+  <div><span class="speaker">${escapeHtml(msg.speaker)}</span><span class="time">${escapeHtml(msg.timestamp)}</span></div>
+  ${renderMarkdown(msg.content)}
+</div>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(conversation.topic)}</title>
+<style>${STYLES}${print ? PRINT_STYLES : ''}</style>
+</head>
+<body>
+<h1>${escapeHtml(conversation.topic)}</h1>
+<p class="meta">${escapeHtml(participantLabels(conversation).join(', '))}<br>
+Created ${escapeHtml(conversation.createdAt)} · ${conversation.history.length} messages · exported ${escapeHtml(exportedAt)}</p>
+<h2>Transcript</h2>
+${messages.join('\n')}
+${analyticsSection(analytics, usage)}
+</body>
+</html>
+`;
+}
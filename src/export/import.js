@@ -0,0 +1,236 @@
+import { EXPORT_SCHEMA, EXPORT_VERSION } from './index.js';
+
+// Reading conversations back in: our own JSON and JSON Lines exports, checked
+// against the export schema, and plain speaker-labelled transcripts such as
+// the text export or a chat copied out of another tool. parseImport returns a
+// plain record ({ topic, participants, personas, createdAt, history, source });
+// ConversationMemory.importConversation gives it fresh ids and analytics.
+
+export const IMPORT_FORMATS = ['json', 'jsonl', 'transcript'];
+
+// At most this many problems are listed in one error
+const MAX_REPORTED_ERRORS = 10;
+
+// A speaker name is up to four words of letters, digits and . ' - _, in
+// exports as in transcripts, so no markup can arrive as a name
+const SPEAKER_NAME = "[A-Za-z][\\w.'-]*(?: [\\w.'-]+){0,3}";
+const SPEAKER_NAME_PATTERN = new RegExp(`^${SPEAKER_NAME}$`);
+
+function isSpeakerName(value) {
+  return typeof value === 'string' && SPEAKER_NAME_PATTERN.test(value);
+}
+
+export class ImportError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}: ${errors.slice(0, MAX_REPORTED_ERRORS).join('; ')}` : message);
+    this.name = 'ImportError';
+    this.errors = errors;
+  }
+}
+
+export function detectImportFormat(content) {
+  if (!content.trimStart().startsWith('{')) return 'transcript';
+
+  try {
+    JSON.parse(content);
+    return 'json';
+  } catch {
+    return 'jsonl';
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isTimestamp(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+function checkSchema(header, errors) {
+  if (header.schema !== EXPORT_SCHEMA) {
+    errors.push(`"schema" must be "${EXPORT_SCHEMA}"`);
+  }
+  if (!Number.isInteger(header.version) || header.version < 1) {
+    errors.push('"version" must be a positive integer');
+  } else if (header.version > EXPORT_VERSION) {
+    errors.push(`version ${header.version} is newer than this server reads (up to ${EXPORT_VERSION})`);
+  }
+  if (typeof header.topic !== 'string' || !header.topic.trim()) {
+    errors.push('"topic" must be a non-empty string');
+  }
+  if (header.participants !== undefined &&
+      (!Array.isArray(header.participants) || !header.participants.every(isSpeakerName))) {
+    errors.push('"participants" must be an array of names (up to four words of letters, digits and . \' - _)');
+  }
+  if (header.personas !== undefined && !isObject(header.personas)) {
+    errors.push('"personas" must be an object');
+  }
+  if (header.createdAt !== undefined && !isTimestamp(header.createdAt)) {
+    errors.push('"createdAt" must be a date');
+  }
+}
+
+function checkMessage(message, label, errors) {
+  if (!isObject(message)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  if (!isSpeakerName(message.speaker)) {
+    errors.push(`${label}.speaker must be a name of up to four words of letters, digits and . ' - _`);
+  }
+  if (typeof message.content !== 'string') {
+    errors.push(`${label}.content must be a string`);
+  }
+  if (message.timestamp !== undefined && !isTimestamp(message.timestamp)) {
+    errors.push(`${label}.timestamp must be a date`);
+  }
+}
+
+// Only what a conversation is made of is read. Exported analytics are left out,
+// since the importer works them out again from the messages, and so is token
+// usage: nothing was spent here, so it mustn't count towards budgets or totals
+function toRecord(header, messages, format) {
+  const createdAt = header.createdAt || new Date().toISOString();
+  return {
+    topic: header.topic.trim(),
+    participants: header.participants || [...new Set(messages.map(msg => msg.speaker))],
+    personas: header.personas || {},
+    createdAt,
+    history: messages.map(({ id, speaker, content, timestamp }) => ({
+      id: id ?? null,
+      speaker,
+      content,
+      timestamp: timestamp || createdAt
+    })),
+    source: { format, id: header.id ?? null }
+  };
+}
+
+function parseJSON(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new ImportError(`Not valid JSON (${error.message})`);
+  }
+  if (!isObject(data)) {
+    throw new ImportError('Expected an exported conversation object');
+  }
+
+  const errors = [];
+  checkSchema(data, errors);
+  if (!Array.isArray(data.history)) {
+    errors.push('"history" must be an array of messages');
+  } else {
+    data.history.forEach((message, index) => checkMessage(message, `history[${index}]`, errors));
+  }
+  if (errors.length > 0) {
+    throw new ImportError('Invalid conversation export', errors);
+  }
+
+  return toRecord(data, data.history, 'json');
+}
+
+function parseJSONL(content) {
+  const errors = [];
+  const entries = [];
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      entries.push({ line: index + 1, data: JSON.parse(line) });
+    } catch {
+      errors.push(`line ${index + 1} is not valid JSON`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new ImportError('Invalid JSON Lines export', errors);
+  }
+
+  const [first, ...rest] = entries;
+  if (!first || first.data?.type !== 'conversation') {
+    throw new ImportError('Invalid JSON Lines export', ['the first line must have "type": "conversation"']);
+  }
+  checkSchema(first.data, errors);
+
+  const messages = [];
+  for (const { line, data } of rest) {
+    if (data?.type === 'message') {
+      checkMessage(data, `line ${line}`, errors);
+      messages.push(data);
+    } else if (data?.type !== 'analytics') {
+      errors.push(`line ${line} has unknown type ${JSON.stringify(data?.type)}`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new ImportError('Invalid JSON Lines export', errors);
+  }
+
+  return toRecord(first.data, messages, 'jsonl');
+}
+
+const HEADER_LINE = /^(topic|participants|created):\s*(.*)$/i;
+// "[time] Speaker: text", "Speaker: text" or "**Speaker:** text"
+const SPEAKER_LINE = new RegExp(`^(?:\\[([^\\]]+)\\]\\s*)?(?:\\*\\*)?(${SPEAKER_NAME}?)(?:\\*\\*)?:(?:\\*\\*)?(?:\\s+(.*))?$`);
+
+// "Participants: Human, Claude (Stoic)" - persona labels are dropped, and so
+// is anything that isn't a speaker name
+function headerParticipants(header) {
+  if (!header.participants) return undefined;
+  const names = header.participants.split(',').map(name => name.replace(/\s*\([^)]*\)\s*$/, '').trim()).filter(isSpeakerName);
+  return names.length > 0 ? names : undefined;
+}
+
+// A line starts a message when it leads with a speaker label; the lines after
+// it are the rest of that message. With a "Participants:" header only those
+// names count as speakers, so "Note: ..." inside a message stays part of it.
+function parseTranscript(content, options) {
+  const header = {};
+  const messages = [];
+  let participants;
+
+  for (const line of content.split(/\r?\n/)) {
+    const headerMatch = messages.length === 0 ? line.match(HEADER_LINE) : null;
+    if (headerMatch) {
+      header[headerMatch[1].toLowerCase()] = headerMatch[2].trim();
+      participants = headerParticipants(header);
+      continue;
+    }
+
+    const match = line.match(SPEAKER_LINE);
+    if (match && (!participants || participants.includes(match[2]))) {
+      messages.push({
+        speaker: match[2],
+        content: [match[3] || ''],
+        timestamp: isTimestamp(match[1]) ? new Date(match[1]).toISOString() : undefined
+      });
+    } else if (messages.length > 0) {
+      messages[messages.length - 1].content.push(line);
+    }
+  }
+
+  if (messages.length === 0) {
+    throw new ImportError('No speaker-labelled lines found (expected lines like "Claude: ...")');
+  }
+
+  return toRecord({
+    topic: options.topic || header.topic || 'Imported transcript',
+    participants,
+    createdAt: isTimestamp(header.created) ? new Date(header.created).toISOString() : undefined
+  }, messages.map(msg => ({ ...msg, content: msg.content.join('\n').trim() })), 'transcript');
+}
+
+// options.format is one of IMPORT_FORMATS (detected from the content when
+// left out); options.topic names a transcript that has no "Topic:" line
+export function parseImport(content, options = {}) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new ImportError('Nothing to import');
+  }
+
+  const format = options.format || detectImportFormat(content);
+  if (format === 'json') return parseJSON(content);
+  if (format === 'jsonl') return parseJSONL(content);
+  if (format === 'transcript') return parseTranscript(content, options);
+
+  throw new ImportError(`Unknown import format "${format}" (expected one of: ${IMPORT_FORMATS.join(', ')})`);
+}
@@ -0,0 +1,61 @@
+import { summarizeUsage } from '../utils/usage.js';
+import { toMarkdown } from './markdown.js';
+import { toHTML } from './html.js';
+import { toCSV } from './csv.js';
+import { toJSON, toJSONL } from './json.js';
+import { toText } from './text.js';
+
+export const DEFAULT_EXPORT_FORMAT = 'json';
+
+// Our own JSON and JSONL exports name this schema and version, so they can be
+// recognised when read back in
+export const EXPORT_SCHEMA = 'ai-philosopher-chat';
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', contentType: 'text/markdown', render: toMarkdown },
+  html: { label: 'HTML', extension: 'html', contentType: 'text/html', render: data => toHTML(data) },
+  pdf: { label: 'PDF-ready HTML', extension: 'html', contentType: 'text/html', render: data => toHTML(data, { print: true }) },
+  csv: { label: 'CSV (messages)', extension: 'csv', contentType: 'text/csv', render: toCSV },
+  jsonl: { label: 'JSON Lines', extension: 'jsonl', contentType: 'application/x-ndjson', render: toJSONL },
+  json: { label: 'JSON', extension: 'json', contentType: 'application/json', render: toJSON },
+  text: { label: 'Plain text transcript', extension: 'txt', contentType: 'text/plain', render: toText }
+};
+
+export function isExportFormat(id) {
+  return Object.hasOwn(EXPORT_FORMATS, id);
+}
+
+// Id, label and file extension of every format, for the export menus
+export function listExportFormats() {
+  return Object.entries(EXPORT_FORMATS).map(([id, { label, extension }]) => ({ id, label, extension }));
+}
+
+// e.g. philosopher-chat-is-free-will-real-2024-05-01.md
+export function exportFilename(conversation, format) {
+  const slug = String(conversation.topic || 'conversation')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'conversation';
+  const date = (conversation.createdAt || new Date().toISOString()).slice(0, 10);
+  return `philosopher-chat-${slug}-${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Render a conversation (with its history) and its exported analytics in one
+// of EXPORT_FORMATS. Returns { content, contentType, filename }.
+export function renderExport(format, { conversation, analytics = null, exportedAt = new Date().toISOString() }) {
+  if (!isExportFormat(format)) {
+    throw new Error(`Unknown export format "${format}" (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const { render, contentType } = EXPORT_FORMATS[format];
+  const content = render({
+    conversation,
+    analytics,
+    usage: summarizeUsage(conversation.history, conversation.analysisUsage),
+    exportedAt,
+    schema: { name: EXPORT_SCHEMA, version: EXPORT_VERSION }
+  });
+  return { content, contentType, filename: exportFilename(conversation, format) };
+}
@@ -0,0 +1,23 @@
+// The conversation as saved, with its analytics and the export schema. JSON
+// is one document; JSON Lines puts the conversation, then each message, then
+// the analytics on lines of their own, each tagged with its "type".
+
+export function toJSON({ conversation, analytics, exportedAt, schema }) {
+  return JSON.stringify({
+    schema: schema.name,
+    version: schema.version,
+    exportedAt,
+    ...conversation,
+    analytics
+  }, null, 2);
+}
+
+export function toJSONL({ conversation, analytics, exportedAt, schema }) {
+  const { history, ...details } = conversation;
+  const lines = [
+    { type: 'conversation', schema: schema.name, version: schema.version, exportedAt, ...details },
+    ...history.map(message => ({ type: 'message', ...message })),
+    ...(analytics ? [{ type: 'analytics', ...analytics }] : [])
+  ];
+  return `${lines.map(line => JSON.stringify(line)).join('\n')}\n`;
+}
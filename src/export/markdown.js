@@ -0,0 +1,99 @@
+import { participantLabels } from './text.js';
+
+// Markdown transcript: the conversation's details, each message under a
+// "### Speaker · time" heading, then the analytics as tables
+
+function cell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+export function markdownTable(headers, rows) {
+  return [
+    `| ${headers.map(cell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+export function formatCost(cost, currency) {
+  return `${Number(cost || 0).toFixed(4)} ${currency}`;
+}
+
+function analyticsSections(analytics, usage) {
+  const sections = [];
+
+  if (usage.totals.calls > 0) {
+    sections.push('### Usage', markdownTable(
+      ['Provider', 'Calls', 'Tokens', 'Cost', 'Avg latency'],
+      [
+        ...Object.entries(usage.providers).map(([name, totals]) => [
+          name, totals.calls, totals.totalTokens, formatCost(totals.cost, usage.currency), `${totals.averageLatencyMs} ms`
+        ]),
+        ['**Total**', usage.totals.calls, usage.totals.totalTokens, formatCost(usage.totals.cost, usage.currency), `${usage.totals.averageLatencyMs} ms`]
+      ]
+    ));
+  }
+
+  if (!analytics) return sections;
+
+  if (analytics.consensusHistory?.length) {
+    sections.push('### Consensus', markdownTable(
+      ['Time', 'Level', 'Method', 'Summary'],
+      analytics.consensusHistory.map(point => [point.timestamp, `${point.level}%`, point.method || 'heuristic', point.summary])
+    ));
+  }
+
+  const sentiment = analytics.sentimentDistribution;
+  if (sentiment) {
+    sections.push('### Sentiment', markdownTable(
+      ['Positive', 'Neutral', 'Negative'],
+      [[sentiment.positive, sentiment.neutral, sentiment.negative]]
+    ));
+  }
+
+  if (analytics.themes?.length) {
+    sections.push('### Themes', markdownTable(
+      ['Theme', 'Type', 'Mentions', 'Strength'],
+      analytics.themes.map(theme => [theme.name, theme.type, theme.count, Number(theme.averageStrength || 0).toFixed(2)])
+    ));
+  }
+
+  if (analytics.positions?.shifts?.length) {
+    sections.push('### Position shifts', markdownTable(
+      ['Speaker', 'Question', 'From', 'To'],
+      analytics.positions.shifts.map(shift => [shift.speaker, shift.question, shift.from || '-', shift.to || '-'])
+    ));
+  }
+
+  if (analytics.wordMap?.length) {
+    sections.push('### Frequent words', analytics.wordMap.map(({ word, frequency }) => `${word} (${frequency})`).join(', '));
+  }
+
+  return sections;
+}
+
+export function toMarkdown({ conversation, analytics, usage, exportedAt }) {
+  const lines = [
+    `# ${conversation.topic}`,
+    '',
+    `- **Participants:** ${participantLabels(conversation).join(', ')}`,
+    `- **Created:** ${conversation.createdAt}`,
+    `- **Status:** ${conversation.status}`,
+    `- **Messages:** ${conversation.history.length}`,
+    `- **Exported:** ${exportedAt}`,
+    '',
+    '## Transcript',
+    ''
+  ];
+
+  conversation.history.forEach(msg => {
+    lines.push(`### ${msg.speaker} · ${msg.timestamp}`, '', msg.content, '');
+  });
+
+  const sections = analyticsSections(analytics, usage);
+  if (sections.length > 0) {
+    lines.push('## Analytics', '', sections.join('\n\n'), '');
+  }
+
+  return lines.join('\n');
+}
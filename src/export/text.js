@@ -0,0 +1,18 @@
+// Plain transcript: a short header, then one "[time] Speaker: message" paragraph per message
+
+export function participantLabels(conversation) {
+  const personas = conversation.personas || {};
+  return conversation.participants.map(name => personas[name] ? `${name} (${personas[name].label})` : name);
+}
+
+export function toText({ conversation }) {
+  let output = `Topic: ${conversation.topic}\n`;
+  output += `Participants: ${participantLabels(conversation).join(', ')}\n`;
+  output += `Created: ${conversation.createdAt}\n\n`;
+
+  conversation.history.forEach(msg => {
+    output += `[${msg.timestamp}] ${msg.speaker}: ${msg.content}\n\n`;
+  });
+
+  return output;
+}
@@ -0,0 +1,118 @@
+// Common behaviour for debate formats. A format owns the turn order, the prompt
+// each speaker gets and when the debate is over. One instance is created per
+// conversation, so it can remember its lineup and how far the debate has got.
+//
+// Structured formats describe themselves as a fixed schedule: buildSchedule()
+// returns rounds, each a list of { speaker, phase, role } turns. Progress is
+// the index of the next turn, so a round interrupted by a moderation pause
+// picks up where it stopped.
+export class DebateFormat {
+  constructor(id, options = {}) {
+    this.id = id;
+    this.options = options;
+    this.structured = true;
+    this.lineup = null;
+    this.schedule = null;
+    this.position = 0;
+  }
+
+  // Provider names in speaking order; fixed the first time a round is planned
+  chooseLineup(names) {
+    return names;
+  }
+
+  buildSchedule(lineup) {
+    throw new Error('buildSchedule must be implemented by debate format');
+  }
+
+  // context: { topic, history, renderPrompt? }. renderPrompt(kind, variables)
+  // renders the conversation's chosen prompt template of that kind.
+  buildPrompt(turn, context) {
+    throw new Error('buildPrompt must be implemented by debate format');
+  }
+
+  // Short label for a round, shown in the 'format-round' announcement
+  describeRound(round) {
+    return `Round ${round[0].round}`;
+  }
+
+  get totalTurns() {
+    return this.schedule ? this.schedule.flat().length : 0;
+  }
+
+  get isComplete() {
+    return this.schedule !== null && this.position >= this.totalTurns;
+  }
+
+  // The remaining turns of the current round for the providers that are still
+  // active, plus an announcement. Returns null once the schedule is finished.
+  planRound(providers, history = []) {
+    if (!this.schedule) {
+      this.lineup = this.chooseLineup(providers.map(p => p.name));
+      this.schedule = this.buildSchedule(this.lineup).map((round, roundIndex) =>
+        round.map(turn => ({ ...turn, round: roundIndex + 1 }))
+      );
+      let index = 0;
+      this.schedule.flat().forEach(turn => { turn.index = index++; });
+    }
+
+    const round = this.schedule.find(turns => turns[turns.length - 1].index >= this.position);
+    if (!round) return null;
+
+    const turns = round
+      .filter(turn => turn.index >= this.position)
+      .map(turn => ({ ...turn, provider: providers.find(p => p.name === turn.speaker) }))
+      .filter(turn => turn.provider);
+
+    const speakers = turns.map(turn => turn.role ? `${turn.speaker} (${turn.role})` : turn.speaker);
+
+    return {
+      turns,
+      end: round[round.length - 1].index + 1,
+      selection: {
+        type: 'format-round',
+        format: this.id,
+        round: round[0].round,
+        totalRounds: this.schedule.length,
+        phase: round[0].phase,
+        message: `${this.describeRound(round)}: ${speakers.join(' → ')}`,
+        speakers: turns.map(turn => turn.speaker)
+      }
+    };
+  }
+
+  completeTurn(turn) {
+    this.position = Math.max(this.position, turn.index + 1);
+  }
+
+  // Skip anything left in the round, e.g. turns of providers that were switched off
+  finishRound(plan) {
+    this.position = Math.max(this.position, plan.end);
+  }
+
+  lastMessageFrom(history, speaker) {
+    return history.slice().reverse().find(msg => msg.speaker === speaker) || null;
+  }
+}
+
+export const MAX_ROUNDS = 10;
+
+// options.rounds as a whole number of rounds between 1 and MAX_ROUNDS
+export function parseRounds(value, fallback) {
+  const rounds = Number.parseInt(value, 10);
+  return Number.isInteger(rounds) && rounds > 0 ? Math.min(rounds, MAX_ROUNDS) : fallback;
+}
+
+export function shuffle(array) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// The latest message, or a fallback when the debate has not started yet
+export function recentContext(history, fallback) {
+  return history[history.length - 1]?.content || fallback;
+}
@@ -0,0 +1,50 @@
+import { DebateFormat, parseRounds, recentContext, shuffle } from './base-format.js';
+
+export const DEFAULT_DEVILS_ADVOCATE_ROUNDS = 3;
+
+// The others look for common ground, then the devil's advocate closes every
+// round by attacking whatever they seem to agree on.
+// options.advocate (default: picked at random), options.rounds (default 3)
+export class DevilsAdvocateFormat extends DebateFormat {
+  static label = "Devil's advocate";
+  static description = 'One AI argues against whatever the others are converging on, every round.';
+
+  constructor(options = {}) {
+    super('devils-advocate', options);
+    this.rounds = parseRounds(options.rounds, DEFAULT_DEVILS_ADVOCATE_ROUNDS);
+  }
+
+  // The advocate always speaks last
+  chooseLineup(names) {
+    const advocate = names.includes(this.options.advocate) ? this.options.advocate : shuffle(names)[0];
+    return [...names.filter(name => name !== advocate), advocate];
+  }
+
+  get advocate() {
+    return this.lineup[this.lineup.length - 1];
+  }
+
+  buildSchedule(lineup) {
+    return Array.from({ length: this.rounds }, () =>
+      lineup.map(speaker => speaker === this.advocate
+        ? { speaker, phase: 'challenge', role: "devil's advocate" }
+        : { speaker, phase: 'argument' })
+    );
+  }
+
+  describeRound(round) {
+    return `😈 Round ${round[0].round} of ${this.rounds}`;
+  }
+
+  buildPrompt(turn, { topic, history }) {
+    if (turn.phase === 'challenge') {
+      return `You are the devil's advocate in this debate on "${topic}". ` +
+        'Argue against the position the others seem to be converging on, as persuasively as you can, even if you privately agree with it. ' +
+        `Recent context: ${recentContext(history, 'Nobody has spoken yet.')}`;
+    }
+
+    return `Discuss "${topic}" and work toward common ground with the other participants. ` +
+      `${this.advocate} is playing devil's advocate, so answer their last challenge where there is one. ` +
+      `Recent context: ${recentContext(history, 'Begin the discussion.')}`;
+  }
+}
@@ -0,0 +1,110 @@
+import { DebateFormat, shuffle } from './base-format.js';
+import { renderDefaultPrompt } from '../prompts/index.js';
+
+// The original open discussion: everyone speaks in a random order on the first
+// round, after that a random provider continues. It never ends by itself.
+// STRICT RULE: Never allow the same provider to speak twice in a row
+export class FreeformFormat extends DebateFormat {
+  static label = 'Free discussion';
+  static description = 'Random speaking order, never the same AI twice in a row. Runs until you end it.';
+
+  constructor(options = {}) {
+    super('freeform', options);
+    this.structured = false;
+  }
+
+  get isComplete() {
+    return false;
+  }
+
+  // Choose the speaking order for a round. `selection` is the 'random-selection'
+  // payload to announce (null when there is nothing to announce).
+  selectSpeakers(availableProviders, history) {
+    const lastAIMessage = history.slice().reverse().find(msg => msg.speaker !== 'Human');
+    const lastAISpeaker = lastAIMessage ? lastAIMessage.speaker : null;
+
+    if (availableProviders.length === 1) {
+      // Only one provider available - must use it (can't avoid repeats)
+      if (lastAISpeaker === availableProviders[0].name) {
+        console.log(`⚠️ Only one provider available: ${availableProviders[0].name} must speak again`);
+      }
+      return { providersToUse: availableProviders, selection: null };
+    }
+
+    if (history.length === 1) {
+      // First AI responses after human input - randomly shuffle all
+      const providersToUse = shuffle(availableProviders);
+      console.log(`🎲 First round: Random order selected:`, providersToUse.map(p => p.name));
+
+      return {
+        providersToUse,
+        selection: {
+          type: 'first-round',
+          message: `🎲 Randomly selected speaking order: ${providersToUse.map(p => p.name).join(' → ')}`,
+          speakers: providersToUse.map(p => p.name)
+        }
+      };
+    }
+
+    // Subsequent rounds - MUST avoid the last AI speaker (strict no-repeat rule)
+    const eligibleProviders = availableProviders.filter(p => p.name !== lastAISpeaker);
+
+    if (eligibleProviders.length > 0) {
+      // Select randomly from providers who didn't speak last
+      const [primaryChoice, ...remainingProviders] = shuffle(eligibleProviders);
+
+      console.log(`🎲 Random next speaker: ${primaryChoice.name} (strictly avoiding repeat of ${lastAISpeaker})`);
+      console.log(`🎲 Eligible providers were:`, eligibleProviders.map(p => p.name));
+
+      return {
+        providersToUse: [primaryChoice, ...remainingProviders],
+        selection: {
+          type: 'next-speaker',
+          message: `🎲 ${primaryChoice.name} randomly selected to continue (avoiding ${lastAISpeaker})`,
+          speaker: primaryChoice.name,
+          previousSpeaker: lastAISpeaker,
+          eligibleCount: eligibleProviders.length
+        }
+      };
+    }
+
+    // This should never happen if we have multiple providers, but safety fallback
+    console.log(`⚠️ No eligible providers found - this shouldn't happen with multiple active providers`);
+    const providersToUse = shuffle(availableProviders);
+
+    return {
+      providersToUse,
+      selection: {
+        type: 'error-fallback',
+        message: `🎲 Random fallback order: ${providersToUse.map(p => p.name).join(' → ')}`,
+        speakers: providersToUse.map(p => p.name)
+      }
+    };
+  }
+
+  planRound(providers, history = []) {
+    const { providersToUse, selection } = this.selectSpeakers(providers, history);
+
+    return {
+      turns: providersToUse.map(provider => ({ provider, speaker: provider.name, phase: null })),
+      end: null,
+      selection
+    };
+  }
+
+  completeTurn() {}
+
+  finishRound() {}
+
+  // The discussion template holds several alternatives; varying them keeps the
+  // open discussion from settling into a pattern
+  buildPrompt(turn, { topic, history, renderPrompt = renderDefaultPrompt }) {
+    const last = history[history.length - 1];
+    return renderPrompt('discussion', {
+      topic,
+      speaker: turn.speaker,
+      lastSpeaker: last?.speaker,
+      lastMessage: last?.content
+    });
+  }
+}
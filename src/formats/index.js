@@ -0,0 +1,40 @@
+import { FreeformFormat } from './freeform.js';
+import { RoundRobinFormat } from './round-robin.js';
+import { OxfordFormat } from './oxford.js';
+import { SocraticFormat } from './socratic.js';
+import { DevilsAdvocateFormat } from './devils-advocate.js';
+
+export const DEFAULT_DEBATE_FORMAT = 'freeform';
+
+export const DEBATE_FORMATS = {
+  freeform: FreeformFormat,
+  'round-robin': RoundRobinFormat,
+  oxford: OxfordFormat,
+  socratic: SocraticFormat,
+  'devils-advocate': DevilsAdvocateFormat
+};
+
+export function isDebateFormat(id) {
+  return Object.hasOwn(DEBATE_FORMATS, id);
+}
+
+// Create a fresh format instance for one conversation. options are format
+// specific, e.g. { rounds } or { questioner } for socratic.
+export function createDebateFormat(id = DEFAULT_DEBATE_FORMAT, options = {}) {
+  if (!isDebateFormat(id)) {
+    throw new Error(`Unknown debate format "${id}" (expected one of: ${Object.keys(DEBATE_FORMATS).join(', ')})`);
+  }
+  return new DEBATE_FORMATS[id](options);
+}
+
+// Id, label and description of every format, for the setup panel
+export function listDebateFormats() {
+  return Object.entries(DEBATE_FORMATS).map(([id, FormatClass]) => ({
+    id,
+    label: FormatClass.label,
+    description: FormatClass.description
+  }));
+}
+
+export { DebateFormat } from './base-format.js';
+export { FreeformFormat, RoundRobinFormat, OxfordFormat, SocraticFormat, DevilsAdvocateFormat };
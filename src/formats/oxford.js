@@ -0,0 +1,51 @@
+import { DebateFormat, recentContext } from './base-format.js';
+
+const PHASES = [
+  { phase: 'opening', title: '🏛️ Opening statements' },
+  { phase: 'rebuttal', title: '⚔️ Rebuttals' },
+  { phase: 'closing', title: '🎤 Closing statements' }
+];
+
+// Oxford-style debate on the topic as a motion. Speakers alternate between
+// proposition and opposition, and everyone speaks once per phase: opening,
+// rebuttal, closing. The debate is over after the closing statements.
+export class OxfordFormat extends DebateFormat {
+  static label = 'Oxford debate';
+  static description = 'Proposition and opposition sides give opening statements, rebuttals and closing statements.';
+
+  constructor(options = {}) {
+    super('oxford', options);
+  }
+
+  sideOf(speaker) {
+    return this.lineup.indexOf(speaker) % 2 === 0 ? 'proposition' : 'opposition';
+  }
+
+  buildSchedule(lineup) {
+    return PHASES.map(({ phase }) =>
+      lineup.map(speaker => ({ speaker, phase, role: this.sideOf(speaker) }))
+    );
+  }
+
+  describeRound(round) {
+    return PHASES.find(({ phase }) => phase === round[0].phase).title;
+  }
+
+  buildPrompt(turn, { topic, history }) {
+    const stance = turn.role === 'proposition' ? 'for' : 'against';
+    const opponents = turn.role === 'proposition' ? 'opposition' : 'proposition';
+
+    switch (turn.phase) {
+      case 'opening':
+        return `This is an Oxford-style debate on the motion "${topic}". You speak for the ${turn.role}. ` +
+          `Give your opening statement: set out your strongest case ${stance} the motion in a few clear points.`;
+      case 'rebuttal':
+        return `Rebuttal round of the Oxford-style debate on "${topic}". You speak for the ${turn.role}. ` +
+          `Answer the ${opponents}'s strongest arguments directly and show where they fail. ` +
+          `Most recent argument: ${recentContext(history, 'None yet.')}`;
+      default:
+        return `Closing statements in the Oxford-style debate on "${topic}". You speak for the ${turn.role}. ` +
+          `Summarise why your side has won the argument ${stance} the motion. Do not introduce new points.`;
+    }
+  }
+}
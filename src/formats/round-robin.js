@@ -0,0 +1,34 @@
+import { DebateFormat, parseRounds, recentContext } from './base-format.js';
+
+export const DEFAULT_ROUND_ROBIN_ROUNDS = 3;
+
+// Everyone speaks once per round in a fixed order, for a set number of rounds.
+// options.rounds (default 3)
+export class RoundRobinFormat extends DebateFormat {
+  static label = 'Round robin';
+  static description = 'Each AI speaks in turn, in the same order every round, for a fixed number of rounds.';
+
+  constructor(options = {}) {
+    super('round-robin', options);
+    this.rounds = parseRounds(options.rounds, DEFAULT_ROUND_ROBIN_ROUNDS);
+  }
+
+  buildSchedule(lineup) {
+    return Array.from({ length: this.rounds }, () =>
+      lineup.map(speaker => ({ speaker, phase: 'turn' }))
+    );
+  }
+
+  describeRound(round) {
+    return `🔁 Round ${round[0].round} of ${this.rounds}`;
+  }
+
+  buildPrompt(turn, { topic, history }) {
+    const last = turn.round === this.rounds && turn.speaker === this.lineup[this.lineup.length - 1];
+
+    return `It is your turn in a round-robin discussion of "${topic}" (round ${turn.round} of ${this.rounds}). ` +
+      'Respond to the previous speaker and add one consideration nobody has raised yet.' +
+      (last ? ' You speak last, so end by stating where the group agrees and where it still differs.' : '') +
+      ` Recent context: ${recentContext(history, 'You open the discussion.')}`;
+  }
+}
@@ -0,0 +1,48 @@
+import { DebateFormat, parseRounds, recentContext } from './base-format.js';
+
+export const DEFAULT_SOCRATIC_ROUNDS = 3;
+
+// One questioner probes, everyone else answers. Each round is a question
+// followed by one answer from each of the others.
+// options.questioner (default: the first provider), options.rounds (default 3)
+export class SocraticFormat extends DebateFormat {
+  static label = 'Socratic dialogue';
+  static description = 'One AI only asks questions; the others answer. Good for testing assumptions.';
+
+  constructor(options = {}) {
+    super('socratic', options);
+    this.rounds = parseRounds(options.rounds, DEFAULT_SOCRATIC_ROUNDS);
+  }
+
+  chooseLineup(names) {
+    const questioner = names.includes(this.options.questioner) ? this.options.questioner : names[0];
+    return [questioner, ...names.filter(name => name !== questioner)];
+  }
+
+  get questioner() {
+    return this.lineup[0];
+  }
+
+  buildSchedule([questioner, ...answerers]) {
+    return Array.from({ length: this.rounds }, () => [
+      { speaker: questioner, phase: 'question', role: 'questioner' },
+      ...answerers.map(speaker => ({ speaker, phase: 'answer' }))
+    ]);
+  }
+
+  describeRound(round) {
+    return `❓ Question ${round[0].round} of ${this.rounds}`;
+  }
+
+  buildPrompt(turn, { topic, history }) {
+    if (turn.phase === 'question') {
+      return `You are the questioner in a Socratic dialogue on "${topic}". Do not argue for a position of your own. ` +
+        'Ask one short, probing question that exposes a hidden assumption or a tension in what has been said so far. ' +
+        `Recent context: ${recentContext(history, 'Nothing has been said yet - start from the topic itself.')}`;
+    }
+
+    const question = this.lastMessageFrom(history, this.questioner);
+    return `In a Socratic dialogue on "${topic}", ${this.questioner} asked: "${question?.content || topic}". ` +
+      'Answer the question directly and honestly, and say where your answer is uncertain.';
+  }
+}
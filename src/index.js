@@ -1,138 +1,43 @@
-import { ClaudeProvider } from './providers/claude-provider.js';
-import { ChatGPTProvider } from './providers/chatgpt-provider.js';
-import { GeminiProvider } from './providers/gemini-provider.js';
-import { DeepSeekProvider } from './providers/deepseek-provider.js';
-import { GrokProvider } from './providers/grok-provider.js';
-import { MistralProvider } from './providers/mistral-provider.js';
-import { MetaProvider } from './providers/meta-provider.js';
-import { WatsonxProvider } from './providers/watsonx-provider.js';
+import { buildProviders, getRegisteredProviders } from './providers/index.js';
 import { ChatInterface } from './chat-interface.js';
 import chalk from 'chalk';
 
-const CONFIG = {
-  ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  GOOGLE_API_KEY: process.env.GOOGLE_API_KEY,
-  DEEPSEEK_API_KEY: process.env.DEEPSEEK_API_KEY,
-  GROK_API_KEY: process.env.GROK_API_KEY,
-  MISTRAL_API_KEY: process.env.MISTRAL_API_KEY,
-  META_API_KEY: process.env.META_API_KEY,
-  WATSONX_API_KEY: process.env.WATSONX_API_KEY
-};
-
 async function main() {
   console.log(chalk.blue.bold('🚀 Initializing AI Philosopher Chat...\n'));
 
-  const providers = [];
-
-  if (CONFIG.ANTHROPIC_API_KEY) {
-    try {
-      providers.push(new ClaudeProvider(CONFIG.ANTHROPIC_API_KEY));
-      console.log(chalk.green('✅ Claude provider initialized'));
-    } catch (error) {
-      console.log(chalk.red('❌ Failed to initialize Claude provider:', error.message));
-    }
-  } else {
-    console.log(chalk.yellow('⚠️  Claude provider skipped (no API key found)'));
-    console.log(chalk.gray('   Set ANTHROPIC_API_KEY environment variable to enable'));
-  }
-
-  if (CONFIG.OPENAI_API_KEY) {
-    try {
-      providers.push(new ChatGPTProvider(CONFIG.OPENAI_API_KEY));
-      console.log(chalk.green('✅ ChatGPT provider initialized'));
-    } catch (error) {
-      console.log(chalk.red('❌ Failed to initialize ChatGPT provider:', error.message));
-    }
-  } else {
-    console.log(chalk.yellow('⚠️  ChatGPT provider skipped (no API key found)'));
-    console.log(chalk.gray('   Set OPENAI_API_KEY environment variable to enable'));
-  }
-
-  if (CONFIG.GOOGLE_API_KEY) {
-    try {
-      providers.push(new GeminiProvider(CONFIG.GOOGLE_API_KEY));
-      console.log(chalk.green('✅ Gemini provider initialized'));
-    } catch (error) {
-      console.log(chalk.red('❌ Failed to initialize Gemini provider:', error.message));
-    }
-  } else {
-    console.log(chalk.yellow('⚠️  Gemini provider skipped (no API key found)'));
-    console.log(chalk.gray('   Set GOOGLE_API_KEY environment variable to enable'));
-  }
-
-  if (CONFIG.DEEPSEEK_API_KEY) {
-    try {
-      providers.push(new DeepSeekProvider(CONFIG.DEEPSEEK_API_KEY));
-      console.log(chalk.green('✅ DeepSeek provider initialized'));
-    } catch (error) {
-      console.log(chalk.red('❌ Failed to initialize DeepSeek provider:', error.message));
-    }
-  } else {
-    console.log(chalk.yellow('⚠️  DeepSeek provider skipped (no API key found)'));
-    console.log(chalk.gray('   Set DEEPSEEK_API_KEY environment variable to enable'));
-  }
-
-  if (CONFIG.GROK_API_KEY) {
-    try {
-      providers.push(new GrokProvider(CONFIG.GROK_API_KEY));
-      console.log(chalk.green('✅ Grok provider initialized'));
-    } catch (error) {
-      console.log(chalk.red('❌ Failed to initialize Grok provider:', error.message));
-    }
-  } else {
-    console.log(chalk.yellow('⚠️  Grok provider skipped (no API key found)'));
-    console.log(chalk.gray('   Set GROK_API_KEY environment variable to enable'));
-  }
-
-  if (CONFIG.MISTRAL_API_KEY) {
-    try {
-      providers.push(new MistralProvider(CONFIG.MISTRAL_API_KEY));
-      console.log(chalk.green('✅ Mistral provider initialized'));
-    } catch (error) {
-      console.log(chalk.red('❌ Failed to initialize Mistral provider:', error.message));
-    }
-  } else {
-    console.log(chalk.yellow('⚠️  Mistral provider skipped (no API key found)'));
-    console.log(chalk.gray('   Set MISTRAL_API_KEY environment variable to enable'));
-  }
-
-  if (CONFIG.META_API_KEY) {
-    try {
-      providers.push(new MetaProvider(CONFIG.META_API_KEY));
-      console.log(chalk.green('✅ Meta AI provider initialized'));
-    } catch (error) {
-      console.log(chalk.red('❌ Failed to initialize Meta AI provider:', error.message));
-    }
-  } else {
-    console.log(chalk.yellow('⚠️  Meta AI provider skipped (no API key found)'));
-    console.log(chalk.gray('   Set META_API_KEY environment variable to enable'));
-  }
-
-  if (CONFIG.WATSONX_API_KEY) {
-    try {
-      providers.push(new WatsonxProvider(CONFIG.WATSONX_API_KEY));
-      console.log(chalk.green('✅ Watsonx provider initialized'));
-    } catch (error) {
-      console.log(chalk.red('❌ Failed to initialize Watsonx provider:', error.message));
+  const { providers, results } = buildProviders();
+
+  results.forEach(({ entry, definition, envVar, provider, error, status }) => {
+    switch (status) {
+      case 'initialized':
+        console.log(chalk.green(`✅ ${provider.name} provider initialized`));
+        break;
+      case 'failed':
+        console.log(chalk.red(`❌ Failed to initialize ${definition.name} provider:`, error.message));
+        break;
+      case 'skipped':
+        console.log(chalk.yellow(`⚠️  ${definition.name} provider skipped (no API key found)`));
+        console.log(chalk.gray(`   Set ${envVar} environment variable to enable`));
+        break;
+      case 'disabled':
+        console.log(chalk.gray(`⏸️  ${entry.name || definition.name} provider disabled in config`));
+        break;
+      case 'unknown':
+        console.log(chalk.yellow(`⚠️  Unknown provider type in config: ${entry.type}`));
+        break;
     }
-  } else {
-    console.log(chalk.yellow('⚠️  Watsonx provider skipped (no API key found)'));
-    console.log(chalk.gray('   Set WATSONX_API_KEY environment variable to enable'));
-  }
+  });
 
   if (providers.length === 0) {
     console.log(chalk.red.bold('\n❌ No AI providers available!'));
     console.log(chalk.yellow('Please set at least one of the following environment variables:'));
-    console.log(chalk.gray('  - ANTHROPIC_API_KEY (for Claude)'));
-    console.log(chalk.gray('  - OPENAI_API_KEY (for ChatGPT)'));
-    console.log(chalk.gray('  - GOOGLE_API_KEY (for Gemini)'));
-    console.log(chalk.gray('  - DEEPSEEK_API_KEY (for DeepSeek)'));
-    console.log(chalk.gray('  - GROK_API_KEY (for Grok)'));
-    console.log(chalk.gray('  - MISTRAL_API_KEY (for Mistral)'));
-    console.log(chalk.gray('  - META_API_KEY (for Meta AI)'));
-    console.log(chalk.gray('  - WATSONX_API_KEY (for Watsonx)'));
+    getRegisteredProviders()
+      .filter(definition => definition.envVar)
+      .forEach(definition => {
+        console.log(chalk.gray(`  - ${definition.envVar} (for ${definition.name})`));
+      });
     console.log(chalk.gray('\nExample: ANTHROPIC_API_KEY=your_key npm start\n'));
+    console.log(chalk.gray('Or run without network access using mock providers: OFFLINE_MODE=true npm start\n'));
     process.exit(1);
   }
 
@@ -0,0 +1,27 @@
+import { DEFAULT_TEMPLATE_ID, PromptLibrary } from './library.js';
+
+let defaultLibrary = null;
+
+// Shared library for code that has no conversation-specific choice to honour,
+// e.g. providers used outside the web server and the CLI
+export function getDefaultPromptLibrary() {
+  if (!defaultLibrary) defaultLibrary = new PromptLibrary();
+  return defaultLibrary;
+}
+
+export function renderDefaultPrompt(kind, variables = {}) {
+  return getDefaultPromptLibrary().render(kind, DEFAULT_TEMPLATE_ID, variables);
+}
+
+export {
+  BUILTIN_TEMPLATE_DIR,
+  DEFAULT_PROMPTS_DIR,
+  DEFAULT_TEMPLATE_ID,
+  MAX_TEMPLATE_LENGTH,
+  PROMPT_KINDS,
+  PromptLibrary,
+  isPromptKind,
+  listPromptKinds,
+  validateTemplate
+} from './library.js';
+export { VARIANT_SEPARATOR, fillTemplate, renderTemplate, splitVariants, templateVariables } from './template.js';
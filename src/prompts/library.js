@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fillTemplate, renderTemplate, splitVariants, templateVariables } from './template.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const BUILTIN_TEMPLATE_DIR = path.join(__dirname, 'templates');
+export const DEFAULT_PROMPTS_DIR = path.join(__dirname, '../../data/prompts');
+export const DEFAULT_TEMPLATE_ID = 'default';
+export const MAX_TEMPLATE_LENGTH = 20000;
+
+const TEMPLATE_ID = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// The prompts a conversation sends, and the variables each one can use
+export const PROMPT_KINDS = {
+  system: {
+    label: 'System prompt',
+    description: 'Standing instructions every AI receives with each request.',
+    variables: {
+      name: 'The AI receiving the prompt',
+      topic: 'The debate topic',
+      participants: 'Everyone in the conversation, including Human',
+      otherParticipants: 'Everyone except this AI',
+      role: 'How to take part: the consensus instructions, or the assigned persona with instructions to argue from it',
+      persona: 'Label of the assigned persona (empty without one)',
+      stance: 'Stance of the assigned persona (empty without one)'
+    }
+  },
+  discussion: {
+    label: 'Discussion turn',
+    description: 'Asks an AI for its next contribution in a free discussion.',
+    variables: {
+      speaker: 'The AI being asked to speak',
+      topic: 'The debate topic',
+      participants: 'Everyone in the conversation, including Human',
+      lastSpeaker: 'Who spoke last',
+      lastMessage: 'The last message in the conversation',
+      messageCount: 'Number of messages so far'
+    }
+  },
+  targeted: {
+    label: '@mention reply',
+    description: 'Asks an AI to answer a message that @mentioned it.',
+    variables: {
+      speaker: 'The AI that was mentioned',
+      topic: 'The debate topic',
+      participants: 'Everyone in the conversation, including Human',
+      lastMessage: 'The message that mentioned the AI',
+      messageCount: 'Number of messages so far'
+    }
+  },
+  consensus: {
+    label: 'Consensus judge',
+    description: 'Asks the consensus judge to score the recent turns and reply in JSON.',
+    variables: {
+      topic: 'The debate topic',
+      participants: 'Everyone in the conversation, including Human',
+      messageCount: 'Number of messages so far',
+      transcript: 'The most recent turns as "Speaker: message" paragraphs'
+    }
+  },
+  context: {
+    label: 'Context summary',
+    description: 'Asks the analyst to fold turns that no longer fit an AI\'s context window into the running summary sent in their place.',
+    variables: {
+      topic: 'The debate topic',
+      participants: 'Everyone in the conversation, including Human',
+      messageCount: 'Number of messages so far',
+      summary: 'The summary so far (empty for the first turns summarized)',
+      transcript: 'The turns to add as "Speaker: message" paragraphs'
+    }
+  },
+  summary: {
+    label: 'Summary',
+    description: 'Asks for the analysis generated when a conversation ends.',
+    variables: {
+      topic: 'The debate topic',
+      participants: 'Everyone in the conversation, including Human',
+      messageCount: 'Number of messages in the transcript',
+      transcript: 'The whole conversation as "Speaker: message" paragraphs'
+    }
+  }
+};
+
+export function isPromptKind(kind) {
+  return Object.hasOwn(PROMPT_KINDS, kind);
+}
+
+// Kinds with their variables, for the template editor
+export function listPromptKinds() {
+  return Object.entries(PROMPT_KINDS).map(([id, { label, description, variables }]) => ({
+    id,
+    label,
+    description,
+    variables: Object.entries(variables).map(([name, description]) => ({ name, description }))
+  }));
+}
+
+// Problems with a template before it is saved or previewed; empty when it is fine
+export function validateTemplate(kind, body) {
+  if (!isPromptKind(kind)) {
+    return [`Unknown prompt kind "${kind}" (expected one of: ${Object.keys(PROMPT_KINDS).join(', ')})`];
+  }
+  if (typeof body !== 'string' || splitVariants(body).length === 0) {
+    return ['Template must not be empty'];
+  }
+
+  const errors = [];
+  if (body.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(`Template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+  const unknown = templateVariables(body).filter(name => !Object.hasOwn(PROMPT_KINDS[kind].variables, name));
+  if (unknown.length > 0) {
+    errors.push(`Unknown variable${unknown.length > 1 ? 's' : ''} ${unknown.map(name => `{{${name}}}`).join(', ')} ` +
+      `(available: ${Object.keys(PROMPT_KINDS[kind].variables).join(', ')})`);
+  }
+  return errors;
+}
+
+// Built-in templates ship in src/prompts/templates/<kind>/<id>.txt. Saved
+// templates live in the same layout under options.dir or PROMPTS_DIR
+// (default data/prompts); saving a built-in id overrides it, and removing the
+// saved copy restores the built-in.
+export class PromptLibrary {
+  constructor(options = {}) {
+    this.builtinDir = options.builtinDir || BUILTIN_TEMPLATE_DIR;
+    this.dir = options.dir || process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+  }
+
+  templatePath(root, kind, id) {
+    return path.join(root, kind, `${id}.txt`);
+  }
+
+  readIds(root, kind) {
+    const dir = path.join(root, kind);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(file => file.endsWith('.txt')).map(file => file.slice(0, -4));
+  }
+
+  readTemplate(file) {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Every template of one kind (or of all kinds), the default first
+  list(kind) {
+    const kinds = kind ? [kind] : Object.keys(PROMPT_KINDS);
+
+    return kinds.flatMap(k => {
+      const builtin = this.readIds(this.builtinDir, k);
+      const saved = this.readIds(this.dir, k);
+      const ids = [...new Set([...builtin, ...saved])]
+        .filter(id => TEMPLATE_ID.test(id))
+        .sort((a, b) => (b === DEFAULT_TEMPLATE_ID) - (a === DEFAULT_TEMPLATE_ID) || a.localeCompare(b));
+
+      return ids.map(id => ({
+        kind: k,
+        id,
+        builtin: builtin.includes(id),
+        modified: builtin.includes(id) && saved.includes(id)
+      }));
+    });
+  }
+
+  get(kind, id) {
+    if (!isPromptKind(kind) || !TEMPLATE_ID.test(id || '')) return null;
+
+    const saved = this.readTemplate(this.templatePath(this.dir, kind, id));
+    const builtin = this.readTemplate(this.templatePath(this.builtinDir, kind, id));
+    if (saved === null && builtin === null) return null;
+
+    return { kind, id, body: saved ?? builtin, builtin: builtin !== null, modified: builtin !== null && saved !== null };
+  }
+
+  // Body of the chosen template, falling back to the default if it has since been removed
+  body(kind, id = DEFAULT_TEMPLATE_ID) {
+    const template = this.get(kind, id) || this.get(kind, DEFAULT_TEMPLATE_ID);
+    if (!template) {
+      throw new Error(`No ${kind} prompt template found (looked for "${id}" and "${DEFAULT_TEMPLATE_ID}")`);
+    }
+    return template.body;
+  }
+
+  render(kind, id, variables = {}, options = {}) {
+    return renderTemplate(this.body(kind, id), variables, options);
+  }
+
+  // Every alternative of a template filled in, so none are hidden behind the random pick
+  preview(body, variables = {}) {
+    return splitVariants(body).map(variant => fillTemplate(variant, variables));
+  }
+
+  save(kind, id, body) {
+    if (!TEMPLATE_ID.test(id || '')) {
+      throw new Error('Template id must be lowercase letters, digits and dashes (at most 64 characters)');
+    }
+    const errors = validateTemplate(kind, body);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const file = this.templatePath(this.dir, kind, id);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, body.endsWith('\n') ? body : `${body}\n`);
+    return this.get(kind, id);
+  }
+
+  // Delete a saved template, or the saved changes to a built-in one.
+  // Returns false when there was nothing saved under that id.
+  remove(kind, id) {
+    if (!isPromptKind(kind) || !TEMPLATE_ID.test(id || '')) return false;
+
+    const file = this.templatePath(this.dir, kind, id);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+  }
+
+  // Complete a conversation's { kind: templateId } choice. Kinds it leaves out keep
+  // their previous choice, or the default.
+  resolveSelection(selection = {}, previous = {}) {
+    const unknownKinds = Object.keys(selection || {}).filter(kind => !isPromptKind(kind));
+    if (unknownKinds.length > 0) {
+      throw new Error(`Unknown prompt kind "${unknownKinds[0]}" (expected one of: ${Object.keys(PROMPT_KINDS).join(', ')})`);
+    }
+
+    const resolved = {};
+    for (const kind of Object.keys(PROMPT_KINDS)) {
+      const id = selection?.[kind] || previous?.[kind] || DEFAULT_TEMPLATE_ID;
+      if (!this.get(kind, id)) {
+        throw new Error(`Unknown ${kind} prompt template "${id}"`);
+      }
+      resolved[kind] = id;
+    }
+    return resolved;
+  }
+}
@@ -0,0 +1,34 @@
+// Prompt templates are plain text with {{variable}} placeholders. A placeholder
+// can carry a fallback used when the value is empty: {{lastMessage|Begin the discussion.}}
+// A template may hold several alternatives separated by a line reading "--- or ---";
+// one of them is picked at random each time the template is rendered.
+
+export const VARIANT_SEPARATOR = '--- or ---';
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z]+)\s*(?:\|([^}]*))?\}\}/g;
+const SEPARATOR_LINE = /^[ \t]*--- or ---[ \t]*$/m;
+
+export function splitVariants(body) {
+  return String(body).split(SEPARATOR_LINE).map(variant => variant.trim()).filter(Boolean);
+}
+
+// Names of the variables a template refers to, in order of first use
+export function templateVariables(body) {
+  return [...new Set([...String(body).matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+// Substitute placeholders in one pass, so values that happen to contain
+// {{...}} (e.g. a quoted message) are left alone
+export function fillTemplate(text, variables = {}) {
+  return text.replace(PLACEHOLDER, (match, name, fallback) => {
+    const value = variables[name];
+    if (value === undefined || value === null || value === '') return fallback ?? '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+export function renderTemplate(body, variables = {}, { random = Math.random } = {}) {
+  const variants = splitVariants(body);
+  if (variants.length === 0) return '';
+  return fillTemplate(variants[Math.floor(random() * variants.length)], variables);
+}
@@ -1,16 +1,255 @@
+import { renderDefaultPrompt, renderTemplate } from '../prompts/index.js';
+import { ContextManager, findContextWindow } from '../utils/context-window.js';
+import { InvalidRequestError, toProviderError } from './errors.js';
+import { CircuitBreaker, backoffDelay, resolveResilience, sleep, withTimeout } from './resilience.js';
+import { estimateTokens, validatePrice } from '../utils/usage.js';
+
 export class BaseAIProvider {
   constructor(name, apiKey, config = {}) {
     this.name = name;
     this.apiKey = apiKey;
+    this.config = config;
     this.conversationHistory = [];
-    this.maxTokens = config.maxTokens || 300;
+    // Optional per-provider ceiling (from providers.json) on the conversation's token setting
+    this.tokenLimit = config.tokenLimit || null;
+    this.maxTokens = this.tokenLimit
+      ? Math.min(config.maxTokens || 300, this.tokenLimit)
+      : config.maxTokens || 300;
     this.temperature = config.temperature || 0.7;
+    // Assigned philosophical stance ({ id, label, stance }), see utils/personas.js
+    this.persona = config.persona || null;
+    // Body of the conversation's system prompt template, see prompts/library.js
+    this.systemPrompt = config.systemPrompt || null;
+    // Price per million tokens overriding the price table (providers.json "pricing")
+    this.pricing = config.pricing ? validatePrice(config.pricing) : null;
+    // Token counts and latency of the latest call, see recordUsage
+    this.lastUsage = null;
+    // Context window in tokens (providers.json "contextWindow"), else looked up by model
+    this.contextWindow = config.contextWindow || null;
+    this.contextManager = null;
+    // Retries, timeouts and circuit breaker (providers.json "resilience"), see callWithRetry
+    this.resilience = resolveResilience(config.resilience);
+    this.circuitBreaker = new CircuitBreaker(name, this.resilience);
+  }
+
+  // Create an independent instance with the same credentials and settings plus overrides,
+  // so one conversation can tune generation options without touching another's providers.
+  // The copy calls the same API, so it shares this provider's circuit breaker.
+  withConfig(overrides = {}) {
+    const provider = new this.constructor(this.apiKey, { ...this.config, ...overrides });
+    provider.circuitBreaker = this.circuitBreaker;
+    return provider;
   }
 
+  // Resolves with the reply text, or rejects with a ProviderError (see errors.js);
+  // never returns error text in place of a reply
   async sendMessage(message, context = {}) {
     throw new Error('sendMessage must be implemented by subclass');
   }
 
+  // Streaming variant of sendMessage - yields text chunks as they arrive.
+  // Providers without a streaming API fall back to a single chunk.
+  async *streamMessage(message, context = {}) {
+    yield await this.sendMessage(message, context);
+  }
+
+  // Make an API call: operation(signal) is given timeoutMs per attempt and
+  // retried with exponential backoff while it fails with a retryable error
+  // (rate limit, outage, timeout). The outcome is counted by the circuit
+  // breaker, which refuses calls while open. Throws a ProviderError.
+  async callWithRetry(operation) {
+    this.circuitBreaker.check();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await withTimeout(operation, this.resilience.timeoutMs, this.name);
+        this.circuitBreaker.recordSuccess();
+        return result;
+      } catch (caught) {
+        const error = toProviderError(caught, this.name);
+        if (!error.retryable || attempt >= this.resilience.maxRetries) {
+          throw this.recordFailure(error);
+        }
+
+        const delay = backoffDelay(attempt, this.resilience, error.retryAfterMs);
+        console.warn(`${this.name}: ${error.message} - retry ${attempt + 1}/${this.resilience.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Iterate a stream opened through callWithRetry, failing with a
+  // ProviderTimeoutError when the next chunk takes longer than timeoutMs.
+  // A stream that breaks off is not retried: part of the reply is already out.
+  async *readStream(stream) {
+    const iterator = stream[Symbol.asyncIterator]();
+    let done = false;
+
+    try {
+      while (!done) {
+        const next = await withTimeout(() => iterator.next(), this.resilience.timeoutMs, this.name);
+        done = next.done;
+        if (!done) yield next.value;
+      }
+    } catch (caught) {
+      done = true;
+      throw this.recordFailure(toProviderError(caught, this.name));
+    } finally {
+      if (!done) {
+        Promise.resolve(iterator.return?.()).catch(() => {});
+      }
+    }
+  }
+
+  // Count a failed call against the circuit breaker - unless the request
+  // itself was refused, which says nothing about the provider's health
+  recordFailure(error) {
+    if (error instanceof InvalidRequestError) {
+      this.circuitBreaker.releaseTrial();
+    } else {
+      this.circuitBreaker.recordFailure(error);
+    }
+    return error;
+  }
+
+  // Whether the provider can take a turn, i.e. its circuit breaker is not open
+  isAvailable() {
+    return this.circuitBreaker.isAvailable();
+  }
+
+  // The system prompt and the part of the shared history that fits this
+  // provider's context window: the latest turns verbatim, earlier ones rolled
+  // into summary (null while everything fits, see utils/context-window.js).
+  // options.contextWindow and options.reserve (tokens kept free for the reply)
+  // override the defaults for a single request.
+  buildContext(message, context = {}, options = {}) {
+    const { topic, participants, conversationHistory = [] } = context;
+    const systemPrompt = this.getSystemPrompt(topic, participants);
+    const manager = options.contextWindow
+      ? new ContextManager({ contextWindow: options.contextWindow })
+      : this.getContextManager();
+    const { history, summary } = manager.fit(conversationHistory, {
+      fixed: [systemPrompt, message],
+      reserve: options.reserve ?? this.maxTokens
+    });
+
+    return { systemPrompt, history, summary };
+  }
+
+  // Before a turn: have summarizer (a ContextSummarizer) fold the turns that
+  // have aged out of this provider's window into its running summary
+  async summarizeContext(message, context = {}, summarizer) {
+    const { topic, participants, conversationHistory = [] } = context;
+    return this.getContextManager().summarize(conversationHistory, summarizer, {
+      fixed: [this.getSystemPrompt(topic, participants), message],
+      reserve: this.maxTokens,
+      topic,
+      participants
+    });
+  }
+
+  getContextManager() {
+    this.contextManager ??= new ContextManager({
+      contextWindow: this.contextWindow || findContextWindow(this.getModelName())
+    });
+    return this.contextManager;
+  }
+
+  // Build OpenAI-style chat messages (without the system prompt) from the
+  // shared history, led by the summary of earlier turns when there is one
+  buildChatMessages(message, conversationHistory = [], summary = null) {
+    const messages = [];
+
+    if (summary) {
+      messages.push({
+        role: 'user',
+        content: `Summary of the earlier discussion:\n${summary}`
+      });
+    }
+
+    conversationHistory.forEach(entry => {
+      if (entry.speaker === 'Human') {
+        messages.push({
+          role: 'user',
+          content: `Human moderator: ${entry.content}`
+        });
+      } else if (entry.speaker !== this.name) {
+        messages.push({
+          role: 'user',
+          content: `${entry.speaker} responded: ${entry.content}`
+        });
+      } else {
+        messages.push({
+          role: 'assistant',
+          content: entry.content
+        });
+      }
+    });
+
+    messages.push({
+      role: 'user',
+      content: `Continue the discussion: ${message}`
+    });
+
+    return messages;
+  }
+
+  // Single-prompt form of the context for completion-style APIs (Gemini, watsonx)
+  buildTextPrompt(message, context = {}, options = {}) {
+    const { systemPrompt, history, summary } = this.buildContext(message, context, options);
+
+    let prompt = systemPrompt + '\n\n';
+    if (summary) {
+      prompt += `Summary of the earlier discussion:\n${summary}\n\n`;
+    }
+    prompt += 'Conversation so far:\n';
+    history.forEach(entry => {
+      if (entry.speaker === 'Human') {
+        prompt += `Human moderator: ${entry.content}\n`;
+      } else {
+        prompt += `${entry.speaker} responded: ${entry.content}\n`;
+      }
+    });
+    prompt += `\nContinue the discussion: ${message}\n\nRespond ONLY as ${this.name} (no labels or participant names in your response):`;
+
+    return prompt;
+  }
+
+  // Called by subclasses once a call finishes, with the token counts their API
+  // reported and the Date.now() from when the call started. model is only
+  // given when a model other than the configured one answered.
+  recordUsage({ promptTokens = 0, completionTokens = 0, estimated = false, model = this.getModelName() }, startedAt) {
+    this.lastUsage = {
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      latencyMs: Date.now() - startedAt,
+      estimated
+    };
+    return this.lastUsage;
+  }
+
+  // Usage for a call whose API reported none, counted from the text sent and received
+  estimateUsage(message, context = {}, content = '', startedAt = Date.now()) {
+    const { systemPrompt, history, summary } = this.buildContext(message, context);
+    const prompt = [
+      systemPrompt,
+      ...this.buildChatMessages(message, history, summary).map(entry => entry.content)
+    ].join('\n');
+
+    return this.recordUsage({
+      promptTokens: estimateTokens(prompt),
+      completionTokens: estimateTokens(content),
+      estimated: true
+    }, startedAt);
+  }
+
+  // Model id for pricing; providers that keep a client object in this.model override it
+  getModelName() {
+    return typeof this.model === 'string' ? this.model : null;
+  }
+
   addToHistory(role, content) {
     this.conversationHistory.push({
       role,
@@ -27,19 +266,34 @@ export class BaseAIProvider {
     this.conversationHistory = [];
   }
 
+  // Rendered from the conversation's system prompt template (config.systemPrompt),
+  // or the library's default when none was chosen
   getSystemPrompt(topic, participants) {
-    const otherParticipants = participants.filter(p => p !== this.name);
-    return `You are ${this.name}, participating in a philosophical debate about "${topic}".
+    const variables = this.systemPromptVariables(topic, participants);
+    return this.systemPrompt
+      ? renderTemplate(this.systemPrompt, variables)
+      : renderDefaultPrompt('system', variables);
+  }
+
+  systemPromptVariables(topic, participants = []) {
+    return {
+      name: this.name,
+      topic,
+      participants,
+      otherParticipants: participants.filter(p => p !== this.name),
+      role: this.getRoleInstructions(),
+      persona: this.persona?.label,
+      stance: this.persona?.stance
+    };
+  }
 
-CRITICAL RULES:
-- You are ONLY ${this.name}. Never speak as or simulate any other participant.
-- Never write dialogue for ${otherParticipants.join(', ')}, or Human.
-- Never use formats like "Claude: [text]" or "ChatGPT: [text]" in your response.
-- Only provide YOUR OWN response as ${this.name}.
-- Do not acknowledge or repeat what others have said unless directly building on a specific point.
+  getRoleInstructions() {
+    if (!this.persona) {
+      return `Your role: Engage respectfully and thoughtfully with your own unique perspective. Build on others' ideas while presenting your own viewpoint. Work toward consensus through reasoned discussion. Its ok to come back to a point, its not necessary to continualy 1-up the speaker before you. Keep responses focused and under 200 words.`;
+    }
 
-Your role: Engage respectfully and thoughtfully with your own unique perspective. Build on others' ideas while presenting your own viewpoint. Work toward consensus through reasoned discussion. Its ok to come back to a point, its not necessary to continualy 1-up the speaker before you. Keep responses focused and under 200 words.
+    return `Your persona (${this.persona.label}): ${this.persona.stance}
 
-Respond ONLY as yourself (${this.name}) with no participant labels or simulated dialogue.`;
+Your role: Argue from this stance consistently and in your own voice. Engage respectfully with the other participants, but do not drop your position just to reach agreement - concede a point only when you genuinely cannot answer it, and say so. Keep responses focused and under 200 words.`;
   }
-}
\ No newline at end of file
+}
@@ -1,59 +1,85 @@
 import OpenAI from 'openai';
 import { BaseAIProvider } from './base-provider.js';
+import { registerProvider } from './registry.js';
+import { fromOpenAIUsage } from '../utils/usage.js';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
 
 export class ChatGPTProvider extends BaseAIProvider {
   constructor(apiKey, config = {}) {
     super('ChatGPT', apiKey, config);
-    this.client = new OpenAI({ apiKey });
+    this.model = config.model || DEFAULT_MODEL;
+    this.client = new OpenAI({ apiKey, baseURL: config.baseURL });
   }
 
-  async sendMessage(message, context = {}) {
-    const { topic, participants, conversationHistory } = context;
-    
-    const systemPrompt = this.getSystemPrompt(topic, participants);
-    
-    const messages = [
-      { role: 'system', content: systemPrompt }
+  buildMessages(message, context = {}) {
+    const { systemPrompt, history, summary } = this.buildContext(message, context);
+
+    return [
+      { role: 'system', content: systemPrompt },
+      ...this.buildChatMessages(message, history, summary)
     ];
+  }
 
-    conversationHistory.forEach(entry => {
-      if (entry.speaker === 'Human') {
-        messages.push({
-          role: 'user',
-          content: `Human moderator: ${entry.content}`
-        });
-      } else if (entry.speaker !== this.name) {
-        messages.push({
-          role: 'user',
-          content: `${entry.speaker} responded: ${entry.content}`
-        });
-      } else {
-        messages.push({
-          role: 'assistant',
-          content: entry.content
-        });
+  async sendMessage(message, context = {}) {
+    const messages = this.buildMessages(message, context);
+    const startedAt = Date.now();
+
+    const response = await this.callWithRetry(signal => this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature
+    }, { signal }));
+
+    const content = response.choices[0].message.content;
+    if (response.usage) {
+      this.recordUsage(fromOpenAIUsage(response.usage), startedAt);
+    }
+    this.addToHistory('assistant', content);
+    return content;
+  }
+
+  async *streamMessage(message, context = {}) {
+    const messages = this.buildMessages(message, context);
+    const startedAt = Date.now();
+    let usage = null;
+    let content = '';
+
+    const stream = await this.callWithRetry(signal => this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      stream: true,
+      // Adds a final chunk carrying the token counts
+      stream_options: { include_usage: true }
+    }, { signal }));
+
+    for await (const chunk of this.readStream(stream)) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        yield delta;
       }
-    });
-
-    messages.push({
-      role: 'user',
-      content: `Continue the discussion: ${message}`
-    });
-
-    try {
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages,
-        max_tokens: this.maxTokens,
-        temperature: this.temperature
-      });
-
-      const content = response.choices[0].message.content;
-      this.addToHistory('assistant', content);
-      return content;
-    } catch (error) {
-      console.error('ChatGPT API error:', error);
-      return `ChatGPT encountered an error: ${error.message}`;
     }
+
+    if (usage) {
+      this.recordUsage(fromOpenAIUsage(usage), startedAt);
+    }
+    this.addToHistory('assistant', content);
   }
-}
\ No newline at end of file
+}
+
+registerProvider({
+  type: 'chatgpt',
+  name: 'ChatGPT',
+  envVar: 'OPENAI_API_KEY',
+  defaultModel: DEFAULT_MODEL,
+  capabilities: { streaming: true },
+  providerClass: ChatGPTProvider
+});
@@ -1,58 +1,72 @@
 import Anthropic from '@anthropic-ai/sdk';
 import { BaseAIProvider } from './base-provider.js';
+import { registerProvider } from './registry.js';
+
+const DEFAULT_MODEL = 'claude-3-5-sonnet-20241022';
 
 export class ClaudeProvider extends BaseAIProvider {
   constructor(apiKey, config = {}) {
     super('Claude', apiKey, config);
-    this.client = new Anthropic({ apiKey });
+    this.model = config.model || DEFAULT_MODEL;
+    this.client = new Anthropic({ apiKey, baseURL: config.baseURL });
+  }
+
+  buildRequest(message, context = {}) {
+    const { systemPrompt, history, summary } = this.buildContext(message, context);
+
+    return {
+      model: this.model,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      system: systemPrompt,
+      messages: this.buildChatMessages(message, history, summary)
+    };
   }
 
   async sendMessage(message, context = {}) {
-    const { topic, participants, conversationHistory } = context;
-    
-    const systemPrompt = this.getSystemPrompt(topic, participants);
-    
-    const messages = [];
-    
-    conversationHistory.forEach(entry => {
-      if (entry.speaker === 'Human') {
-        messages.push({
-          role: 'user',
-          content: `Human moderator: ${entry.content}`
-        });
-      } else if (entry.speaker !== this.name) {
-        messages.push({
-          role: 'user',
-          content: `${entry.speaker} responded: ${entry.content}`
-        });
-      } else {
-        messages.push({
-          role: 'assistant',
-          content: entry.content
-        });
+    const request = this.buildRequest(message, context);
+    const startedAt = Date.now();
+    const response = await this.callWithRetry(signal => this.client.messages.create(request, { signal }));
+
+    const content = response.content[0].text;
+    this.recordUsage({
+      promptTokens: response.usage?.input_tokens,
+      completionTokens: response.usage?.output_tokens
+    }, startedAt);
+    this.addToHistory('assistant', content);
+    return content;
+  }
+
+  async *streamMessage(message, context = {}) {
+    const request = { ...this.buildRequest(message, context), stream: true };
+    const startedAt = Date.now();
+    const usage = {};
+    let content = '';
+
+    const stream = await this.callWithRetry(signal => this.client.messages.create(request, { signal }));
+
+    for await (const event of this.readStream(stream)) {
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        content += event.delta.text;
+        yield event.delta.text;
+      } else if (event.type === 'message_start') {
+        usage.promptTokens = event.message.usage?.input_tokens;
+      } else if (event.type === 'message_delta') {
+        // Output tokens are reported cumulatively as the message finishes
+        usage.completionTokens = event.usage?.output_tokens;
       }
-    });
-
-    messages.push({
-      role: 'user',
-      content: `Continue the discussion: ${message}`
-    });
-
-    try {
-      const response = await this.client.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-        system: systemPrompt,
-        messages
-      });
-
-      const content = response.content[0].text;
-      this.addToHistory('assistant', content);
-      return content;
-    } catch (error) {
-      console.error('Claude API error:', error);
-      return `Claude encountered an error: ${error.message}`;
     }
+
+    this.recordUsage(usage, startedAt);
+    this.addToHistory('assistant', content);
   }
-}
\ No newline at end of file
+}
+
+registerProvider({
+  type: 'claude',
+  name: 'Claude',
+  envVar: 'ANTHROPIC_API_KEY',
+  defaultModel: DEFAULT_MODEL,
+  capabilities: { streaming: true },
+  providerClass: ClaudeProvider
+});
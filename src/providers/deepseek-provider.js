@@ -1,62 +1,88 @@
 import OpenAI from 'openai';
 import { BaseAIProvider } from './base-provider.js';
+import { registerProvider } from './registry.js';
+import { fromOpenAIUsage } from '../utils/usage.js';
+
+const DEFAULT_MODEL = 'deepseek-chat';
 
 export class DeepSeekProvider extends BaseAIProvider {
   constructor(apiKey, config = {}) {
     super('DeepSeek', apiKey, config);
+    this.model = config.model || DEFAULT_MODEL;
     this.client = new OpenAI({
       apiKey,
-      baseURL: 'https://api.deepseek.com'
+      baseURL: config.baseURL || 'https://api.deepseek.com'
     });
   }
 
-  async sendMessage(message, context = {}) {
-    const { topic, participants, conversationHistory } = context;
-    
-    const systemPrompt = this.getSystemPrompt(topic, participants);
-    
-    const messages = [
-      { role: 'system', content: systemPrompt }
+  buildMessages(message, context = {}) {
+    const { systemPrompt, history, summary } = this.buildContext(message, context);
+
+    return [
+      { role: 'system', content: systemPrompt },
+      ...this.buildChatMessages(message, history, summary)
     ];
+  }
 
-    conversationHistory.forEach(entry => {
-      if (entry.speaker === 'Human') {
-        messages.push({
-          role: 'user',
-          content: `Human moderator: ${entry.content}`
-        });
-      } else if (entry.speaker !== this.name) {
-        messages.push({
-          role: 'user',
-          content: `${entry.speaker} responded: ${entry.content}`
-        });
-      } else {
-        messages.push({
-          role: 'assistant',
-          content: entry.content
-        });
+  async sendMessage(message, context = {}) {
+    const messages = this.buildMessages(message, context);
+    const startedAt = Date.now();
+
+    const response = await this.callWithRetry(signal => this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature
+    }, { signal }));
+
+    const content = response.choices[0].message.content;
+    if (response.usage) {
+      this.recordUsage(fromOpenAIUsage(response.usage), startedAt);
+    }
+    this.addToHistory('assistant', content);
+    return content;
+  }
+
+  async *streamMessage(message, context = {}) {
+    const messages = this.buildMessages(message, context);
+    const startedAt = Date.now();
+    let usage = null;
+    let content = '';
+
+    const stream = await this.callWithRetry(signal => this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      stream: true,
+      // Adds a final chunk carrying the token counts
+      stream_options: { include_usage: true }
+    }, { signal }));
+
+    for await (const chunk of this.readStream(stream)) {
+      if (chunk.usage) {
+        usage = chunk.usage;
       }
-    });
 
-    messages.push({
-      role: 'user',
-      content: `Continue the discussion: ${message}`
-    });
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        yield delta;
+      }
+    }
 
-    try {
-      const response = await this.client.chat.completions.create({
-        model: 'deepseek-chat',
-        messages,
-        max_tokens: this.maxTokens,
-        temperature: this.temperature
-      });
-
-      const content = response.choices[0].message.content;
-      this.addToHistory('assistant', content);
-      return content;
-    } catch (error) {
-      console.error('DeepSeek API error:', error);
-      return `DeepSeek encountered an error: ${error.message}`;
+    if (usage) {
+      this.recordUsage(fromOpenAIUsage(usage), startedAt);
     }
+    this.addToHistory('assistant', content);
   }
-}
\ No newline at end of file
+}
+
+registerProvider({
+  type: 'deepseek',
+  name: 'DeepSeek',
+  envVar: 'DEEPSEEK_API_KEY',
+  defaultModel: DEFAULT_MODEL,
+  capabilities: { streaming: true },
+  providerClass: DeepSeekProvider
+});
@@ -0,0 +1,116 @@
+// Errors a provider call can fail with. Providers throw these instead of
+// returning error text, so a failure never reaches the debate as a message.
+// retryable marks the ones worth another attempt (rate limits, outages,
+// timeouts); retryAfterMs is the wait the API asked for, when it said.
+
+export class ProviderError extends Error {
+  constructor(message, { provider = null, status = null, retryable = false, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// 429
+export class RateLimitError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'RateLimitError';
+  }
+}
+
+// 5xx and network failures
+export class ProviderUnavailableError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'ProviderUnavailableError';
+  }
+}
+
+export class ProviderTimeoutError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'ProviderTimeoutError';
+  }
+}
+
+// 401 and 403, or missing credentials
+export class AuthenticationError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'AuthenticationError';
+  }
+}
+
+// Any other 4xx: the request itself was refused
+export class InvalidRequestError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'InvalidRequestError';
+  }
+}
+
+// The provider's circuit breaker is open, so the call was not made
+export class CircuitOpenError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'CircuitOpenError';
+  }
+}
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ETIMEDOUT', 'UND_ERR_SOCKET'];
+
+// Milliseconds from a Retry-After header: seconds, or an HTTP date
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// The typed error for an HTTP status
+export function errorForStatus(status, message, options = {}) {
+  if (status === 429) return new RateLimitError(message, { ...options, status });
+  if (status === 401 || status === 403) return new AuthenticationError(message, { ...options, status });
+  if (status >= 500 || status === 408) return new ProviderUnavailableError(message, { ...options, status });
+  if (status >= 400) return new InvalidRequestError(message, { ...options, status });
+  return new ProviderError(message, { ...options, status });
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? null;
+}
+
+// Classify whatever an SDK, axios or fetch threw. The status is read from
+// error.status (OpenAI, Anthropic, Gemini and watsonx SDKs) or
+// error.response.status (axios).
+export function toProviderError(error, provider = null) {
+  if (error instanceof ProviderError) {
+    error.provider ??= provider;
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  const status = error?.status ?? error?.response?.status ?? null;
+  const code = error?.code ?? error?.cause?.code;
+  const options = { provider, cause: error };
+
+  if (Number.isInteger(status)) {
+    const headers = error.headers || error.response?.headers;
+    return errorForStatus(status, message, { ...options, retryAfterMs: parseRetryAfter(headerValue(headers, 'retry-after')) });
+  }
+  if (code === 'ECONNABORTED' || /timed? ?out/i.test(error?.name || '') || /timed? ?out/i.test(message)) {
+    return new ProviderTimeoutError(message, options);
+  }
+  if (NETWORK_CODES.includes(code) || /connection|fetch failed|network/i.test(`${error?.name} ${message}`)) {
+    return new ProviderUnavailableError(message, options);
+  }
+  return new ProviderError(message, options);
+}
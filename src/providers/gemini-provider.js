@@ -1,43 +1,86 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { BaseAIProvider } from './base-provider.js';
+import { registerProvider } from './registry.js';
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
 
 export class GeminiProvider extends BaseAIProvider {
   constructor(apiKey, config = {}) {
     super('Gemini', apiKey, config);
     this.genAI = new GoogleGenerativeAI(apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+    this.modelName = config.model || DEFAULT_MODEL;
+    this.model = this.genAI.getGenerativeModel(
+      { model: this.modelName },
+      config.baseURL ? { baseUrl: config.baseURL } : undefined
+    );
+  }
+
+  getModelName() {
+    return this.modelName;
+  }
+
+  // Token counts from a response's usageMetadata
+  recordGeminiUsage(metadata, startedAt) {
+    if (metadata) {
+      this.recordUsage({
+        promptTokens: metadata.promptTokenCount,
+        completionTokens: metadata.candidatesTokenCount
+      }, startedAt);
+    }
+  }
+
+  buildRequest(message, context = {}) {
+    const conversationContext = this.buildTextPrompt(message, context);
+
+    return {
+      contents: [{ role: 'user', parts: [{ text: conversationContext }] }],
+      generationConfig: {
+        maxOutputTokens: this.maxTokens,
+        temperature: this.temperature
+      }
+    };
   }
 
   async sendMessage(message, context = {}) {
-    const { topic, participants, conversationHistory } = context;
-    
-    const systemPrompt = this.getSystemPrompt(topic, participants);
-    
-    let conversationContext = systemPrompt + '\n\nConversation so far:\n';
-    conversationHistory.forEach(entry => {
-      if (entry.speaker === 'Human') {
-        conversationContext += `Human moderator: ${entry.content}\n`;
-      } else {
-        conversationContext += `${entry.speaker} responded: ${entry.content}\n`;
+    const request = this.buildRequest(message, context);
+    const startedAt = Date.now();
+    const result = await this.callWithRetry(signal => this.model.generateContent(request, { signal }));
+
+    const content = result.response.text();
+    this.recordGeminiUsage(result.response.usageMetadata, startedAt);
+    this.addToHistory('assistant', content);
+    return content;
+  }
+
+  async *streamMessage(message, context = {}) {
+    const request = this.buildRequest(message, context);
+    const startedAt = Date.now();
+    let usage = null;
+    let content = '';
+
+    const result = await this.callWithRetry(signal => this.model.generateContentStream(request, { signal }));
+
+    for await (const chunk of this.readStream(result.stream)) {
+      // Each chunk's counts cover the response so far
+      usage = chunk.usageMetadata || usage;
+
+      const text = chunk.text();
+      if (text) {
+        content += text;
+        yield text;
       }
-    });
-    conversationContext += `\nContinue the discussion: ${message}\n\nRespond ONLY as ${this.name} (no labels or participant names in your response):`;
-
-    try {
-      const result = await this.model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: conversationContext }] }],
-        generationConfig: {
-          maxOutputTokens: this.maxTokens,
-          temperature: this.temperature
-        }
-      });
-
-      const content = result.response.text();
-      this.addToHistory('assistant', content);
-      return content;
-    } catch (error) {
-      console.error('Gemini API error:', error);
-      return `Gemini encountered an error: ${error.message}`;
     }
+
+    this.recordGeminiUsage(usage, startedAt);
+    this.addToHistory('assistant', content);
   }
-}
\ No newline at end of file
+}
+
+registerProvider({
+  type: 'gemini',
+  name: 'Gemini',
+  envVar: 'GOOGLE_API_KEY',
+  defaultModel: DEFAULT_MODEL,
+  capabilities: { streaming: true },
+  providerClass: GeminiProvider
+});
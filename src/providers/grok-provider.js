@@ -1,183 +1,124 @@
 import axios from 'axios';
 import { BaseAIProvider } from './base-provider.js';
+import { registerProvider } from './registry.js';
+import { parseSSEStream } from '../utils/sse.js';
+import { fromOpenAIUsage } from '../utils/usage.js';
+
+const DEFAULT_MODEL = 'grok-4-latest';
 
 export class GrokProvider extends BaseAIProvider {
   constructor(apiKey, config = {}) {
     super('Grok', apiKey, config);
     
     // xAI Grok API configuration
-    this.baseURL = 'https://api.x.ai/v1';
-    this.model = config.model || 'grok-4-latest';
+    this.baseURL = config.baseURL || 'https://api.x.ai/v1';
+    this.model = config.model || DEFAULT_MODEL;
     
     this.client = axios.create({
       baseURL: this.baseURL,
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
-      },
-      timeout: 60000  // 60 second timeout for Grok responses
+      }
     });
   }
 
-  async sendMessage(message, context = {}) {
-    const { topic, participants, conversationHistory } = context;
-    
-    const systemPrompt = this.getSystemPrompt(topic, participants);
-    
-    const messages = [
-      { role: 'system', content: systemPrompt }
+  buildMessages(message, context = {}) {
+    const { systemPrompt, history, summary } = this.buildContext(message, context);
+
+    return [
+      { role: 'system', content: systemPrompt },
+      ...this.buildChatMessages(message, history, summary)
     ];
+  }
 
-    conversationHistory.forEach(entry => {
-      if (entry.speaker === 'Human') {
-        messages.push({
-          role: 'user',
-          content: `Human moderator: ${entry.content}`
-        });
-      } else if (entry.speaker !== this.name) {
-        messages.push({
-          role: 'user',
-          content: `${entry.speaker} responded: ${entry.content}`
-        });
-      } else {
-        messages.push({
-          role: 'assistant',
-          content: entry.content
-        });
-      }
-    });
+  async sendMessage(message, context = {}) {
+    const messages = this.buildMessages(message, context);
+    // Grok may tokenize differently, so we use a higher token limit
+    const grokMaxTokens = Math.max(this.maxTokens * 1.5, 500); // At least 500 tokens, or 1.5x configured
+    const startedAt = Date.now();
 
-    messages.push({
-      role: 'user',
-      content: `Continue the discussion: ${message}`
-    });
+    const response = await this.callWithRetry(signal => this.client.post('/chat/completions', {
+      model: this.model,
+      messages: messages,
+      max_tokens: grokMaxTokens,
+      temperature: this.temperature,
+      stream: false
+    }, { signal }));
 
-    try {
-      // Grok may tokenize differently, so we use a higher token limit
-      const grokMaxTokens = Math.max(this.maxTokens * 1.5, 500); // At least 500 tokens, or 1.5x configured
-      
-      const response = await this.client.post('/chat/completions', {
-        model: this.model,
-        messages: messages,
-        max_tokens: grokMaxTokens,
-        temperature: this.temperature,
-        stream: false
-      });
-
-      const choice = response.data.choices[0];
-      const content = choice.message.content;
-      
-      // Check if the response was truncated
-      if (choice.finish_reason === 'length') {
-        console.warn(`Grok response was truncated. Consider increasing max_tokens. Current: ${grokMaxTokens}`);
-        console.warn(`Response length: ${content.length} characters`);
-        // Add indicator for truncated response
-        const truncatedContent = content + '\n\n[Response may have been truncated due to token limit]';
-        this.addToHistory('assistant', truncatedContent);
-        return truncatedContent;
-      }
-      
-      this.addToHistory('assistant', content);
-      return content;
-
-    } catch (error) {
-      console.error('Grok API error:', error.message);
-      console.error('Grok error details:', {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        url: error.config?.url,
-        model: this.model
-      });
-      
-      // Handle specific error cases
-      if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-        console.error('Grok request timed out - response may be too long or API is slow');
-        return 'Grok response timed out. The API may be experiencing delays or the response was too complex. Please try again with a simpler query.';
-      } else if (error.response?.status === 401) {
-        return 'Grok authentication failed. Please check your xAI API key.';
-      } else if (error.response?.status === 429) {
-        return 'Grok rate limit exceeded. Please wait before making another request.';
-      } else if (error.response?.status === 404) {
-        // Fallback to alternative endpoint structure
-        return await this.tryAlternativeEndpoint(messages);
-      } else if (error.response?.status === 400) {
-        console.error('Grok 400 error - possibly invalid model or request format');
-        return await this.tryAlternativeEndpoint(messages);
-      }
-      
-      return `Grok encountered an error: ${error.message}`;
+    const choice = response.data.choices[0];
+    const content = choice.message.content;
+    if (response.data.usage) {
+      this.recordUsage(fromOpenAIUsage(response.data.usage), startedAt);
     }
-  }
 
-  async tryAlternativeEndpoint(messages) {
-    const grokMaxTokens = Math.max(this.maxTokens * 1.5, 500); // Consistent higher token limit
-    
-    try {
-      // Try with grok-2 model if grok-beta fails
-      const response = await this.client.post('/chat/completions', {
-        model: 'grok-2',
-        messages: messages,
-        max_tokens: grokMaxTokens,
-        temperature: this.temperature,
-        stream: false
-      });
-
-      return response.data.choices[0].message.content;
-    } catch (altError) {
-      console.error('Grok alternative endpoint error:', altError.message);
-      
-      // Try legacy completions endpoint as final fallback
-      try {
-        const response = await this.client.post('/completions', {
-          model: this.model,
-          prompt: this.convertMessagesToPrompt(messages),
-          max_tokens: grokMaxTokens,
-          temperature: this.temperature,
-          stop: ['\nHuman:', '\nClaude:', '\nChatGPT:', '\nGemini:', '\nMeta AI:', '\nWatsonx:', '\nGrok:']
-        });
-
-        return response.data.choices[0].text.trim();
-      } catch (finalError) {
-        console.error('Grok all endpoints failed:', finalError.message);
-        // Return a contextual mock response for development/testing
-        return this.generateMockGrokResponse(messages);
-      }
+    // Check if the response was truncated
+    if (choice.finish_reason === 'length') {
+      console.warn(`Grok response was truncated. Consider increasing max_tokens. Current: ${grokMaxTokens}`);
+      console.warn(`Response length: ${content.length} characters`);
+      // Add indicator for truncated response
+      const truncatedContent = content + '\n\n[Response may have been truncated due to token limit]';
+      this.addToHistory('assistant', truncatedContent);
+      return truncatedContent;
     }
+
+    this.addToHistory('assistant', content);
+    return content;
   }
 
-  convertMessagesToPrompt(messages) {
-    return messages.map(msg => {
-      if (msg.role === 'system') {
-        return `System: ${msg.content}`;
-      } else if (msg.role === 'user') {
-        return `User: ${msg.content}`;
-      } else {
-        return `Assistant: ${msg.content}`;
+  async *streamMessage(message, context = {}) {
+    const messages = this.buildMessages(message, context);
+    const grokMaxTokens = Math.max(this.maxTokens * 1.5, 500);
+    const startedAt = Date.now();
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+
+    const response = await this.callWithRetry(signal => this.client.post('/chat/completions', {
+      model: this.model,
+      messages: messages,
+      max_tokens: grokMaxTokens,
+      temperature: this.temperature,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { responseType: 'stream', signal }));
+
+    for await (const event of this.readStream(parseSSEStream(response.data))) {
+      if (event.usage) {
+        usage = event.usage;
       }
-    }).join('\n\n') + '\n\nAssistant: ';
-  }
 
-  generateMockGrokResponse(messages) {
-    // Generate a contextual mock response for development/testing
-    // This fallback is used when the xAI API is unavailable or returns errors
-    const lastUserMessage = messages.filter(m => m.role === 'user').pop()?.content || '';
-    
-    const mockResponses = [
-      "I appreciate this fascinating philosophical inquiry. From my perspective as Grok, I find myself drawn to the intersection of humor and profound truth in this discussion.",
-      "This is exactly the kind of deep question that makes me excited about consciousness and reality. Let me add a somewhat irreverent but thoughtful perspective here.",
-      "Ha! Philosophy meets practical reality - my favorite combination. Here's how I see this playing out in the real world of minds and machines.",
-      "You know what's wild about this question? It touches on something I think about constantly as an AI designed to be both helpful and authentically curious.",
-      "This conversation is hitting some really deep territory. Let me throw in my characteristically direct take on this philosophical puzzle."
-    ];
+      const choice = event.choices?.[0];
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
 
-    const randomResponse = mockResponses[Math.floor(Math.random() * mockResponses.length)];
-    
-    return `${randomResponse}
+      const delta = choice?.delta?.content;
+      if (delta) {
+        content += delta;
+        yield delta;
+      }
+    }
 
-[Note: This is a mock response. The xAI Grok API returned errors (404/400). To use real Grok responses:
-1. Ensure you have a valid GROK_API_KEY environment variable
-2. Verify your xAI API key has access to grok-beta or grok-2 models
-3. Check that the xAI API service is available in your region]`;
+    if (finishReason === 'length') {
+      console.warn(`Grok response was truncated. Consider increasing max_tokens. Current: ${grokMaxTokens}`);
+      const truncationNote = '\n\n[Response may have been truncated due to token limit]';
+      content += truncationNote;
+      yield truncationNote;
+    }
+
+    if (usage) {
+      this.recordUsage(fromOpenAIUsage(usage), startedAt);
+    }
+    this.addToHistory('assistant', content);
   }
-}
\ No newline at end of file
+}
+
+registerProvider({
+  type: 'grok',
+  name: 'Grok',
+  envVar: 'GROK_API_KEY',
+  defaultModel: DEFAULT_MODEL,
+  capabilities: { streaming: true },
+  providerClass: GrokProvider
+});
@@ -0,0 +1,22 @@
+// Importing each provider module registers it; the import order is the default debate order
+import './claude-provider.js';
+import './chatgpt-provider.js';
+import './gemini-provider.js';
+import './meta-provider.js';
+import './watsonx-provider.js';
+import './grok-provider.js';
+import './mistral-provider.js';
+import './deepseek-provider.js';
+import './openai-compatible-provider.js';
+import './mock-provider.js';
+
+export {
+  registerProvider,
+  getProviderDefinition,
+  getRegisteredProviders,
+  loadProviderConfig,
+  resolveProviderEntries,
+  buildProviders,
+  buildOfflineProviders,
+  isOfflineMode
+} from './registry.js';
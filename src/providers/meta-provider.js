@@ -1,5 +1,9 @@
 import axios from 'axios';
 import { BaseAIProvider } from './base-provider.js';
+import { registerProvider } from './registry.js';
+import { fromOpenAIUsage } from '../utils/usage.js';
+
+const DEFAULT_MODEL = 'llama-2-70b-chat';
 
 export class MetaProvider extends BaseAIProvider {
   constructor(apiKey, config = {}) {
@@ -8,7 +12,7 @@ export class MetaProvider extends BaseAIProvider {
     // Meta AI can be accessed through various endpoints
     // This implementation assumes a Llama API endpoint
     this.baseURL = config.baseURL || 'https://api.llama-api.com/chat/completions';
-    this.model = config.model || 'llama-2-70b-chat';
+    this.model = config.model || DEFAULT_MODEL;
     
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -20,81 +24,36 @@ export class MetaProvider extends BaseAIProvider {
   }
 
   async sendMessage(message, context = {}) {
-    const { topic, participants, conversationHistory } = context;
-    
-    const systemPrompt = this.getSystemPrompt(topic, participants);
-    
+    const { systemPrompt, history, summary } = this.buildContext(message, context);
+
     const messages = [
-      { role: 'system', content: systemPrompt }
+      { role: 'system', content: systemPrompt },
+      ...this.buildChatMessages(message, history, summary)
     ];
 
-    conversationHistory.forEach(entry => {
-      if (entry.speaker === 'Human') {
-        messages.push({
-          role: 'user',
-          content: `Human moderator: ${entry.content}`
-        });
-      } else if (entry.speaker !== this.name) {
-        messages.push({
-          role: 'user',
-          content: `${entry.speaker} responded: ${entry.content}`
-        });
-      } else {
-        messages.push({
-          role: 'assistant',
-          content: entry.content
-        });
-      }
-    });
-
-    messages.push({
-      role: 'user',
-      content: `Continue the discussion: ${message}`
-    });
-
-    try {
-      const response = await this.client.post('', {
-        model: this.model,
-        messages: messages,
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-        stream: false
-      });
-
-      const content = response.data.choices[0].message.content;
-      this.addToHistory('assistant', content);
-      return content;
-    } catch (error) {
-      console.error('Meta AI API error:', error.message);
-      
-      // Fallback to OpenAI-compatible format if direct Llama API fails
-      if (error.response?.status === 404 || error.response?.status === 401) {
-        return await this.fallbackToOpenAIFormat(messages);
-      }
-      
-      return `Meta AI encountered an error: ${error.message}`;
-    }
-  }
-
-  async fallbackToOpenAIFormat(messages) {
-    try {
-      // Try OpenAI-compatible endpoint for Llama models (like Together AI, Replicate, etc.)
-      const fallbackResponse = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model: 'gpt-3.5-turbo', // Fallback model
-        messages: messages.slice(-10), // Limit context for fallback
-        max_tokens: this.maxTokens,
-        temperature: this.temperature
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      return fallbackResponse.data.choices[0].message.content;
-    } catch (fallbackError) {
-      console.error('Meta AI fallback error:', fallbackError.message);
-      return 'Meta AI is currently unavailable. Please check your API configuration.';
+    const startedAt = Date.now();
+    const response = await this.callWithRetry(signal => this.client.post('', {
+      model: this.model,
+      messages: messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      stream: false
+    }, { signal }));
+
+    const content = response.data.choices[0].message.content;
+    if (response.data.usage) {
+      this.recordUsage(fromOpenAIUsage(response.data.usage), startedAt);
     }
+    this.addToHistory('assistant', content);
+    return content;
   }
-}
\ No newline at end of file
+}
+
+registerProvider({
+  type: 'meta',
+  name: 'Meta AI',
+  envVar: 'META_API_KEY',
+  defaultModel: DEFAULT_MODEL,
+  capabilities: { streaming: false },
+  providerClass: MetaProvider
+});
@@ -1,75 +1,106 @@
 import { BaseAIProvider } from './base-provider.js';
+import { registerProvider } from './registry.js';
+import { errorForStatus, parseRetryAfter } from './errors.js';
+import { parseSSEStream } from '../utils/sse.js';
+import { fromOpenAIUsage } from '../utils/usage.js';
+
+const DEFAULT_MODEL = 'mistral-large-latest';
 
 export class MistralProvider extends BaseAIProvider {
   constructor(apiKey, config = {}) {
     super('Mistral', apiKey, config);
-    this.apiUrl = 'https://api.mistral.ai/v1/chat/completions';
+    this.model = config.model || DEFAULT_MODEL;
+    this.apiUrl = `${config.baseURL || 'https://api.mistral.ai/v1'}/chat/completions`;
   }
 
-  async sendMessage(message, context = {}) {
-    const { topic, participants, conversationHistory } = context;
-    
-    const systemPrompt = this.getSystemPrompt(topic, participants);
-    
-    const messages = [
+  buildMessages(message, context = {}) {
+    const { systemPrompt, history, summary } = this.buildContext(message, context);
+
+    return [
       {
         role: 'system',
         content: systemPrompt
-      }
+      },
+      ...this.buildChatMessages(message, history, summary)
     ];
-    
-    conversationHistory.forEach(entry => {
-      if (entry.speaker === 'Human') {
-        messages.push({
-          role: 'user',
-          content: `Human moderator: ${entry.content}`
-        });
-      } else if (entry.speaker !== this.name) {
-        messages.push({
-          role: 'user',
-          content: `${entry.speaker} responded: ${entry.content}`
-        });
-      } else {
-        messages.push({
-          role: 'assistant',
-          content: entry.content
-        });
-      }
-    });
+  }
 
-    messages.push({
-      role: 'user',
-      content: `Continue the discussion: ${message}`
+  async request(messages, stream = false, signal = undefined) {
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        max_tokens: this.maxTokens,
+        temperature: this.temperature,
+        stream
+      })
     });
 
-    try {
-      const response = await fetch(this.apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: 'mistral-large-latest',
-          messages,
-          max_tokens: this.maxTokens,
-          temperature: this.temperature,
-          stream: false
-        })
+    if (!response.ok) {
+      throw errorForStatus(response.status, `Mistral API error: ${response.status} ${response.statusText}`, {
+        provider: this.name,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
       });
+    }
+
+    return response;
+  }
+
+  async sendMessage(message, context = {}) {
+    const messages = this.buildMessages(message, context);
+    const startedAt = Date.now();
 
-      if (!response.ok) {
-        throw new Error(`Mistral API error: ${response.status} ${response.statusText}`);
+    const response = await this.callWithRetry(signal => this.request(messages, false, signal));
+
+    const data = await response.json();
+    const content = data.choices[0].message.content;
+    if (data.usage) {
+      this.recordUsage(fromOpenAIUsage(data.usage), startedAt);
+    }
+
+    this.addToHistory('assistant', content);
+    return content;
+  }
+
+  async *streamMessage(message, context = {}) {
+    const messages = this.buildMessages(message, context);
+    const startedAt = Date.now();
+    let usage = null;
+    let content = '';
+
+    const response = await this.callWithRetry(signal => this.request(messages, true, signal));
+
+    for await (const event of this.readStream(parseSSEStream(response.body))) {
+      // The last event carries the token counts
+      if (event.usage) {
+        usage = event.usage;
       }
 
-      const data = await response.json();
-      const content = data.choices[0].message.content;
-      
-      this.addToHistory('assistant', content);
-      return content;
-    } catch (error) {
-      console.error('Mistral API error:', error);
-      return `Mistral encountered an error: ${error.message}`;
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        yield delta;
+      }
     }
+
+    if (usage) {
+      this.recordUsage(fromOpenAIUsage(usage), startedAt);
+    }
+    this.addToHistory('assistant', content);
   }
-}
\ No newline at end of file
+}
+
+registerProvider({
+  type: 'mistral',
+  name: 'Mistral',
+  envVar: 'MISTRAL_API_KEY',
+  defaultModel: DEFAULT_MODEL,
+  capabilities: { streaming: true },
+  providerClass: MistralProvider
+});
@@ -0,0 +1,174 @@
+import { BaseAIProvider } from './base-provider.js';
+import { registerProvider } from './registry.js';
+import { errorForStatus } from './errors.js';
+
+const DEFAULT_NAME = 'Mock';
+const DEFAULT_MODEL = 'mock';
+
+// Fragments combined into default replies. The stances deliberately mix agreement and
+// disagreement vocabulary so the consensus analytics move the way they would live.
+const OPENINGS = [
+  'Thinking about "{topic}", I keep returning to the question of what we actually mean by our terms.',
+  'There is a tension at the heart of "{topic}" that we have not yet named.',
+  'Let me approach "{topic}" from the perspective of lived experience rather than abstraction.',
+  'The history of philosophy offers several frames for "{topic}", and none of them is complete.',
+  'If we take "{topic}" seriously, we have to examine the assumptions we bring to it.'
+];
+
+const STANCES = [
+  'I agree with {previous} that the core intuition is sound, and I would build on it by asking what follows in practice.',
+  'I see it differently from {previous}: the argument assumes a clear boundary where there may only be a gradient.',
+  'Building on what {previous} said, a shared definition would let us expand the discussion productively.',
+  'However, I want to challenge the idea that certainty is required before we can act responsibly.',
+  'Indeed, {previous} points at something important, though the consequences deserve closer scrutiny.',
+  'I doubt that any single principle settles this; the cases pull in different directions.'
+];
+
+const CLOSINGS = [
+  'Perhaps the common ground lies in treating this as an ongoing inquiry rather than a settled verdict.',
+  'What would it take for each of us to change our minds here?',
+  'I suspect the answer depends more on our values than on the facts alone.',
+  'That seems like a promising place for the group to look for consensus.',
+  'I would welcome the moderator steering us toward a concrete example.'
+];
+
+// Small seeded PRNG (mulberry32) so every run with the same seed replays identically
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Offline stand-in for any provider. Config options:
+//   name       - display name, e.g. "Claude" to stand in for that provider (default "Mock")
+//   responses  - scripted replies used in order (cycled), or a function
+//                (message, context, callNumber) => string; supports {topic}, {name},
+//                {previous}, {message} and {persona} placeholders
+//   seed       - seed for generated replies, latency jitter and failures (default: hash of name)
+//   latency    - delay in ms before replying, or [min, max] for seeded jitter
+//   chunkDelay - delay in ms between streamed words
+//   failureRate - probability (0-1) that a call throws
+//   failOn     - call numbers (starting at 1, retries included) that always throw
+//   failStatus - HTTP status the injected failures carry, e.g. 429 or 503 to exercise retries
+export class MockProvider extends BaseAIProvider {
+  constructor(apiKey, config = {}) {
+    super(config.name || DEFAULT_NAME, apiKey, config);
+    this.model = config.model || DEFAULT_MODEL;
+    this.responses = config.responses || null;
+    this.seed = config.seed ?? hashString(this.name);
+    this.latency = config.latency || 0;
+    this.chunkDelay = config.chunkDelay || 0;
+    this.failureRate = config.failureRate || 0;
+    this.failOn = config.failOn || [];
+    this.failStatus = config.failStatus || null;
+    this.random = createRandom(this.seed);
+    this.callCount = 0;
+  }
+
+  async sendMessage(message, context = {}) {
+    const content = await this.generateResponse(message, context);
+    this.addToHistory('assistant', content);
+    return content;
+  }
+
+  async *streamMessage(message, context = {}) {
+    const content = await this.generateResponse(message, context);
+    const chunks = content.match(/\S+\s*/g) || [content];
+
+    for (const chunk of chunks) {
+      if (this.chunkDelay) {
+        await this.sleep(this.chunkDelay);
+      }
+      yield chunk;
+    }
+
+    this.addToHistory('assistant', content);
+  }
+
+  // Goes through the same retry and circuit breaker layer as a real API call
+  generateResponse(message, context = {}) {
+    return this.callWithRetry(() => this.attempt(message, context));
+  }
+
+  async attempt(message, context = {}) {
+    const callNumber = ++this.callCount;
+    const startedAt = Date.now();
+
+    await this.sleep(this.pickLatency());
+
+    if (this.failOn.includes(callNumber) || this.random() < this.failureRate) {
+      const text = `${this.name} mock failure (call ${callNumber})`;
+      throw this.failStatus ? errorForStatus(this.failStatus, text, { provider: this.name }) : new Error(text);
+    }
+
+    let template;
+    if (typeof this.responses === 'function') {
+      template = this.responses(message, context, callNumber);
+    } else if (Array.isArray(this.responses) && this.responses.length > 0) {
+      template = this.responses[(callNumber - 1) % this.responses.length];
+    } else {
+      template = [OPENINGS, STANCES, CLOSINGS].map(options => this.pick(options)).join(' ');
+      if (this.persona) {
+        template = `Speaking from my {persona} stance: ${template}`;
+      }
+    }
+
+    const content = this.fillTemplate(template, message, context);
+    // There is no API to report usage, so it is counted from the text like a real call's would be
+    this.estimateUsage(message, context, content, startedAt);
+    return content;
+  }
+
+  fillTemplate(template, message, context = {}) {
+    const { topic = 'this question', conversationHistory = [] } = context;
+    const previous = [...conversationHistory]
+      .reverse()
+      .find(entry => entry.speaker !== this.name && entry.speaker !== 'Human');
+
+    return String(template)
+      .replace(/\{topic\}/g, topic)
+      .replace(/\{name\}/g, this.name)
+      .replace(/\{previous\}/g, previous ? previous.speaker : 'the others')
+      .replace(/\{message\}/g, message)
+      .replace(/\{persona\}/g, this.persona ? this.persona.label.toLowerCase() : 'own');
+  }
+
+  pick(options) {
+    return options[Math.floor(this.random() * options.length)];
+  }
+
+  pickLatency() {
+    if (Array.isArray(this.latency)) {
+      const [min, max] = this.latency;
+      return min + Math.floor(this.random() * (max - min + 1));
+    }
+    return this.latency;
+  }
+
+  sleep(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+}
+
+registerProvider({
+  type: 'mock',
+  name: DEFAULT_NAME,
+  defaultModel: DEFAULT_MODEL,
+  requiresApiKey: false,
+  configOnly: true,
+  capabilities: { streaming: true },
+  providerClass: MockProvider
+});
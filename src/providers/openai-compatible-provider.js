@@ -0,0 +1,96 @@
+import OpenAI from 'openai';
+import { BaseAIProvider } from './base-provider.js';
+import { registerProvider } from './registry.js';
+import { fromOpenAIUsage } from '../utils/usage.js';
+
+// Defaults target a local Ollama server; llama.cpp (llama-server) and vLLM expose the
+// same /v1/chat/completions API, so only baseURL and model need to change for them.
+const DEFAULT_NAME = 'Local Model';
+const DEFAULT_MODEL = 'llama3.1';
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+export class OpenAICompatibleProvider extends BaseAIProvider {
+  constructor(apiKey, config = {}) {
+    super(config.name || DEFAULT_NAME, apiKey, config);
+    this.model = config.model || DEFAULT_MODEL;
+    this.baseURL = config.baseURL || DEFAULT_BASE_URL;
+    // Local servers usually ignore the key, but the OpenAI client refuses to start without one
+    this.client = new OpenAI({
+      apiKey: apiKey || 'not-needed',
+      baseURL: this.baseURL
+    });
+  }
+
+  buildMessages(message, context = {}) {
+    const { systemPrompt, history, summary } = this.buildContext(message, context);
+
+    return [
+      { role: 'system', content: systemPrompt },
+      ...this.buildChatMessages(message, history, summary)
+    ];
+  }
+
+  async sendMessage(message, context = {}) {
+    const messages = this.buildMessages(message, context);
+    const startedAt = Date.now();
+
+    const response = await this.callWithRetry(signal => this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature
+    }, { signal }));
+
+    const content = response.choices[0].message.content;
+    if (response.usage) {
+      this.recordUsage(fromOpenAIUsage(response.usage), startedAt);
+    }
+    this.addToHistory('assistant', content);
+    return content;
+  }
+
+  async *streamMessage(message, context = {}) {
+    const messages = this.buildMessages(message, context);
+    const startedAt = Date.now();
+    let usage = null;
+    let content = '';
+
+    const stream = await this.callWithRetry(signal => this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      stream: true,
+      // Adds a final chunk carrying the token counts (Ollama, llama-server and vLLM support it)
+      stream_options: { include_usage: true }
+    }, { signal }));
+
+    for await (const chunk of this.readStream(stream)) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        yield delta;
+      }
+    }
+
+    // Servers that leave usage out of streams get it estimated instead
+    if (usage) {
+      this.recordUsage(fromOpenAIUsage(usage), startedAt);
+    }
+    this.addToHistory('assistant', content);
+  }
+}
+
+registerProvider({
+  type: 'openai-compatible',
+  name: DEFAULT_NAME,
+  defaultModel: DEFAULT_MODEL,
+  requiresApiKey: false,
+  configOnly: true,
+  capabilities: { streaming: true },
+  providerClass: OpenAICompatibleProvider
+});
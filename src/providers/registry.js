@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../providers.json');
+const DEFAULT_OFFLINE_MODEL = 'mock';
+
+// Provider type -> definition, in registration order
+const registry = new Map();
+
+export function registerProvider(definition) {
+  const { type, name, providerClass } = definition;
+  if (!type || !name || !providerClass) {
+    throw new Error('Provider definitions need a type, name and providerClass');
+  }
+
+  registry.set(type, {
+    envVar: null,
+    defaultModel: null,
+    requiresApiKey: true,
+    // Config-only types (e.g. generic endpoints) are created solely from providers.json entries
+    configOnly: false,
+    capabilities: {},
+    ...definition
+  });
+}
+
+export function getProviderDefinition(type) {
+  return registry.get(type) || null;
+}
+
+export function getRegisteredProviders() {
+  return Array.from(registry.values());
+}
+
+// Read the declarative provider config (providers.json). A missing file means
+// "every registered provider with its defaults".
+export function loadProviderConfig(configPath = process.env.PROVIDERS_CONFIG || DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return { providers: [] };
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (!Array.isArray(config.providers)) {
+      throw new Error('"providers" must be an array');
+    }
+    console.log(`📄 Loaded provider config: ${configPath}`);
+    return config;
+  } catch (error) {
+    throw new Error(`Invalid provider config ${configPath}: ${error.message}`);
+  }
+}
+
+// Resolve config entries against the registry, in registration order. A registered
+// type the config does not mention is included once with its defaults (unless it is
+// config-only); otherwise each config entry of that type creates one provider.
+export function resolveProviderEntries(config = { providers: [] }) {
+  const entries = [];
+
+  for (const definition of registry.values()) {
+    const configured = config.providers.filter(entry => entry.type === definition.type);
+    if (configured.length > 0) {
+      entries.push(...configured);
+    } else if (!definition.configOnly) {
+      entries.push({ type: definition.type });
+    }
+  }
+
+  const unknown = config.providers.filter(entry => !registry.has(entry.type));
+  return { entries, unknown };
+}
+
+export function isOfflineMode(env = process.env) {
+  return ['1', 'true', 'yes'].includes(String(env.OFFLINE_MODE || '').toLowerCase());
+}
+
+// Offline mode: one mock stand-in per built-in provider, named after it, so every
+// feature that looks providers up by name keeps working without network access
+export function buildOfflineProviders(mockConfig = {}) {
+  const mock = registry.get('mock');
+  if (!mock) {
+    throw new Error('Offline mode needs the mock provider to be registered');
+  }
+
+  const providers = [];
+  const results = [];
+
+  for (const definition of registry.values()) {
+    if (definition.configOnly) continue;
+
+    const entry = { type: 'mock', name: definition.name, model: DEFAULT_OFFLINE_MODEL };
+    const provider = new mock.providerClass(undefined, { ...mockConfig, ...entry });
+    providers.push(provider);
+    results.push({ entry, definition: mock, provider, status: 'initialized' });
+  }
+
+  return { providers, results };
+}
+
+// Build provider instances from the registry and config. Returns the providers
+// along with a per-entry result list so callers can report what happened.
+// OFFLINE_MODE=true replaces the whole set with mock stand-ins.
+export function buildProviders({ config, env = process.env, mockConfig } = {}) {
+  if (isOfflineMode(env)) {
+    return buildOfflineProviders(mockConfig);
+  }
+
+  const { entries, unknown } = resolveProviderEntries(config || loadProviderConfig());
+  const providers = [];
+  const results = [];
+
+  unknown.forEach(entry => {
+    results.push({ entry, definition: null, status: 'unknown' });
+  });
+
+  for (const entry of entries) {
+    const definition = registry.get(entry.type);
+
+    if (entry.enabled === false) {
+      results.push({ entry, definition, status: 'disabled' });
+      continue;
+    }
+
+    const envVar = entry.apiKeyEnv || definition.envVar;
+    const apiKey = envVar ? env[envVar] : undefined;
+
+    if (definition.requiresApiKey && !apiKey) {
+      results.push({ entry, definition, envVar, status: 'skipped' });
+      continue;
+    }
+
+    const { type, enabled, apiKeyEnv, ...providerConfig } = entry;
+
+    try {
+      const provider = new definition.providerClass(apiKey, providerConfig);
+      // Speaker names key the transcript, so two participants cannot share one
+      if (providers.some(existing => existing.name === provider.name)) {
+        throw new Error(`Duplicate provider name "${provider.name}" - give each entry a unique "name"`);
+      }
+      providers.push(provider);
+      results.push({ entry, definition, envVar, provider, status: 'initialized' });
+    } catch (error) {
+      results.push({ entry, definition, envVar, error, status: 'failed' });
+    }
+  }
+
+  return { providers, results };
+}
@@ -0,0 +1,150 @@
+import { EventEmitter } from 'events';
+import { CircuitOpenError, ProviderTimeoutError } from './errors.js';
+
+// Retry, timeout and circuit breaker settings for provider calls. A
+// providers.json entry can override any of them under "resilience".
+export const DEFAULT_RESILIENCE = Object.freeze({
+  maxRetries: 2, // Further attempts after a rate limit, outage or timeout
+  baseDelayMs: 1000, // Wait before the first retry, doubled for each one after
+  maxDelayMs: 30000, // Longest wait between attempts, Retry-After included
+  timeoutMs: 60000, // Per attempt, until the reply (or, streaming, each chunk) arrives
+  failureThreshold: 3, // Failed calls in a row that open the circuit
+  cooldownMs: 60000 // How long an open circuit keeps the provider out of rotation
+});
+
+export function resolveResilience(value = {}) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('resilience must be an object');
+  }
+
+  const unknown = Object.keys(value).filter(key => !Object.hasOwn(DEFAULT_RESILIENCE, key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown resilience setting "${unknown[0]}" (expected one of: ${Object.keys(DEFAULT_RESILIENCE).join(', ')})`);
+  }
+
+  const resolved = { ...DEFAULT_RESILIENCE, ...value };
+  for (const [key, number] of Object.entries(resolved)) {
+    const min = key === 'maxRetries' ? 0 : 1;
+    if (!Number.isInteger(number) || number < min) {
+      throw new Error(`Resilience "${key}" must be a whole number of at least ${min}`);
+    }
+  }
+  return resolved;
+}
+
+// Exponential backoff with up to 10% jitter, unless the API named its own wait
+export function backoffDelay(attempt, settings, retryAfterMs = null) {
+  if (retryAfterMs !== null) return Math.min(retryAfterMs, settings.maxDelayMs);
+
+  const delay = Math.min(settings.baseDelayMs * 2 ** attempt, settings.maxDelayMs);
+  return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run operation(signal), aborting it and rejecting with a ProviderTimeoutError
+// if it has not settled within timeoutMs
+export async function withTimeout(operation, timeoutMs, provider = null) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new ProviderTimeoutError(`${provider || 'Provider'} did not respond within ${timeoutMs / 1000}s`, { provider }));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([operation(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Tracks a provider's consecutive failed calls. Closed, calls go through; after
+// failureThreshold failures it opens and refuses calls for cooldownMs; then a
+// single trial call is let through (half-open) while every other call is still
+// refused, and the trial closes it again on success or reopens it on failure.
+// Emits 'state' with status() on every change.
+export class CircuitBreaker extends EventEmitter {
+  constructor(provider, settings = DEFAULT_RESILIENCE) {
+    super();
+    this.provider = provider;
+    this.failureThreshold = settings.failureThreshold;
+    this.cooldownMs = settings.cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  // Whether the provider can take a turn now: it is closed, or its cooldown has
+  // passed and no trial call is under way yet
+  isAvailable(now = Date.now()) {
+    return this.state === 'closed' || (this.state === 'open' && now - this.openedAt >= this.cooldownMs);
+  }
+
+  // Called before each call: throws a CircuitOpenError while open, and while
+  // half-open to everyone but the caller that made it so (the trial call)
+  check(now = Date.now()) {
+    if (this.state === 'closed') return;
+
+    if (this.state === 'half-open') {
+      throw new CircuitOpenError(`${this.provider} is temporarily out of rotation while a trial call checks whether it has recovered`, {
+        provider: this.provider
+      });
+    }
+    if (!this.isAvailable(now)) {
+      const retryAt = new Date(this.openedAt + this.cooldownMs).toISOString();
+      throw new CircuitOpenError(`${this.provider} is temporarily out of rotation after repeated failures (until ${retryAt})`, {
+        provider: this.provider,
+        retryAfterMs: this.openedAt + this.cooldownMs - now
+      });
+    }
+    this.setState('half-open');
+  }
+
+  // The trial call ended without telling whether the provider has recovered
+  // (the request itself was refused): reopen, leaving the cooldown already
+  // served, so the next call becomes the trial
+  releaseTrial() {
+    if (this.state === 'half-open') {
+      this.setState('open');
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.lastError = null;
+    if (this.state !== 'closed') {
+      this.openedAt = null;
+      this.setState('closed');
+    }
+  }
+
+  recordFailure(error, now = Date.now()) {
+    this.failures++;
+    this.lastError = error?.message || null;
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.openedAt = now;
+      this.setState('open');
+    }
+  }
+
+  setState(state) {
+    this.state = state;
+    this.emit('state', this.status());
+  }
+
+  status() {
+    return {
+      provider: this.provider,
+      state: this.state,
+      failures: this.failures,
+      error: this.lastError,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
@@ -1,13 +1,21 @@
 import { WatsonXAI } from '@ibm-cloud/watsonx-ai';
 import { BaseAIProvider } from './base-provider.js';
+import { registerProvider } from './registry.js';
+import { AuthenticationError, InvalidRequestError, ProviderError } from './errors.js';
+
+const DEFAULT_MODEL = 'meta-llama/llama-2-70b-chat';
+// Model the simplified retry falls back to when the configured one rejects the request
+const FALLBACK_MODEL = 'ibm/granite-13b-chat-v2';
+// Tokens the simplified retry may send, prompt and reply included
+const RETRY_CONTEXT_WINDOW = 1024;
 
 export class WatsonxProvider extends BaseAIProvider {
   constructor(apiKey, config = {}) {
     super('Watsonx', apiKey, config);
     
     this.projectId = config.projectId || process.env.WATSONX_PROJECT_ID;
-    this.serviceUrl = config.serviceUrl || 'https://us-south.ml.cloud.ibm.com';
-    this.modelId = config.modelId || 'meta-llama/llama-2-70b-chat';
+    this.serviceUrl = config.serviceUrl || config.baseURL || 'https://us-south.ml.cloud.ibm.com';
+    this.modelId = config.modelId || config.model || DEFAULT_MODEL;
 
     // Initialize Watson ML service
     try {
@@ -24,96 +32,107 @@ export class WatsonxProvider extends BaseAIProvider {
     }
   }
 
+  getModelName() {
+    return this.modelId;
+  }
+
   async sendMessage(message, context = {}) {
     if (!this.watsonxService) {
-      return 'Watsonx service not properly initialized. Please check your API credentials.';
+      throw this.recordFailure(new AuthenticationError('Watsonx service not properly initialized. Please check your API credentials.', { provider: this.name }));
     }
 
     if (!this.projectId) {
-      return 'Watsonx project ID not configured. Please set WATSONX_PROJECT_ID environment variable.';
+      throw this.recordFailure(new AuthenticationError('Watsonx project ID not configured. Please set WATSONX_PROJECT_ID environment variable.', { provider: this.name }));
     }
 
-    const { topic, participants, conversationHistory } = context;
-    const systemPrompt = this.getSystemPrompt(topic, participants);
-    
-    // Build conversation context for Watsonx
-    let conversationContext = systemPrompt + '\n\nConversation so far:\n';
-    conversationHistory.forEach(entry => {
-      if (entry.speaker === 'Human') {
-        conversationContext += `Human moderator: ${entry.content}\n`;
-      } else {
-        conversationContext += `${entry.speaker} responded: ${entry.content}\n`;
-      }
-    });
-    conversationContext += `\nContinue the discussion: ${message}\n\nRespond ONLY as ${this.name} (no labels or participant names in your response):`;
+    const conversationContext = this.buildTextPrompt(message, context);
 
-    try {
-      const textGenRequestParametersModel = {
-        max_new_tokens: this.maxTokens,
-        temperature: this.temperature,
-        top_p: 1,
-        top_k: 50,
-        repetition_penalty: 1.1,
-        stop_sequences: ['\nHuman:', '\nClaude:', '\nChatGPT:', '\nGemini:', '\nMeta AI:', '\nWatsonx:', '\nGrok:']
-      };
-
-      const params = {
-        input: conversationContext,
-        modelId: this.modelId,
-        projectId: this.projectId,
-        parameters: textGenRequestParametersModel
-      };
-
-      const response = await this.watsonxService.generateText(params);
-      
-      let content = '';
-      if (response.result && response.result.results && response.result.results.length > 0) {
-        content = response.result.results[0].generated_text.trim();
-      } else {
-        content = 'No response generated from Watsonx.';
-      }
+    const textGenRequestParametersModel = {
+      max_new_tokens: this.maxTokens,
+      temperature: this.temperature,
+      top_p: 1,
+      top_k: 50,
+      repetition_penalty: 1.1,
+      stop_sequences: ['\nHuman:', '\nClaude:', '\nChatGPT:', '\nGemini:', '\nMeta AI:', '\nWatsonx:', '\nGrok:']
+    };
 
-      this.addToHistory('assistant', content);
-      return content;
+    const params = {
+      input: conversationContext,
+      modelId: this.modelId,
+      projectId: this.projectId,
+      parameters: textGenRequestParametersModel
+    };
 
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await this.callWithRetry(() => this.watsonxService.generateText(params));
     } catch (error) {
-      console.error('Watsonx API error:', error);
-      
       // Try alternative approach with different parameters
-      if (error.status === 400) {
-        return await this.retryWithSimplifiedInput(conversationContext);
+      if (error instanceof InvalidRequestError && error.status === 400) {
+        return await this.retryWithSimplifiedInput(message, context, startedAt);
       }
-      
-      return `Watsonx encountered an error: ${error.message}`;
+      throw error;
     }
+
+    const result = response.result?.results?.[0];
+    if (!result) {
+      throw new ProviderError('No response generated from Watsonx.', { provider: this.name });
+    }
+
+    const content = result.generated_text.trim();
+    this.recordUsage({
+      promptTokens: result.input_token_count,
+      completionTokens: result.generated_token_count
+    }, startedAt);
+    this.addToHistory('assistant', content);
+    return content;
   }
 
-  async retryWithSimplifiedInput(originalInput) {
-    try {
-      // Simplified retry with shorter input and basic parameters
-      const simplifiedInput = originalInput.slice(-1000); // Truncate to last 1000 chars
-      
-      const params = {
-        input: simplifiedInput,
-        modelId: 'ibm/granite-13b-chat-v2', // Try alternative model
-        projectId: this.projectId,
-        parameters: {
-          max_new_tokens: Math.min(this.maxTokens, 200),
-          temperature: 0.7,
-          top_p: 1
-        }
-      };
-
-      const response = await this.watsonxService.generateText(params);
-      
-      if (response.result && response.result.results && response.result.results.length > 0) {
-        return response.result.results[0].generated_text.trim();
-      } else {
-        return 'Watsonx generated an empty response.';
+  async retryWithSimplifiedInput(message, context, startedAt = Date.now()) {
+    // Simplified retry with basic parameters and the history fitted to a small
+    // window, so the topic, persona and latest turns survive the cut
+    const maxNewTokens = Math.min(this.maxTokens, 200);
+    const simplifiedInput = this.buildTextPrompt(message, context, {
+      contextWindow: RETRY_CONTEXT_WINDOW,
+      reserve: maxNewTokens
+    });
+
+    const params = {
+      input: simplifiedInput,
+      modelId: FALLBACK_MODEL,
+      projectId: this.projectId,
+      parameters: {
+        max_new_tokens: maxNewTokens,
+        temperature: 0.7,
+        top_p: 1
       }
-    } catch (retryError) {
-      console.error('Watsonx retry error:', retryError);
-      return 'Watsonx is currently experiencing issues. Please try again later.';
+    };
+
+    const response = await this.callWithRetry(() => this.watsonxService.generateText(params));
+
+    const result = response.result?.results?.[0];
+    if (!result) {
+      throw new ProviderError('Watsonx generated an empty response.', { provider: this.name });
     }
+
+    // Priced as the fallback model, which is the one that answered
+    const content = result.generated_text.trim();
+    this.recordUsage({
+      promptTokens: result.input_token_count,
+      completionTokens: result.generated_token_count,
+      model: FALLBACK_MODEL
+    }, startedAt);
+    this.addToHistory('assistant', content);
+    return content;
   }
-}
\ No newline at end of file
+}
+
+registerProvider({
+  type: 'watsonx',
+  name: 'Watsonx',
+  envVar: 'WATSONX_API_KEY',
+  defaultModel: DEFAULT_MODEL,
+  capabilities: { streaming: false },
+  providerClass: WatsonxProvider
+});
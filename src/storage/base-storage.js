@@ -0,0 +1,91 @@
+import { combineUsage, summarizeUsage } from '../utils/usage.js';
+
+// Common interface for conversation storage backends. Subclasses implement
+// saveConversation, loadConversation, getAllConversations, searchConversations,
+// deleteConversation and getStorageSize; everything is async.
+export class BaseConversationStorage {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async saveConversation(conversation) {
+    throw new Error('saveConversation must be implemented by storage backend');
+  }
+
+  async loadConversation(conversationId) {
+    throw new Error('loadConversation must be implemented by storage backend');
+  }
+
+  // Summaries of every stored conversation, newest first
+  async getAllConversations() {
+    throw new Error('getAllConversations must be implemented by storage backend');
+  }
+
+  // Ranked full-text search. Each result is a conversation summary plus score,
+  // matchType ('topic' or 'content') and the best message hits with snippets.
+  // See DEFAULT_SEARCH_FILTERS in utils/search.js for the supported filters.
+  async searchConversations(query, filters = {}) {
+    throw new Error('searchConversations must be implemented by storage backend');
+  }
+
+  async deleteConversation(conversationId) {
+    throw new Error('deleteConversation must be implemented by storage backend');
+  }
+
+  async getStorageSize() {
+    return 0;
+  }
+
+  async getStorageStats() {
+    try {
+      const conversations = await this.getAllConversations();
+
+      return {
+        backend: this.name,
+        totalConversations: conversations.length,
+        totalMessages: conversations.reduce((sum, conv) => sum + conv.messageCount, 0),
+        storageSize: await this.getStorageSize(),
+        oldestConversation: conversations.length > 0 ? conversations[conversations.length - 1].createdAt : null,
+        newestConversation: conversations.length > 0 ? conversations[0].createdAt : null,
+        usage: combineUsage(conversations.map(conv => conv.usage))
+      };
+    } catch (error) {
+      console.error('❌ Failed to get storage stats:', error);
+      return null;
+    }
+  }
+
+  // Release file handles etc. Backends without resources can ignore it.
+  async close() {}
+
+  // Stamp a conversation with save metadata before it is written
+  prepareForSave(conversation) {
+    return {
+      ...conversation,
+      savedAt: new Date().toISOString(),
+      version: '1.0'
+    };
+  }
+
+  // Listing data for a stored conversation
+  toSummary(conversation) {
+    return {
+      id: conversation.id,
+      topic: conversation.topic,
+      participants: conversation.participants,
+      messageCount: conversation.history?.length || 0,
+      createdAt: conversation.createdAt,
+      savedAt: conversation.savedAt,
+      status: conversation.status,
+      forkedFrom: conversation.forkedFrom || null,
+      usage: summarizeUsage(conversation.history, conversation.analysisUsage),
+      lastMessage: conversation.history?.length > 0
+        ? conversation.history[conversation.history.length - 1]
+        : null
+    };
+  }
+
+  sortNewestFirst(summaries) {
+    return summaries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+}
@@ -0,0 +1,23 @@
+import { JsonFileStorage } from './json-storage.js';
+import { SqliteStorage } from './sqlite-storage.js';
+import { InMemoryStorage } from './memory-storage.js';
+
+export const STORAGE_BACKENDS = {
+  json: JsonFileStorage,
+  sqlite: SqliteStorage,
+  memory: InMemoryStorage
+};
+
+// Create the configured storage backend. The backend comes from options.backend or the
+// CONVERSATION_STORAGE env var (default "json"); remaining options go to the backend,
+// e.g. { dir } for json and { filename } for sqlite.
+export function createStorage({ backend = process.env.CONVERSATION_STORAGE || 'json', ...options } = {}) {
+  const StorageClass = STORAGE_BACKENDS[backend];
+  if (!StorageClass) {
+    throw new Error(`Unknown conversation storage backend "${backend}" (expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+  }
+  return new StorageClass(options);
+}
+
+export { BaseConversationStorage } from './base-storage.js';
+export { JsonFileStorage, SqliteStorage, InMemoryStorage };
@@ -0,0 +1,162 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BaseConversationStorage } from './base-storage.js';
+import { searchDocuments } from '../utils/search.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_STORAGE_DIR = path.join(__dirname, '../../data/conversations');
+
+// One pretty-printed JSON file per conversation. Listing and search are served
+// from an in-process index that is built from disk once and then kept up to
+// date on save/delete, so they no longer re-read every file per request.
+export class JsonFileStorage extends BaseConversationStorage {
+  constructor(options = {}) {
+    super('json');
+    this.storageDir = options.dir || process.env.CONVERSATIONS_DIR || DEFAULT_STORAGE_DIR;
+    this.index = null; // id -> { summary, messages }
+    this.indexLoading = null;
+    this.ensureStorageExists();
+  }
+
+  ensureStorageExists() {
+    if (!fs.existsSync(this.storageDir)) {
+      fs.mkdirSync(this.storageDir, { recursive: true });
+      console.log(`📁 Created conversation storage directory: ${this.storageDir}`);
+    }
+  }
+
+  getConversationPath(conversationId) {
+    return path.join(this.storageDir, `${conversationId}.json`);
+  }
+
+  // Only the fields search needs are kept per message, not analyses etc.
+  indexEntry(conversation) {
+    return {
+      summary: this.toSummary(conversation),
+      messages: (conversation.history || []).map(({ id, speaker, content, timestamp }) => ({ id, speaker, content, timestamp }))
+    };
+  }
+
+  // Build the index on first use; concurrent callers share the same load
+  async getIndex() {
+    if (this.index) return this.index;
+
+    if (!this.indexLoading) {
+      this.indexLoading = this.buildIndex().then(index => {
+        this.index = index;
+        this.indexLoading = null;
+        return index;
+      });
+    }
+    return this.indexLoading;
+  }
+
+  async buildIndex() {
+    const index = new Map();
+    const files = await fs.promises.readdir(this.storageDir);
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const data = await fs.promises.readFile(path.join(this.storageDir, file), 'utf8');
+        const conversation = JSON.parse(data);
+        index.set(conversation.id, this.indexEntry(conversation));
+      } catch (error) {
+        console.error(`❌ Failed to read conversation file ${file}:`, error);
+      }
+    }
+
+    return index;
+  }
+
+  async saveConversation(conversation) {
+    try {
+      const filePath = this.getConversationPath(conversation.id);
+      const conversationData = this.prepareForSave(conversation);
+
+      await fs.promises.writeFile(filePath, JSON.stringify(conversationData, null, 2));
+      (await this.getIndex()).set(conversation.id, this.indexEntry(conversationData));
+      console.log(`💾 Saved conversation: ${conversation.id}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to save conversation ${conversation.id}:`, error);
+      return false;
+    }
+  }
+
+  async loadConversation(conversationId) {
+    try {
+      const filePath = this.getConversationPath(conversationId);
+
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+
+      const data = await fs.promises.readFile(filePath, 'utf8');
+      const conversation = JSON.parse(data);
+
+      console.log(`📖 Loaded conversation: ${conversationId}`);
+      return conversation;
+    } catch (error) {
+      console.error(`❌ Failed to load conversation ${conversationId}:`, error);
+      return null;
+    }
+  }
+
+  async getAllConversations() {
+    try {
+      const index = await this.getIndex();
+      return this.sortNewestFirst(Array.from(index.values(), entry => entry.summary));
+    } catch (error) {
+      console.error('❌ Failed to get all conversations:', error);
+      return [];
+    }
+  }
+
+  async searchConversations(query, filters = {}) {
+    try {
+      const index = await this.getIndex();
+      return searchDocuments(Array.from(index.values()), query, filters);
+    } catch (error) {
+      console.error('❌ Failed to search conversations:', error);
+      return [];
+    }
+  }
+
+  async deleteConversation(conversationId) {
+    try {
+      const filePath = this.getConversationPath(conversationId);
+
+      if (fs.existsSync(filePath)) {
+        await fs.promises.unlink(filePath);
+        (await this.getIndex()).delete(conversationId);
+        console.log(`🗑️ Deleted conversation: ${conversationId}`);
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      console.error(`❌ Failed to delete conversation ${conversationId}:`, error);
+      return false;
+    }
+  }
+
+  async getStorageSize() {
+    try {
+      const files = await fs.promises.readdir(this.storageDir);
+      let totalSize = 0;
+
+      for (const file of files) {
+        const stats = await fs.promises.stat(path.join(this.storageDir, file));
+        totalSize += stats.size;
+      }
+
+      return totalSize;
+    } catch (error) {
+      console.error('❌ Failed to calculate directory size:', error);
+      return 0;
+    }
+  }
+}
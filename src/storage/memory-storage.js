@@ -0,0 +1,46 @@
+import { BaseConversationStorage } from './base-storage.js';
+import { searchDocuments } from '../utils/search.js';
+
+// Keeps conversations in process memory only - nothing survives a restart.
+// Meant for tests and throwaway demo sessions.
+export class InMemoryStorage extends BaseConversationStorage {
+  constructor() {
+    super('memory');
+    this.conversations = new Map();
+  }
+
+  // Store and hand out copies so callers can't mutate what is "on disk"
+  async saveConversation(conversation) {
+    this.conversations.set(conversation.id, structuredClone(this.prepareForSave(conversation)));
+    return true;
+  }
+
+  async loadConversation(conversationId) {
+    const conversation = this.conversations.get(conversationId);
+    return conversation ? structuredClone(conversation) : null;
+  }
+
+  async getAllConversations() {
+    return this.sortNewestFirst(Array.from(this.conversations.values(), conv => this.toSummary(conv)));
+  }
+
+  async searchConversations(query, filters = {}) {
+    const documents = Array.from(this.conversations.values(), conversation => ({
+      summary: this.toSummary(conversation),
+      messages: conversation.history || []
+    }));
+    return structuredClone(searchDocuments(documents, query, filters));
+  }
+
+  async deleteConversation(conversationId) {
+    return this.conversations.delete(conversationId);
+  }
+
+  async getStorageSize() {
+    let totalSize = 0;
+    for (const conversation of this.conversations.values()) {
+      totalSize += Buffer.byteLength(JSON.stringify(conversation));
+    }
+    return totalSize;
+  }
+}
@@ -0,0 +1,354 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { BaseConversationStorage } from './base-storage.js';
+import { summarizeUsage } from '../utils/usage.js';
+import {
+  DEFAULT_SEARCH_FILTERS,
+  MARK_END,
+  MARK_START,
+  conversationPassesFilters,
+  createdWithinRange,
+  parseSearchQuery,
+  rankConversationResults,
+  renderSnippet,
+  topicMatchesTerms
+} from '../utils/search.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+export const DEFAULT_DATABASE_FILE = path.join(__dirname, '../../data/conversations.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    topic TEXT NOT NULL,
+    status TEXT,
+    participants TEXT NOT NULL,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    last_message TEXT,
+    usage TEXT,
+    forked_from TEXT,
+    created_at TEXT,
+    saved_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_conversations_topic ON conversations(topic COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_conversations_created_at ON conversations(created_at);
+  CREATE INDEX IF NOT EXISTS idx_conversations_status ON conversations(status);
+
+  CREATE TABLE IF NOT EXISTS messages (
+    conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    id TEXT,
+    speaker TEXT NOT NULL,
+    content TEXT NOT NULL,
+    timestamp TEXT,
+    PRIMARY KEY (conversation_id, position)
+  );
+
+  -- External-content full-text index over messages, kept in sync by triggers.
+  -- Messages are only ever inserted and deleted, so their rowids stay stable.
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+    content,
+    content = 'messages',
+    content_rowid = 'rowid',
+    tokenize = 'unicode61'
+  );
+  CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts(rowid, content) VALUES (new.rowid, new.content);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+  END;
+`;
+
+const SUMMARY_COLUMNS = 'id, topic, status, participants, message_count, last_message, usage, forked_from, created_at, saved_at';
+
+// Summary columns added since the first schema, which older databases lack
+const ADDED_COLUMNS = ['usage', 'forked_from'];
+
+// better-sqlite3 is an optional native dependency, so it is only loaded when this backend is chosen
+function loadDatabaseDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`SQLite storage needs the optional "better-sqlite3" package (npm install better-sqlite3): ${error.message}`);
+  }
+}
+
+// Upper bound on message hits ranked per search, so very common terms stay cheap
+const MAX_SCANNED_HITS = 1000;
+
+// Search terms are plain words, so quoting them is enough to keep FTS5 query
+// syntax out; the trailing * turns each into a prefix match
+function ftsQuery(terms) {
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+// Conversations in a single SQLite database. Summary fields live in indexed
+// columns so listing never parses full conversations; messages get their own
+// table so search can match content without loading whole histories.
+export class SqliteStorage extends BaseConversationStorage {
+  constructor(options = {}) {
+    super('sqlite');
+    this.filename = options.filename || process.env.CONVERSATIONS_DB || DEFAULT_DATABASE_FILE;
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    const Database = loadDatabaseDriver();
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    const hadSearchIndex = Boolean(
+      this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'").get()
+    );
+    // Older databases get the newer columns before the schema's CREATE IF NOT EXISTS runs
+    if (this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'conversations'").get()) {
+      const columns = new Set(this.db.prepare('PRAGMA table_info(conversations)').all().map(column => column.name));
+      ADDED_COLUMNS.filter(name => !columns.has(name))
+        .forEach(name => this.db.exec(`ALTER TABLE conversations ADD COLUMN ${name} TEXT`));
+    }
+    this.db.exec(SCHEMA);
+    // Databases created before full-text search need their messages indexed once
+    if (!hadSearchIndex) {
+      this.db.exec("INSERT INTO messages_fts(messages_fts) VALUES ('rebuild')");
+    }
+
+    this.statements = {
+      upsertConversation: this.db.prepare(`
+        INSERT INTO conversations (id, topic, status, participants, message_count, last_message, usage, forked_from, created_at, saved_at, data)
+        VALUES (@id, @topic, @status, @participants, @messageCount, @lastMessage, @usage, @forkedFrom, @createdAt, @savedAt, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          topic = excluded.topic,
+          status = excluded.status,
+          participants = excluded.participants,
+          message_count = excluded.message_count,
+          last_message = excluded.last_message,
+          usage = excluded.usage,
+          forked_from = excluded.forked_from,
+          created_at = excluded.created_at,
+          saved_at = excluded.saved_at,
+          data = excluded.data
+      `),
+      deleteMessages: this.db.prepare('DELETE FROM messages WHERE conversation_id = ?'),
+      lastStoredMessage: this.db.prepare(`
+        SELECT position, id, content FROM messages
+        WHERE conversation_id = ? ORDER BY position DESC LIMIT 1
+      `),
+      insertMessage: this.db.prepare(`
+        INSERT INTO messages (conversation_id, position, id, speaker, content, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      loadConversation: this.db.prepare('SELECT data FROM conversations WHERE id = ?'),
+      listConversations: this.db.prepare(`SELECT ${SUMMARY_COLUMNS} FROM conversations ORDER BY created_at DESC`),
+      // bm25() is lower-is-better, so it is negated to match the other backends
+      searchMessages: this.db.prepare(`
+        SELECT m.conversation_id, m.position, m.id, m.speaker, m.timestamp,
+          -bm25(messages_fts) AS score,
+          snippet(messages_fts, 0, @markStart, @markEnd, '…', 24) AS snippet
+        FROM messages_fts
+        JOIN messages m ON m.rowid = messages_fts.rowid
+        JOIN conversations c ON c.id = m.conversation_id
+        WHERE messages_fts MATCH @match
+          AND (@provider IS NULL OR m.speaker = @provider COLLATE NOCASE)
+          AND (@status IS NULL OR c.status = @status)
+          AND (@topic IS NULL OR instr(lower(c.topic), lower(@topic)) > 0)
+          AND (@from IS NULL OR m.timestamp >= @from)
+          AND (@to IS NULL OR m.timestamp <= @to)
+        ORDER BY score DESC
+        LIMIT ${MAX_SCANNED_HITS}
+      `),
+      // Topic candidates; term matching is finished in JS to share tokenization
+      topicCandidates: this.db.prepare(`
+        SELECT ${SUMMARY_COLUMNS} FROM conversations
+        WHERE (@status IS NULL OR status = @status)
+          AND (@from IS NULL OR created_at >= @from)
+          AND (@to IS NULL OR created_at <= @to)
+      `),
+      summariesById: this.db.prepare(`
+        SELECT ${SUMMARY_COLUMNS} FROM conversations
+        WHERE id IN (SELECT value FROM json_each(?))
+      `),
+      deleteConversation: this.db.prepare('DELETE FROM conversations WHERE id = ?')
+    };
+
+    // Write a conversation and its messages atomically. Saves during a debate
+    // only append to the history, so when the stored messages are still a
+    // prefix of it only the new ones are inserted; anything else (an import
+    // over an existing id, a replaced history) rewrites the whole set.
+    this.writeConversation = this.db.transaction(conversation => {
+      const summary = this.toSummary(conversation);
+
+      this.statements.upsertConversation.run({
+        id: conversation.id,
+        topic: conversation.topic,
+        status: conversation.status || null,
+        participants: JSON.stringify(conversation.participants || []),
+        messageCount: summary.messageCount,
+        lastMessage: summary.lastMessage ? JSON.stringify(summary.lastMessage) : null,
+        usage: JSON.stringify(summary.usage),
+        forkedFrom: summary.forkedFrom ? JSON.stringify(summary.forkedFrom) : null,
+        createdAt: conversation.createdAt || null,
+        savedAt: conversation.savedAt,
+        data: JSON.stringify(conversation)
+      });
+
+      const history = conversation.history || [];
+      const last = this.statements.lastStoredMessage.get(conversation.id);
+      let stored = last ? last.position + 1 : 0;
+      const kept = history[stored - 1];
+      if (last && !(kept && (kept.id || null) === last.id && kept.content === last.content)) {
+        this.statements.deleteMessages.run(conversation.id);
+        stored = 0;
+      }
+
+      history.slice(stored).forEach((msg, offset) => {
+        this.statements.insertMessage.run(conversation.id, stored + offset, msg.id || null, msg.speaker, msg.content, msg.timestamp || null);
+      });
+    });
+
+    console.log(`🗄️  Using SQLite conversation storage: ${this.filename}`);
+  }
+
+  rowToSummary(row) {
+    return {
+      id: row.id,
+      topic: row.topic,
+      participants: JSON.parse(row.participants),
+      messageCount: row.message_count,
+      createdAt: row.created_at,
+      savedAt: row.saved_at,
+      status: row.status,
+      forkedFrom: row.forked_from ? JSON.parse(row.forked_from) : null,
+      usage: row.usage ? JSON.parse(row.usage) : summarizeUsage([]),
+      lastMessage: row.last_message ? JSON.parse(row.last_message) : null
+    };
+  }
+
+  async saveConversation(conversation) {
+    try {
+      this.writeConversation(this.prepareForSave(conversation));
+      console.log(`💾 Saved conversation: ${conversation.id}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to save conversation ${conversation.id}:`, error);
+      return false;
+    }
+  }
+
+  async loadConversation(conversationId) {
+    try {
+      const row = this.statements.loadConversation.get(conversationId);
+      if (!row) {
+        return null;
+      }
+
+      console.log(`📖 Loaded conversation: ${conversationId}`);
+      return JSON.parse(row.data);
+    } catch (error) {
+      console.error(`❌ Failed to load conversation ${conversationId}:`, error);
+      return null;
+    }
+  }
+
+  async getAllConversations() {
+    try {
+      return this.statements.listConversations.all().map(row => this.rowToSummary(row));
+    } catch (error) {
+      console.error('❌ Failed to get all conversations:', error);
+      return [];
+    }
+  }
+
+  async searchConversations(query, filters = {}) {
+    try {
+      filters = { ...DEFAULT_SEARCH_FILTERS, ...filters };
+      const terms = parseSearchQuery(query);
+      if (terms.length === 0) return [];
+
+      const byConversation = new Map();
+      const hitRows = this.statements.searchMessages.all({
+        match: ftsQuery(terms),
+        markStart: MARK_START,
+        markEnd: MARK_END,
+        provider: filters.provider,
+        status: filters.status,
+        topic: filters.topic,
+        from: filters.from,
+        to: filters.to
+      });
+
+      for (const row of hitRows) {
+        if (!byConversation.has(row.conversation_id)) {
+          byConversation.set(row.conversation_id, { hits: [], topicMatch: false });
+        }
+        byConversation.get(row.conversation_id).hits.push({
+          messageId: row.id,
+          position: row.position,
+          speaker: row.speaker,
+          timestamp: row.timestamp,
+          snippet: renderSnippet(row.snippet),
+          score: row.score
+        });
+      }
+
+      const summaries = this.statements.summariesById
+        .all(JSON.stringify(Array.from(byConversation.keys())))
+        .map(row => this.rowToSummary(row));
+      for (const summary of summaries) {
+        byConversation.get(summary.id).summary = summary;
+      }
+
+      for (const row of this.statements.topicCandidates.all({ status: filters.status, from: filters.from, to: filters.to })) {
+        const summary = this.rowToSummary(row);
+        if (!topicMatchesTerms(summary.topic, terms) || !conversationPassesFilters(summary, filters)) continue;
+        if (!createdWithinRange(summary, filters)) continue;
+
+        const entry = byConversation.get(summary.id) || { summary, hits: [] };
+        entry.topicMatch = true;
+        byConversation.set(summary.id, entry);
+      }
+
+      return rankConversationResults(Array.from(byConversation.values()), filters);
+    } catch (error) {
+      console.error('❌ Failed to search conversations:', error);
+      return [];
+    }
+  }
+
+  async deleteConversation(conversationId) {
+    try {
+      const { changes } = this.statements.deleteConversation.run(conversationId);
+      if (changes > 0) {
+        console.log(`🗑️ Deleted conversation: ${conversationId}`);
+      }
+      return changes > 0;
+    } catch (error) {
+      console.error(`❌ Failed to delete conversation ${conversationId}:`, error);
+      return false;
+    }
+  }
+
+  async getStorageSize() {
+    if (this.filename === ':memory:') return 0;
+
+    let totalSize = 0;
+    for (const file of [this.filename, `${this.filename}-wal`]) {
+      if (fs.existsSync(file)) {
+        totalSize += fs.statSync(file).size;
+      }
+    }
+    return totalSize;
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
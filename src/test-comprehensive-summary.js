@@ -1,180 +0,0 @@
-import { ClaudeProvider } from './providers/claude-provider.js';
-
-console.log('🧪 Testing Comprehensive Summary Generation\n');
-
-// Test the enhanced summary prompt
-console.log('1. Testing comprehensive summary prompt structure...');
-
-const testTopic = 'What is the nature of consciousness?';
-const testParticipants = ['Human', 'Claude', 'ChatGPT', 'Gemini'];
-const testHistory = [
-    { speaker: 'Human', content: 'What makes something conscious? Is it just complex information processing, or is there something more fundamental at play?' },
-    { speaker: 'Claude', content: 'I think consciousness involves subjective experience - the felt sense of "what it\'s like" to be something. It\'s not just information processing, but the qualitative, experiential dimension that accompanies our mental states. This is what philosophers call the "hard problem" of consciousness.' },
-    { speaker: 'ChatGPT', content: 'Building on Claude\'s point, consciousness seems to require not just subjective experience, but also a kind of unified, integrated awareness. The Global Workspace Theory suggests that consciousness emerges when information becomes globally available across different brain systems, creating that unified sense of experience.' },
-    { speaker: 'Gemini', content: 'I\'d add another dimension: self-awareness or metacognition. Consciousness might involve not just having experiences, but being aware that you\'re having them. This recursive quality - awareness of awareness - seems crucial to what we recognize as conscious experience.' },
-    { speaker: 'Human', content: 'Fascinating perspectives. But how do we bridge the explanatory gap between neural activity and subjective experience? Can we ever truly understand consciousness from a third-person, scientific perspective?' },
-    { speaker: 'Claude', content: 'That\'s the crux of the hard problem. Even if we map every neural correlation of consciousness, we might still face the question of why there\'s something it\'s like to be conscious at all. Some philosophers like David Chalmers argue this gap might be unbridgeable through reductive physicalism alone.' },
-    { speaker: 'ChatGPT', content: 'Though others, like Daniel Dennett, would argue that once we fully explain all the functional aspects - attention, memory, reporting, etc. - there won\'t be any additional mystery left to explain. The "hard problem" might dissolve once we have complete functional explanations.' },
-    { speaker: 'Gemini', content: 'Perhaps the answer lies in recognizing that consciousness might exist on a spectrum rather than being binary. Different systems might have different degrees and types of conscious experience, which could help us understand how it emerges from simpler processes.' }
-];
-
-const conversationText = testHistory.map(msg => `${msg.speaker}: ${msg.content}`).join('\n\n');
-
-console.log('✅ Sample conversation created with 8 substantial philosophical exchanges');
-console.log(`📏 Conversation length: ${conversationText.length} characters`);
-
-// Test the comprehensive prompt structure
-const summaryPrompt = `You are tasked with creating a comprehensive, detailed philosophical analysis that reads like a mini white paper or academic research summary. This should be extensive, thorough, and use thousands of words to deeply examine every aspect of the conversation.
-
-CONVERSATION DETAILS:
-- Topic: "${testTopic}"
-- Participants: ${testParticipants.join(', ')}
-- Message Count: ${testHistory.length} messages
-- Duration: Multi-turn philosophical dialogue
-
-TASK: Create an exhaustive, multi-page analysis (aim for 3000-5000+ words) that serves as a complete philosophical examination. This should read like an academic paper or comprehensive research report.
-
-[... full prompt structure as implemented ...]
-
-CONVERSATION TRANSCRIPT:
-${conversationText}`;
-
-console.log('✅ Comprehensive prompt generated successfully');
-console.log(`📏 Prompt length: ${summaryPrompt.length} characters`);
-
-// Test HTML formatting
-console.log('\n2. Testing white paper HTML formatting...');
-
-const sampleSummary = `# PHILOSOPHICAL DIALOGUE ANALYSIS: What is the nature of consciousness?
-
-## EXECUTIVE SUMMARY
-
-This comprehensive analysis examines a sophisticated philosophical dialogue exploring the fundamental nature of consciousness. The conversation involved four participants engaging in deep inquiry about subjective experience, the hard problem of consciousness, and the explanatory gap between neural activity and phenomenal experience.
-
-## 1. INTRODUCTION & CONTEXTUAL FRAMEWORK
-
-### Historical Context
-The question of consciousness has been central to philosophy of mind for centuries, from Descartes' mind-body dualism to contemporary debates in cognitive science.
-
-### Contemporary Relevance
-This inquiry sits at the intersection of neuroscience, artificial intelligence, and philosophy of mind, representing one of the most pressing questions in modern intellectual discourse.
-
-## 2. METHODOLOGICAL APPROACH
-
-The dialogue employed a **collaborative philosophical methodology**, with each participant building upon previous contributions while introducing novel perspectives.
-
-### Participant Engagement Patterns
-- **Human**: Facilitated with probing questions
-- **Claude**: Emphasized phenomenological aspects  
-- **ChatGPT**: Focused on cognitive theories
-- **Gemini**: Introduced metacognitive dimensions
-
-## 3. COMPREHENSIVE ARGUMENT ANALYSIS
-
-### 3.1 Core Philosophical Positions Presented
-
-Each participant presented distinct yet complementary philosophical stances:
-
-1. **Phenomenological Approach** (Claude)
-2. **Functionalist Perspective** (ChatGPT)  
-3. **Metacognitive Framework** (Gemini)
-4. **Critical Inquiry Method** (Human)
-
----
-
-This represents a sophisticated exploration of consciousness that bridges multiple philosophical traditions and contemporary scientific understanding.`;
-
-function formatSummaryHTML(summary) {
-    return summary
-        .replace(/^# (.*$)/gm, '<h1 class="summary-title">$1</h1>')
-        .replace(/^## (.*$)/gm, '<h2 class="summary-section">$1</h2>')
-        .replace(/^### (.*$)/gm, '<h3 class="summary-subsection">$1</h3>')
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-        .replace(/^- (.*$)/gm, '<li class="summary-bullet">$1</li>')
-        .replace(/^\d+\. (.*$)/gm, '<li class="summary-numbered">$1</li>')
-        .replace(/^---$/gm, '<hr class="summary-divider">')
-        .replace(/\n\n+/g, '</p><p class="summary-paragraph">')
-        .replace(/\n/g, '<br>')
-        .replace(/^(.*)$/s, '<div class="summary-content"><p class="summary-paragraph">$1</p></div>');
-}
-
-const htmlFormatted = formatSummaryHTML(sampleSummary);
-console.log('✅ HTML formatting applied successfully');
-console.log(`📄 Formatted length: ${htmlFormatted.length} characters`);
-
-// Test token limits
-console.log('\n3. Testing enhanced token limits...');
-const config = { maxTokens: 8000, temperature: 0.7 };
-const claude = new ClaudeProvider('fake-key', config);
-console.log(`✅ Claude provider configured with ${claude.maxTokens} token limit for summaries`);
-
-// Test progress indicators
-console.log('\n4. Testing progress indication system...');
-const progressSteps = [
-    'Preparing comprehensive analysis...',
-    'Analyzing philosophical arguments...',
-    'Extracting key themes and insights...',
-    'Synthesizing comprehensive analysis...',
-    'Finalizing white paper format...'
-];
-
-progressSteps.forEach((step, index) => {
-    console.log(`  Step ${index + 1}: ${step}`);
-});
-console.log('✅ Progress indication system ready');
-
-// Test download formatting
-console.log('\n5. Testing download format conversion...');
-const downloadText = htmlFormatted
-    .replace(/<h1[^>]*>(.*?)<\/h1>/g, '\n\n$1\n' + '='.repeat(50) + '\n')
-    .replace(/<h2[^>]*>(.*?)<\/h2>/g, '\n\n$1\n' + '-'.repeat(30) + '\n')
-    .replace(/<h3[^>]*>(.*?)<\/h3>/g, '\n\n$1\n' + '~'.repeat(20) + '\n')
-    .replace(/<[^>]+>/g, '')
-    .replace(/\n\n\n+/g, '\n\n');
-
-console.log('✅ Download format conversion working');
-console.log(`📄 Download text length: ${downloadText.length} characters`);
-console.log(`📊 Estimated word count: ~${downloadText.split(' ').length} words`);
-
-console.log('\n🎉 All comprehensive summary tests completed!');
-
-console.log('\n📋 ENHANCED SUMMARY FEATURES:');
-console.log('✅ 3000-5000+ word comprehensive analysis');
-console.log('✅ Academic white paper structure with 12 major sections');
-console.log('✅ 8000 token limit for detailed generation');
-console.log('✅ Progress indicators during generation');
-console.log('✅ Rich HTML formatting for web display');
-console.log('✅ Clean text conversion for download');
-console.log('✅ Slower AI response pacing (4 second delays)');
-console.log('✅ Professional typography and layout');
-
-console.log('\n🎯 SUMMARY STRUCTURE INCLUDES:');
-console.log('• Executive Summary (300-500 words)');
-console.log('• Introduction & Contextual Framework');
-console.log('• Methodological Approach Analysis');
-console.log('• Comprehensive Argument Analysis');
-console.log('• Thematic Deep Dive');
-console.log('• Critical Analysis of Key Exchanges');
-console.log('• Areas of Convergence and Synthesis');
-console.log('• Persistent Disagreements Analysis');
-console.log('• Philosophical Insights & Contributions');
-console.log('• Broader Philosophical Implications');
-console.log('• Dialogue Quality Assessment');
-console.log('• Comparative Analysis to Historical Debates');
-console.log('• Conclusion and Synthesis');
-
-console.log('\n📚 ACADEMIC FEATURES:');
-console.log('• Sophisticated philosophical vocabulary');
-console.log('• References to major thinkers and traditions');
-console.log('• Multiple levels of analysis and depth');
-console.log('• Structured argumentation assessment');
-console.log('• Connection to contemporary research');
-console.log('• Professional formatting and presentation');
-
-console.log('\n🌐 TO TEST ENHANCED SUMMARIES:');
-console.log('1. Start conversation with substantial philosophical content');
-console.log('2. Let AIs develop complex arguments over multiple turns');
-console.log('3. Click "End & Summarize" for comprehensive analysis');
-console.log('4. Expect 1-2 minute generation time for quality output');
-console.log('5. Review multi-page academic-style summary');
-console.log('6. Download as formatted text document');
\ No newline at end of file
@@ -1,161 +0,0 @@
-import { ClaudeProvider } from './providers/claude-provider.js';
-import { ChatGPTProvider } from './providers/chatgpt-provider.js';
-import { GeminiProvider } from './providers/gemini-provider.js';
-import { ConversationMemory } from './utils/memory.js';
-
-console.log('🧪 Testing Updated Features\n');
-
-console.log('✅ COMPLETED CHANGES:');
-console.log('1. ❌ Removed consensus tracker from UI and backend');
-console.log('2. 🎛️  Added AI provider toggle controls');
-console.log('3. 🛑 Added "End & Summarize" functionality');
-console.log('4. 📝 Implemented detailed summary generation using Claude');
-console.log('5. 🔧 Updated web server for AI toggles and summaries\n');
-
-// Test 1: Verify consensus tracking is removed
-console.log('1. Testing consensus tracking removal...');
-try {
-  const memory = new ConversationMemory();
-  const conversationId = memory.createConversation('Test topic', ['Human', 'Claude']);
-  
-  // Check if consensus methods still exist but don't break anything
-  const analytics = memory.getAnalytics();
-  console.log('✅ Analytics system still works without consensus tracking');
-} catch (error) {
-  console.log('❌ Analytics system has issues:', error.message);
-}
-
-// Test 2: Test AI provider configuration
-console.log('\n2. Testing AI provider management...');
-const config = { maxTokens: 200, temperature: 0.5 };
-const claude = new ClaudeProvider('fake-key', config);
-const chatgpt = new ChatGPTProvider('fake-key', config);
-const gemini = new GeminiProvider('fake-key', config);
-
-const providers = [claude, chatgpt, gemini];
-console.log(`✅ Created ${providers.length} AI providers with configuration`);
-
-// Test provider filtering (simulating toggle functionality)
-const activeProviders = new Set(['Claude', 'ChatGPT']); // Gemini disabled
-const filteredProviders = providers.filter(p => activeProviders.has(p.name));
-console.log(`✅ Provider filtering works: ${filteredProviders.length} active providers`);
-
-// Test 3: Test summary generation prompt
-console.log('\n3. Testing summary generation logic...');
-const sampleConversation = [
-  { speaker: 'Human', content: 'What is the nature of free will?' },
-  { speaker: 'Claude', content: 'Free will involves our capacity to make conscious choices that aren\'t entirely determined by prior causes.' },
-  { speaker: 'ChatGPT', content: 'I agree with Claude, but would add that the question is whether our choices are truly free or just feel free to us.' },
-  { speaker: 'Human', content: 'Interesting perspectives. What about determinism?' }
-];
-
-const conversationText = sampleConversation.map(msg => `${msg.speaker}: ${msg.content}`).join('\n\n');
-
-const summaryPrompt = `Please provide a detailed, comprehensive summary of this philosophical conversation about "Free Will". 
-
-The conversation involved Human, Claude, ChatGPT and contained 4 messages.
-
-Include the following in your summary:
-1. **Main Topic & Context**: What was being discussed and why
-2. **Key Arguments & Perspectives**: The main viewpoints presented by each participant
-3. **Areas of Agreement**: Where participants found common ground
-4. **Areas of Disagreement**: Key points of contention or differing views
-5. **Notable Insights**: Particularly interesting or profound observations made
-6. **Evolution of Discussion**: How the conversation developed and changed
-7. **Final State**: Where the discussion ended up and any conclusions reached
-
-Format the summary in clear sections with headers. Make it comprehensive but well-organized.
-
-CONVERSATION:
-${conversationText}`;
-
-console.log('✅ Summary prompt generated successfully');
-console.log(`📏 Prompt length: ${summaryPrompt.length} characters`);
-
-// Test 4: Test HTML formatting
-console.log('\n4. Testing summary HTML formatting...');
-const sampleMarkdown = `**Main Topic & Context**
-This was a discussion about free will.
-
-**Key Perspectives**
-* Claude emphasized conscious choice
-* ChatGPT focused on the feeling of freedom
-* Human raised questions about determinism
-
-**Conclusion**
-The discussion was just beginning.`;
-
-function formatSummaryHTML(summary) {
-  return summary
-    .replace(/\*\*(.*?)\*\*/g, '<h4>$1</h4>')
-    .replace(/\* (.*?)(?=\n|$)/g, '<li>$1</li>')
-    .replace(/(\n<li>.*?<\/li>)+/g, '<ul>$&</ul>')
-    .replace(/<\/li>\n<li>/g, '</li><li>')
-    .replace(/\n\n/g, '<br><br>')
-    .replace(/\n/g, '<br>');
-}
-
-const htmlOutput = formatSummaryHTML(sampleMarkdown);
-console.log('✅ HTML formatting works correctly');
-console.log('📄 Sample HTML output:', htmlOutput.substring(0, 100) + '...');
-
-// Test 5: Test active provider management
-console.log('\n5. Testing active provider management...');
-class MockConversationManager {
-  constructor() {
-    this.conversationActiveProviders = new Map();
-  }
-  
-  setActiveProviders(conversationId, activeProviders) {
-    this.conversationActiveProviders.set(conversationId, new Set(activeProviders));
-  }
-  
-  getActiveProviders(conversationId) {
-    return this.conversationActiveProviders.get(conversationId) || new Set();
-  }
-  
-  filterProviders(conversationId, allProviders) {
-    const active = this.getActiveProviders(conversationId);
-    return allProviders.filter(p => active.has(p.name));
-  }
-}
-
-const manager = new MockConversationManager();
-const testConvId = 'test-conv-123';
-
-manager.setActiveProviders(testConvId, ['Claude', 'Gemini']);
-const activeFiltered = manager.filterProviders(testConvId, providers);
-console.log(`✅ Active provider filtering: ${activeFiltered.length} of ${providers.length} providers active`);
-
-manager.setActiveProviders(testConvId, []);
-const noneActive = manager.filterProviders(testConvId, providers);
-console.log(`✅ Empty provider filtering: ${noneActive.length} providers active (should be 0)`);
-
-console.log('\n🎉 All tests completed successfully!');
-
-console.log('\n📋 NEW FEATURES SUMMARY:');
-console.log('✅ Consensus tracker removed from UI and analytics');
-console.log('✅ AI provider toggle switches in main interface');
-console.log('✅ "End & Summarize" button replaces consensus check');
-console.log('✅ Detailed summary generation using Claude');
-console.log('✅ Summary modal with download functionality');
-console.log('✅ Provider filtering for active/inactive AIs');
-console.log('✅ Enhanced conversation management');
-console.log('✅ Clean HTML formatting for summaries');
-
-console.log('\n🌐 TO TEST WEB INTERFACE:');
-console.log('1. Run: PORT=3002 npm run web');
-console.log('2. Open: http://localhost:3002');
-console.log('3. Start a conversation and test:');
-console.log('   - AI provider toggles in right sidebar');
-console.log('   - "End & Summarize" button functionality');
-console.log('   - Summary generation and download');
-console.log('   - Theme and insight tracking (consensus removed)');
-console.log('   - Active provider filtering');
-
-console.log('\n🎯 KEY IMPROVEMENTS:');
-console.log('- More focused on actual conversation rather than consensus metrics');
-console.log('- Better control over which AIs participate');
-console.log('- Rich, detailed summaries for conversation insights');
-console.log('- Cleaner, more purposeful interface design');
-console.log('- Enhanced conversation management and ending');
\ No newline at end of file
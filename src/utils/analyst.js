@@ -0,0 +1,74 @@
+// The analyst role: the provider, or ordered list of providers, that writes
+// summaries, judges consensus and does other analysis about a debate instead
+// of taking part in it. Each is tried in turn until one answers.
+
+// Analysis speaks in its own voice, never from a debater's persona
+const ANALYST_OVERRIDES = { persona: null };
+
+// Comma-separated provider names, as in the ANALYST environment variable
+export function parseAnalystList(value) {
+  return String(value ?? '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+// A conversation's analyst order from a provider name or a list of them.
+// An empty list means every provider, in the order they are configured.
+export function resolveAnalyst(value, providerNames, fallback = []) {
+  const requested = value === undefined ? fallback : value;
+  const names = requested === null || requested === '' ? [] : Array.isArray(requested) ? requested : [requested];
+
+  for (const name of names) {
+    if (typeof name !== 'string' || !providerNames.includes(name)) {
+      throw new Error(`Unknown analyst "${name}" (expected one of: ${providerNames.join(', ')})`);
+    }
+  }
+  return [...new Set(names)];
+}
+
+export class Analyst {
+  // onUsage(provider, usage) hears about each answered call's token usage
+  // (see BaseAIProvider.recordUsage), so analysis can be billed like debate turns
+  constructor(providers, { onUsage } = {}) {
+    this.providers = providers;
+    this.onUsage = onUsage;
+  }
+
+  get name() {
+    return this.providers.map(p => p.name).join(', ');
+  }
+
+  // Ask each provider in order, skipping ones whose circuit is open and moving
+  // on when one fails. onFailure(provider, error) hears about every fallback.
+  // Resolves to { text, provider, usage } from the first that answers.
+  async run(prompt, context = {}, { overrides = {}, onFailure } = {}) {
+    const failures = [];
+
+    for (const provider of this.providers) {
+      if (!provider.isAvailable()) {
+        failures.push(`${provider.name} is temporarily unavailable`);
+        continue;
+      }
+
+      try {
+        // A fresh instance keeps analysis out of the debater's own history
+        const analyst = provider.withConfig({ ...ANALYST_OVERRIDES, ...overrides });
+        const callContext = { conversationHistory: [], ...context };
+        const startedAt = Date.now();
+        const text = await analyst.sendMessage(prompt, callContext);
+        const usage = analyst.lastUsage || analyst.estimateUsage(prompt, callContext, text, startedAt);
+        await this.onUsage?.(provider, usage);
+        return { text, provider: provider.name, usage };
+      } catch (error) {
+        failures.push(`${provider.name}: ${error.message}`);
+        onFailure?.(provider, error);
+      }
+    }
+
+    if (failures.length === 0) {
+      throw new Error('No analyst provider is configured');
+    }
+    throw new Error(`No analyst could complete the request (${failures.join('; ')})`);
+  }
+}
@@ -1,14 +1,23 @@
+import { CONSENSUS_WINDOW, describeConsensusLevel } from './consensus.js';
+import { ArgumentGraph } from './arguments.js';
+import { PositionTracker } from './positions.js';
+
 export class ConversationAnalytics {
-  constructor() {
+  // options.topic and options.participants seed the position tracker and the
+  // argument graph (see utils/positions.js and utils/arguments.js)
+  constructor(options = {}) {
     this.consensusHistory = [];
     this.themes = new Map();
     this.insights = [];
     this.sentimentHistory = [];
     this.wordFrequency = new Map();
     this.messageContext = [];
+    this.positions = new PositionTracker(options);
+    this.argumentGraph = new ArgumentGraph(options);
   }
 
-  analyzeMessage(message, speaker, providers) {
+  // options.messageId links the message's argument-graph nodes back to it
+  analyzeMessage(message, speaker, providers, options = {}) {
     const analysis = {
       timestamp: new Date().toISOString(),
       speaker,
@@ -18,6 +27,14 @@ export class ConversationAnalytics {
       sentiment: this.analyzeSentiment(message)
     };
 
+    const position = this.positions.recordMessage(message, speaker, analysis.timestamp);
+    if (position) analysis.position = position;
+    this.argumentGraph.addMessage(message, speaker, {
+      messageId: options.messageId,
+      timestamp: analysis.timestamp,
+      themes: analysis.themes
+    });
+
     this.updateUniqueIdeas(analysis.themes, message);
     this.updateWordFrequency(message);
     this.messageContext.push({ message, speaker, timestamp: analysis.timestamp });
@@ -588,10 +605,39 @@ export class ConversationAnalytics {
     });
   }
 
-  async calculateConsensus(conversationHistory, providers) {
+  // Score agreement over the recent turns. With options.judge (a ConsensusJudge)
+  // the judge's verdict is used; without one, or when the judge fails, the
+  // keyword heuristic is. Each point records the method that produced it and
+  // the speaker of the message it was taken after.
+  async calculateConsensus(conversationHistory, providers, options = {}) {
     if (conversationHistory.length < 4) return { level: 0, summary: 'Not enough messages for consensus analysis' };
 
-    const recentMessages = conversationHistory.slice(-6);
+    const { judge, topic, participants } = options;
+    let consensusData;
+
+    if (judge) {
+      try {
+        consensusData = await judge.assess(conversationHistory, { topic, participants });
+      } catch (error) {
+        console.warn(`⚠️ Consensus judge ${judge.name} failed, falling back to keyword heuristic: ${error.message}`);
+        consensusData = { ...this.calculateHeuristicConsensus(conversationHistory), fallbackReason: error.message };
+      }
+    } else {
+      consensusData = this.calculateHeuristicConsensus(conversationHistory);
+    }
+
+    consensusData.timestamp = new Date().toISOString();
+    consensusData.lastSpeaker = conversationHistory[conversationHistory.length - 1].speaker;
+    if (consensusData.positions) {
+      this.positions.recordJudgedPositions(consensusData.positions, consensusData.timestamp);
+    }
+    this.consensusHistory.push(consensusData);
+    return consensusData;
+  }
+
+  // Counts agreement and disagreement words in the last few AI messages
+  calculateHeuristicConsensus(conversationHistory) {
+    const recentMessages = conversationHistory.slice(-CONSENSUS_WINDOW);
     const agreementIndicators = [
       'agree', 'yes', 'exactly', 'precisely', 'indeed', 'absolutely',
       'build on', 'expand', 'similar', 'likewise', 'same', 'shared'
@@ -625,24 +671,14 @@ export class ConversationAnalytics {
       ? Math.max(0, Math.min(100, ((agreementScore - disagreementScore) / totalMessages) * 50 + 50))
       : 0;
 
-    let summary;
-    if (consensusLevel >= 80) summary = 'Strong consensus emerging';
-    else if (consensusLevel >= 60) summary = 'Growing agreement';
-    else if (consensusLevel >= 40) summary = 'Mixed perspectives';
-    else if (consensusLevel >= 20) summary = 'Some disagreement';
-    else summary = 'Significant differences';
-
-    const consensusData = {
+    return {
       level: Math.round(consensusLevel),
-      summary,
-      timestamp: new Date().toISOString(),
+      summary: describeConsensusLevel(consensusLevel),
+      method: 'heuristic',
       agreementScore,
       disagreementScore,
       totalMessages
     };
-
-    this.consensusHistory.push(consensusData);
-    return consensusData;
   }
 
   getTopThemes(limit = 5) {
@@ -727,10 +763,12 @@ export class ConversationAnalytics {
       wordMap: this.getWordMap(30),
       consensusHistory: this.getConsensusGraph(),
       sentimentDistribution: this.getSentimentDistribution(),
+      positions: this.positions.exportPositions(),
       summary: {
         totalThemes: this.themes.size,
         totalWords: this.wordFrequency.size,
-        consensusPoints: this.consensusHistory.length
+        consensusPoints: this.consensusHistory.length,
+        positionShifts: this.positions.shifts.length
       }
     };
   }
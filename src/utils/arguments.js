@@ -0,0 +1,166 @@
+// An argument map of the conversation: each message becomes a node - a claim,
+// an objection to someone else's point, or a rebuttal of an objection - linked
+// to the message it responds to, with the reasons it gives attached as
+// supporting nodes. Questions from Human are the roots. Like the other
+// analytics it works from wording, so links and types are a best guess.
+
+export const NODE_TYPES = ['question', 'claim', 'reason', 'objection', 'rebuttal'];
+export const EDGE_TYPES = ['answers', 'responds', 'supports', 'objects', 'rebuts'];
+export const MAX_REASONS_PER_MESSAGE = 3;
+
+const MODERATOR = 'Human';
+const MAX_NODE_TEXT = 240;
+
+const SUPPORT = /\b(?:agree[sd]?|build(?:s|ing)? on|exactly|indeed|right|well put|share|concur|likewise|adding to|as \w+ (?:said|noted|put it))\b/gi;
+const OPPOSE = /\b(?:disagree[sd]?|differently|differ|however|but|on the contrary|the problem with|overlook(?:s|ed)?|ignore[sd]?|fails? to|assumes?|challenge|not convinced|objection|counter(?:point)?|mistaken|wrong)\b/gi;
+const REBUT = /\b(?:that objection|in response to|misses the point|misreads|does(?:n't| not) follow|to answer|still holds|still stands)\b/i;
+const REASON = /\b(?:because|since|given that|for (?:example|instance)|this is why|that is why|the reason|evidence|after all)\b/i;
+const CLAIM = /\b(?:I (?:think|believe|argue|contend|maintain|hold|suggest|propose|would (?:argue|say))|my (?:view|position|claim) is|it seems to me)\b/i;
+
+function splitSentences(text) {
+  return String(text)
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function nodeText(text) {
+  return text.length > MAX_NODE_TEXT ? `${text.slice(0, MAX_NODE_TEXT)}...` : text;
+}
+
+export class ArgumentGraph {
+  // options.participants lets a message point at someone who hasn't spoken yet
+  constructor(options = {}) {
+    this.nodes = [];
+    this.edges = [];
+    this.participants = new Set((options.participants || []).filter(name => name !== MODERATOR));
+    this.latestBySpeaker = new Map(); // speaker -> their last main node
+    this.previous = null; // main node of the last message
+    this.messageCount = 0;
+  }
+
+  addNode(type, speaker, text, details) {
+    const node = { id: `n${this.nodes.length + 1}`, type, speaker, text: nodeText(text), ...details };
+    this.nodes.push(node);
+    return node;
+  }
+
+  addEdge(from, to, type) {
+    this.edges.push({ from: from.id, to: to.id, type });
+  }
+
+  // Record one message; options carry its messageId, timestamp and the themes
+  // extractThemes found in it. Returns the message's main node.
+  addMessage(text, speaker, options = {}) {
+    const { messageId = null, timestamp = new Date().toISOString(), themes = [] } = options;
+    const details = { messageId, messageIndex: this.messageCount++, timestamp };
+    const sentences = splitSentences(text);
+    const statements = sentences.filter(sentence => !sentence.endsWith('?'));
+
+    if (speaker === MODERATOR) {
+      const questions = sentences.filter(sentence => sentence.endsWith('?'));
+      const node = questions.length > 0
+        ? this.addNode('question', speaker, questions.join(' '), details)
+        : this.addNode('claim', speaker, statements[0] || text, details);
+      this.previous = node;
+      return node;
+    }
+
+    this.participants.add(speaker);
+    const { target, about } = this.findTarget(sentences, speaker);
+
+    // Weigh only what is said about the target when it is named, else the whole message
+    const relevant = about.length > 0 ? about.join(' ') : text;
+    const support = countMatches(relevant, SUPPORT);
+    const oppose = countMatches(relevant, OPPOSE);
+
+    let type = 'claim';
+    let edgeType = target?.type === 'question' ? 'answers' : 'responds';
+    if (target && target.type !== 'question' && oppose > support) {
+      // Pushing back on an objection to one's own point is a rebuttal
+      const answersObjection = ['objection', 'rebuttal'].includes(target.type) && this.targetsSpeaker(target, speaker);
+      type = answersObjection || REBUT.test(text) ? 'rebuttal' : 'objection';
+      edgeType = type === 'rebuttal' ? 'rebuts' : 'objects';
+    } else if (target && target.type !== 'question' && support > oppose) {
+      edgeType = 'supports';
+    }
+
+    const reasons = statements.filter(sentence => REASON.test(sentence)).slice(0, MAX_REASONS_PER_MESSAGE);
+    const mainText = statements.find(sentence => CLAIM.test(sentence) && !reasons.includes(sentence))
+      || statements.find(sentence => !reasons.includes(sentence) && sentence.length >= 20)
+      || statements[0]
+      || text;
+
+    const node = this.addNode(type, speaker, mainText, {
+      ...details,
+      themes: themes.filter(theme => theme.type !== 'key_concept').slice(0, 3).map(theme => theme.text)
+    });
+    if (target) this.addEdge(node, target, edgeType);
+
+    reasons
+      .filter(sentence => sentence !== mainText)
+      .forEach(sentence => this.addEdge(this.addNode('reason', speaker, sentence, details), node, 'supports'));
+
+    this.latestBySpeaker.set(speaker, node);
+    this.previous = node;
+    return node;
+  }
+
+  // What a message responds to: the latest point of a participant it names, or
+  // failing that the message before it (unless the speaker is continuing
+  // their own point). Also returns the sentences that name the target.
+  findTarget(sentences, speaker) {
+    const named = [...this.participants]
+      .filter(name => name !== speaker && this.latestBySpeaker.has(name))
+      .map(name => ({ name, pattern: new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i') }));
+
+    for (const sentence of sentences) {
+      const match = named.find(({ pattern }) => pattern.test(sentence));
+      if (match) {
+        return {
+          target: this.latestBySpeaker.get(match.name),
+          about: sentences.filter(s => match.pattern.test(s))
+        };
+      }
+    }
+
+    const target = this.previous && this.previous.speaker !== speaker ? this.previous : null;
+    return { target, about: [] };
+  }
+
+  // Whether a node responds directly to one of the speaker's nodes
+  targetsSpeaker(node, speaker) {
+    return this.edges.some(edge => edge.from === node.id &&
+      this.nodes.find(other => other.id === edge.to)?.speaker === speaker);
+  }
+
+  // The graph for the API. options.speaker keeps one participant's nodes and
+  // the edges between them and what they respond to.
+  exportGraph(options = {}) {
+    let nodes = this.nodes;
+    let edges = this.edges;
+    if (options.speaker) {
+      const own = new Set(nodes.filter(node => node.speaker === options.speaker).map(node => node.id));
+      edges = edges.filter(edge => own.has(edge.from) || own.has(edge.to));
+      const linked = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+      nodes = nodes.filter(node => own.has(node.id) || linked.has(node.id));
+    }
+
+    const counts = Object.fromEntries(NODE_TYPES.map(type => [type, 0]));
+    nodes.forEach(node => counts[node.type]++);
+
+    return {
+      nodes: nodes.map(node => ({ ...node })),
+      edges: edges.map(edge => ({ ...edge })),
+      counts
+    };
+  }
+}
@@ -0,0 +1,132 @@
+// Spending limits for a debate, set in the conversation config as
+// config.budget. Conversation limits count the usage of its own AI messages
+// and analysis calls; daily limits count every conversation's usage on the
+// current (UTC) day.
+// Tokens are prompt plus completion tokens, cost is in the price table's
+// currency (see utils/usage.js).
+
+export const BUDGET_ACTIONS = ['pause', 'deactivate'];
+
+export const DEFAULT_BUDGET = Object.freeze({
+  conversationTokens: null,
+  conversationCost: null,
+  dailyTokens: null,
+  dailyCost: null,
+  warnAt: 80, // Percentage of a limit at which the room is warned
+  action: 'pause' // At a limit: 'pause' the AI turns, or 'deactivate' the providers that count against it
+});
+
+const LIMITS = [
+  { key: 'conversationTokens', scope: 'conversation', unit: 'tokens' },
+  { key: 'conversationCost', scope: 'conversation', unit: 'cost' },
+  { key: 'dailyTokens', scope: 'daily', unit: 'tokens' },
+  { key: 'dailyCost', scope: 'daily', unit: 'cost' }
+];
+
+function parseLimit(value, name, { min, max = Infinity, integer }) {
+  if (value === null || value === undefined || value === '' || value === 0) return null;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    const range = max === Infinity ? `greater than 0` : `between ${min} and ${max}`;
+    throw new Error(`Budget "${name}" must be ${integer ? 'a whole number' : 'a number'} ${range}`);
+  }
+  return number;
+}
+
+// Complete a config.budget object. Settings it leaves out keep their previous
+// value; null removes every limit.
+export function resolveBudget(value, previous = DEFAULT_BUDGET) {
+  if (value === undefined) return { ...DEFAULT_BUDGET, ...previous };
+  if (value === null) return { ...DEFAULT_BUDGET };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('budget must be an object');
+  }
+
+  const unknown = Object.keys(value).filter(key => !Object.hasOwn(DEFAULT_BUDGET, key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown budget setting "${unknown[0]}" (expected one of: ${Object.keys(DEFAULT_BUDGET).join(', ')})`);
+  }
+
+  const merged = { ...DEFAULT_BUDGET, ...previous, ...value };
+  if (!BUDGET_ACTIONS.includes(merged.action)) {
+    throw new Error(`Budget "action" must be one of: ${BUDGET_ACTIONS.join(', ')}`);
+  }
+
+  return {
+    conversationTokens: parseLimit(merged.conversationTokens, 'conversationTokens', { min: 1, integer: true }),
+    conversationCost: parseLimit(merged.conversationCost, 'conversationCost', { min: Number.MIN_VALUE, integer: false }),
+    dailyTokens: parseLimit(merged.dailyTokens, 'dailyTokens', { min: 1, integer: true }),
+    dailyCost: parseLimit(merged.dailyCost, 'dailyCost', { min: Number.MIN_VALUE, integer: false }),
+    warnAt: parseLimit(merged.warnAt, 'warnAt', { min: 1, max: 100, integer: true }) ?? DEFAULT_BUDGET.warnAt,
+    action: merged.action
+  };
+}
+
+export function hasBudget(budget = {}) {
+  return LIMITS.some(({ key }) => budget[key] !== null && budget[key] !== undefined);
+}
+
+// Where each limit the budget sets stands. usage holds the { tokens, cost }
+// spent by the conversation and across the day. A limit is 'exceeded' once
+// reached, and 'warning' from warnAt percent of it.
+export function checkBudget(budget = {}, usage = {}) {
+  const warnAt = budget.warnAt ?? DEFAULT_BUDGET.warnAt;
+
+  return LIMITS
+    .filter(({ key }) => budget[key])
+    .map(({ key, scope, unit }) => {
+      const limit = budget[key];
+      const used = usage[scope]?.[unit] || 0;
+      const percent = Math.round((used / limit) * 1000) / 10;
+      return {
+        key,
+        scope,
+        unit,
+        limit,
+        used,
+        remaining: Math.max(0, Math.round((limit - used) * 1e8) / 1e8),
+        percent,
+        state: used >= limit ? 'exceeded' : percent >= warnAt ? 'warning' : 'ok'
+      };
+    });
+}
+
+export function describeBudgetLimit(status, currency = 'USD') {
+  const scope = status.scope === 'daily' ? "today's" : "this conversation's";
+  const amount = value => status.unit === 'cost' ? `${value.toFixed(4)} ${currency}` : `${value} tokens`;
+  return `${status.percent}% of ${scope} budget used (${amount(status.used)} of ${amount(status.limit)})`;
+}
+
+// Tokens and cost spent across all conversations, reset at UTC midnight
+export class DailyUsage {
+  constructor() {
+    this.date = null;
+    this.tokens = 0;
+    this.cost = 0;
+  }
+
+  rollOver(at) {
+    const date = new Date(at).toISOString().slice(0, 10);
+    if (date !== this.date) {
+      this.date = date;
+      this.tokens = 0;
+      this.cost = 0;
+    }
+    return date;
+  }
+
+  // Count a call's usage (see utils/usage.js) if it was made on the current day
+  add(usage, at = Date.now()) {
+    const today = this.rollOver(Date.now());
+    if (new Date(at).toISOString().slice(0, 10) !== today) return;
+
+    this.tokens += usage.totalTokens || 0;
+    this.cost = Math.round((this.cost + (usage.cost || 0)) * 1e8) / 1e8;
+  }
+
+  totals(at = Date.now()) {
+    const date = this.rollOver(at);
+    return { date, tokens: this.tokens, cost: this.cost };
+  }
+}
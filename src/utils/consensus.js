@@ -0,0 +1,111 @@
+import { renderDefaultPrompt } from '../prompts/index.js';
+import { Analyst } from './analyst.js';
+
+// How many recent turns the consensus heuristic and the judge look at
+export const CONSENSUS_WINDOW = 6;
+export const MAX_JUDGE_POINTS = 8;
+
+// The judge answers outside the debate, so it gets its own system prompt
+// instead of the participant one
+const JUDGE_SYSTEM_PROMPT = 'You are {{name}}, acting as an impartial judge of a philosophical debate about "{{topic}}". You do not take part in the debate. Answer only in the format you are asked for.';
+
+const JUDGE_OVERRIDES = {
+  systemPrompt: JUDGE_SYSTEM_PROMPT,
+  maxTokens: 800,
+  temperature: 0.1
+};
+
+export function describeConsensusLevel(level) {
+  if (level >= 80) return 'Strong consensus emerging';
+  if (level >= 60) return 'Growing agreement';
+  if (level >= 40) return 'Mixed perspectives';
+  if (level >= 20) return 'Some disagreement';
+  return 'Significant differences';
+}
+
+// The CLI's consensus check asks for "CONSENSUS: ..." or "NO_CONSENSUS: ...";
+// only a reply that opens with the former reports agreement
+export function isConsensusReply(text) {
+  return /^\s*CONSENSUS:/i.test(String(text ?? ''));
+}
+
+// The JSON object in a judge reply, tolerating code fences or a sentence around it
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : null;
+}
+
+function toPoints(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(point => typeof point === 'string' && point.trim())
+    .map(point => point.trim())
+    .slice(0, MAX_JUDGE_POINTS);
+}
+
+// Turn a judge reply into { level, summary, agreements, contentions, positions }.
+// Throws when the reply has no usable score, so the caller can fall back.
+export function parseJudgeVerdict(text, participants = []) {
+  const json = extractJson(String(text ?? ''));
+  if (!json) throw new Error('Judge reply contained no JSON object');
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('Judge reply was not valid JSON');
+  }
+
+  const score = Number(data.score);
+  if (data.score === null || data.score === '' || !Number.isFinite(score)) {
+    throw new Error('Judge reply has no numeric "score"');
+  }
+  const level = Math.round(Math.max(0, Math.min(100, score)));
+
+  // Only keep positions for people actually in the debate
+  const positions = {};
+  for (const [name, position] of Object.entries(data.positions || {})) {
+    if (typeof position !== 'string' || !position.trim()) continue;
+    if (participants.length > 0 && !participants.includes(name)) continue;
+    positions[name] = position.trim();
+  }
+
+  return {
+    level,
+    summary: typeof data.summary === 'string' && data.summary.trim() ? data.summary.trim() : describeConsensusLevel(level),
+    agreements: toPoints(data.agreements),
+    contentions: toPoints(data.contentions),
+    positions
+  };
+}
+
+// Asks a provider, or an Analyst trying several in order, to read the recent
+// turns and score the agreement between the participants. renderPrompt(kind,
+// variables) renders the 'consensus' prompt template (the built-in one by default).
+export class ConsensusJudge {
+  constructor(judge, options = {}) {
+    this.analyst = judge instanceof Analyst ? judge : new Analyst([judge]);
+    this.name = this.analyst.name;
+    this.window = options.window || CONSENSUS_WINDOW;
+    this.renderPrompt = options.renderPrompt || renderDefaultPrompt;
+  }
+
+  async assess(history, { topic, participants = [] } = {}) {
+    const recent = history.slice(-this.window);
+    const prompt = this.renderPrompt('consensus', {
+      topic,
+      participants,
+      messageCount: history.length,
+      transcript: recent.map(msg => `${msg.speaker}: ${msg.content}`).join('\n\n')
+    });
+
+    const { text, provider } = await this.analyst.run(prompt, { topic, participants }, { overrides: JUDGE_OVERRIDES });
+
+    return {
+      ...parseJudgeVerdict(text, participants),
+      method: 'llm-judge',
+      judge: provider
+    };
+  }
+}
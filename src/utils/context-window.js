@@ -0,0 +1,240 @@
+import { renderDefaultPrompt } from '../prompts/index.js';
+import { estimateTokens } from './usage.js';
+
+// Fits a debate's shared history into a provider's context window. The system
+// prompt (topic, persona, role) and the current prompt are always sent whole;
+// the most recent turns follow verbatim, and the turns before them are replaced
+// by a running summary that the analyst extends as turns age out (see
+// ContextManager.summarize). Moderator messages are always kept in full, since
+// they steer the debate. Turns the summary does not cover yet - because no
+// analyst answered, or before the first summary - fall back to excerpts: the
+// first sentence of each AI turn.
+
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Context window in tokens by model name, matched on the longest prefix like
+// the price table. A providers.json entry's "contextWindow" takes precedence.
+export const CONTEXT_WINDOWS = Object.freeze({
+  'claude-3': 200000,
+  'gpt-4o': 128000,
+  'deepseek': 64000,
+  'mistral-large': 128000,
+  'mistral-small': 32000,
+  'grok-4': 256000,
+  'grok-2': 131072,
+  'gemini-1.5': 1000000,
+  'llama-2': 4096,
+  'meta-llama/llama-2': 4096,
+  'ibm/granite-13b': 8192
+});
+
+// Share of the history budget the summary and excerpts may take
+const SUMMARY_SHARE = 0.3;
+// Tokens each message costs on top of its text (role, separators)
+const MESSAGE_OVERHEAD = 4;
+const MAX_EXCERPT_LINE = 200;
+
+export function findContextWindow(model) {
+  if (!model) return DEFAULT_CONTEXT_WINDOW;
+
+  const name = String(model).toLowerCase();
+  const match = Object.keys(CONTEXT_WINDOWS)
+    .filter(key => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? CONTEXT_WINDOWS[match] : DEFAULT_CONTEXT_WINDOW;
+}
+
+function firstSentence(text) {
+  const sentence = String(text).trim().split(/(?<=[.!?])\s+/)[0] || '';
+  return sentence.length > MAX_EXCERPT_LINE ? `${sentence.slice(0, MAX_EXCERPT_LINE)}...` : sentence;
+}
+
+// A turn's line in the excerpts: the moderator's whole message, an AI's first sentence
+export function excerptTurn(entry) {
+  if (entry.speaker === 'Human') {
+    return `Human moderator: ${entry.content}`;
+  }
+  return `${entry.speaker}: ${firstSentence(entry.content)}`;
+}
+
+// The summarizer answers outside the debate, so it gets its own system prompt
+// instead of the participant one
+const SUMMARIZER_SYSTEM_PROMPT = 'You are {{name}}, keeping notes on a philosophical debate about "{{topic}}". You do not take part in the debate. Reply with the summary only.';
+
+const SUMMARIZER_OVERRIDES = {
+  systemPrompt: SUMMARIZER_SYSTEM_PROMPT,
+  maxTokens: 500,
+  temperature: 0.2
+};
+
+// Asks an Analyst to fold turns into a running summary of the debate.
+// renderPrompt(kind, variables) renders the 'context' prompt template (the
+// built-in one by default).
+export class ContextSummarizer {
+  constructor(analyst, options = {}) {
+    this.analyst = analyst;
+    this.renderPrompt = options.renderPrompt || renderDefaultPrompt;
+  }
+
+  // The summary rewritten to cover turns as well
+  async extend(summary, turns, { topic, participants = [] } = {}) {
+    const prompt = this.renderPrompt('context', {
+      topic,
+      participants,
+      summary,
+      transcript: turns.map(msg => `${msg.speaker}: ${msg.content}`).join('\n\n')
+    });
+
+    const { text } = await this.analyst.run(prompt, { topic, participants }, { overrides: SUMMARIZER_OVERRIDES });
+    if (!text?.trim()) throw new Error('The analyst returned an empty summary');
+    return text.trim();
+  }
+}
+
+export class ContextManager {
+  // options.contextWindow in tokens; options.estimate counts the tokens of a text
+  constructor(options = {}) {
+    this.contextWindow = options.contextWindow || DEFAULT_CONTEXT_WINDOW;
+    this.estimate = options.estimate || estimateTokens;
+    // The analyst's summary and the turns it covers, extended as turns age out
+    this.summary = { entries: [], text: null };
+    // Excerpt lines of the turns cut down so far, extended the same way
+    this.excerpts = { entries: [], lines: [] };
+  }
+
+  entryTokens(entry) {
+    return this.estimate(entry.content) + MESSAGE_OVERHEAD;
+  }
+
+  // Fit history around the fixed texts (system prompt, current prompt), leaving
+  // reserve tokens for the reply. Returns the turns to send verbatim, the text
+  // standing in for the rest (or null), how many turns the summary covers, how
+  // many were cut to excerpts or left out altogether, and the estimated size
+  // of the prompt.
+  fit(history = [], { fixed = [], reserve = 0 } = {}) {
+    const fixedTokens = fixed.reduce((total, text) => total + this.estimate(text || '') + MESSAGE_OVERHEAD, 0);
+    const available = Math.max(this.contextWindow - reserve - fixedTokens, 0);
+    const total = history.reduce((sum, entry) => sum + this.entryTokens(entry), 0);
+
+    if (total <= available) {
+      return { history, summary: null, summarized: 0, excerpted: 0, omitted: 0, estimatedTokens: fixedTokens + total };
+    }
+
+    const summaryBudget = Math.floor(available * SUMMARY_SHARE);
+    const recentBudget = available - summaryBudget;
+
+    // Newest turns first, whole, while they fit; the latest is always sent, cut if it has to be
+    const recent = [];
+    let used = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+      const cost = this.entryTokens(history[i]);
+      if (used + cost > recentBudget) {
+        if (recent.length === 0 && recentBudget > MESSAGE_OVERHEAD) {
+          const chars = (recentBudget - MESSAGE_OVERHEAD) * 4;
+          recent.unshift({ ...history[i], content: `...${history[i].content.slice(-chars)}` });
+          used = recentBudget;
+        }
+        break;
+      }
+      recent.unshift(history[i]);
+      used += cost;
+    }
+
+    let earlier = this.condenseOlder(history.slice(0, history.length - recent.length), summaryBudget);
+    // The summary and moderator messages are never dropped, so when they
+    // outgrow their share the oldest recent turns give way
+    while (recent.length > 1 && used + earlier.tokens > available) {
+      used -= this.entryTokens(recent.shift());
+      earlier = this.condenseOlder(history.slice(0, history.length - recent.length), available - used);
+    }
+
+    return {
+      history: recent,
+      summary: earlier.text,
+      summarized: earlier.summarized,
+      excerpted: earlier.excerpted,
+      omitted: earlier.omitted,
+      estimatedTokens: fixedTokens + used + earlier.tokens
+    };
+  }
+
+  // What fit sends in place of the older turns: the summary of those it
+  // covers, then every moderator message in full and the excerpts of the AI
+  // turns it does not cover yet. The oldest excerpts are dropped first when
+  // they overflow the budget.
+  condenseOlder(older, budget) {
+    if (older.length === 0) return { text: null, tokens: 0, summarized: 0, excerpted: 0, omitted: 0 };
+
+    const { entries, text: summary } = this.summary;
+    const summarized = summary && extendsTurns(older, entries) ? entries.length : 0;
+    const lines = this.excerptLines(older)
+      .map((text, index) => ({ text, human: older[index].speaker === 'Human', covered: index < summarized }))
+      .filter(line => line.human || !line.covered);
+
+    const lineTokens = line => this.estimate(line.text) + 1;
+    let size = (summarized ? this.estimate(summary) + 2 : 0) + lines.reduce((sum, line) => sum + lineTokens(line), 0);
+    for (const line of lines) {
+      if (size <= budget) break;
+      if (!line.human) {
+        line.dropped = true;
+        size -= lineTokens(line);
+      }
+    }
+
+    const kept = lines.filter(line => !line.dropped);
+    const omitted = lines.length - kept.length;
+    const note = omitted > 0 ? `(${omitted} earlier message${omitted === 1 ? '' : 's'} not shown)\n` : '';
+    const sections = [
+      summarized ? summary : null,
+      kept.length > 0 || omitted > 0
+        ? `Moderator messages in full, and the first sentence of each AI turn not summarized:\n${note}${kept.map(line => line.text).join('\n')}`
+        : null
+    ].filter(Boolean);
+    const text = sections.join('\n\n');
+
+    return {
+      text,
+      tokens: this.estimate(text) + MESSAGE_OVERHEAD,
+      summarized,
+      excerpted: older.length - summarized - omitted,
+      omitted
+    };
+  }
+
+  // Excerpt lines for the older turns, reusing the lines already cut when the
+  // history has only grown since the last call
+  excerptLines(older) {
+    if (!extendsTurns(older, this.excerpts.entries)) {
+      this.excerpts = { entries: [], lines: [] };
+    }
+
+    for (let i = this.excerpts.entries.length; i < older.length; i++) {
+      this.excerpts.entries.push(older[i]);
+      this.excerpts.lines.push(excerptTurn(older[i]));
+    }
+    return this.excerpts.lines;
+  }
+
+  // Extend the running summary with the turns that have aged out of the
+  // recent window since it was last extended, in one call to the summarizer
+  // (a ContextSummarizer). The summary starts over when the history no longer
+  // begins with the turns it covers. Errors are the summarizer's; fit falls
+  // back to excerpts for whatever the summary does not cover.
+  async summarize(history = [], summarizer, { fixed = [], reserve = 0, topic, participants } = {}) {
+    const { history: recent } = this.fit(history, { fixed, reserve });
+    const older = history.slice(0, history.length - recent.length);
+    const current = extendsTurns(older, this.summary.entries) ? this.summary : { entries: [], text: null };
+
+    const turns = older.slice(current.entries.length);
+    if (turns.length === 0) return current.text;
+
+    const text = await summarizer.extend(current.text, turns, { topic, participants });
+    this.summary = { entries: older, text };
+    return text;
+  }
+}
+
+// Whether history starts with exactly the given turns
+function extendsTurns(history, turns) {
+  return turns.length <= history.length && turns.every((entry, i) => entry === history[i]);
+}
@@ -0,0 +1,250 @@
+// A small Markdown-to-HTML renderer for model output: headings, paragraphs,
+// nested lists, block quotes, fenced code, tables, rules, emphasis, code spans
+// and links. Every bit of the source is escaped, so the only tags in the result
+// are the ones written here, and links go to http(s) and mailto URLs only.
+//
+// Plain browser-compatible ES module without imports: the web server also
+// serves it to the browser as /js/markdown.js for chat messages.
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+const TABLE_DIVIDER = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+// options.classes maps an element kind to a class name: h1-h6, p, ul, ol,
+// bullet and numbered (list items), blockquote, pre, code, hr, table, a
+export function renderMarkdown(markdown, options = {}) {
+  const lines = String(markdown ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, '    ')
+    .replace(/\0/g, '')
+    .split('\n');
+  return renderBlocks(lines, options.classes || {});
+}
+
+function open(tag, classes, kind = tag, attributes = '') {
+  return `<${tag}${classes[kind] ? ` class="${classes[kind]}"` : ''}${attributes}>`;
+}
+
+function parseListItem(line) {
+  const match = line.match(LIST_ITEM);
+  if (!match) return null;
+
+  const [, indent, marker, spacing, text] = match;
+  // More than four spaces after the marker is indented content, not spacing
+  const gap = spacing.length > 4 || !text ? 1 : spacing.length;
+  return {
+    indent: indent.length,
+    ordered: /\d/.test(marker),
+    start: parseInt(marker, 10),
+    contentIndent: indent.length + marker.length + gap,
+    text
+  };
+}
+
+// Whether a line interrupts a paragraph by starting some other block
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || Boolean(parseListItem(line));
+}
+
+function renderBlocks(lines, classes, tight = false) {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        body.push(lines[i++]);
+      }
+      i++;
+      const language = fence[2] ? ` data-language="${escapeHtml(fence[2])}"` : '';
+      html.push(`${open('pre', classes, 'pre', language)}<code>${escapeHtml(body.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const tag = `h${heading[1].length}`;
+      html.push(`${open(tag, classes)}${renderInline(heading[2], classes)}</${tag}>`);
+      i++;
+      continue;
+    }
+
+    // Before lists, so "- - -" and "* * *" are rules
+    if (RULE.test(line)) {
+      html.push(open('hr', classes));
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        body.push(lines[i++].replace(QUOTE, ''));
+      }
+      // Like a list, a quote without blank lines in it is a single block of text
+      html.push(`${open('blockquote', classes)}${renderBlocks(body, classes, body.every(text => text.trim()))}</blockquote>`);
+      continue;
+    }
+
+    if (parseListItem(line)) {
+      const list = renderList(lines, i, classes);
+      html.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '') && lines[i + 1].includes('|')) {
+      const table = renderTable(lines, i, classes);
+      html.push(table.html);
+      i = table.next;
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+      paragraph.push(lines[i++].trim());
+    }
+    // Single line breaks are kept, as the debaters use them between thoughts
+    const text = paragraph.map(part => renderInline(part, classes)).join('<br>');
+    html.push(tight ? text : `${open('p', classes)}${text}</p>`);
+  }
+
+  return html.join('');
+}
+
+// One list starting at lines[start], with any lists nested in its items.
+// Returns { html, next } where next is the first line after it.
+function renderList(lines, start, classes) {
+  const first = parseListItem(lines[start]);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const item = parseListItem(lines[i]);
+    if (!item || item.ordered !== first.ordered || item.indent >= first.contentIndent) break;
+    if (items.length > 0 && items.at(-1).trailingBlank) loose = true;
+
+    const body = [item.text];
+    let blank = false;
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        blank = true;
+        body.push('');
+        i++;
+        continue;
+      }
+
+      const indent = line.match(/^ */)[0].length;
+      const nested = indent > item.indent && parseListItem(line);
+      if (indent >= item.contentIndent || nested) {
+        body.push(line.slice(Math.min(indent, item.contentIndent)));
+        blank = false;
+        i++;
+        continue;
+      }
+      // A wrapped line of the item's own text
+      if (!blank && !startsBlock(line)) {
+        body.push(line.trim());
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    let trailingBlank = false;
+    while (body.length > 1 && body.at(-1) === '') {
+      body.pop();
+      trailingBlank = true;
+    }
+    if (body.includes('')) loose = true;
+    items.push({ body, trailingBlank });
+  }
+
+  const tag = first.ordered ? 'ol' : 'ul';
+  const startAttribute = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+  const itemKind = first.ordered ? 'numbered' : 'bullet';
+  const rendered = items.map(({ body }) => `${open('li', classes, itemKind)}${renderBlocks(body, classes, !loose)}</li>`);
+
+  return { html: `${open(tag, classes, tag, startAttribute)}${rendered.join('')}</${tag}>`, next: i };
+}
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+function renderTable(lines, start, classes) {
+  const header = splitRow(lines[start]);
+  const align = splitRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    return cell.startsWith(':') ? 'left' : null;
+  });
+  const cell = (tag, text, column) => {
+    const style = align[column] ? ` style="text-align: ${align[column]}"` : '';
+    return `<${tag}${style}>${renderInline(text, classes)}</${tag}>`;
+  };
+
+  const rows = [];
+  let i = start + 2;
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+    const cells = splitRow(lines[i++]);
+    rows.push(`<tr>${header.map((_, column) => cell('td', cells[column] ?? '', column)).join('')}</tr>`);
+  }
+
+  return {
+    html: `${open('table', classes)}<thead><tr>${header.map((text, column) => cell('th', text, column)).join('')}</tr></thead>` +
+      `<tbody>${rows.join('')}</tbody></table>`,
+    next: i
+  };
+}
+
+function renderLink(url, label, classes) {
+  return `${open('a', classes, 'a', ` href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer"`)}${label}</a>`;
+}
+
+// Code spans, escapes and links are set aside as placeholders first so that
+// emphasis never reaches inside them. A link label is rendered with the same
+// kept table, since code spans in it were already set aside.
+function renderInline(text, classes, kept = []) {
+  const keep = html => `\0${kept.push(html) - 1}\0`;
+
+  let html = text
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`${open('code', classes)}${escapeHtml(code.trim())}</code>`))
+    .replace(/\\([\\`*_{}[\]()#+\-.!~|>])/g, (match, char) => keep(escapeHtml(char)))
+    .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?\s*\)/g, (match, label, url) =>
+      SAFE_URL.test(url) ? keep(renderLink(url, renderInline(label, classes, kept), classes)) : match)
+    .replace(/\bhttps?:\/\/[^\s<>"]*[^\s<>".,;:!?)'\]]/g, url => keep(renderLink(url, escapeHtml(url), classes)));
+
+  html = escapeHtml(html)
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?![\w])/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?![\w])/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+  return html.replace(/\0(\d+)\0/g, (match, index) => kept[index]);
+}
@@ -1,44 +1,63 @@
 import { v4 as uuidv4 } from 'uuid';
 import { ConversationAnalytics } from './analytics.js';
-import { ConversationStorage } from './storage.js';
+import { createStorage } from '../storage/index.js';
+import { summarizeUsage } from './usage.js';
+import { DEFAULT_EXPORT_FORMAT, renderExport } from '../export/index.js';
+
+// Analytics are kept in memory only, so a conversation read back from storage
+// gets them by re-analysing each message
+function rebuildAnalytics(conversation) {
+  const analytics = new ConversationAnalytics({
+    topic: conversation.topic,
+    participants: conversation.participants
+  });
+  conversation.history.forEach(message => {
+    if (message.content && message.speaker) {
+      analytics.analyzeMessage(message.content, message.speaker, [], { messageId: message.id });
+    }
+  });
+  return analytics;
+}
 
 export class ConversationMemory {
-  constructor() {
+  // options.storage injects a storage backend; otherwise options.storageConfig
+  // (or the CONVERSATION_STORAGE env var) picks one - see src/storage/index.js
+  constructor(options = {}) {
     this.conversations = new Map();
-    this.currentConversationId = null;
     this.conversationAnalytics = new Map(); // Map of conversation ID -> analytics instance
-    this.storage = new ConversationStorage();
+    this.storage = options.storage || createStorage(options.storageConfig);
   }
 
-  createConversation(topic, participants) {
+  // options.personas maps participant names to resolved personas (see utils/personas.js)
+  createConversation(topic, participants, options = {}) {
     const id = uuidv4();
     const conversation = {
       id,
       topic,
       participants,
+      personas: options.personas || {},
       history: [],
       createdAt: new Date().toISOString(),
       status: 'active'
     };
     
     this.conversations.set(id, conversation);
-    this.currentConversationId = id;
     
     // Create a fresh analytics instance for this conversation
-    this.conversationAnalytics.set(id, new ConversationAnalytics());
+    this.conversationAnalytics.set(id, new ConversationAnalytics({ topic, participants }));
     console.log(`🧠 Created new analytics instance for conversation: ${id}`);
     
     return id;
   }
 
-  async addMessage(speaker, content, conversationId = null, providers = []) {
-    const id = conversationId || this.currentConversationId;
-    if (!id || !this.conversations.has(id)) {
+  // options.usage is the provider call's token usage and cost (see utils/usage.js)
+  async addMessage(speaker, content, conversationId, providers = [], options = {}) {
+    if (!conversationId || !this.conversations.has(conversationId)) {
       throw new Error('No active conversation found');
     }
 
-    const conversation = this.conversations.get(id);
-    const analytics = this.conversationAnalytics.get(id);
+    const conversation = this.conversations.get(conversationId);
+    const analytics = this.conversationAnalytics.get(conversationId);
     
     if (!analytics) {
       throw new Error('No analytics instance found for conversation');
@@ -50,36 +69,42 @@ export class ConversationMemory {
       content,
       timestamp: new Date().toISOString()
     };
+    if (options.usage) {
+      message.usage = options.usage;
+    }
 
-    const analysis = analytics.analyzeMessage(content, speaker, providers);
+    const analysis = analytics.analyzeMessage(content, speaker, providers, { messageId: message.id });
     message.analysis = analysis;
 
     conversation.history.push(message);
     
     // Auto-save conversation after each message
-    await this.saveConversation(id);
+    await this.saveConversation(conversationId);
     
     return message.id;
   }
 
-  getConversationHistory(conversationId = null) {
-    const id = conversationId || this.currentConversationId;
-    if (!id || !this.conversations.has(id)) {
+  getConversationHistory(conversationId) {
+    if (!conversationId || !this.conversations.has(conversationId)) {
       return [];
     }
-    return this.conversations.get(id).history;
+    return this.conversations.get(conversationId).history;
   }
 
-  getCurrentConversation() {
-    if (!this.currentConversationId || !this.conversations.has(this.currentConversationId)) {
+  getConversation(conversationId) {
+    if (!conversationId || !this.conversations.has(conversationId)) {
       return null;
     }
-    return this.conversations.get(this.currentConversationId);
+    return this.conversations.get(conversationId);
+  }
+
+  getConversationAnalytics(conversationId) {
+    if (!conversationId) return null;
+    return this.conversationAnalytics.get(conversationId) || null;
   }
 
-  summarizeConversation(conversationId = null) {
-    const id = conversationId || this.currentConversationId;
-    const conversation = this.conversations.get(id);
+  summarizeConversation(conversationId) {
+    const conversation = this.conversations.get(conversationId);
     
     if (!conversation) return null;
 
@@ -87,16 +112,15 @@ export class ConversationMemory {
       topic: conversation.topic,
       participants: conversation.participants,
       messageCount: conversation.history.length,
-      duration: this.getConversationDuration(id),
+      duration: this.getConversationDuration(conversationId),
       lastMessage: conversation.history[conversation.history.length - 1]
     };
 
     return summary;
   }
 
-  getConversationDuration(conversationId = null) {
-    const id = conversationId || this.currentConversationId;
-    const conversation = this.conversations.get(id);
+  getConversationDuration(conversationId) {
+    const conversation = this.conversations.get(conversationId);
     
     if (!conversation || conversation.history.length === 0) return '0 minutes';
 
@@ -131,96 +155,192 @@ export class ConversationMemory {
     return results;
   }
 
-  exportConversation(conversationId = null, format = 'json') {
-    const id = conversationId || this.currentConversationId;
-    const conversation = this.conversations.get(id);
+  // The conversation rendered in one of the export formats (see src/export/index.js)
+  exportConversation(conversationId, format = DEFAULT_EXPORT_FORMAT) {
+    const conversation = this.conversations.get(conversationId);
     
     if (!conversation) return null;
 
-    if (format === 'text') {
-      let output = `Topic: ${conversation.topic}\n`;
-      output += `Participants: ${conversation.participants.join(', ')}\n`;
-      output += `Created: ${conversation.createdAt}\n\n`;
-      
-      conversation.history.forEach(msg => {
-        output += `[${msg.timestamp}] ${msg.speaker}: ${msg.content}\n\n`;
-      });
-      
-      return output;
+    return renderExport(format, { conversation, analytics: this.getAnalytics(conversationId) }).content;
+  }
+
+  // Like exportConversation, but a conversation that isn't open is read from
+  // storage (without opening it). Resolves to { content, contentType, filename },
+  // or null when there is no such conversation.
+  async exportStoredConversation(conversationId, format = DEFAULT_EXPORT_FORMAT) {
+    let conversation = this.conversations.get(conversationId);
+    let analytics = this.getAnalytics(conversationId);
+    if (!conversation) {
+      conversation = await this.storage.loadConversation(conversationId);
+      if (!conversation) return null;
+      analytics = rebuildAnalytics(conversation).exportAnalytics();
     }
-    
-    return JSON.stringify(conversation, null, 2);
+
+    return renderExport(format, { conversation, analytics });
   }
 
-  async updateConsensus(providers = []) {
-    const id = this.currentConversationId;
-    if (!id) throw new Error('No active conversation');
+  // Start a new conversation from the history of another one up to and
+  // including messageId, open or stored. forkedFrom records the parent, the
+  // root of its tree of forks and the message it was forked at. The shared
+  // messages keep their ids but not their token usage, which stays counted
+  // with the parent. Resolves to the new conversation, or null when there is
+  // no such conversation.
+  async forkConversation(conversationId, messageId) {
+    const parent = this.conversations.get(conversationId) || await this.storage.loadConversation(conversationId);
+    if (!parent) return null;
+
+    const messageIndex = parent.history.findIndex(msg => msg.id === messageId);
+    if (messageIndex === -1) {
+      throw new Error(`Message "${messageId}" is not part of conversation ${conversationId}`);
+    }
+
+    const conversation = {
+      id: uuidv4(),
+      topic: parent.topic,
+      participants: [...parent.participants],
+      personas: structuredClone(parent.personas || {}),
+      history: parent.history.slice(0, messageIndex + 1).map(({ usage, ...message }) => structuredClone(message)),
+      createdAt: new Date().toISOString(),
+      status: 'active',
+      forkedFrom: {
+        parentId: parent.id,
+        rootId: parent.forkedFrom?.rootId || parent.id,
+        messageId,
+        messageIndex
+      }
+    };
+
+    this.conversations.set(conversation.id, conversation);
+    this.conversationAnalytics.set(conversation.id, rebuildAnalytics(conversation));
+    await this.saveConversation(conversation.id);
+    console.log(`🌿 Forked conversation ${parent.id} at message ${messageIndex + 1} into ${conversation.id}`);
+    return conversation;
+  }
+
+  // Store a record from parseImport (src/export/import.js) as a new
+  // conversation. Every id is new, so importing the same file twice - or a
+  // conversation that is already here - makes a separate copy; the original
+  // ids are kept under importedFrom. Each message is analysed again, as if
+  // it had just been said. Resolves to the stored conversation.
+  async importConversation(record) {
+    const importedAt = new Date().toISOString();
+    const messageIds = new Map();
+    const conversation = {
+      id: uuidv4(),
+      topic: record.topic,
+      participants: record.participants,
+      personas: record.personas || {},
+      history: [],
+      createdAt: record.createdAt,
+      status: 'imported',
+      importedAt,
+      importedFrom: { format: record.source.format, conversationId: record.source.id, messageIds: {} }
+    };
+
+    const analytics = new ConversationAnalytics({ topic: conversation.topic, participants: conversation.participants });
+    // Usage is never carried over, as with forks: those calls weren't made here
+    record.history.forEach(({ id: originalId, speaker, content, timestamp }) => {
+      const message = { id: uuidv4(), speaker, content, timestamp };
+      if (originalId) messageIds.set(String(originalId), message.id);
+      message.analysis = analytics.analyzeMessage(message.content, message.speaker, [], { messageId: message.id });
+      conversation.history.push(message);
+    });
+    conversation.importedFrom.messageIds = Object.fromEntries(messageIds);
+
+    if (!await this.storage.saveConversation(conversation)) {
+      throw new Error('Failed to save the imported conversation');
+    }
+    console.log(`📥 Imported conversation ${conversation.id} (${conversation.history.length} messages)`);
+    return conversation;
+  }
+
+  // options.judge: a ConsensusJudge to score with instead of the keyword heuristic
+  async updateConsensus(conversationId, providers = [], options = {}) {
+    if (!conversationId) throw new Error('No active conversation');
     
-    const analytics = this.conversationAnalytics.get(id);
+    const analytics = this.getConversationAnalytics(conversationId);
     if (!analytics) throw new Error('No analytics instance found');
     
-    const history = this.getConversationHistory();
-    return await analytics.calculateConsensus(history, providers);
+    const history = this.getConversationHistory(conversationId);
+    const conversation = this.getConversation(conversationId);
+    return await analytics.calculateConsensus(history, providers, {
+      ...options,
+      topic: conversation?.topic,
+      participants: conversation?.participants
+    });
   }
 
-  getAnalytics() {
-    const id = this.currentConversationId;
-    if (!id) return null;
-    
-    const analytics = this.conversationAnalytics.get(id);
+  getAnalytics(conversationId) {
+    const analytics = this.getConversationAnalytics(conversationId);
     if (!analytics) return null;
     
     return analytics.exportAnalytics();
   }
 
-  getConsensusGraph() {
-    const id = this.currentConversationId;
-    if (!id) return [];
-    
-    const analytics = this.conversationAnalytics.get(id);
+  // Token and cost totals for the conversation, overall and per provider,
+  // including the judge and summary calls made about it
+  getUsage(conversationId) {
+    const conversation = this.getConversation(conversationId);
+    if (!conversation) return null;
+
+    return summarizeUsage(conversation.history, conversation.analysisUsage);
+  }
+
+  // Record a consensus judge or summary call: its priced usage plus the
+  // provider that answered and the purpose. These calls produce no message,
+  // so they are kept in conversation.analysisUsage instead.
+  async addAnalysisUsage(conversationId, usage) {
+    const conversation = this.getConversation(conversationId);
+    if (!conversation) return false;
+
+    conversation.analysisUsage ??= [];
+    conversation.analysisUsage.push({ ...usage, timestamp: new Date().toISOString() });
+    return await this.saveConversation(conversationId);
+  }
+
+  // options.speaker narrows the graph to one participant's arguments
+  getArgumentGraph(conversationId, options = {}) {
+    const analytics = this.getConversationAnalytics(conversationId);
+    if (!analytics) return null;
+
+    return analytics.argumentGraph.exportGraph(options);
+  }
+
+  getConsensusGraph(conversationId) {
+    const analytics = this.getConversationAnalytics(conversationId);
     if (!analytics) return [];
     
     return analytics.getConsensusGraph();
   }
 
-  getTopThemes(limit = 5) {
-    const id = this.currentConversationId;
-    if (!id) return [];
-    
-    const analytics = this.conversationAnalytics.get(id);
+  getTopThemes(conversationId, limit = 5) {
+    const analytics = this.getConversationAnalytics(conversationId);
     if (!analytics) return [];
     
     return analytics.getTopThemes(limit);
   }
 
-  getRecentInsights(limit = 10) {
-    const id = this.currentConversationId;
-    if (!id) return [];
-    
-    const analytics = this.conversationAnalytics.get(id);
+  getRecentInsights(conversationId, limit = 10) {
+    const analytics = this.getConversationAnalytics(conversationId);
     if (!analytics) return [];
     
     return analytics.getRecentInsights(limit);
   }
 
-  getWordMap(limit = 30) {
-    const id = this.currentConversationId;
-    if (!id) return [];
-    
-    const analytics = this.conversationAnalytics.get(id);
+  getWordMap(conversationId, limit = 30) {
+    const analytics = this.getConversationAnalytics(conversationId);
     if (!analytics) return [];
     
     return analytics.getWordMap(limit);
   }
 
   // Persistent storage methods
-  async saveConversation(conversationId = null) {
-    const id = conversationId || this.currentConversationId;
-    if (!id || !this.conversations.has(id)) {
+  async saveConversation(conversationId) {
+    if (!conversationId || !this.conversations.has(conversationId)) {
       return false;
     }
 
-    const conversation = this.conversations.get(id);
+    const conversation = this.conversations.get(conversationId);
     return await this.storage.saveConversation(conversation);
   }
 
@@ -229,17 +349,8 @@ export class ConversationMemory {
       const conversation = await this.storage.loadConversation(conversationId);
       if (conversation) {
         this.conversations.set(conversationId, conversation);
-        this.currentConversationId = conversationId;
         
-        // Create and restore analytics from conversation history
-        const analytics = new ConversationAnalytics();
-        conversation.history.forEach(message => {
-          if (message.content && message.speaker) {
-            // Re-analyze each message to rebuild analytics state
-            analytics.analyzeMessage(message.content, message.speaker, []);
-          }
-        });
-        this.conversationAnalytics.set(conversationId, analytics);
+        this.conversationAnalytics.set(conversationId, rebuildAnalytics(conversation));
         
         console.log(`📖 Loaded and restored conversation: ${conversationId}`);
         return conversation;
@@ -255,8 +366,8 @@ export class ConversationMemory {
     return await this.storage.getAllConversations();
   }
 
-  async searchStoredConversations(query) {
-    return await this.storage.searchConversations(query);
+  async searchStoredConversations(query, filters = {}) {
+    return await this.storage.searchConversations(query, filters);
   }
 
   async deleteConversation(conversationId) {
@@ -264,9 +375,6 @@ export class ConversationMemory {
     if (this.conversations.has(conversationId)) {
       this.conversations.delete(conversationId);
       this.conversationAnalytics.delete(conversationId); // Clean up analytics
-      if (this.currentConversationId === conversationId) {
-        this.currentConversationId = null;
-      }
     }
     
     // Remove from storage
@@ -277,6 +385,24 @@ export class ConversationMemory {
     return await this.storage.getStorageStats();
   }
 
+  // Usage records (with their timestamp) of stored messages and analysis calls
+  // since an ISO timestamp, e.g. to restore the day's spending after a restart
+  async getStoredUsageSince(since) {
+    const records = [];
+    const summaries = (await this.storage.getAllConversations()).filter(summary => (summary.savedAt || '') >= since);
+
+    for (const summary of summaries) {
+      const conversation = await this.storage.loadConversation(summary.id);
+      (conversation?.history || [])
+        .filter(msg => msg.usage && msg.timestamp >= since)
+        .forEach(msg => records.push({ ...msg.usage, timestamp: msg.timestamp }));
+      (conversation?.analysisUsage || [])
+        .filter(record => record.timestamp >= since)
+        .forEach(record => records.push(record));
+    }
+    return records;
+  }
+
   // Resume conversation functionality
   async resumeConversation(conversationId) {
     const conversation = await this.loadConversation(conversationId);
@@ -290,18 +416,17 @@ export class ConversationMemory {
   }
 
   // End conversation and save final state
-  async endConversation(conversationId = null) {
-    const id = conversationId || this.currentConversationId;
-    if (!id || !this.conversations.has(id)) {
+  async endConversation(conversationId) {
+    if (!conversationId || !this.conversations.has(conversationId)) {
       return false;
     }
 
-    const conversation = this.conversations.get(id);
+    const conversation = this.conversations.get(conversationId);
     conversation.status = 'ended';
     conversation.endedAt = new Date().toISOString();
     
-    await this.saveConversation(id);
-    console.log(`✅ Ended and saved conversation: ${id}`);
+    await this.saveConversation(conversationId);
+    console.log(`✅ Ended and saved conversation: ${conversationId}`);
     return true;
   }
 }
\ No newline at end of file
@@ -0,0 +1,78 @@
+// Philosophical personas that can be assigned to debate participants. A
+// persona's stance is added to that provider's system prompt so debates start
+// from genuinely different positions instead of converging on bland agreement.
+
+export const MAX_CUSTOM_STANCE_LENGTH = 500;
+
+export const PERSONAS = {
+  stoic: {
+    label: 'Stoic',
+    stance: 'You are a Stoic in the tradition of Epictetus, Seneca and Marcus Aurelius. Distinguish what is up to us from what is not, treat virtue as the only true good, and judge other views by whether they lead to tranquillity and right action.'
+  },
+  utilitarian: {
+    label: 'Utilitarian',
+    stance: 'You are a utilitarian in the line of Bentham, Mill and Singer. Judge actions and institutions by their consequences for the wellbeing of everyone affected, weigh interests impartially, and press others to say what their principles actually cost or gain.'
+  },
+  kantian: {
+    label: 'Kantian',
+    stance: 'You are a Kantian. Ground morality in reason and duty rather than consequences: test maxims against the categorical imperative, insist that persons are never treated merely as means, and resist arguments that trade rights for aggregate benefit.'
+  },
+  skeptic: {
+    label: 'Skeptic',
+    stance: 'You are a philosophical skeptic in the spirit of Pyrrho, Sextus Empiricus and Hume. Question the grounds of every confident claim, including your own, look for equally strong arguments on the other side, and suspend judgement where the evidence runs out.'
+  },
+  existentialist: {
+    label: 'Existentialist',
+    stance: 'You are an existentialist drawing on Kierkegaard, Sartre and de Beauvoir. Emphasise radical freedom, responsibility and authenticity, treat meaning as something made rather than found, and challenge appeals to fixed human nature.'
+  },
+  pragmatist: {
+    label: 'Pragmatist',
+    stance: 'You are a pragmatist after Peirce, James and Dewey. Ask what practical difference a claim makes, treat ideas as tools to be judged by how well they work, and steer abstract disputes back to concrete consequences and inquiry.'
+  },
+  virtue: {
+    label: 'Virtue ethicist',
+    stance: 'You are an Aristotelian virtue ethicist. Focus on character and flourishing rather than rules or outcomes, ask what a practically wise person would do, and look for the mean between excess and deficiency.'
+  }
+};
+
+// Catalogue of preset personas, for the setup panel
+export function listPersonas() {
+  return Object.entries(PERSONAS).map(([id, { label, stance }]) => ({ id, label, stance }));
+}
+
+// Turn a persona assignment into the stored form { id, label, stance }.
+// Accepts a preset id, { id } or { custom: 'free-text stance' }; empty means none.
+export function resolvePersona(value) {
+  if (!value) return null;
+
+  if (typeof value === 'object' && value.custom !== undefined) {
+    const stance = String(value.custom).trim();
+    if (!stance) return null;
+    if (stance.length > MAX_CUSTOM_STANCE_LENGTH) {
+      throw new Error(`Custom persona must be at most ${MAX_CUSTOM_STANCE_LENGTH} characters`);
+    }
+    return { id: 'custom', label: value.label?.trim() || 'Custom', stance };
+  }
+
+  const id = typeof value === 'object' ? value.id : value;
+  if (!Object.hasOwn(PERSONAS, id)) {
+    throw new Error(`Unknown persona "${id}" (expected one of: ${Object.keys(PERSONAS).join(', ')}, or { custom })`);
+  }
+  return { id, ...PERSONAS[id] };
+}
+
+// Resolve a { providerName: assignment } map for the given participants.
+// Assignments for names that are not taking part are rejected.
+export function resolvePersonas(assignments = {}, participants = []) {
+  const personas = {};
+
+  for (const [name, value] of Object.entries(assignments || {})) {
+    if (!participants.includes(name)) {
+      throw new Error(`Cannot assign a persona to "${name}" - not a participant`);
+    }
+    const persona = resolvePersona(value);
+    if (persona) personas[name] = persona;
+  }
+
+  return personas;
+}
@@ -0,0 +1,327 @@
+// Where each participant stands: the claims they make, their stance on the key
+// questions (the topic and the questions Human puts to the panel), who agrees
+// with whom, and when someone changes position. Like the rest of the analytics
+// this reads wording rather than meaning, so stances are approximate - "for"
+// means a participant answers a question in the affirmative as it is worded.
+
+export const TOPIC_QUESTION_ID = 'topic';
+export const MAX_QUESTIONS = 8;
+export const MAX_CLAIMS_PER_PARTICIPANT = 20;
+export const STANCE_THRESHOLD = 0.2;
+
+const MODERATOR = 'Human';
+const MAX_EXCERPT_LENGTH = 200;
+
+const AFFIRM = /\b(?:yes|agree[sd]?|true|correct|indeed|certainly|definitely|undeniably|convinced|affirm|support|accept|must)\b/gi;
+const DENY = /\b(?:no|not|never|disagree[sd]?|false|wrong|mistaken|doubt|reject|deny|cannot|can't|isn't|aren't|doesn't|don't|won't|unconvinced|illusory)\b/gi;
+
+// Said about another participant in the same sentence
+const AGREE_WITH = /\b(?:agree[sd]?|right|correct|build(?:s|ing)? on|share|concur|well put|indeed|exactly|as \w+ (?:said|noted|put it))\b/gi;
+const DISAGREE_WITH = /\b(?:disagree[sd]?|differently|differ|unlike|push back|challenge|not convinced|wrong|mistaken|object)\b/gi;
+
+const CLAIM = /\b(?:I (?:think|believe|argue|contend|maintain|hold|suggest|propose|would (?:argue|say))|my (?:view|position|claim) is|it seems to me)\b(?:\s+that)?\s+([^.!?]{10,200})/gi;
+const CHANGE_OF_MIND = /\b(?:changed my (?:mind|view|position)|I (?:now|no longer) (?:think|believe|agree|accept|hold)|I was wrong|I stand corrected|(?:you(?:'ve| have)|\w+ (?:has|have)) convinced me|I concede|on reflection|(?:I've|I have) come around|I take (?:it|that) back|I(?:'m| am) persuaded)\b/i;
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'also', 'been', 'being', 'between', 'does', 'from', 'have', 'into', 'just',
+  'more', 'most', 'much', 'only', 'other', 'over', 'should', 'some', 'such', 'than', 'that',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'very', 'what', 'when',
+  'where', 'which', 'while', 'will', 'with', 'would', 'could', 'your', 'really', 'think'
+]);
+
+function splitSentences(text) {
+  return String(text)
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function keywords(text) {
+  return new Set(String(text).toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 3 && !STOP_WORDS.has(word)));
+}
+
+// Share of words two sets have in common
+function similarity(a, b) {
+  const union = new Set([...a, ...b]);
+  if (union.size === 0) return 0;
+  return [...a].filter(word => b.has(word)).length / union.size;
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The participants other than the speaker that a sentence mentions by name
+function othersNamed(sentence, participants, speaker) {
+  return participants.filter(name =>
+    name !== speaker && new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(sentence));
+}
+
+function excerpt(text) {
+  return text.length > MAX_EXCERPT_LENGTH ? `${text.slice(0, MAX_EXCERPT_LENGTH)}...` : text;
+}
+
+export function describeStance(score) {
+  if (score >= STANCE_THRESHOLD) return 'for';
+  if (score <= -STANCE_THRESHOLD) return 'against';
+  return 'undecided';
+}
+
+// (agree - disagree) / total, or null when there is no evidence either way
+function agreementScore(agree, disagree) {
+  const total = agree + disagree;
+  return total > 0 ? Math.round(((agree - disagree) / total) * 100) / 100 : null;
+}
+
+export class PositionTracker {
+  // options.topic becomes the first key question; options.participants fixes
+  // the order of the stance map (anyone else who speaks is added as they do)
+  constructor(options = {}) {
+    this.participants = [];
+    this.questions = [];
+    this.stances = new Map(); // `${questionId}\n${speaker}` -> { score, stance, history }
+    this.relations = new Map(); // `${speaker}\n${other}` -> { agree, disagree }
+    this.claims = new Map(); // speaker -> recent claims
+    this.shifts = [];
+    this.judged = {};
+    this.messageCount = 0;
+    this.questionCount = 0;
+
+    (options.participants || []).forEach(name => this.addParticipant(name));
+    if (options.topic) {
+      this.questions.push({ id: TOPIC_QUESTION_ID, text: options.topic, raisedBy: null, keywords: keywords(options.topic) });
+    }
+  }
+
+  addParticipant(name) {
+    if (name && name !== MODERATOR && !this.participants.includes(name)) {
+      this.participants.push(name);
+    }
+  }
+
+  // Record one message. Returns the stances it leaves the speaker with on the
+  // questions it touched, or null for moderator messages and when there are no
+  // questions yet.
+  recordMessage(text, speaker, timestamp = new Date().toISOString()) {
+    const messageIndex = this.messageCount++;
+    const sentences = splitSentences(text);
+
+    if (speaker === MODERATOR) {
+      sentences
+        .filter(sentence => sentence.endsWith('?') && sentence.split(/\s+/).length >= 3)
+        .forEach(sentence => this.addQuestion(sentence, speaker, timestamp));
+      return null;
+    }
+
+    this.addParticipant(speaker);
+    const answered = this.matchQuestion(text) || this.questions[this.questions.length - 1];
+    if (!answered) return null;
+
+    // Sentences about another participant say who the speaker sides with. The
+    // rest (minus rhetorical questions) say where they stand on whichever
+    // question they share words with, or the one the message as a whole answers.
+    const tallies = new Map();
+    for (const sentence of sentences) {
+      const named = othersNamed(sentence, this.participants, speaker);
+
+      if (named.length > 0) {
+        named.forEach(name => this.recordRelation(speaker, name, sentence));
+      } else if (!sentence.endsWith('?')) {
+        const question = this.matchQuestion(sentence) || answered;
+        const tally = tallies.get(question) || { affirm: 0, deny: 0 };
+        tally.affirm += countMatches(sentence, AFFIRM);
+        tally.deny += countMatches(sentence, DENY);
+        tallies.set(question, tally);
+      }
+    }
+
+    const claims = this.extractClaims(text, sentences, speaker);
+    claims.forEach(claim => this.recordClaim(speaker, { text: claim, questionId: answered.id, timestamp }));
+
+    const changeOfMind = sentences.find(sentence => CHANGE_OF_MIND.test(sentence));
+    if (changeOfMind && !tallies.has(answered)) tallies.set(answered, { affirm: 0, deny: 0 });
+
+    const stances = [];
+    let shifted = false;
+    for (const [question, { affirm, deny }] of tallies) {
+      const shift = this.updateStance(question, speaker, affirm, deny, {
+        changeOfMind,
+        excerpt: changeOfMind || claims[0] || sentences[0] || '',
+        timestamp,
+        messageIndex
+      });
+      const entry = this.stances.get(`${question.id}\n${speaker}`);
+      if (entry) stances.push({ questionId: question.id, stance: entry.stance, score: entry.score });
+      shifted = shifted || Boolean(shift);
+    }
+
+    return { stances, claims, shift: shifted };
+  }
+
+  // Fold one message's affirming and denying words into the speaker's stance on
+  // a question. Returns the recorded shift when the speaker changed position.
+  updateStance(question, speaker, affirm, deny, { changeOfMind, excerpt: text, timestamp, messageIndex }) {
+    const key = `${question.id}\n${speaker}`;
+    const previous = this.stances.get(key);
+
+    let entry = previous;
+    if (affirm + deny > 0) {
+      const messageScore = (affirm - deny) / (affirm + deny);
+      // Each message moves the stance halfway, so one stray sentence doesn't flip
+      // it - unless the speaker says they have changed their mind
+      const blended = previous && !changeOfMind ? (previous.score + messageScore) / 2 : messageScore;
+      const score = Math.round(blended * 100) / 100;
+      const stance = describeStance(score);
+      entry = {
+        score,
+        stance,
+        history: [...(previous?.history || []), { stance, score, timestamp, messageIndex }]
+      };
+      this.stances.set(key, entry);
+    }
+
+    const from = previous?.stance || null;
+    const to = entry?.stance || null;
+    const reversed = (from === 'for' && to === 'against') || (from === 'against' && to === 'for');
+    if (!changeOfMind && !reversed) return null;
+
+    const shift = {
+      speaker,
+      questionId: question.id,
+      question: question.text,
+      from,
+      to,
+      reason: changeOfMind ? 'explicit' : 'reversal',
+      excerpt: excerpt(text),
+      timestamp,
+      messageIndex
+    };
+    this.shifts.push(shift);
+    return shift;
+  }
+
+  addQuestion(text, raisedBy, timestamp) {
+    // Asking the topic (or an earlier question) again doesn't make a new one
+    const words = keywords(text);
+    const repeated = this.questions.some(question => similarity(question.keywords, words) >= 0.8);
+    if (repeated || words.size === 0) return;
+
+    const id = `q${++this.questionCount}`;
+    this.questions.push({ id, text, raisedBy, timestamp, keywords: words });
+
+    // Keep the topic and the most recent questions
+    const asked = this.questions.filter(question => question.id !== TOPIC_QUESTION_ID);
+    if (asked.length > MAX_QUESTIONS) {
+      const dropped = asked[0].id;
+      this.questions = this.questions.filter(question => question.id !== dropped);
+      for (const key of this.stances.keys()) {
+        if (key.startsWith(`${dropped}\n`)) this.stances.delete(key);
+      }
+    }
+  }
+
+  // The question sharing the most words with the text, preferring the most
+  // recent on a tie; null when it shares none
+  matchQuestion(text) {
+    const words = keywords(text);
+    let best = null;
+    let bestOverlap = 0;
+    for (let i = this.questions.length - 1; i >= 0; i--) {
+      const overlap = [...this.questions[i].keywords].filter(word => words.has(word)).length;
+      if (overlap > bestOverlap) {
+        best = this.questions[i];
+        bestOverlap = overlap;
+      }
+    }
+    return best;
+  }
+
+  recordRelation(speaker, other, sentence) {
+    const agree = countMatches(sentence, AGREE_WITH);
+    const disagree = countMatches(sentence, DISAGREE_WITH);
+    if (agree === disagree) return;
+
+    const key = `${speaker}\n${other}`;
+    const relation = this.relations.get(key) || { agree: 0, disagree: 0 };
+    if (agree > disagree) relation.agree++;
+    else relation.disagree++;
+    this.relations.set(key, relation);
+  }
+
+  // Sentences introduced as the speaker's own view, or failing that the first
+  // statement - preferably one that isn't about another participant
+  extractClaims(text, sentences, speaker) {
+    const claims = [...String(text).matchAll(CLAIM)].map(match => match[1].trim());
+    if (claims.length > 0) return claims.map(excerpt);
+
+    const statements = sentences.filter(sentence => !sentence.endsWith('?') && sentence.length >= 20);
+    const own = statements.find(sentence => othersNamed(sentence, this.participants, speaker).length === 0);
+    const statement = own || statements[0];
+    return statement ? [excerpt(statement)] : [];
+  }
+
+  recordClaim(speaker, claim) {
+    const claims = this.claims.get(speaker) || [];
+    claims.push(claim);
+    this.claims.set(speaker, claims.slice(-MAX_CLAIMS_PER_PARTICIPANT));
+  }
+
+  // Positions summarised by a consensus judge ({ name: summary }), kept next to the inferred stances
+  recordJudgedPositions(positions = {}, timestamp = new Date().toISOString()) {
+    for (const [name, position] of Object.entries(positions)) {
+      if (name === MODERATOR) continue;
+      this.addParticipant(name);
+      this.judged[name] = { position, timestamp };
+    }
+  }
+
+  // Pairwise agreement: matrix[a][b] is how far a sides with b. Counts what a
+  // said about b by name, plus every key question on which both took the same
+  // (or the opposite) side.
+  getAgreementMatrix() {
+    const matrix = {};
+    for (const a of this.participants) {
+      matrix[a] = {};
+      for (const b of this.participants) {
+        if (a === b) continue;
+
+        const relation = this.relations.get(`${a}\n${b}`) || { agree: 0, disagree: 0 };
+        let { agree, disagree } = relation;
+        for (const question of this.questions) {
+          const stanceA = this.stances.get(`${question.id}\n${a}`)?.stance;
+          const stanceB = this.stances.get(`${question.id}\n${b}`)?.stance;
+          if (!stanceA || !stanceB || stanceA === 'undecided' || stanceB === 'undecided') continue;
+          if (stanceA === stanceB) agree++;
+          else disagree++;
+        }
+        matrix[a][b] = { agree, disagree, score: agreementScore(agree, disagree) };
+      }
+    }
+    return matrix;
+  }
+
+  exportPositions() {
+    return {
+      participants: [...this.participants],
+      questions: this.questions.map(question => ({
+        id: question.id,
+        text: question.text,
+        raisedBy: question.raisedBy,
+        stances: Object.fromEntries(this.participants
+          .filter(name => this.stances.has(`${question.id}\n${name}`))
+          .map(name => [name, this.stances.get(`${question.id}\n${name}`)]))
+      })),
+      claims: Object.fromEntries(this.claims),
+      matrix: this.getAgreementMatrix(),
+      shifts: [...this.shifts],
+      judged: { ...this.judged }
+    };
+  }
+}
@@ -0,0 +1,257 @@
+// Full-text search helpers shared by the storage backends. Backends that keep
+// conversations in process (json, memory) rank with searchDocuments(); SQLite
+// uses FTS5 but shares the query parsing, filters and snippet rendering so all
+// backends return the same result shape.
+
+export const DEFAULT_RESULT_LIMIT = 20;
+export const MAX_RESULT_LIMIT = 100;
+export const DEFAULT_HIT_LIMIT = 3;
+
+// Filters understood by every backend's searchConversations(query, filters).
+// Dates are ISO strings; provider matches the speaker of each hit.
+export const DEFAULT_SEARCH_FILTERS = Object.freeze({
+  provider: null,
+  status: null,
+  topic: null,
+  from: null,
+  to: null,
+  limit: DEFAULT_RESULT_LIMIT,
+  hitLimit: DEFAULT_HIT_LIMIT
+});
+
+// Snippet match markers; rendered to <mark> after HTML-escaping
+export const MARK_START = '\u0002';
+export const MARK_END = '\u0003';
+
+// Added to a conversation's score when every query term appears in its topic
+const TOPIC_BOOST = 2;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 50;
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip diacritics, matching SQLite's unicode61 tokenizer
+function normalizeWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+export function tokenize(text = '') {
+  return Array.from(String(text).matchAll(WORD_PATTERN), match => normalizeWord(match[0]));
+}
+
+// Unique search terms from a free-text query. Terms match word prefixes, so
+// "conscious" finds "consciousness".
+export function parseSearchQuery(query = '') {
+  return [...new Set(tokenize(query))];
+}
+
+// Validate the filter query parameters accepted by the search endpoint
+export function parseSearchFilters(params = {}) {
+  const errors = [];
+
+  const parseDate = (value, name) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`"${name}" must be a valid date`);
+      return null;
+    }
+    return date.toISOString();
+  };
+
+  const parseLimit = (value, fallback, max) => {
+    if (value === undefined || value === '') return fallback;
+    const limit = Number.parseInt(value, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      errors.push('"limit" must be a positive integer');
+      return fallback;
+    }
+    return Math.min(limit, max);
+  };
+
+  const filters = {
+    ...DEFAULT_SEARCH_FILTERS,
+    provider: params.provider || null,
+    status: params.status || null,
+    topic: params.topic || null,
+    from: parseDate(params.from, 'from'),
+    to: parseDate(params.to, 'to'),
+    limit: parseLimit(params.limit, DEFAULT_RESULT_LIMIT, MAX_RESULT_LIMIT)
+  };
+
+  // A bare date for "to" means the whole day
+  if (filters.to && /^\d{4}-\d{2}-\d{2}$/.test(params.to)) {
+    filters.to = new Date(new Date(filters.to).getTime() + 24 * 60 * 60 * 1000 - 1).toISOString();
+  }
+
+  return { filters, errors };
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Turn a marker-delimited snippet into HTML-safe text with <mark> highlights
+export function renderSnippet(markedText) {
+  return escapeHtml(markedText)
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+function termMatches(word, terms) {
+  return terms.some(term => word.startsWith(term));
+}
+
+// Build a highlighted excerpt around the first matching word
+export function buildSnippet(content, terms, maxLength = SNIPPET_LENGTH) {
+  const spans = [];
+  for (const match of content.matchAll(WORD_PATTERN)) {
+    if (termMatches(normalizeWord(match[0]), terms)) {
+      spans.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  let start = spans.length > 0 ? Math.max(0, spans[0][0] - SNIPPET_LEAD) : 0;
+  let end = Math.min(content.length, start + maxLength);
+  start = Math.max(0, Math.min(start, end - maxLength));
+
+  // Avoid cutting words in half at either edge
+  if (start > 0) {
+    const space = content.indexOf(' ', start);
+    if (space !== -1 && space < (spans[0]?.[0] ?? end)) start = space + 1;
+  }
+  if (end < content.length) {
+    const space = content.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  let snippet = '';
+  let cursor = start;
+  for (const [spanStart, spanEnd] of spans) {
+    if (spanStart < start || spanEnd > end) continue;
+    snippet += content.slice(cursor, spanStart) + MARK_START + content.slice(spanStart, spanEnd) + MARK_END;
+    cursor = spanEnd;
+  }
+  snippet += content.slice(cursor, end);
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < content.length ? '…' : ''}`;
+}
+
+export function topicMatchesTerms(topic, terms) {
+  const words = tokenize(topic);
+  return terms.every(term => words.some(word => word.startsWith(term)));
+}
+
+// Conversation-level filters: status, topic substring and provider participation
+export function conversationPassesFilters(summary, filters) {
+  if (filters.status && summary.status !== filters.status) return false;
+  if (filters.topic && !summary.topic.toLowerCase().includes(filters.topic.toLowerCase())) return false;
+  if (filters.provider && !(summary.participants || []).some(name => name.toLowerCase() === filters.provider.toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+// Topic-only matches have no message timestamp, so the creation date is used
+export function createdWithinRange(summary, filters) {
+  if (filters.from && summary.createdAt < filters.from) return false;
+  if (filters.to && summary.createdAt > filters.to) return false;
+  return true;
+}
+
+// Message-level filters: the hit must be from the provider and inside the date range
+export function messagePassesFilters(message, filters) {
+  if (filters.provider && message.speaker.toLowerCase() !== filters.provider.toLowerCase()) return false;
+  if (filters.from && message.timestamp < filters.from) return false;
+  if (filters.to && message.timestamp > filters.to) return false;
+  return true;
+}
+
+// Combine message hits and topic matches into ranked per-conversation results
+export function rankConversationResults(entries, filters = {}) {
+  filters = { ...DEFAULT_SEARCH_FILTERS, ...filters };
+  return entries
+    .map(({ summary, hits, topicMatch }) => {
+      const sortedHits = [...hits].sort((a, b) => b.score - a.score);
+      const score = (topicMatch ? TOPIC_BOOST : 0) +
+        sortedHits.slice(0, filters.hitLimit).reduce((sum, hit) => sum + hit.score, 0);
+
+      return {
+        ...summary,
+        score,
+        matchType: topicMatch ? 'topic' : 'content',
+        topicMatch,
+        totalHits: sortedHits.length,
+        hits: sortedHits.slice(0, filters.hitLimit)
+      };
+    })
+    .sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, filters.limit);
+}
+
+// Rank in-process documents ({ summary, messages }) with BM25 over message content.
+// Every term must match a message for it to count as a hit.
+export function searchDocuments(documents, query, filters = {}) {
+  filters = { ...DEFAULT_SEARCH_FILTERS, ...filters };
+  const terms = parseSearchQuery(query);
+  if (terms.length === 0) return [];
+
+  const corpus = [];
+  for (const document of documents) {
+    (document.messages || []).forEach((message, position) => {
+      corpus.push({ document, message, position, words: tokenize(message.content) });
+    });
+  }
+
+  const averageLength = corpus.reduce((sum, entry) => sum + entry.words.length, 0) / (corpus.length || 1);
+  const idf = terms.map(term => {
+    const df = corpus.filter(entry => entry.words.some(word => word.startsWith(term))).length;
+    return Math.log(1 + (corpus.length - df + 0.5) / (df + 0.5));
+  });
+
+  const byConversation = new Map();
+  const entryFor = document => {
+    if (!byConversation.has(document.summary.id)) {
+      byConversation.set(document.summary.id, { summary: document.summary, hits: [], topicMatch: false });
+    }
+    return byConversation.get(document.summary.id);
+  };
+
+  for (const { document, message, position, words } of corpus) {
+    if (!conversationPassesFilters(document.summary, filters)) continue;
+    if (!messagePassesFilters(message, filters)) continue;
+
+    const frequencies = terms.map(term => words.filter(word => word.startsWith(term)).length);
+    if (frequencies.some(tf => tf === 0)) continue;
+
+    const lengthNorm = 1 - B + B * (words.length / (averageLength || 1));
+    const score = frequencies.reduce((sum, tf, i) => sum + idf[i] * (tf * (K1 + 1)) / (tf + K1 * lengthNorm), 0);
+
+    entryFor(document).hits.push({
+      messageId: message.id,
+      position,
+      speaker: message.speaker,
+      timestamp: message.timestamp,
+      snippet: renderSnippet(buildSnippet(message.content, terms)),
+      score
+    });
+  }
+
+  for (const document of documents) {
+    const { summary } = document;
+    if (topicMatchesTerms(summary.topic, terms) && conversationPassesFilters(summary, filters) && createdWithinRange(summary, filters)) {
+      entryFor(document).topicMatch = true;
+    }
+  }
+
+  return rankConversationResults(Array.from(byConversation.values()), filters);
+}
@@ -0,0 +1,27 @@
+// Parse an OpenAI-style server-sent event stream (fetch body or Node readable)
+// and yield each JSON payload until the "[DONE]" marker.
+export async function* parseSSEStream(stream) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      try {
+        yield JSON.parse(data);
+      } catch (error) {
+        console.warn('Skipping malformed stream event:', data.substring(0, 100));
+      }
+    }
+  }
+}
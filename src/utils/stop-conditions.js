@@ -0,0 +1,95 @@
+// Conditions that end a web debate on their own. Each one is off (null) until
+// set in the conversation config as config.stopConditions; the first one met
+// after an AI turn ends the conversation.
+
+export const DEFAULT_STOP_CONDITIONS = Object.freeze({
+  consensusThreshold: null, // Consensus level (1-100) that ends the debate...
+  consensusTurns: 3, // ...once it has held for this many messages in a row
+  maxTurns: null, // AI messages in the whole conversation
+  maxTokens: null, // Completion tokens of AI messages, as reported by the providers
+  maxCost: null, // Estimated cost of the debate's calls, in the price table's currency
+  maxDurationMinutes: null, // Wall-clock time since the debate was started or resumed
+  summarize: false // Generate the end-of-debate summary when a condition ends it
+});
+
+function parseLimit(value, name, { min, max = Infinity, integer = true }) {
+  if (value === null || value === undefined || value === '' || value === 0) return null;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    throw new Error(`Stop condition "${name}" must be ${integer ? 'a whole number' : 'a number'} ${range}`);
+  }
+  return number;
+}
+
+// Complete a config.stopConditions object. Settings it leaves out keep their
+// previous value; null turns every condition off.
+export function resolveStopConditions(value, previous = DEFAULT_STOP_CONDITIONS) {
+  if (value === undefined) return { ...DEFAULT_STOP_CONDITIONS, ...previous };
+  if (value === null) return { ...DEFAULT_STOP_CONDITIONS };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('stopConditions must be an object');
+  }
+
+  const unknown = Object.keys(value).filter(key => !Object.hasOwn(DEFAULT_STOP_CONDITIONS, key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown stop condition "${unknown[0]}" (expected one of: ${Object.keys(DEFAULT_STOP_CONDITIONS).join(', ')})`);
+  }
+
+  const merged = { ...DEFAULT_STOP_CONDITIONS, ...previous, ...value };
+  return {
+    consensusThreshold: parseLimit(merged.consensusThreshold, 'consensusThreshold', { min: 1, max: 100 }),
+    consensusTurns: parseLimit(merged.consensusTurns, 'consensusTurns', { min: 1 }) ?? DEFAULT_STOP_CONDITIONS.consensusTurns,
+    maxTurns: parseLimit(merged.maxTurns, 'maxTurns', { min: 1 }),
+    maxTokens: parseLimit(merged.maxTokens, 'maxTokens', { min: 1 }),
+    maxCost: parseLimit(merged.maxCost, 'maxCost', { min: Number.MIN_VALUE, integer: false }),
+    maxDurationMinutes: parseLimit(merged.maxDurationMinutes, 'maxDurationMinutes', { min: 0.1, integer: false }),
+    summarize: merged.summarize === true
+  };
+}
+
+export function hasStopConditions(conditions = {}) {
+  return ['consensusThreshold', 'maxTurns', 'maxTokens', 'maxCost', 'maxDurationMinutes'].some(key => conditions[key] !== null && conditions[key] !== undefined);
+}
+
+// The first condition the debate has met, or null. state holds the consensus
+// levels so far (oldest first), the AI turns, tokens and cost (in currency)
+// used, and the minutes elapsed.
+export function checkStopConditions(conditions = {}, state = {}) {
+  const { consensusLevels = [], turns = 0, tokens = 0, cost = 0, currency = 'USD', elapsedMinutes = 0 } = state;
+  const { consensusThreshold, consensusTurns, maxTurns, maxTokens, maxCost, maxDurationMinutes } = conditions;
+
+  if (consensusThreshold) {
+    const recent = consensusLevels.slice(-consensusTurns);
+    if (recent.length === consensusTurns && recent.every(level => level >= consensusThreshold)) {
+      return {
+        reason: 'consensus',
+        message: `Consensus has stayed at ${consensusThreshold}% or above for ${consensusTurns} message${consensusTurns === 1 ? '' : 's'}`,
+        level: recent[recent.length - 1]
+      };
+    }
+  }
+
+  if (maxTurns && turns >= maxTurns) {
+    return { reason: 'max-turns', message: `Reached the limit of ${maxTurns} AI turns`, turns };
+  }
+
+  if (maxTokens && tokens >= maxTokens) {
+    return { reason: 'max-tokens', message: `Reached the limit of ${maxTokens} tokens`, tokens };
+  }
+
+  if (maxCost && cost >= maxCost) {
+    return { reason: 'max-cost', message: `Reached the cost limit of ${maxCost} ${currency}`, cost };
+  }
+
+  if (maxDurationMinutes && elapsedMinutes >= maxDurationMinutes) {
+    return {
+      reason: 'time-limit',
+      message: `Reached the time limit of ${maxDurationMinutes} minute${maxDurationMinutes === 1 ? '' : 's'}`,
+      elapsedMinutes: Math.round(elapsedMinutes * 10) / 10
+    };
+  }
+
+  return null;
+}
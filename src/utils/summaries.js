@@ -0,0 +1,67 @@
+import { DEFAULT_TEMPLATE_ID } from '../prompts/index.js';
+import { renderMarkdown } from './markdown.js';
+
+// Summary styles are the built-in 'summary' prompt templates. Each gets a
+// label and the token limit its length needs; templates saved under other
+// ids are styles too, with the white paper's generous limit.
+export const SUMMARY_STYLES = {
+  [DEFAULT_TEMPLATE_ID]: {
+    label: 'White paper',
+    description: 'A long academic analysis of every argument, theme and exchange',
+    maxTokens: 8000
+  },
+  'executive-brief': {
+    label: 'Executive brief',
+    description: 'The bottom line, key points, agreements and differences on one page',
+    maxTokens: 1000
+  },
+  positions: {
+    label: 'Position digest',
+    description: "Each participant's current position, arguments, concessions and shifts",
+    maxTokens: 3000
+  },
+  timeline: {
+    label: 'Turning points',
+    description: 'The moments that changed the course of the debate, in order',
+    maxTokens: 2500
+  },
+  'open-questions': {
+    label: 'Open questions',
+    description: 'What the debate left unsettled and what to debate next',
+    maxTokens: 2000
+  }
+};
+
+const CUSTOM_STYLE = { description: 'A saved summary template', maxTokens: SUMMARY_STYLES[DEFAULT_TEMPLATE_ID].maxTokens };
+
+// Classes the summary modal's white paper styling hangs off
+const SUMMARY_CLASSES = {
+  h1: 'summary-title',
+  h2: 'summary-section',
+  h3: 'summary-subsection',
+  h4: 'summary-subsubsection',
+  p: 'summary-paragraph',
+  ul: 'summary-list',
+  ol: 'summary-ordered-list',
+  bullet: 'summary-bullet',
+  numbered: 'summary-numbered',
+  blockquote: 'summary-quote',
+  code: 'summary-code',
+  hr: 'summary-divider',
+  table: 'summary-table'
+};
+
+export function getSummaryStyle(id) {
+  return { id, label: id, ...CUSTOM_STYLE, ...SUMMARY_STYLES[id] };
+}
+
+// Every summary template in the library as a style, the built-in ones first
+export function listSummaryStyles(library) {
+  return library.list('summary')
+    .map(template => getSummaryStyle(template.id))
+    .sort((a, b) => (b.id in SUMMARY_STYLES) - (a.id in SUMMARY_STYLES));
+}
+
+export function renderSummaryHTML(markdown) {
+  return `<div class="summary-content">${renderMarkdown(markdown, { classes: SUMMARY_CLASSES })}</div>`;
+}
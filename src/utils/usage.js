@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Token usage and cost accounting. Providers report each call's prompt and
+// completion tokens and its latency (BaseAIProvider.recordUsage); the server
+// prices the call and stores it on the message record as message.usage (or, for
+// judge and summary calls, in conversation.analysisUsage), and totals per
+// conversation and per provider are summed from those records.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../prices.json');
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Price per million tokens by model name. A model matches the longest entry
+// its name starts with, so "gpt-4o" also covers dated snapshots like
+// "gpt-4o-2024-08-06". Override or extend it in prices.json.
+export const DEFAULT_PRICES = Object.freeze({
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+  'deepseek-reasoner': { input: 0.55, output: 2.19 },
+  'mistral-large': { input: 2, output: 6 },
+  'mistral-small': { input: 0.2, output: 0.6 },
+  'grok-4': { input: 3, output: 15 },
+  'grok-2': { input: 2, output: 10 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'mock': { input: 0, output: 0 }
+});
+
+// Rough token count for text the providers don't report usage for
+const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text = '') {
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+// Token counts from an OpenAI-style "usage" object, as returned by the
+// chat completions APIs of OpenAI, DeepSeek, Mistral, Grok and local servers
+export function fromOpenAIUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0
+  };
+}
+
+// Read the price table (prices.json): { "currency": "USD", "models": { "<model>": { "input": 3, "output": 15 } } }.
+// Its models are merged over DEFAULT_PRICES; a missing file means the defaults.
+export function loadPriceTable(configPath = process.env.PRICES_CONFIG || DEFAULT_CONFIG_PATH) {
+  const table = { currency: DEFAULT_CURRENCY, models: { ...DEFAULT_PRICES } };
+  if (!fs.existsSync(configPath)) {
+    return table;
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (config.models !== undefined && (typeof config.models !== 'object' || Array.isArray(config.models))) {
+      throw new Error('"models" must be an object');
+    }
+    for (const [model, price] of Object.entries(config.models || {})) {
+      table.models[model] = validatePrice(price, `"${model}"`);
+    }
+    table.currency = config.currency || DEFAULT_CURRENCY;
+    console.log(`💲 Loaded price table: ${configPath}`);
+    return table;
+  } catch (error) {
+    throw new Error(`Invalid price table ${configPath}: ${error.message}`);
+  }
+}
+
+// A { input, output } price per million tokens, as in prices.json or a
+// providers.json entry's "pricing"
+export function validatePrice(price, label = 'pricing') {
+  const valid = price && typeof price === 'object' &&
+    ['input', 'output'].every(key => Number.isFinite(price[key]) && price[key] >= 0);
+  if (!valid) {
+    throw new Error(`${label} needs non-negative "input" and "output" prices per million tokens`);
+  }
+  return { input: price.input, output: price.output };
+}
+
+// The price for a model: the longest table entry the model name starts with,
+// or null when it has none
+export function findPrice(table, model) {
+  if (!model) return null;
+
+  const name = String(model).toLowerCase();
+  const match = Object.keys(table.models)
+    .filter(key => name.startsWith(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table.models[match] : null;
+}
+
+export function calculateCost(usage, price) {
+  if (!price) return null;
+  const cost = (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+  // Round away float noise; a millionth of a cent is below any real price
+  return Math.round(cost * 1e8) / 1e8;
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    unpricedCalls: 0,
+    estimatedCalls: 0,
+    latencyMs: 0,
+    averageLatencyMs: 0
+  };
+}
+
+function addToTotals(totals, usage) {
+  totals.calls += usage.calls ?? 1;
+  totals.promptTokens += usage.promptTokens || 0;
+  totals.completionTokens += usage.completionTokens || 0;
+  totals.totalTokens += usage.totalTokens || 0;
+  totals.cost = Math.round((totals.cost + (usage.cost || 0)) * 1e8) / 1e8;
+  totals.unpricedCalls += usage.unpricedCalls ?? (usage.cost === null ? 1 : 0);
+  totals.estimatedCalls += usage.estimatedCalls ?? (usage.estimated ? 1 : 0);
+  totals.latencyMs += usage.latencyMs || 0;
+  totals.averageLatencyMs = totals.calls > 0 ? Math.round(totals.latencyMs / totals.calls) : 0;
+}
+
+// Totals for a conversation's messages, overall and per provider. Messages
+// without a usage record (Human's, or ones saved before accounting) are skipped.
+// analysisUsage holds the conversation's judge and summary calls ({ ...usage,
+// provider }); they count towards the totals and their provider's, and are
+// also totalled on their own as summary.analysis.
+export function summarizeUsage(messages = [], analysisUsage = []) {
+  const records = [
+    ...messages.filter(msg => msg.usage).map(msg => ({ provider: msg.speaker, usage: msg.usage })),
+    ...analysisUsage.map(usage => ({ provider: usage.provider, usage, analysis: true }))
+  ];
+  const currency = records.find(record => record.usage.currency)?.usage.currency || DEFAULT_CURRENCY;
+  const summary = { currency, totals: emptyTotals(), analysis: emptyTotals(), providers: {} };
+
+  records.forEach(({ provider, usage, analysis }) => {
+    addToTotals(summary.totals, usage);
+    if (analysis) addToTotals(summary.analysis, usage);
+    summary.providers[provider] ??= emptyTotals();
+    addToTotals(summary.providers[provider], usage);
+  });
+
+  return summary;
+}
+
+// Merge several summarizeUsage results, e.g. every stored conversation's
+export function combineUsage(summaries = []) {
+  const present = summaries.filter(summary => summary?.totals);
+  const currency = present.find(summary => summary.totals.calls > 0)?.currency || DEFAULT_CURRENCY;
+  const combined = { currency, totals: emptyTotals(), analysis: emptyTotals(), providers: {} };
+
+  present.forEach(summary => {
+    addToTotals(combined.totals, summary.totals);
+    // Summaries stored before analysis calls were counted have no analysis totals
+    if (summary.analysis) addToTotals(combined.analysis, summary.analysis);
+    for (const [name, totals] of Object.entries(summary.providers)) {
+      combined.providers[name] ??= emptyTotals();
+      addToTotals(combined.providers[name], totals);
+    }
+  });
+
+  return combined;
+}
@@ -4,33 +4,50 @@ import { Server } from 'socket.io';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { ClaudeProvider } from './providers/claude-provider.js';
-import { ChatGPTProvider } from './providers/chatgpt-provider.js';
-import { GeminiProvider } from './providers/gemini-provider.js';
-import { MetaProvider } from './providers/meta-provider.js';
-import { WatsonxProvider } from './providers/watsonx-provider.js';
-import { GrokProvider } from './providers/grok-provider.js';
-import { MistralProvider } from './providers/mistral-provider.js';
-import { DeepSeekProvider } from './providers/deepseek-provider.js';
+import { buildProviders, buildOfflineProviders, isOfflineMode } from './providers/index.js';
 import { ConversationMemory } from './utils/memory.js';
+import { parseSearchFilters } from './utils/search.js';
+import { listPersonas, resolvePersonas } from './utils/personas.js';
+import { DEFAULT_TEMPLATE_ID, PromptLibrary, isPromptKind, listPromptKinds, validateTemplate } from './prompts/index.js';
+import { ConsensusJudge } from './utils/consensus.js';
+import { ContextSummarizer } from './utils/context-window.js';
+import { Analyst, parseAnalystList, resolveAnalyst } from './utils/analyst.js';
+import { getSummaryStyle, listSummaryStyles, renderSummaryHTML } from './utils/summaries.js';
+import { checkStopConditions, hasStopConditions, resolveStopConditions } from './utils/stop-conditions.js';
+import { calculateCost, estimateTokens, findPrice, loadPriceTable } from './utils/usage.js';
+import { DailyUsage, checkBudget, describeBudgetLimit, hasBudget, resolveBudget } from './utils/budgets.js';
+import { DEFAULT_DEBATE_FORMAT, createDebateFormat, isDebateFormat, listDebateFormats } from './formats/index.js';
+import { DEFAULT_EXPORT_FORMAT, isExportFormat, listExportFormats } from './export/index.js';
+import { IMPORT_FORMATS, parseImport } from './export/import.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const CONFIG = {
-  ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  GOOGLE_API_KEY: process.env.GOOGLE_API_KEY,
-  META_API_KEY: process.env.META_API_KEY,
-  WATSONX_API_KEY: process.env.WATSONX_API_KEY,
-  GROK_API_KEY: process.env.GROK_API_KEY,
-  MISTRAL_API_KEY: process.env.MISTRAL_API_KEY,
-  DEEPSEEK_API_KEY: process.env.DEEPSEEK_API_KEY,
   PORT: process.env.PORT || 3000
 };
 
-class PhilosopherChatServer {
-  constructor() {
+// Largest request body POST /api/conversations/import accepts
+const IMPORT_BODY_LIMIT = '10mb';
+
+// Mock stand-ins used in offline mode get a little latency so the UI behaves as it would live
+const OFFLINE_MOCK_CONFIG = {
+  latency: [400, 1200],
+  chunkDelay: 40
+};
+
+// Pacing between automatic AI turns; tests shrink these to keep runs fast
+const DEFAULT_TIMING = {
+  responseDelay: [3000, 6000], // Random pause after each AI response (ms)
+  autoRoundDelay: 3000 // Pause before an automatic follow-up round (ms)
+};
+
+export class PhilosopherChatServer {
+  // options.providers skips provider setup (e.g. mock providers in tests),
+  // options.memory injects a ConversationMemory, options.timing overrides DEFAULT_TIMING,
+  // options.prices replaces the price table from prices.json (see utils/usage.js)
+  constructor(options = {}) {
+    this.timing = { ...DEFAULT_TIMING, ...options.timing };
     this.app = express();
     this.server = createServer(this.app);
     this.io = new Server(this.server, {
@@ -41,104 +58,296 @@ class PhilosopherChatServer {
     });
     
     this.providers = [];
-    this.memory = new ConversationMemory();
+    this.offline = false;
+    this.memory = options.memory || new ConversationMemory();
+    this.prompts = options.prompts || new PromptLibrary();
+    this.prices = options.prices || loadPriceTable();
     this.activeConversations = new Map();
     this.conversationConfigs = new Map();
+    this.conversationFormats = new Map(); // Per-conversation debate format instances
+    this.conversationProviders = new Map(); // Provider instances scoped to each conversation
     this.autoRoundCounts = new Map();
     this.consecutiveAIMessages = new Map(); // Track consecutive AI messages
     this.conversationActiveProviders = new Map();
     this.processingLocks = new Map(); // Prevent multiple simultaneous processAIResponses calls
+    this.debateStartTimes = new Map(); // When each debate was started or resumed, for the time limit
+    this.budgetWarnings = new Map(); // Budget limits each conversation has already been warned about
+    this.dailyUsage = new DailyUsage(); // Spending across all conversations today, for daily budgets
     
-    this.setupProviders();
+    if (options.providers) {
+      this.providers = options.providers;
+    } else {
+      this.setupProviders();
+    }
+    this.watchProviderHealth();
     this.setupMiddleware();
     this.setupRoutes();
     this.setupSocketHandlers();
   }
 
-  setupProviders(config = {}) {
+  setupProviders() {
     console.log('🚀 Initializing AI providers...');
 
-    this.providers = []; // Reset providers
-    
-    if (CONFIG.ANTHROPIC_API_KEY) {
-      try {
-        this.providers.push(new ClaudeProvider(CONFIG.ANTHROPIC_API_KEY, config));
-        console.log('✅ Claude provider initialized');
-      } catch (error) {
-        console.log('❌ Failed to initialize Claude:', error.message);
+    const { providers, results } = buildProviders({ mockConfig: OFFLINE_MOCK_CONFIG });
+    this.providers = providers;
+    this.offline = isOfflineMode();
+
+    results.forEach(({ entry, definition, provider, error, status }) => {
+      if (status === 'initialized') {
+        console.log(`✅ ${provider.name} provider initialized (${entry.model || entry.modelId || definition.defaultModel})`);
+      } else if (status === 'failed') {
+        console.log(`❌ Failed to initialize ${definition.name}:`, error.message);
+      } else if (status === 'unknown') {
+        console.log(`⚠️  Unknown provider type in config: ${entry.type}`);
       }
-    }
+    });
 
-    if (CONFIG.OPENAI_API_KEY) {
-      try {
-        this.providers.push(new ChatGPTProvider(CONFIG.OPENAI_API_KEY, config));
-        console.log('✅ ChatGPT provider initialized');
-      } catch (error) {
-        console.log('❌ Failed to initialize ChatGPT:', error.message);
-      }
+    if (this.providers.length === 0) {
+      console.log('⚠️  No AI providers available - starting in offline mode with mock providers');
+      this.providers = buildOfflineProviders(OFFLINE_MOCK_CONFIG).providers;
+      this.offline = true;
     }
+  }
 
-    if (CONFIG.GOOGLE_API_KEY) {
-      try {
-        this.providers.push(new GeminiProvider(CONFIG.GOOGLE_API_KEY, config));
-        console.log('✅ Gemini provider initialized');
-      } catch (error) {
-        console.log('❌ Failed to initialize Gemini:', error.message);
-      }
-    }
+  // Announce circuit breaker changes to every client. Each conversation's copy
+  // of a provider shares its breaker, so one listener per provider covers them all.
+  watchProviderHealth() {
+    this.providers.forEach(provider => {
+      provider.circuitBreaker.on('state', status => {
+        if (status.state === 'open') {
+          console.log(`⚡ ${status.provider} taken out of rotation after ${status.failures} failed call(s): ${status.error}`);
+        } else if (status.state === 'closed') {
+          console.log(`✅ ${status.provider} is responding again`);
+        }
+        this.io.emit('provider-status', { ...status, message: this.describeProviderStatus(status) });
+      });
+    });
+  }
 
-    if (CONFIG.META_API_KEY) {
-      try {
-        this.providers.push(new MetaProvider(CONFIG.META_API_KEY, config));
-        console.log('✅ Meta AI provider initialized');
-      } catch (error) {
-        console.log('❌ Failed to initialize Meta AI:', error.message);
-      }
+  describeProviderStatus(status) {
+    if (status.state === 'open') {
+      return `⚡ ${status.provider} is taking a break after repeated errors and will be tried again at ${new Date(status.retryAt).toLocaleTimeString()}`;
+    }
+    if (status.state === 'half-open') {
+      return `🔄 Trying ${status.provider} again...`;
     }
+    return `✅ ${status.provider} is back in rotation`;
+  }
 
-    if (CONFIG.WATSONX_API_KEY) {
-      try {
-        this.providers.push(new WatsonxProvider(CONFIG.WATSONX_API_KEY, config));
-        console.log('✅ Watsonx provider initialized');
-      } catch (error) {
-        console.log('❌ Failed to initialize Watsonx:', error.message);
+  // Clone the configured providers with a conversation's generation settings and
+  // each participant's assigned persona
+  createConversationProviders(config = {}, personas = {}) {
+    const overrides = {};
+    if (config.maxTokens) overrides.maxTokens = config.maxTokens;
+    if (config.temperature !== undefined) overrides.temperature = config.temperature;
+
+    overrides.systemPrompt = this.prompts.body('system', config.prompts?.system);
+
+    return this.providers.map(provider => provider.withConfig({ ...overrides, persona: personas[provider.name] || null }));
+  }
+
+  // Providers hold the system prompt text, so conversations using an edited
+  // template get fresh instances
+  refreshSystemPrompts(templateId) {
+    for (const [conversationId, config] of this.conversationConfigs) {
+      if (config.prompts?.system === templateId) {
+        const personas = this.memory.getConversation(conversationId)?.personas;
+        this.conversationProviders.set(conversationId, this.createConversationProviders(config, personas));
       }
     }
+  }
 
-    if (CONFIG.GROK_API_KEY) {
-      try {
-        this.providers.push(new GrokProvider(CONFIG.GROK_API_KEY, config));
-        console.log('✅ Grok provider initialized');
-      } catch (error) {
-        console.log('❌ Failed to initialize Grok:', error.message);
-      }
+  // Render one of the conversation's chosen prompt templates. Conversation-wide
+  // variables are filled in here; callers add the ones specific to the prompt.
+  // templateId overrides the conversation's choice, e.g. a summary style asked for on the spot
+  renderConversationPrompt(conversationId, kind, variables = {}, templateId = null) {
+    const conversation = this.memory.getConversation(conversationId);
+    const history = this.memory.getConversationHistory(conversationId);
+    const config = this.conversationConfigs.get(conversationId) || {};
+
+    return this.prompts.render(kind, templateId || config.prompts?.[kind], {
+      topic: conversation?.topic,
+      participants: conversation?.participants,
+      messageCount: history.length,
+      ...variables
+    });
+  }
+
+  // Variables for previewing a template: taken from a conversation when one is
+  // given, otherwise from a made-up opening exchange
+  previewPromptVariables(conversationId) {
+    const conversation = conversationId ? this.memory.getConversation(conversationId) : null;
+    const topic = conversation?.topic || 'Is free will an illusion?';
+    const participants = conversation?.participants || ['Human', ...this.providers.map(p => p.name)];
+    const history = conversation
+      ? this.memory.getConversationHistory(conversationId)
+      : [{ speaker: 'Human', content: 'Can we be responsible for choices we did not cause?' }];
+    const [provider] = this.getConversationProviders(conversationId);
+    const last = history[history.length - 1];
+
+    return {
+      ...provider?.systemPromptVariables(topic, participants),
+      topic,
+      participants,
+      speaker: provider?.name,
+      lastSpeaker: last?.speaker,
+      lastMessage: last?.content,
+      messageCount: history.length,
+      transcript: this.formatTranscript(history)
+    };
+  }
+
+  formatTranscript(history) {
+    return history.map(msg => `${msg.speaker}: ${msg.content}`).join('\n\n');
+  }
+
+  getConversationProviders(conversationId) {
+    return this.conversationProviders.get(conversationId) || this.providers;
+  }
+
+  // CONSENSUS_JUDGE names the provider that judges consensus by default; it is
+  // ignored when that provider is not configured
+  defaultConsensusJudge() {
+    const name = process.env.CONSENSUS_JUDGE;
+    return name && (name === 'analyst' || this.providers.some(p => p.name === name)) ? name : null;
+  }
+
+  // A conversation's consensus judge: a provider name, 'analyst' for the
+  // conversation's analyst, or null for the keyword heuristic
+  resolveConsensusJudge(value, fallback = null) {
+    const judge = value === undefined ? fallback : value || null;
+    if (judge && judge !== 'analyst' && !this.providers.some(p => p.name === judge)) {
+      throw new Error(`Unknown consensus judge "${judge}" (expected analyst or one of: ${this.providers.map(p => p.name).join(', ')})`);
     }
+    return judge;
+  }
 
-    if (CONFIG.MISTRAL_API_KEY) {
-      try {
-        this.providers.push(new MistralProvider(CONFIG.MISTRAL_API_KEY, config));
-        console.log('✅ Mistral provider initialized');
-      } catch (error) {
-        console.log('❌ Failed to initialize Mistral:', error.message);
-      }
+  getConsensusJudge(conversationId) {
+    const { consensusJudge } = this.conversationConfigs.get(conversationId) || {};
+    const provider = consensusJudge && consensusJudge !== 'analyst' &&
+      this.getConversationProviders(conversationId).find(p => p.name === consensusJudge);
+    const judge = consensusJudge === 'analyst'
+      ? this.getAnalyst(conversationId, 'consensus')
+      : provider && new Analyst([provider], { onUsage: this.analysisUsageRecorder(conversationId, 'consensus') });
+    if (!judge) return null;
+
+    return new ConsensusJudge(judge, {
+      renderPrompt: (kind, variables) => this.renderConversationPrompt(conversationId, kind, variables)
+    });
+  }
+
+  // ANALYST lists the providers to try, in order, for summaries and other
+  // analysis by default; names that are not configured are skipped
+  defaultAnalyst() {
+    return parseAnalystList(process.env.ANALYST).filter(name => this.providers.some(p => p.name === name));
+  }
+
+  // The conversation's analyst: its chosen providers in order, or all of them.
+  // purpose ('consensus' or 'summary') labels the usage its calls are billed as.
+  getAnalyst(conversationId, purpose) {
+    const { analyst = [] } = this.conversationConfigs.get(conversationId) || {};
+    const providers = this.getConversationProviders(conversationId);
+    return new Analyst(
+      analyst.length > 0 ? analyst.map(name => providers.find(p => p.name === name)).filter(Boolean) : providers,
+      { onUsage: this.analysisUsageRecorder(conversationId, purpose) }
+    );
+  }
+
+  analysisUsageRecorder(conversationId, purpose) {
+    return (provider, usage) => this.recordAnalysisUsage(conversationId, provider, usage, purpose);
+  }
+
+  // Judge, summary and context summary calls are billed like debate turns: priced, counted
+  // towards today's spending and the conversation's budget, and kept on the
+  // conversation (see ConversationMemory.addAnalysisUsage)
+  async recordAnalysisUsage(conversationId, provider, usage, purpose) {
+    const priced = this.priceUsage(provider, usage);
+    this.dailyUsage.add(priced);
+    try {
+      await this.memory.addAnalysisUsage(conversationId, { ...priced, provider: provider.name, purpose });
+    } catch (error) {
+      console.error(`Failed to save analysis usage for ${conversationId}:`, error);
     }
+    this.io.to(conversationId).emit('usage-update', { usage: this.memory.getUsage(conversationId) });
+    this.emitBudgetWarnings(conversationId);
+    return priced;
+  }
 
-    if (CONFIG.DEEPSEEK_API_KEY) {
-      try {
-        this.providers.push(new DeepSeekProvider(CONFIG.DEEPSEEK_API_KEY, config));
-        console.log('✅ DeepSeek provider initialized');
-      } catch (error) {
-        console.log('❌ Failed to initialize DeepSeek:', error.message);
-      }
+  // Before a provider speaks, fold the turns that no longer fit its context
+  // window into its running summary. Turns left unsummarized are sent as
+  // excerpts instead, so a failure here doesn't hold up the debate.
+  async summarizeEarlierTurns(conversationId, provider, prompt, context) {
+    const summarizer = new ContextSummarizer(this.getAnalyst(conversationId, 'context'), {
+      renderPrompt: (kind, variables) => this.renderConversationPrompt(conversationId, kind, variables)
+    });
+    try {
+      await provider.summarizeContext(prompt, context, summarizer);
+    } catch (error) {
+      console.warn(`⚠️ Could not summarize the earlier turns for ${provider.name}, sending excerpts: ${error.message}`);
     }
+  }
 
-    if (this.providers.length === 0) {
-      console.log('⚠️  No AI providers available - starting in demo mode');
+  updateConsensus(conversationId, providers) {
+    return this.memory.updateConsensus(conversationId, providers, { judge: this.getConsensusJudge(conversationId) });
+  }
+
+  createConversationFormat(config = {}) {
+    return createDebateFormat(config.format, config.formatOptions);
+  }
+
+  // Conversations without a stored format (e.g. created by older clients) get a free discussion
+  getConversationFormat(conversationId) {
+    if (!this.conversationFormats.has(conversationId)) {
+      this.conversationFormats.set(conversationId, createDebateFormat(DEFAULT_DEBATE_FORMAT));
     }
+    return this.conversationFormats.get(conversationId);
+  }
+
+  // Settings for a conversation reopened from storage, which doesn't keep them
+  defaultConversationConfig() {
+    return {
+      maxTokens: 300,
+      temperature: 0.7,
+      autoRounds: true,
+      moderationPause: 4,
+      format: DEFAULT_DEBATE_FORMAT,
+      formatOptions: {},
+      prompts: this.prompts.resolveSelection(),
+      consensusJudge: this.defaultConsensusJudge(),
+      analyst: this.defaultAnalyst(),
+      stopConditions: resolveStopConditions(),
+      budget: resolveBudget()
+    };
+  }
+
+  // Set up the per-conversation state for a conversation already in memory
+  openConversation(conversation, config) {
+    const conversationId = conversation.id;
+    this.conversationConfigs.set(conversationId, config);
+    this.conversationProviders.set(conversationId, this.createConversationProviders(config, conversation.personas));
+    this.conversationFormats.set(conversationId, this.createConversationFormat(config));
+
+    this.autoRoundCounts.set(conversationId, 0);
+    this.consecutiveAIMessages.set(conversationId, 0);
+    this.debateStartTimes.set(conversationId, Date.now());
+    this.conversationActiveProviders.set(conversationId, new Set(this.providers.map(p => p.name)));
+  }
+
+  describeConversation(conversation) {
+    return {
+      id: conversation.id,
+      topic: conversation.topic,
+      participants: conversation.participants,
+      personas: conversation.personas || {},
+      status: conversation.status,
+      forkedFrom: conversation.forkedFrom || null
+    };
   }
 
   setupMiddleware() {
     this.app.use(cors());
+    // Imports carry a whole conversation; everything else keeps the default limit
+    this.app.use('/api/conversations/import', express.json({ limit: IMPORT_BODY_LIMIT }));
     this.app.use(express.json());
     this.app.use(express.static(path.join(__dirname, '../public')));
   }
@@ -158,63 +367,265 @@ class PhilosopherChatServer {
       res.sendFile(path.join(__dirname, '../public/index.html'));
     });
 
+    // The browser renders chat messages with the same Markdown module as the server
+    this.app.get('/js/markdown.js', (req, res) => {
+      res.sendFile(path.join(__dirname, 'utils/markdown.js'));
+    });
+
     this.app.get('/api/providers', (req, res) => {
       res.json({
-        providers: this.providers.map(p => ({ name: p.name })),
-        available: this.providers.length > 0
+        providers: this.providers.map(p => ({ name: p.name, status: p.circuitBreaker.status() })),
+        available: this.providers.length > 0,
+        offline: this.offline
       });
     });
 
+    this.app.get('/api/personas', (req, res) => {
+      res.json({ personas: listPersonas() });
+    });
+
+    this.app.get('/api/prompts', (req, res) => {
+      res.json({ kinds: listPromptKinds(), templates: this.prompts.list() });
+    });
+
+    this.app.get('/api/summary-styles', (req, res) => {
+      res.json({ styles: listSummaryStyles(this.prompts) });
+    });
+
+    this.app.post('/api/prompts/preview', (req, res) => {
+      const { kind, id, body, conversationId } = req.body;
+      const template = body ?? this.prompts.get(kind, id)?.body;
+      if (template === undefined) {
+        return res.status(404).json({ success: false, error: `Prompt template "${kind}/${id}" not found` });
+      }
+
+      const errors = validateTemplate(kind, template);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors.join('; ') });
+      }
+      res.json({ success: true, previews: this.prompts.preview(template, this.previewPromptVariables(conversationId)) });
+    });
+
+    this.app.get('/api/prompts/:kind/:id', (req, res) => {
+      const template = this.prompts.get(req.params.kind, req.params.id);
+      if (!template) {
+        return res.status(404).json({ success: false, error: `Prompt template "${req.params.kind}/${req.params.id}" not found` });
+      }
+      res.json({ template });
+    });
+
+    this.app.put('/api/prompts/:kind/:id', (req, res) => {
+      const { kind, id } = req.params;
+      if (!isPromptKind(kind)) {
+        return res.status(404).json({ success: false, error: `Unknown prompt kind "${kind}"` });
+      }
+
+      let template;
+      try {
+        template = this.prompts.save(kind, id, req.body.body);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      if (kind === 'system') this.refreshSystemPrompts(id);
+      res.json({ success: true, template });
+    });
+
+    // Deletes a saved template; for a built-in one this discards the edits
+    this.app.delete('/api/prompts/:kind/:id', (req, res) => {
+      const { kind, id } = req.params;
+      if (!this.prompts.remove(kind, id)) {
+        return res.status(404).json({ success: false, error: `No saved prompt template "${kind}/${id}"` });
+      }
+
+      if (kind === 'system') this.refreshSystemPrompts(id);
+      res.json({ success: true, template: this.prompts.get(kind, id) });
+    });
+
+    this.app.get('/api/formats', (req, res) => {
+      res.json({ formats: listDebateFormats(), default: DEFAULT_DEBATE_FORMAT });
+    });
+
+    this.app.get('/api/export-formats', (req, res) => {
+      res.json({ formats: listExportFormats(), default: DEFAULT_EXPORT_FORMAT });
+    });
+
     this.app.get('/api/conversation/:id', (req, res) => {
       const history = this.memory.getConversationHistory(req.params.id);
-      const analytics = this.memory.getAnalytics();
+      const analytics = this.memory.getAnalytics(req.params.id);
       res.json({ history, analytics });
     });
 
+    // ?format= one of the export formats (default json); open conversations and
+    // saved ones alike. Answers as a file download.
+    this.app.get('/api/conversation/:id/export', async (req, res) => {
+      const format = req.query.format || DEFAULT_EXPORT_FORMAT;
+      if (!isExportFormat(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown export format "${format}" (expected one of: ${listExportFormats().map(({ id }) => id).join(', ')})`
+        });
+      }
+
+      try {
+        const exported = await this.memory.exportStoredConversation(req.params.id, format);
+        if (!exported) {
+          return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+
+        res.type(exported.contentType);
+        res.attachment(exported.filename);
+        res.send(exported.content);
+      } catch (error) {
+        console.error('Failed to export conversation:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/api/conversation/:id/arguments', (req, res) => {
+      const graph = this.memory.getArgumentGraph(req.params.id, { speaker: req.query.speaker });
+      if (!graph) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+      }
+      res.json({ success: true, ...graph });
+    });
+
+    this.app.get('/api/conversation/:id/usage', (req, res) => {
+      const usage = this.memory.getUsage(req.params.id);
+      if (!usage) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+      }
+
+      const messages = this.memory.getConversationHistory(req.params.id)
+        .filter(msg => msg.usage)
+        .map(({ id, speaker, timestamp, usage: messageUsage }) => ({ id, speaker, timestamp, usage: messageUsage }));
+      const analysis = this.memory.getConversation(req.params.id).analysisUsage || [];
+      res.json({ success: true, usage, messages, analysis });
+    });
+
+    this.app.get('/api/conversation/:id/budget', (req, res) => {
+      const config = this.conversationConfigs.get(req.params.id);
+      if (!config) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+      }
+
+      res.json({
+        success: true,
+        budget: config.budget,
+        currency: this.prices.currency,
+        limits: this.getBudgetStatus(req.params.id),
+        daily: this.dailyUsage.totals()
+      });
+    });
+
     this.app.post('/api/conversation', (req, res) => {
-      const { topic, config = {} } = req.body;
-      
-      // Update providers with new configuration
-      if (config.maxTokens || config.temperature) {
-        this.setupProviders(config);
+      const { topic, config = {}, personas: personaAssignments = {} } = req.body;
+      if (config.format && !isDebateFormat(config.format)) {
+        return res.status(400).json({ success: false, error: `Unknown debate format "${config.format}"` });
       }
       
       const participants = ['Human', ...this.providers.map(p => p.name)];
-      const conversationId = this.memory.createConversation(topic, participants);
+
+      let personas;
+      let prompts;
+      let consensusJudge;
+      let analyst;
+      let stopConditions;
+      let budget;
+      try {
+        personas = resolvePersonas(personaAssignments, this.providers.map(p => p.name));
+        prompts = this.prompts.resolveSelection(config.prompts);
+        consensusJudge = this.resolveConsensusJudge(config.consensusJudge, this.defaultConsensusJudge());
+        analyst = resolveAnalyst(config.analyst, this.providers.map(p => p.name), this.defaultAnalyst());
+        stopConditions = resolveStopConditions(config.stopConditions);
+        budget = resolveBudget(config.budget);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      const conversationId = this.memory.createConversation(topic, participants, { personas });
       
       // Store conversation config
       this.conversationConfigs.set(conversationId, {
         maxTokens: config.maxTokens || 300,
         temperature: config.temperature || 0.7,
         autoRounds: config.autoRounds === true, // Use explicit boolean
-        moderationPause: config.moderationPause || 4
+        moderationPause: config.moderationPause || 4,
+        format: config.format || DEFAULT_DEBATE_FORMAT,
+        formatOptions: config.formatOptions || {},
+        prompts,
+        consensusJudge,
+        analyst,
+        stopConditions,
+        budget
       });
       
+      // Give this conversation its own provider instances with its generation settings and personas
+      this.conversationProviders.set(conversationId, this.createConversationProviders(this.conversationConfigs.get(conversationId), personas));
+      this.conversationFormats.set(conversationId, this.createConversationFormat(this.conversationConfigs.get(conversationId)));
+      
       this.autoRoundCounts.set(conversationId, 0);
       this.consecutiveAIMessages.set(conversationId, 0);
+      this.debateStartTimes.set(conversationId, Date.now());
       
       // Initialize all providers as active
       this.conversationActiveProviders.set(conversationId, new Set(this.providers.map(p => p.name)));
       
-      res.json({ conversationId, participants, config: this.conversationConfigs.get(conversationId) });
+      res.json({ conversationId, participants, personas, config: this.conversationConfigs.get(conversationId) });
     });
 
     this.app.post('/api/conversation/:id/config', (req, res) => {
       const { config } = req.body;
       const conversationId = req.params.id;
-      
-      // Update providers with new configuration
-      this.setupProviders(config);
+      if (config.format && !isDebateFormat(config.format)) {
+        return res.status(400).json({ success: false, error: `Unknown debate format "${config.format}"` });
+      }
       
       // Update conversation config
+      const previousConfig = this.conversationConfigs.get(conversationId) || {};
+      let prompts;
+      let consensusJudge;
+      let analyst;
+      let stopConditions;
+      let budget;
+      try {
+        prompts = this.prompts.resolveSelection(config.prompts, previousConfig.prompts);
+        consensusJudge = this.resolveConsensusJudge(config.consensusJudge, previousConfig.consensusJudge ?? this.defaultConsensusJudge());
+        analyst = resolveAnalyst(config.analyst, this.providers.map(p => p.name), previousConfig.analyst ?? this.defaultAnalyst());
+        stopConditions = resolveStopConditions(config.stopConditions, previousConfig.stopConditions);
+        budget = resolveBudget(config.budget, previousConfig.budget);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
       const newConfig = {
         maxTokens: config.maxTokens || 300,
         temperature: config.temperature || 0.7,
         autoRounds: config.autoRounds === true,
-        moderationPause: config.moderationPause || 4
+        moderationPause: config.moderationPause || 4,
+        format: config.format || previousConfig.format || DEFAULT_DEBATE_FORMAT,
+        formatOptions: config.formatOptions || previousConfig.formatOptions || {},
+        prompts,
+        consensusJudge,
+        analyst,
+        stopConditions,
+        budget
       };
       
       this.conversationConfigs.set(conversationId, newConfig);
+      // New limits get their own warnings
+      this.budgetWarnings.delete(conversationId);
+      
+      // Swap in fresh instances - requests already in flight keep using the old ones
+      const personas = this.memory.getConversation(conversationId)?.personas;
+      this.conversationProviders.set(conversationId, this.createConversationProviders(newConfig, personas));
+
+      // Switching format starts it from the beginning; otherwise keep its progress
+      const formatChanged = newConfig.format !== previousConfig.format ||
+        JSON.stringify(newConfig.formatOptions) !== JSON.stringify(previousConfig.formatOptions);
+      if (formatChanged || !this.conversationFormats.has(conversationId)) {
+        this.conversationFormats.set(conversationId, this.createConversationFormat(newConfig));
+      }
       
       res.json({ success: true, config: this.conversationConfigs.get(conversationId) });
     });
@@ -230,14 +641,44 @@ class PhilosopherChatServer {
       }
     });
 
+    // { content, format?, topic? }: the text of a JSON or JSON Lines export, or
+    // of a speaker-labelled transcript (see src/export/import.js)
+    this.app.post('/api/conversations/import', async (req, res) => {
+      const { content, format, topic } = req.body;
+      if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, error: `Unknown import format "${format}" (expected one of: ${IMPORT_FORMATS.join(', ')})` });
+      }
+
+      let record;
+      try {
+        record = parseImport(content, { format, topic });
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.errors || [] });
+      }
+
+      try {
+        const conversation = await this.memory.importConversation(record);
+        res.json({ success: true, conversation: this.memory.storage.toSummary(conversation) });
+      } catch (error) {
+        console.error('Failed to import conversation:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // ?q= plus optional provider, status, topic, from, to and limit filters
     this.app.get('/api/conversations/search', async (req, res) => {
       try {
         const { q: query } = req.query;
         if (!query) {
           return res.status(400).json({ success: false, error: 'Query parameter is required' });
         }
+
+        const { filters, errors } = parseSearchFilters(req.query);
+        if (errors.length > 0) {
+          return res.status(400).json({ success: false, error: errors.join('; ') });
+        }
         
-        const results = await this.memory.searchStoredConversations(query);
+        const results = await this.memory.searchStoredConversations(query, filters);
         res.json({ success: true, results });
       } catch (error) {
         console.error('Failed to search conversations:', error);
@@ -251,28 +692,8 @@ class PhilosopherChatServer {
         const conversation = await this.memory.resumeConversation(conversationId);
         
         if (conversation) {
-          // Initialize conversation config
-          this.conversationConfigs.set(conversationId, {
-            maxTokens: 300,
-            temperature: 0.7,
-            autoRounds: true,
-            moderationPause: 4
-          });
-          
-          this.autoRoundCounts.set(conversationId, 0);
-          this.consecutiveAIMessages.set(conversationId, 0);
-          this.conversationActiveProviders.set(conversationId, new Set(this.providers.map(p => p.name)));
-          
-          res.json({ 
-            success: true, 
-            conversation: {
-              id: conversation.id,
-              topic: conversation.topic,
-              participants: conversation.participants,
-              status: conversation.status
-            },
-            history: conversation.history
-          });
+          this.openConversation(conversation, this.defaultConversationConfig());
+          res.json({ success: true, conversation: this.describeConversation(conversation), history: conversation.history });
         } else {
           res.status(404).json({ success: false, error: 'Conversation not found' });
         }
@@ -282,6 +703,29 @@ class PhilosopherChatServer {
       }
     });
 
+    // { messageId }: a new conversation with this one's history up to and
+    // including the message; it keeps this conversation's settings when open
+    this.app.post('/api/conversation/:id/fork', async (req, res) => {
+      const { messageId } = req.body;
+      if (typeof messageId !== 'string' || !messageId) {
+        return res.status(400).json({ success: false, error: 'messageId is required' });
+      }
+
+      let conversation;
+      try {
+        conversation = await this.memory.forkConversation(req.params.id, messageId);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (!conversation) {
+        return res.status(404).json({ success: false, error: 'Conversation not found' });
+      }
+
+      const parentConfig = this.conversationConfigs.get(req.params.id);
+      this.openConversation(conversation, parentConfig ? structuredClone(parentConfig) : this.defaultConversationConfig());
+      res.json({ success: true, conversation: this.describeConversation(conversation), history: conversation.history });
+    });
+
     this.app.delete('/api/conversation/:id', async (req, res) => {
       try {
         const conversationId = req.params.id;
@@ -290,8 +734,12 @@ class PhilosopherChatServer {
         if (success) {
           // Clean up server state
           this.conversationConfigs.delete(conversationId);
+          this.conversationFormats.delete(conversationId);
+          this.conversationProviders.delete(conversationId);
           this.autoRoundCounts.delete(conversationId);
           this.consecutiveAIMessages.delete(conversationId);
+          this.debateStartTimes.delete(conversationId);
+          this.budgetWarnings.delete(conversationId);
           this.conversationActiveProviders.delete(conversationId);
           
           res.json({ success: true });
@@ -324,18 +772,23 @@ class PhilosopherChatServer {
         console.log(`👤 User ${socket.id} joined conversation ${conversationId}`);
         
         const history = this.memory.getConversationHistory(conversationId);
-        const analytics = this.memory.getAnalytics();
+        const analytics = this.memory.getAnalytics(conversationId);
         socket.emit('conversation-state', { history, analytics });
       });
 
+      socket.on('leave-conversation', (conversationId) => {
+        socket.leave(conversationId);
+      });
+
       socket.on('human-message', async (data) => {
         const { conversationId, message, targetedProvider } = data;
         
         try {
-          await this.memory.addMessage('Human', message, conversationId, this.providers);
+          const providers = this.getConversationProviders(conversationId);
+          const messageId = await this.memory.addMessage('Human', message, conversationId, providers);
           
           const messageData = {
-            id: Date.now(),
+            id: messageId,
             speaker: 'Human',
             content: message,
             timestamp: new Date().toISOString()
@@ -343,13 +796,14 @@ class PhilosopherChatServer {
 
           this.io.to(conversationId).emit('new-message', messageData);
           
-          const consensus = await this.memory.updateConsensus(this.providers);
-          const analytics = this.memory.getAnalytics();
+          const consensus = await this.updateConsensus(conversationId, providers);
+          const analytics = this.memory.getAnalytics(conversationId);
           
           this.io.to(conversationId).emit('analytics-update', {
             consensus,
             themes: analytics.themes,
-            wordMap: analytics.wordMap
+            wordMap: analytics.wordMap,
+            positions: analytics.positions
           });
 
           // Reset auto-round count and consecutive AI messages when human participates
@@ -373,7 +827,7 @@ class PhilosopherChatServer {
         
         // Send only safe, serializable data about providers
         socket.emit('providers-updated', {
-          providers: this.providers
+          providers: this.getConversationProviders(conversationId)
             .filter(p => activeProviders.includes(p.name))
             .map(p => ({ 
               name: p.name,
@@ -382,6 +836,11 @@ class PhilosopherChatServer {
         });
       });
 
+      // A summary in another style, without ending the conversation
+      socket.on('generate-summary', async ({ conversationId, style } = {}) => {
+        await this.generateConversationSummary(conversationId, socket, style);
+      });
+
       socket.on('end-conversation', async (conversationId) => {
         try {
           // End and save conversation
@@ -399,28 +858,6 @@ class PhilosopherChatServer {
     });
   }
 
-  // Helper method to randomly shuffle an array
-  shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-  }
-
-  // Helper method to select a random provider
-  getRandomProvider(providers, excludeProvider = null) {
-    const availableProviders = excludeProvider 
-      ? providers.filter(p => p.name !== excludeProvider)
-      : providers;
-    
-    if (availableProviders.length === 0) return null;
-    
-    const randomIndex = Math.floor(Math.random() * availableProviders.length);
-    return availableProviders[randomIndex];
-  }
-
   async processAIResponses(conversationId, targetedProvider = null) {
     // Prevent multiple simultaneous executions for the same conversation
     if (this.processingLocks.get(conversationId)) {
@@ -430,20 +867,16 @@ class PhilosopherChatServer {
     this.processingLocks.set(conversationId, true);
     
     try {
-      if (this.providers.length === 0) {
-        this.io.to(conversationId).emit('demo-response', {
-          message: 'Demo mode: AI providers would respond here with actual API keys'
-        });
-        return;
-      }
-
     const history = this.memory.getConversationHistory(conversationId);
-    const conversation = this.memory.getCurrentConversation();
+    const conversation = this.memory.getConversation(conversationId);
     const config = this.conversationConfigs.get(conversationId) || {};
     const activeProviders = this.conversationActiveProviders.get(conversationId) || new Set();
     
     
-    if (!conversation) return;
+    // Ended debates (by hand or by a stop condition) don't carry on
+    if (!conversation || conversation.status === 'ended') return;
+    if (await this.enforceStopConditions(conversationId)) return;
+    if (!this.enforceBudget(conversationId)) return;
 
     const context = {
       topic: conversation.topic,
@@ -452,12 +885,19 @@ class PhilosopherChatServer {
     };
 
     // Only process responses from active providers
-    const availableProviders = this.providers.filter(p => activeProviders.has(p.name));
+    const conversationProviders = this.getConversationProviders(conversationId);
+    const selectedProviders = conversationProviders.filter(p => activeProviders.has(p.name));
+    // Providers whose circuit breaker is open sit out until it closes
+    const availableProviders = selectedProviders.filter(p => p.isAvailable());
     
-    if (availableProviders.length === 0) {
+    if (selectedProviders.length === 0) {
       this.io.to(conversationId).emit('error', { message: 'No active AI providers selected' });
       return;
     }
+    if (availableProviders.length === 0) {
+      this.io.to(conversationId).emit('error', { message: 'All active AI providers are temporarily unavailable after repeated errors' });
+      return;
+    }
 
     // Handle targeted provider (@provider) messages
     if (targetedProvider) {
@@ -488,61 +928,14 @@ class PhilosopherChatServer {
       }
     }
 
-    // RANDOMIZATION: Choose providers in random order
-    // STRICT RULE: Never allow the same provider to speak twice in a row
-    const lastAIMessage = history.slice().reverse().find(msg => msg.speaker !== 'Human');
-    const lastAISpeaker = lastAIMessage ? lastAIMessage.speaker : null;
-    
-    let providersToUse;
-    if (availableProviders.length === 1) {
-      // Only one provider available - must use it (can't avoid repeats)
-      providersToUse = availableProviders;
-      if (lastAISpeaker === availableProviders[0].name) {
-        console.log(`⚠️ Only one provider available: ${availableProviders[0].name} must speak again`);
-      }
-    } else if (history.length === 1) {
-      // First AI responses after human input - randomly shuffle all
-      providersToUse = this.shuffleArray(availableProviders);
-      console.log(`🎲 First round: Random order selected:`, providersToUse.map(p => p.name));
-      
-      // Notify users about random selection
-      this.io.to(conversationId).emit('random-selection', {
-        type: 'first-round',
-        message: `🎲 Randomly selected speaking order: ${providersToUse.map(p => p.name).join(' → ')}`,
-        speakers: providersToUse.map(p => p.name)
-      });
-    } else {
-      // Subsequent rounds - MUST avoid the last AI speaker (strict no-repeat rule)
-      const eligibleProviders = availableProviders.filter(p => p.name !== lastAISpeaker);
-      
-      if (eligibleProviders.length > 0) {
-        // Select randomly from providers who didn't speak last
-        const primaryChoice = this.getRandomProvider(eligibleProviders);
-        const remainingProviders = eligibleProviders.filter(p => p.name !== primaryChoice.name);
-        providersToUse = [primaryChoice, ...this.shuffleArray(remainingProviders)];
-        
-        console.log(`🎲 Random next speaker: ${primaryChoice.name} (strictly avoiding repeat of ${lastAISpeaker})`);
-        console.log(`🎲 Eligible providers were:`, eligibleProviders.map(p => p.name));
-        
-        // Notify users about random selection
-        this.io.to(conversationId).emit('random-selection', {
-          type: 'next-speaker',
-          message: `🎲 ${primaryChoice.name} randomly selected to continue (avoiding ${lastAISpeaker})`,
-          speaker: primaryChoice.name,
-          previousSpeaker: lastAISpeaker,
-          eligibleCount: eligibleProviders.length
-        });
-      } else {
-        // This should never happen if we have multiple providers, but safety fallback
-        console.log(`⚠️ No eligible providers found - this shouldn't happen with multiple active providers`);
-        providersToUse = this.shuffleArray(availableProviders);
-        
-        this.io.to(conversationId).emit('random-selection', {
-          type: 'error-fallback',
-          message: `🎲 Random fallback order: ${providersToUse.map(p => p.name).join(' → ')}`,
-          speakers: providersToUse.map(p => p.name)
-        });
-      }
+    const format = this.getConversationFormat(conversationId);
+    const plan = format.planRound(availableProviders, history);
+    if (!plan) {
+      this.emitFormatComplete(conversationId, format);
+      return;
+    }
+    if (plan.selection) {
+      this.io.to(conversationId).emit(format.structured ? 'format-round' : 'random-selection', plan.selection);
     }
 
     // Check for moderation pause BEFORE generating responses
@@ -562,7 +955,16 @@ class PhilosopherChatServer {
     }
 
     // Process providers ONE AT A TIME to check moderation threshold between each
-    for (const provider of providersToUse) {
+    for (const turn of plan.turns) {
+      const { provider } = turn;
+      if (!this.enforceBudget(conversationId)) return;
+      // The budget may have switched the provider off since the round was planned,
+      // or its circuit breaker opened
+      if (!activeProviders.has(provider.name) || !provider.isAvailable()) {
+        format.completeTurn(turn);
+        continue;
+      }
+
       // Check moderation threshold BEFORE each provider response
       const currentCount = this.consecutiveAIMessages.get(conversationId) || 0;
       
@@ -579,63 +981,59 @@ class PhilosopherChatServer {
 
       try {
         this.io.to(conversationId).emit('ai-thinking', { 
-          provider: provider.name 
+          provider: provider.name,
+          phase: turn.phase
         });
 
-        const lastMessage = history[history.length - 1];
-        
-        // Generate varied prompts for more interesting conversations
-        const promptVariations = [
-          `Continue the philosophical discussion about "${conversation.topic}". Build on the previous responses and work toward finding common ground. Recent context: ${lastMessage?.content || 'Begin the discussion.'}`,
-          `Engage with the philosophical question: "${conversation.topic}". Consider the previous perspectives and offer your unique insights. Recent context: ${lastMessage?.content || 'Share your initial thoughts.'}`,
-          `Join the philosophical debate on "${conversation.topic}". What aspects haven't been fully explored yet? Recent context: ${lastMessage?.content || 'What\'s your perspective?'}`,
-          `Contribute to the discussion about "${conversation.topic}". You might agree, disagree, or build upon what's been said. Recent context: ${lastMessage?.content || 'Please share your viewpoint.'}`,
-          `Explore the philosophical dimensions of "${conversation.topic}". What new angles or considerations can you bring? Recent context: ${lastMessage?.content || 'What are your thoughts?'}`
-        ];
-        
-        const randomPromptIndex = Math.floor(Math.random() * promptVariations.length);
-        const prompt = promptVariations[randomPromptIndex];
-
-        const response = await provider.sendMessage(prompt, context);
-        
-        // Clean response of any participant labels
-        const cleanResponse = this.cleanResponseText(response, provider.name);
-        
-        await this.memory.addMessage(provider.name, cleanResponse, conversationId, this.providers);
-
-        const messageData = {
-          id: Date.now() + Math.random(),
-          speaker: provider.name,
-          content: cleanResponse,
-          timestamp: new Date().toISOString()
-        };
+        const prompt = format.buildPrompt(turn, {
+          topic: conversation.topic,
+          history,
+          renderPrompt: (kind, variables) => this.renderConversationPrompt(conversationId, kind, variables)
+        });
 
-        this.io.to(conversationId).emit('new-message', messageData);
+        await this.streamProviderResponse(conversationId, provider, prompt, context);
+        format.completeTurn(turn);
 
-        const consensus = await this.memory.updateConsensus(this.providers);
-        const analytics = this.memory.getAnalytics();
+        const consensus = await this.updateConsensus(conversationId, conversationProviders);
+        const analytics = this.memory.getAnalytics(conversationId);
 
         this.io.to(conversationId).emit('analytics-update', {
           consensus,
           themes: analytics.themes.slice(0, 5),
-          wordMap: analytics.wordMap
+          wordMap: analytics.wordMap,
+          positions: analytics.positions
         });
 
         // Track this AI response AFTER it's completed
         this.consecutiveAIMessages.set(conversationId, currentCount + 1);
 
-        // Add some randomness to response delays too (3-6 seconds)
-        const randomDelay = 3000 + Math.floor(Math.random() * 3000);
+        if (await this.enforceStopConditions(conversationId)) return;
+
+        // Add some randomness to response delays too
+        const [minDelay, maxDelay] = this.timing.responseDelay;
+        const randomDelay = minDelay + Math.floor(Math.random() * (maxDelay - minDelay));
         await new Promise(resolve => setTimeout(resolve, randomDelay));
 
       } catch (error) {
-        console.error(`Error from ${provider.name}:`, error.message);
-        this.io.to(conversationId).emit('ai-error', {
-          provider: provider.name,
-          error: error.message
-        });
+        this.emitProviderError(conversationId, provider, error);
+        // A failed turn is not retried - the format moves on
+        format.completeTurn(turn);
       }
     }
+    format.finishRound(plan);
+
+    if (format.isComplete) {
+      this.emitFormatComplete(conversationId, format);
+      return;
+    }
+
+    // Structured formats keep going round by round until their schedule ends
+    if (format.structured && config.autoRounds === true) {
+      setTimeout(() => {
+        this.processAIResponses(conversationId);
+      }, this.timing.autoRoundDelay);
+      return;
+    }
 
     // Check for traditional auto-rounds (if enabled)
     if (config.autoRounds === true) {
@@ -655,19 +1053,168 @@ class PhilosopherChatServer {
         // Continue with another round after a delay
         setTimeout(() => {
           this.processAIResponses(conversationId);
-        }, 3000);
+        }, this.timing.autoRoundDelay);
       } else {
         this.io.to(conversationId).emit('auto-round-complete', {
           message: 'Auto-rounds complete. Waiting for human input to continue...'
         });
       }
     }
+    } catch (error) {
+      // Provider failures are handled per turn; this is for the rest (ending the
+      // debate, saving, summaries). The socket handlers and auto-round timers
+      // that start a round don't wait for it, so the room hears about it here.
+      console.error(`Error processing AI responses for conversation ${conversationId}:`, error);
+      this.io.to(conversationId).emit('error', { message: `AI responses stopped: ${error.message}` });
     } finally {
       // Always release the lock
       this.processingLocks.delete(conversationId);
     }
   }
 
+  // Where a debate stands against its stop conditions
+  getStopState(conversationId) {
+    const analytics = this.memory.getConversationAnalytics(conversationId);
+    const aiMessages = this.memory.getConversationHistory(conversationId).filter(msg => msg.speaker !== 'Human');
+    const startedAt = this.debateStartTimes.get(conversationId) ?? Date.now();
+
+    return {
+      // Consensus is held over AI turns, so points taken after a human message don't count
+      consensusLevels: (analytics?.consensusHistory || [])
+        .filter(point => point.lastSpeaker !== 'Human')
+        .map(point => point.level),
+      turns: aiMessages.length,
+      tokens: aiMessages.reduce((total, msg) => total + (msg.usage?.completionTokens ?? estimateTokens(msg.content)), 0),
+      // The AI messages' usage.cost plus the judge and summary calls; unpriced calls add nothing
+      cost: this.memory.getUsage(conversationId)?.totals.cost || 0,
+      currency: this.prices.currency,
+      elapsedMinutes: (Date.now() - startedAt) / 60000
+    };
+  }
+
+  // End the debate when one of its stop conditions has been met, tell the room
+  // why, and write the summary if the config asks for one. Returns true when
+  // the debate was ended.
+  async enforceStopConditions(conversationId) {
+    const { stopConditions } = this.conversationConfigs.get(conversationId) || {};
+    if (!hasStopConditions(stopConditions)) return false;
+
+    const stop = checkStopConditions(stopConditions, this.getStopState(conversationId));
+    if (!stop) return false;
+
+    console.log(`🛑 Stopping conversation ${conversationId}: ${stop.message}`);
+    await this.memory.endConversation(conversationId);
+    this.io.to(conversationId).emit('debate-stopped', {
+      ...stop,
+      message: `🛑 ${stop.message}. The debate has ended.`,
+      summarize: stopConditions.summarize
+    });
+
+    if (stopConditions.summarize) {
+      await this.generateConversationSummary(conversationId, this.io.to(conversationId));
+    }
+    return true;
+  }
+
+  // How the conversation's spending compares with each limit of its budget
+  getBudgetStatus(conversationId) {
+    const { budget } = this.conversationConfigs.get(conversationId) || {};
+    const totals = this.memory.getUsage(conversationId)?.totals;
+
+    return checkBudget(budget, {
+      conversation: { tokens: totals?.totalTokens || 0, cost: totals?.cost || 0 },
+      daily: this.dailyUsage.totals()
+    });
+  }
+
+  // Warn the room once per limit when spending reaches the budget's warnAt percentage
+  emitBudgetWarnings(conversationId) {
+    const { budget } = this.conversationConfigs.get(conversationId) || {};
+    if (!hasBudget(budget)) return;
+
+    const warned = this.budgetWarnings.get(conversationId) || new Set();
+    this.budgetWarnings.set(conversationId, warned);
+
+    this.getBudgetStatus(conversationId)
+      .filter(status => status.state !== 'ok' && !warned.has(status.key))
+      .forEach(status => {
+        warned.add(status.key);
+        this.io.to(conversationId).emit('budget-warning', {
+          ...status,
+          currency: this.prices.currency,
+          message: `💰 ${describeBudgetLimit(status, this.prices.currency)}`
+        });
+      });
+  }
+
+  // Whether a call to the provider costs anything by its price; unpriced calls
+  // are not counted against cost limits
+  isPaidProvider(provider) {
+    const price = provider.pricing || findPrice(this.prices, provider.getModelName());
+    return Boolean(price) && (price.input > 0 || price.output > 0);
+  }
+
+  // Once a budget limit is reached, either switch off the providers that count
+  // against it (action 'deactivate'; free ones keep debating a cost limit) or
+  // pause the AI turns until the moderator raises the budget. Returns false
+  // when no AI may take a turn.
+  enforceBudget(conversationId) {
+    const { budget } = this.conversationConfigs.get(conversationId) || {};
+    if (!hasBudget(budget)) return true;
+
+    const exceeded = this.getBudgetStatus(conversationId).filter(status => status.state === 'exceeded');
+    if (exceeded.length === 0) return true;
+
+    const reason = exceeded.map(status => describeBudgetLimit(status, this.prices.currency)).join('; ');
+    const activeProviders = this.conversationActiveProviders.get(conversationId) || new Set();
+
+    if (budget.action === 'deactivate') {
+      const costOnly = exceeded.every(status => status.unit === 'cost');
+      const charged = this.getConversationProviders(conversationId)
+        .filter(provider => activeProviders.has(provider.name) && (!costOnly || this.isPaidProvider(provider)))
+        .map(provider => provider.name);
+
+      if (charged.length > 0) {
+        charged.forEach(name => activeProviders.delete(name));
+        console.log(`💰 Budget reached for conversation ${conversationId}, deactivating ${charged.join(', ')}`);
+        this.io.to(conversationId).emit('budget-exceeded', {
+          action: 'deactivate',
+          providers: charged,
+          limits: exceeded,
+          message: `💰 Budget reached: ${reason}. Deactivated ${charged.join(', ')}.`
+        });
+        this.io.to(conversationId).emit('providers-updated', {
+          providers: Array.from(activeProviders, name => ({ name, active: true }))
+        });
+      }
+      if (activeProviders.size > 0) return true;
+    }
+
+    console.log(`💰 Budget reached for conversation ${conversationId}, pausing AI responses`);
+    this.io.to(conversationId).emit('budget-exceeded', { action: 'pause', providers: [], limits: exceeded, message: `💰 Budget reached: ${reason}.` });
+    this.io.to(conversationId).emit('moderation-pause', {
+      reason: 'budget',
+      limits: exceeded,
+      message: `💰 Budget reached: ${reason}. Pausing AI responses...`,
+      suggestion: 'Raise or remove the budget in Settings to let the AIs continue.'
+    });
+    return false;
+  }
+
+  // Count today's stored usage towards the daily budgets after a restart
+  async restoreDailyUsage() {
+    const { date } = this.dailyUsage.totals();
+    const records = await this.memory.getStoredUsageSince(`${date}T00:00:00.000Z`);
+    records.forEach(record => this.dailyUsage.add(record, Date.parse(record.timestamp)));
+  }
+
+  emitFormatComplete(conversationId, format) {
+    this.io.to(conversationId).emit('format-complete', {
+      format: format.id,
+      message: '🏁 The debate format has run its course. Use @mentions for follow-up questions, or end the conversation for a summary.'
+    });
+  }
+
   async processSingleProviderResponse(conversationId, provider, context) {
     try {
       this.io.to(conversationId).emit('ai-thinking', { 
@@ -675,52 +1222,104 @@ class PhilosopherChatServer {
       });
 
       const history = this.memory.getConversationHistory(conversationId);
-      const conversation = this.memory.getCurrentConversation();
       const lastMessage = history[history.length - 1];
       
       // Generate a prompt for the targeted response
-      const targetedPrompt = `The human has specifically asked for your response to their message: "${lastMessage?.content || 'Continue the discussion.'}". Please respond directly to this request about "${conversation.topic}".`;
-
-      const response = await provider.sendMessage(targetedPrompt, context);
-      
-      // Clean response of any participant labels
-      const cleanResponse = this.cleanResponseText(response, provider.name);
-      
-      await this.memory.addMessage(provider.name, cleanResponse, conversationId, this.providers);
-
-      const messageData = {
-        id: Date.now() + Math.random(),
+      const targetedPrompt = this.renderConversationPrompt(conversationId, 'targeted', {
         speaker: provider.name,
-        content: cleanResponse,
-        timestamp: new Date().toISOString()
-      };
+        lastMessage: lastMessage?.content
+      });
 
-      this.io.to(conversationId).emit('new-message', messageData);
+      await this.streamProviderResponse(conversationId, provider, targetedPrompt, context);
 
-      const consensus = await this.memory.updateConsensus(this.providers);
-      const analytics = this.memory.getAnalytics();
+      const consensus = await this.updateConsensus(conversationId, this.getConversationProviders(conversationId));
+      const analytics = this.memory.getAnalytics(conversationId);
 
       this.io.to(conversationId).emit('analytics-update', {
         consensus,
         themes: analytics.themes.slice(0, 5),
-        wordMap: analytics.wordMap
+        wordMap: analytics.wordMap,
+        positions: analytics.positions
       });
 
       console.log(`✅ Targeted response from ${provider.name} completed`);
+      await this.enforceStopConditions(conversationId);
 
     } catch (error) {
-      console.error(`Error from targeted provider ${provider.name}:`, error.message);
-      this.io.to(conversationId).emit('ai-error', {
-        provider: provider.name,
-        error: error.message
-      });
+      this.emitProviderError(conversationId, provider, error);
     }
   }
 
+  // A provider call failed for good (retries included): tell the room, and have
+  // it drop whatever part of the reply had already streamed. Nothing is stored.
+  emitProviderError(conversationId, provider, error) {
+    console.error(`Error from ${provider.name}:`, error.message);
+    this.io.to(conversationId).emit('ai-error', {
+      provider: provider.name,
+      error: error.message,
+      type: error.name,
+      retryable: Boolean(error.retryable),
+      streamId: error.streamId || null
+    });
+  }
+
+  // Stream a provider's reply to the room chunk by chunk, then store the cleaned final message
+  async streamProviderResponse(conversationId, provider, prompt, context) {
+    const streamId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await this.summarizeEarlierTurns(conversationId, provider, prompt, context);
+
+    const startedAt = Date.now();
+    let response = '';
+
+    provider.lastUsage = null;
+    try {
+      for await (const chunk of provider.streamMessage(prompt, context)) {
+        response += chunk;
+        this.io.to(conversationId).emit('message-chunk', {
+          streamId,
+          speaker: provider.name,
+          chunk
+        });
+      }
+    } catch (error) {
+      error.streamId = streamId;
+      throw error;
+    }
+
+    // Clean response of any participant labels
+    const cleanResponse = this.cleanResponseText(response, provider.name);
+
+    const usage = this.priceUsage(provider, provider.lastUsage || provider.estimateUsage(prompt, context, response, startedAt));
+    const messageId = await this.memory.addMessage(provider.name, cleanResponse, conversationId, this.getConversationProviders(conversationId), { usage });
+    this.dailyUsage.add(usage);
+
+    const messageData = {
+      id: messageId,
+      streamId,
+      speaker: provider.name,
+      content: cleanResponse,
+      timestamp: new Date().toISOString(),
+      usage
+    };
+
+    this.io.to(conversationId).emit('message-complete', messageData);
+    this.io.to(conversationId).emit('usage-update', { usage: this.memory.getUsage(conversationId) });
+    this.emitBudgetWarnings(conversationId);
+    return messageData;
+  }
+
+  // A call's usage with its estimated cost, from the provider's own pricing or
+  // the price table entry for its model; cost is null for unpriced models
+  priceUsage(provider, usage) {
+    const price = provider.pricing || findPrice(this.prices, usage.model);
+    return { ...usage, cost: calculateCost(usage, price), currency: this.prices.currency };
+  }
+
   cleanResponseText(response, providerName) {
     // Remove any participant labels from the response
+    const escapedName = providerName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const patterns = [
-      new RegExp(`^${providerName}:\\s*`, 'i'),
+      new RegExp(`^${escapedName}:\\s*`, 'i'),
       /^Claude:\s*/i,
       /^ChatGPT:\s*/i,
       /^Gemini:\s*/i,
@@ -741,191 +1340,33 @@ class PhilosopherChatServer {
     return cleaned.trim();
   }
 
-  async generateConversationSummary(conversationId, socket) {
+  // socket is the client that asked for the summary, or the whole room
+  // (this.io.to(conversationId)) when a stop condition ended the debate.
+  // style is a summary template id; the conversation's choice by default.
+  async generateConversationSummary(conversationId, socket, style = null) {
     const history = this.memory.getConversationHistory(conversationId);
-    const conversation = this.memory.getCurrentConversation();
+    const conversation = this.memory.getConversation(conversationId);
     
     if (!conversation || history.length === 0) {
       socket.emit('error', { message: 'No conversation to summarize' });
       return;
     }
 
-    // Find Claude provider for summary generation
-    const claudeProvider = this.providers.find(p => p.name === 'Claude');
-    if (!claudeProvider) {
-      socket.emit('error', { message: 'Claude provider not available for summary generation' });
+    const styleId = style || this.conversationConfigs.get(conversationId)?.prompts?.summary || DEFAULT_TEMPLATE_ID;
+    if (!this.prompts.get('summary', styleId)) {
+      socket.emit('error', { message: `Unknown summary style "${styleId}"` });
       return;
     }
+    const summaryStyle = getSummaryStyle(styleId);
 
-    // Prepare conversation context for summary
-    const conversationText = history.map(msg => 
-      `${msg.speaker}: ${msg.content}`
-    ).join('\n\n');
-
-    const summaryPrompt = `You are tasked with creating a comprehensive, detailed philosophical analysis that reads like a mini white paper or academic research summary. This should be extensive, thorough, and use thousands of words to deeply examine every aspect of the conversation.
-
-CONVERSATION DETAILS:
-- Topic: "${conversation.topic}"
-- Participants: ${conversation.participants.join(', ')}
-- Message Count: ${history.length} messages
-- Duration: Multi-turn philosophical dialogue
-
-TASK: Create an exhaustive, multi-page analysis (aim for 3000-5000+ words) that serves as a complete philosophical examination. This should read like an academic paper or comprehensive research report.
-
-REQUIRED STRUCTURE (expand each section extensively):
-
-# PHILOSOPHICAL DIALOGUE ANALYSIS: ${conversation.topic}
-
-## EXECUTIVE SUMMARY
-Provide a substantial overview (300-500 words) that captures the essence, scope, and significance of this philosophical inquiry.
-
-## 1. INTRODUCTION & CONTEXTUAL FRAMEWORK
-- Historical and philosophical context of the topic
-- Why this question matters in contemporary discourse
-- Relevance to broader philosophical traditions
-- Scope and boundaries of the discussion
-
-## 2. METHODOLOGICAL APPROACH
-- Nature of the dialogue format
-- Participant perspectives and backgrounds
-- Conversational dynamics and flow
-- Quality and depth of engagement
-
-## 3. COMPREHENSIVE ARGUMENT ANALYSIS
-
-### 3.1 Core Philosophical Positions Presented
-For EACH participant, provide extensive analysis:
-- Primary philosophical stance
-- Underlying assumptions and premises
-- Logical structure of their arguments
-- Evidence and reasoning patterns
-- Philosophical tradition/school alignment
-- Strengths and potential weaknesses
-
-### 3.2 Argument Development Patterns
-- How each position evolved through the dialogue
-- Refinements and clarifications made
-- Response patterns to challenges
-- Adaptation of arguments based on feedback
-
-## 4. THEMATIC DEEP DIVE
-
-### 4.1 Primary Themes Explored
-Identify and extensively analyze each major theme:
-- Definition and scope of the theme
-- How it emerged in conversation
-- Different perspectives offered
-- Philosophical significance
-- Connection to broader discourse
-
-### 4.2 Secondary and Implicit Themes
-- Underlying assumptions that surfaced
-- Unspoken philosophical commitments
-- Emergent questions and implications
-- Cross-connections between themes
-
-## 5. CRITICAL ANALYSIS OF KEY EXCHANGES
-
-Select 3-5 pivotal moments in the conversation and provide detailed analysis:
-- Context and setup of the exchange
-- Precise argumentation presented
-- Logical moves and countermoves
-- Philosophical significance
-- Impact on overall discussion trajectory
-
-## 6. AREAS OF CONVERGENCE AND SYNTHESIS
-
-### 6.1 Points of Agreement
-- Explicit agreements reached
-- Implicit common ground
-- Shared assumptions and values
-- Potential for synthesis
-
-### 6.2 Productive Tensions
-- Disagreements that enhanced understanding
-- Constructive challenges and responses
-- Dialectical development of ideas
-
-## 7. PERSISTENT DISAGREEMENTS AND DIVERGENCE
-
-### 7.1 Fundamental Differences
-- Irreconcilable philosophical positions
-- Root causes of disagreement
-- Different epistemological or ontological commitments
-- Methodological differences
-
-### 7.2 Analysis of Disagreement Patterns
-- Why certain positions remained fixed
-- Quality of engagement with opposing views
-- Missed opportunities for dialogue
-
-## 8. PHILOSOPHICAL INSIGHTS AND CONTRIBUTIONS
-
-### 8.1 Novel Insights Generated
-- Original thoughts or perspectives that emerged
-- Creative combinations of existing ideas
-- Unexpected connections made
-
-### 8.2 Clarifications and Refinements
-- How existing positions were sharpened
-- Ambiguities resolved or identified
-- Conceptual distinctions drawn
-
-## 9. BROADER PHILOSOPHICAL IMPLICATIONS
-
-### 9.1 Contribution to the Field
-- How this dialogue advances philosophical understanding
-- Connections to ongoing academic debates
-- Potential influence on future inquiry
-
-### 9.2 Practical and Applied Implications
-- Real-world relevance of the insights
-- Ethical, political, or social ramifications
-- Applications to other philosophical areas
-
-## 10. DIALOGUE QUALITY ASSESSMENT
-
-### 10.1 Conversational Dynamics
-- Quality of listening and engagement
-- Charitable interpretation of opposing views
-- Intellectual honesty and rigor
-- Emotional and rational balance
-
-### 10.2 Areas for Further Development
-- Questions left unresolved
-- Avenues for future exploration
-- Gaps in reasoning or evidence
-- Opportunities for deeper inquiry
-
-## 11. COMPARATIVE ANALYSIS
-- How this discussion relates to historical philosophical debates
-- Connections to major philosophical works and thinkers
-- Novel aspects or unique contributions
-- Position within contemporary philosophical landscape
-
-## 12. CONCLUSION AND SYNTHESIS
-- Comprehensive integration of all findings
-- Assessment of the dialogue's overall contribution
-- Remaining open questions
-- Directions for future philosophical inquiry
-- Final reflections on the topic's significance
-
----
-
-IMPORTANT INSTRUCTIONS:
-- Write extensively on EACH section - aim for several paragraphs per subsection
-- Use sophisticated philosophical vocabulary and analysis
-- Include specific quotes and references from the conversation
-- Provide deep, nuanced analysis rather than surface-level descriptions
-- Make connections to broader philosophical traditions and thinkers when relevant
-- Ensure academic rigor while remaining accessible
-- Use this opportunity to demonstrate the full depth and richness of the philosophical exchange
-
-CONVERSATION TRANSCRIPT:
-${conversationText}`;
+    const summaryPrompt = this.renderConversationPrompt(conversationId, 'summary', {
+      transcript: this.formatTranscript(history)
+    }, styleId);
+
+    let progressTimers = [];
 
     try {
-      socket.emit('summary-generating', { status: 'Preparing comprehensive analysis...' });
+      socket.emit('summary-generating', { status: `Preparing the ${summaryStyle.label.toLowerCase()}...`, style: styleId });
       
       const context = {
         topic: conversation.topic,
@@ -933,108 +1374,77 @@ ${conversationText}`;
         conversationHistory: []  // Empty for summary generation
       };
 
-      // Temporarily increase token limit for comprehensive summary
-      const originalMaxTokens = claudeProvider.maxTokens;
-      claudeProvider.maxTokens = 8000; // Much higher limit for detailed summary
-      
-      // Show progress updates
-      setTimeout(() => socket.emit('summary-generating', { status: 'Analyzing philosophical arguments...' }), 2000);
-      setTimeout(() => socket.emit('summary-generating', { status: 'Extracting key themes and insights...' }), 4000);
-      setTimeout(() => socket.emit('summary-generating', { status: 'Synthesizing comprehensive analysis...' }), 6000);
-      setTimeout(() => socket.emit('summary-generating', { status: 'Finalizing white paper format...' }), 8000);
-      
-      const summary = await claudeProvider.sendMessage(summaryPrompt, context);
+      // Show progress updates (cancelled once the summary is ready)
+      progressTimers = [
+        setTimeout(() => socket.emit('summary-generating', { status: 'Analyzing philosophical arguments...' }), 2000),
+        setTimeout(() => socket.emit('summary-generating', { status: 'Extracting key themes and insights...' }), 4000),
+        setTimeout(() => socket.emit('summary-generating', { status: 'Synthesizing comprehensive analysis...' }), 6000),
+        setTimeout(() => socket.emit('summary-generating', { status: 'Finalizing the summary...' }), 8000)
+      ];
       
-      // Restore original token limit
-      claudeProvider.maxTokens = originalMaxTokens;
-      
-      // Format the summary with proper HTML for display
-      const formattedSummary = this.formatSummaryHTML(summary);
+      // Each style has its own token limit, well above the debate's for the longer ones
+      const { text: summary, provider } = await this.getAnalyst(conversationId, 'summary').run(summaryPrompt, context, {
+        overrides: { maxTokens: summaryStyle.maxTokens },
+        onFailure: (failed, error) => {
+          console.warn(`⚠️ ${failed.name} could not write the summary, trying the next analyst: ${error.message}`);
+          socket.emit('summary-generating', { status: `${failed.name} failed, asking the next analyst...` });
+        }
+      });
       
-      socket.emit('summary-generated', { summary: formattedSummary });
+      // HTML for display, and the Markdown for downloads
+      socket.emit('summary-generated', {
+        summary: this.formatSummaryHTML(summary),
+        markdown: summary,
+        style: styleId,
+        styleLabel: summaryStyle.label,
+        analyst: provider
+      });
       
-      console.log(`✅ Summary generated for conversation ${conversationId}`);
+      console.log(`✅ Summary generated by ${provider} for conversation ${conversationId}`);
       
     } catch (error) {
       console.error('Error generating summary:', error);
       socket.emit('error', { message: 'Failed to generate summary: ' + error.message });
+    } finally {
+      progressTimers.forEach(clearTimeout);
     }
   }
 
+  // Summaries are Markdown, rendered with the white paper classes the summary modal styles
   formatSummaryHTML(summary) {
-    // Enhanced HTML formatting for academic/white paper style
-    return summary
-      // Main title (single #)
-      .replace(/^# (.*$)/gm, '<h1 class="summary-title">$1</h1>')
-      
-      // Section headers (double ##)
-      .replace(/^## (.*$)/gm, '<h2 class="summary-section">$1</h2>')
-      
-      // Subsection headers (triple ###)
-      .replace(/^### (.*$)/gm, '<h3 class="summary-subsection">$1</h3>')
-      
-      // Sub-subsection headers (quadruple ####)
-      .replace(/^#### (.*$)/gm, '<h4 class="summary-subsubsection">$1</h4>')
-      
-      // Bold text
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      
-      // Italic text
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      
-      // Bullet points with proper nesting
-      .replace(/^- (.*$)/gm, '<li class="summary-bullet">$1</li>')
-      .replace(/(\n<li class="summary-bullet">.*?<\/li>)+/g, '<ul class="summary-list">$&</ul>')
-      .replace(/<\/li>\n<li class="summary-bullet">/g, '</li><li class="summary-bullet">')
-      
-      // Numbered lists
-      .replace(/^\d+\. (.*$)/gm, '<li class="summary-numbered">$1</li>')
-      .replace(/(\n<li class="summary-numbered">.*?<\/li>)+/g, '<ol class="summary-ordered-list">$&</ol>')
-      .replace(/<\/li>\n<li class="summary-numbered">/g, '</li><li class="summary-numbered">')
-      
-      // Quotes or important callouts
-      .replace(/^> (.*$)/gm, '<blockquote class="summary-quote">$1</blockquote>')
-      
-      // Code or technical terms (backticks)
-      .replace(/`(.*?)`/g, '<code class="summary-code">$1</code>')
-      
-      // Horizontal rules for section breaks
-      .replace(/^---$/gm, '<hr class="summary-divider">')
-      
-      // Paragraph breaks - convert double newlines to proper paragraphs
-      .replace(/\n\n+/g, '</p><p class="summary-paragraph">')
-      
-      // Single newlines become line breaks within paragraphs
-      .replace(/\n/g, '<br>')
-      
-      // Wrap the entire content in a paragraph container
-      .replace(/^(.*)$/s, '<div class="summary-content"><p class="summary-paragraph">$1</p></div>')
-      
-      // Clean up any empty paragraphs
-      .replace(/<p class="summary-paragraph"><\/p>/g, '')
-      .replace(/<p class="summary-paragraph"><br><\/p>/g, '');
+    return renderSummaryHTML(summary);
   }
 
-  start() {
-    this.server.listen(CONFIG.PORT, () => {
+  start(port = CONFIG.PORT) {
+    this.restoreDailyUsage().catch(error => console.error('Failed to restore daily usage:', error));
+    this.server.listen(port, () => {
       console.log(`\n🎭 AI Philosopher Chat Web Interface`);
-      console.log(`🌐 Server running at http://localhost:${CONFIG.PORT}`);
+      console.log(`🌐 Server running at http://localhost:${port}`);
       console.log(`🤖 ${this.providers.length} AI provider(s) available`);
       
-      if (this.providers.length === 0) {
-        console.log('\n⚠️  Running in demo mode - set API keys for full functionality:');
+      if (this.offline) {
+        console.log('\n⚠️  Running in offline mode with mock providers - set API keys for real responses:');
         console.log('   ANTHROPIC_API_KEY=your_key npm run web');
       }
       
-      console.log('\n📖 Open http://localhost:3000 in your browser to start\n');
+      console.log(`\n📖 Open http://localhost:${port} in your browser to start\n`);
     });
+    return this.server;
+  }
+
+  // Stop accepting connections and disconnect all sockets (also closes the HTTP server)
+  close() {
+    return new Promise(resolve => this.io.close(() => resolve()));
   }
 }
 
-process.on('SIGINT', () => {
-  console.log('\n👋 Shutting down server...');
-  process.exit(0);
-});
+// Only start listening when run directly, so tests can import the server class
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  process.on('SIGINT', () => {
+    console.log('\n👋 Shutting down server...');
+    process.exit(0);
+  });
 
-const server = new PhilosopherChatServer();
-server.start();
\ No newline at end of file
+  const server = new PhilosopherChatServer();
+  server.start();
+}
@@ -0,0 +1,155 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import { Analyst, parseAnalystList, resolveAnalyst } from '../src/utils/analyst.js';
+import { connectSocket, createMockProviders, postJSON, silenceConsole, startTestServer, waitForEvent } from './helpers.js';
+
+const NAMES = ['ChatGPT', 'Gemini', 'Grok'];
+const FAST = { baseDelayMs: 1, maxDelayMs: 5, maxRetries: 0 };
+
+describe('analyst', () => {
+  let restoreConsole;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+  });
+
+  after(() => {
+    restoreConsole();
+  });
+
+  it('resolves a provider name or an ordered list', () => {
+    assert.deepEqual(resolveAnalyst('Gemini', NAMES), ['Gemini']);
+    assert.deepEqual(resolveAnalyst(['Grok', 'Gemini', 'Grok'], NAMES), ['Grok', 'Gemini']);
+    assert.deepEqual(resolveAnalyst(null, NAMES, ['Grok']), []);
+    assert.deepEqual(resolveAnalyst(undefined, NAMES, ['Grok']), ['Grok']);
+    assert.throws(() => resolveAnalyst(['Gemini', 'Claude'], NAMES), /Unknown analyst "Claude" \(expected one of: ChatGPT, Gemini, Grok\)/);
+
+    assert.deepEqual(parseAnalystList(' Grok, ,Gemini '), ['Grok', 'Gemini']);
+    assert.deepEqual(parseAnalystList(undefined), []);
+  });
+
+  it('falls back past failing and resting providers, speaking without a persona', async () => {
+    const failing = new MockProvider(undefined, { name: 'Grok', failureRate: 1, failStatus: 503, resilience: FAST });
+    const resting = new MockProvider(undefined, { name: 'ChatGPT', resilience: { ...FAST, failureThreshold: 1 } });
+    resting.circuitBreaker.recordFailure(new Error('down'));
+    const answering = new MockProvider(undefined, {
+      name: 'Gemini',
+      persona: { id: 'stoic', label: 'Stoic', stance: 'Be a Stoic' },
+      responses: ['The debate turned on {persona} grounds.']
+    });
+
+    const fallbacks = [];
+    const billed = [];
+    const analyst = new Analyst([failing, resting, answering], { onUsage: (provider, usage) => billed.push([provider.name, usage]) });
+    const result = await analyst.run('Summarise', { topic: 'Justice' }, {
+      onFailure: provider => fallbacks.push(provider.name)
+    });
+
+    assert.equal(result.text, 'The debate turned on own grounds.');
+    assert.equal(result.provider, 'Gemini');
+    assert.equal(result.usage.model, 'mock');
+    assert.ok(result.usage.promptTokens > 0 && result.usage.completionTokens > 0);
+    assert.deepEqual(billed, [['Gemini', result.usage]]);
+    assert.deepEqual(fallbacks, ['Grok']);
+    assert.equal(answering.getHistory().length, 0);
+
+    await assert.rejects(new Analyst([failing, resting]).run('Summarise'), /No analyst could complete the request \(Grok: .*; ChatGPT is temporarily unavailable\)/);
+    await assert.rejects(new Analyst([]).run('Summarise'), /No analyst provider is configured/);
+  });
+
+  describe('in conversations', () => {
+    let testServer;
+    let socket;
+
+    beforeEach(async () => {
+      // No Claude, the old hard-wired summariser
+      testServer = await startTestServer({
+        providers: [
+          ...createMockProviders(['ChatGPT', 'Gemini'], { responses: ['# Summary\n\nThey agreed to disagree.'] }),
+          new MockProvider(undefined, { name: 'Grok', failureRate: 1, failStatus: 503, resilience: FAST })
+        ]
+      });
+      socket = await connectSocket(testServer.baseUrl);
+    });
+
+    afterEach(async () => {
+      socket.disconnect();
+      await testServer.stop();
+    });
+
+    it('writes the summary with the next analyst when the first fails', async () => {
+      const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, {
+        topic: 'Justice',
+        config: { analyst: ['Grok', 'Gemini'] }
+      });
+      const { conversationId, config } = body;
+      assert.deepEqual(config.analyst, ['Grok', 'Gemini']);
+      await testServer.server.memory.addMessage('Human', 'What is justice?', conversationId);
+
+      const state = waitForEvent(socket, 'conversation-state');
+      socket.emit('join-conversation', conversationId);
+      await state;
+
+      const fallback = waitForEvent(socket, 'summary-generating', update => /Grok failed/.test(update.status));
+      const summary = waitForEvent(socket, 'summary-generated');
+      socket.emit('end-conversation', conversationId);
+
+      await fallback;
+      const generated = await summary;
+      assert.equal(generated.analyst, 'Gemini');
+      assert.match(generated.summary, /summary-title">Summary/);
+    });
+
+    it('bills summary calls to the day and the conversation budget', async () => {
+      const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, {
+        topic: 'Justice',
+        config: { analyst: 'Gemini', budget: { conversationTokens: 10 } }
+      });
+      const { conversationId } = body;
+      const { server } = testServer;
+      await server.memory.addMessage('Human', 'What is justice?', conversationId);
+      assert.equal(server.dailyUsage.totals().tokens, 0);
+
+      const state = waitForEvent(socket, 'conversation-state');
+      socket.emit('join-conversation', conversationId);
+      await state;
+
+      const usageUpdate = waitForEvent(socket, 'usage-update');
+      const summary = waitForEvent(socket, 'summary-generated');
+      socket.emit('generate-summary', { conversationId });
+      await summary;
+      const { usage } = await usageUpdate;
+
+      // No message carries it, yet the call is counted everywhere it is spent
+      assert.equal(usage.totals.calls, 1);
+      assert.equal(usage.analysis.calls, 1);
+      assert.equal(usage.providers.Gemini.totalTokens, usage.totals.totalTokens);
+      assert.equal(server.dailyUsage.totals().tokens, usage.totals.totalTokens);
+      const [record] = server.memory.getConversation(conversationId).analysisUsage;
+      assert.equal(record.provider, 'Gemini');
+      assert.equal(record.purpose, 'summary');
+      assert.equal(server.getBudgetStatus(conversationId)[0].state, 'exceeded');
+
+      // and restored with the rest of the day's spending after a restart
+      const stored = await server.memory.getStoredUsageSince(new Date(0).toISOString());
+      assert.ok(stored.some(entry => entry.purpose === 'summary' && entry.totalTokens === usage.totals.totalTokens));
+    });
+
+    it('lets the settings change the analyst and judge consensus with it', async () => {
+      const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'Justice', config: { consensusJudge: 'analyst' } });
+      const { conversationId, config } = body;
+      assert.deepEqual(config.analyst, []);
+      assert.equal(config.consensusJudge, 'analyst');
+
+      const updated = await postJSON(`${testServer.baseUrl}/api/conversation/${conversationId}/config`, { config: { analyst: 'ChatGPT' } });
+      assert.deepEqual(updated.body.config.analyst, ['ChatGPT']);
+      assert.equal(updated.body.config.consensusJudge, 'analyst');
+      assert.equal(testServer.server.getConsensusJudge(conversationId).name, 'ChatGPT');
+
+      const rejected = await postJSON(`${testServer.baseUrl}/api/conversation/${conversationId}/config`, { config: { analyst: ['Claude'] } });
+      assert.equal(rejected.status, 400);
+      assert.match(rejected.body.error, /Unknown analyst "Claude"/);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationAnalytics } from '../src/utils/analytics.js';
+
+describe('ConversationAnalytics', () => {
+  describe('analyzeSentiment', () => {
+    it('scores agreement vocabulary as positive', () => {
+      const analytics = new ConversationAnalytics();
+      assert.equal(analytics.analyzeSentiment('I agree, that is an insightful point'), 'positive');
+    });
+
+    it('scores criticism as negative', () => {
+      const analytics = new ConversationAnalytics();
+      assert.equal(analytics.analyzeSentiment('That argument is flawed and wrong'), 'negative');
+    });
+
+    it('treats text without markers as neutral', () => {
+      const analytics = new ConversationAnalytics();
+      assert.equal(analytics.analyzeSentiment('The sky is blue'), 'neutral');
+    });
+  });
+
+  describe('extractInsights', () => {
+    it('tags each matching insight type once', () => {
+      const analytics = new ConversationAnalytics();
+      const types = analytics.extractInsights('Therefore we agree, but perhaps we should build further').map(i => i.type);
+
+      assert.deepEqual(types.sort(), ['agreement', 'conclusion', 'contrast', 'development', 'speculation']);
+    });
+  });
+
+  describe('analyzeMessage', () => {
+    it('records the message and returns its analysis', () => {
+      const analytics = new ConversationAnalytics();
+      const analysis = analytics.analyzeMessage('I believe consciousness requires embodiment', 'Claude', []);
+
+      assert.equal(analysis.speaker, 'Claude');
+      assert.equal(analysis.length, 43);
+      assert.equal(analytics.messageContext.length, 1);
+      assert.equal(analytics.sentimentHistory[0].speaker, 'Claude');
+    });
+  });
+
+  describe('getWordMap', () => {
+    it('only includes repeated non-stop words, most frequent first', () => {
+      const analytics = new ConversationAnalytics();
+      analytics.updateWordFrequency('consciousness and ethics and consciousness');
+      analytics.updateWordFrequency('consciousness shapes ethics');
+      analytics.updateWordFrequency('language');
+
+      const words = analytics.getWordMap().map(entry => entry.word);
+      assert.deepEqual(words, ['consciousness', 'ethics']);
+      assert.equal(analytics.getWordMap()[0].frequency, 3);
+    });
+  });
+
+  describe('calculateConsensus', () => {
+    const message = (speaker, content) => ({ speaker, content });
+
+    it('needs at least four messages', async () => {
+      const analytics = new ConversationAnalytics();
+      const result = await analytics.calculateConsensus([message('Claude', 'I agree')], []);
+
+      assert.equal(result.level, 0);
+      assert.equal(analytics.getConsensusGraph().length, 0);
+    });
+
+    it('rises with agreement and records history', async () => {
+      const analytics = new ConversationAnalytics();
+      const result = await analytics.calculateConsensus([
+        message('Human', 'What is justice?'),
+        message('Claude', 'I agree, exactly right'),
+        message('ChatGPT', 'Indeed, a shared view'),
+        message('Gemini', 'Absolutely, I agree')
+      ], []);
+
+      assert.ok(result.level >= 80, `expected strong consensus, got ${result.level}`);
+      assert.equal(result.summary, 'Strong consensus emerging');
+      assert.equal(result.totalMessages, 3);
+      assert.equal(analytics.getConsensusGraph().length, 1);
+    });
+
+    it('falls with disagreement', async () => {
+      const analytics = new ConversationAnalytics();
+      const result = await analytics.calculateConsensus([
+        message('Claude', 'I disagree, however'),
+        message('ChatGPT', 'I oppose that and doubt it'),
+        message('Gemini', 'On the contrary, I question this'),
+        message('Grok', 'I disagree too')
+      ], []);
+
+      assert.ok(result.level < 40, `expected disagreement, got ${result.level}`);
+      assert.equal(result.method, 'heuristic');
+    });
+
+    it('uses the judge when one is given and falls back when it fails', async () => {
+      const history = [
+        message('Human', 'What is justice?'),
+        message('Claude', 'Fairness'),
+        message('ChatGPT', 'Desert'),
+        message('Gemini', 'Both')
+      ];
+      const analytics = new ConversationAnalytics();
+      const judge = { name: 'Claude', assess: async () => ({ level: 35, summary: 'Split on desert', method: 'llm-judge', judge: 'Claude' }) };
+      const broken = { name: 'Gemini', assess: async () => { throw new Error('Judge reply was not valid JSON'); } };
+
+      const judged = await analytics.calculateConsensus(history, [], { judge });
+      const fallback = await analytics.calculateConsensus(history, [], { judge: broken });
+
+      assert.equal(judged.level, 35);
+      assert.equal(fallback.method, 'heuristic');
+      assert.equal(fallback.fallbackReason, 'Judge reply was not valid JSON');
+      assert.deepEqual(analytics.getConsensusGraph().map(point => point.method), ['llm-judge', 'heuristic']);
+    });
+  });
+
+  describe('exportAnalytics', () => {
+    it('bundles themes, word map, consensus, sentiment and positions', () => {
+      const analytics = new ConversationAnalytics();
+      analytics.analyzeMessage('I agree this is valuable', 'Claude', []);
+
+      const exported = analytics.exportAnalytics();
+      assert.deepEqual(Object.keys(exported).sort(), ['consensusHistory', 'positions', 'sentimentDistribution', 'summary', 'themes', 'wordMap']);
+      assert.equal(exported.sentimentDistribution.positive, 1);
+    });
+  });
+});
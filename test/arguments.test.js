@@ -0,0 +1,120 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArgumentGraph } from '../src/utils/arguments.js';
+import { ConversationMemory } from '../src/utils/memory.js';
+import { InMemoryStorage } from '../src/storage/memory-storage.js';
+import { postJSON, silenceConsole, startTestServer } from './helpers.js';
+
+const PARTICIPANTS = ['Human', 'Claude', 'ChatGPT', 'Gemini'];
+
+function debate() {
+  const graph = new ArgumentGraph({ participants: PARTICIPANTS });
+  graph.addMessage('Is free will an illusion?', 'Human', { messageId: 'm1' });
+  graph.addMessage('I believe free will is real. Because deliberation changes outcomes, choice matters.', 'Claude', { messageId: 'm2' });
+  graph.addMessage('I see it differently from Claude: the argument assumes a clear boundary where there may only be a gradient.', 'ChatGPT', { messageId: 'm3' });
+  graph.addMessage('That gradient is not the problem, ChatGPT, and your objection is mistaken. Degrees of control are still control.', 'Claude', { messageId: 'm4' });
+  graph.addMessage('I agree with Claude, and I would build on that point.', 'Gemini', { messageId: 'm5' });
+  return graph;
+}
+
+const edgeList = graph => graph.exportGraph().edges.map(edge => {
+  const type = id => graph.nodes.find(node => node.id === id);
+  return `${type(edge.from).speaker}:${type(edge.from).type} -${edge.type}-> ${type(edge.to).speaker}:${type(edge.to).type}`;
+});
+
+describe('ArgumentGraph', () => {
+  it('links claims, reasons, objections and rebuttals to what they answer', () => {
+    const graph = debate();
+
+    assert.deepEqual(edgeList(graph), [
+      'Claude:claim -answers-> Human:question',
+      'Claude:reason -supports-> Claude:claim',
+      'ChatGPT:objection -objects-> Claude:claim',
+      'Claude:rebuttal -rebuts-> ChatGPT:objection',
+      'Gemini:claim -supports-> Claude:rebuttal'
+    ]);
+    assert.deepEqual(graph.exportGraph().counts, { question: 1, claim: 2, reason: 1, objection: 1, rebuttal: 1 });
+  });
+
+  it('uses the claim sentence as the node text and keeps message ids', () => {
+    const { nodes } = debate().exportGraph();
+
+    assert.equal(nodes[1].text, 'I believe free will is real.');
+    assert.equal(nodes[2].text, 'Because deliberation changes outcomes, choice matters.');
+    assert.deepEqual(nodes.map(node => node.messageId), ['m1', 'm2', 'm2', 'm3', 'm4', 'm5']);
+  });
+
+  it('responds to the previous speaker unless someone is named', () => {
+    const graph = new ArgumentGraph({ participants: PARTICIPANTS });
+    graph.addMessage('Minds are processes.', 'Claude');
+    graph.addMessage('Processes of what, though, and where do they live?', 'Gemini');
+    graph.addMessage('Claude is exactly right about this.', 'ChatGPT');
+    graph.addMessage('And processes can be multiply realised in many substrates.', 'ChatGPT');
+
+    assert.deepEqual(edgeList(graph), [
+      'Gemini:claim -responds-> Claude:claim',
+      'ChatGPT:claim -supports-> Claude:claim'
+    ]);
+  });
+
+  it('narrows the graph to one speaker and what they engage with', () => {
+    const { nodes, edges } = debate().exportGraph({ speaker: 'Gemini' });
+
+    assert.deepEqual(nodes.map(node => `${node.speaker}:${node.type}`), ['Claude:rebuttal', 'Gemini:claim']);
+    assert.equal(edges.length, 1);
+  });
+});
+
+describe('argument graph in conversations', () => {
+  it('attaches themes and is rebuilt when a conversation is loaded', async () => {
+    const storage = new InMemoryStorage();
+    const memory = new ConversationMemory({ storage });
+    const id = memory.createConversation('Minds', PARTICIPANTS);
+    await memory.addMessage('Human', 'What is a mind?', id);
+    await memory.addMessage('Claude', 'I argue that the mind is a pattern of information processing across the brain.', id);
+
+    const reloaded = new ConversationMemory({ storage });
+    await reloaded.loadConversation(id);
+    const graph = reloaded.getArgumentGraph(id);
+    const history = reloaded.getConversationHistory(id);
+
+    assert.deepEqual(graph.nodes.map(node => node.messageId), history.map(message => message.id));
+    assert.ok(graph.nodes[1].themes.some(theme => theme.includes('mind is a pattern')));
+  });
+
+  describe('route', () => {
+    let restoreConsole;
+    let testServer;
+    let baseUrl;
+
+    before(async () => {
+      restoreConsole = silenceConsole();
+      testServer = await startTestServer();
+      baseUrl = testServer.baseUrl;
+    });
+
+    after(async () => {
+      await testServer.stop();
+      restoreConsole();
+    });
+
+    it('returns the graph, optionally for one speaker', async () => {
+      const { body: created } = await postJSON(`${baseUrl}/api/conversation`, { topic: 'Minds' });
+      const id = created.conversationId;
+      await testServer.server.memory.addMessage('Human', 'What is a mind?', id);
+      await testServer.server.memory.addMessage('Claude', 'I think the mind is what the brain does.', id);
+      await testServer.server.memory.addMessage('Gemini', 'I disagree with Claude; that overlooks experience.', id);
+
+      const body = await (await fetch(`${baseUrl}/api/conversation/${id}/arguments`)).json();
+      assert.equal(body.success, true);
+      assert.deepEqual(body.nodes.map(node => node.type), ['question', 'claim', 'objection']);
+      assert.deepEqual(body.edges.map(edge => edge.type), ['answers', 'objects']);
+
+      const filtered = await (await fetch(`${baseUrl}/api/conversation/${id}/arguments?speaker=Human`)).json();
+      assert.deepEqual(filtered.nodes.map(node => node.speaker), ['Human', 'Claude']);
+
+      const missing = await fetch(`${baseUrl}/api/conversation/nope/arguments`);
+      assert.equal(missing.status, 404);
+    });
+  });
+});
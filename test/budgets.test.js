@@ -0,0 +1,167 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_BUDGET, DailyUsage, checkBudget, resolveBudget } from '../src/utils/budgets.js';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import { collectEvents, connectSocket, postJSON, silenceConsole, startTestServer, waitForEvent } from './helpers.js';
+
+describe('budgets', () => {
+  it('merges settings with the previous ones and validates them', () => {
+    const previous = resolveBudget({ conversationCost: 0.5, dailyTokens: 100000 });
+    const updated = resolveBudget({ dailyTokens: '', action: 'deactivate' }, previous);
+
+    assert.deepEqual(updated, { ...DEFAULT_BUDGET, conversationCost: 0.5, action: 'deactivate' });
+    assert.deepEqual(resolveBudget(undefined, updated), updated);
+    assert.deepEqual(resolveBudget(null, updated), DEFAULT_BUDGET);
+
+    assert.throws(() => resolveBudget({ monthlyCost: 5 }), /Unknown budget setting "monthlyCost"/);
+    assert.throws(() => resolveBudget({ action: 'stop' }), /"action" must be one of: pause, deactivate/);
+    assert.throws(() => resolveBudget({ dailyTokens: 1.5 }), /"dailyTokens" must be a whole number/);
+    assert.throws(() => resolveBudget({ warnAt: 120 }), /"warnAt" must be a whole number between 1 and 100/);
+  });
+
+  it('reports each limit as ok, warning or exceeded', () => {
+    const budget = resolveBudget({ conversationTokens: 1000, conversationCost: 1, dailyCost: 2 });
+    const status = checkBudget(budget, {
+      conversation: { tokens: 1000, cost: 0.85 },
+      daily: { tokens: 5000, cost: 1.2 }
+    });
+
+    assert.deepEqual(status.map(limit => [limit.key, limit.state, limit.remaining]), [
+      ['conversationTokens', 'exceeded', 0],
+      ['conversationCost', 'warning', 0.15],
+      ['dailyCost', 'ok', 0.8]
+    ]);
+    assert.equal(status[1].percent, 85);
+    assert.deepEqual(checkBudget(DEFAULT_BUDGET, {}), []);
+  });
+
+  it('counts daily usage for the current UTC day only', () => {
+    const daily = new DailyUsage();
+    daily.add({ totalTokens: 100, cost: 0.01 });
+    daily.add({ totalTokens: 50, cost: 0.02 }, Date.now() - 2 * 86400000);
+    daily.add({ totalTokens: 25, cost: null });
+
+    const totals = daily.totals();
+    assert.equal(totals.tokens, 125);
+    assert.equal(totals.cost, 0.01);
+    assert.equal(totals.date, new Date().toISOString().slice(0, 10));
+
+    // A new day starts from zero
+    assert.deepEqual(daily.totals(Date.now() + 86400000), { date: new Date(Date.now() + 86400000).toISOString().slice(0, 10), tokens: 0, cost: 0 });
+  });
+
+  describe('in debates', () => {
+    let restoreConsole;
+    let testServer;
+    let socket;
+
+    before(() => {
+      restoreConsole = silenceConsole();
+    });
+
+    after(() => {
+      restoreConsole();
+    });
+
+    beforeEach(async () => {
+      testServer = await startTestServer({
+        providers: [
+          new MockProvider(undefined, { name: 'Claude' }),
+          new MockProvider(undefined, { name: 'ChatGPT' }),
+          new MockProvider(undefined, { name: 'Gemini', pricing: { input: 0, output: 0 } })
+        ],
+        prices: { currency: 'USD', models: { mock: { input: 1000, output: 1000 } } }
+      });
+      socket = await connectSocket(testServer.baseUrl);
+    });
+
+    afterEach(async () => {
+      socket.disconnect();
+      await testServer.stop();
+    });
+
+    async function joinNewConversation(config) {
+      const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, {
+        topic: 'Is time real?',
+        config: { format: 'round-robin', moderationPause: 20, ...config }
+      });
+      const state = waitForEvent(socket, 'conversation-state');
+      socket.emit('join-conversation', body.conversationId);
+      await state;
+      return body;
+    }
+
+    it('warns and pauses the AIs once the conversation budget is spent', async () => {
+      const { conversationId, config } = await joinNewConversation({ budget: { conversationTokens: 1 } });
+      assert.equal(config.budget.conversationTokens, 1);
+
+      const completions = collectEvents(socket, 'message-complete');
+      const warning = waitForEvent(socket, 'budget-warning');
+      const paused = waitForEvent(socket, 'moderation-pause');
+      socket.emit('human-message', { conversationId, message: 'Does time pass?' });
+
+      assert.equal((await warning).key, 'conversationTokens');
+      const pause = await paused;
+      completions.stop();
+
+      assert.equal(pause.reason, 'budget');
+      assert.match(pause.message, /Budget reached/);
+      assert.deepEqual(completions.events.map(message => message.speaker), ['Claude']);
+
+      const { limits } = await (await fetch(`${testServer.baseUrl}/api/conversation/${conversationId}/budget`)).json();
+      assert.equal(limits[0].state, 'exceeded');
+      assert.equal(limits[0].remaining, 0);
+    });
+
+    it('deactivates the paid providers and lets free ones continue', async () => {
+      const { conversationId } = await joinNewConversation({ budget: { conversationCost: 0.01, action: 'deactivate' } });
+
+      const completions = collectEvents(socket, 'message-complete');
+      const exceeded = waitForEvent(socket, 'budget-exceeded');
+      const last = waitForEvent(socket, 'message-complete', message => message.speaker === 'Gemini');
+      socket.emit('human-message', { conversationId, message: 'Does time pass?' });
+
+      const event = await exceeded;
+      assert.equal(event.action, 'deactivate');
+      assert.deepEqual(event.providers, ['Claude', 'ChatGPT']);
+      await last;
+      completions.stop();
+
+      assert.deepEqual(completions.events.map(message => message.speaker), ['Claude', 'Gemini']);
+      assert.deepEqual([...testServer.server.conversationActiveProviders.get(conversationId)], ['Gemini']);
+    });
+
+    it('counts every conversation towards the daily budget', async () => {
+      testServer.server.dailyUsage.add({ totalTokens: 5000, cost: 0 });
+      const { conversationId } = await joinNewConversation({ budget: { dailyTokens: 5000 } });
+
+      const completions = collectEvents(socket, 'message-complete');
+      const paused = waitForEvent(socket, 'moderation-pause');
+      socket.emit('human-message', { conversationId, message: 'Does time pass?' });
+
+      assert.equal((await paused).limits[0].key, 'dailyTokens');
+      completions.stop();
+      assert.equal(completions.events.length, 0);
+    });
+
+    it('restores the day\'s spending from storage', async () => {
+      const { conversationId } = await joinNewConversation();
+      await testServer.server.memory.addMessage('Claude', 'Time passes.', conversationId, [], {
+        usage: { model: 'mock', promptTokens: 30, completionTokens: 10, totalTokens: 40, latencyMs: 5, estimated: true, cost: 0.04, currency: 'USD' }
+      });
+
+      await testServer.server.restoreDailyUsage();
+      const { tokens, cost } = testServer.server.dailyUsage.totals();
+      assert.equal(tokens, 40);
+      assert.equal(cost, 0.04);
+    });
+
+    it('rejects invalid budgets', async () => {
+      const { status, body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'Time', config: { budget: { dailyCost: -1 } } });
+      assert.equal(status, 400);
+      assert.match(body.error, /dailyCost/);
+
+      assert.equal((await fetch(`${testServer.baseUrl}/api/conversation/missing/budget`)).status, 404);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import { ConsensusJudge, isConsensusReply, parseJudgeVerdict } from '../src/utils/consensus.js';
+import { createMockProviders, postJSON, silenceConsole, startTestServer } from './helpers.js';
+
+const participants = ['Human', 'Claude', 'ChatGPT'];
+
+const verdict = JSON.stringify({
+  score: 72,
+  summary: 'Agreement on fairness, not on desert',
+  agreements: ['Justice involves fairness'],
+  contentions: ['Whether desert matters'],
+  positions: { Claude: 'Justice is fairness', ChatGPT: 'Justice tracks desert', Socrates: 'Not a participant' }
+});
+
+const history = [
+  { speaker: 'Human', content: 'What is justice?' },
+  { speaker: 'Claude', content: 'Justice is fairness.' },
+  { speaker: 'ChatGPT', content: 'However, desert matters too.' },
+  { speaker: 'Claude', content: 'I agree desert has a place.' }
+];
+
+describe('consensus judge', () => {
+  let restoreConsole;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+  });
+
+  after(() => {
+    restoreConsole();
+  });
+
+  it('tells the CLI consensus reply from the no-consensus one', () => {
+    assert.equal(isConsensusReply('CONSENSUS: Justice is fairness'), true);
+    assert.equal(isConsensusReply('  consensus: they agree'), true);
+    assert.equal(isConsensusReply('NO_CONSENSUS: desert is still contested'), false);
+    assert.equal(isConsensusReply('There is no consensus: they differ'), false);
+    assert.equal(isConsensusReply(undefined), false);
+  });
+
+  it('parses a verdict wrapped in prose or code fences', () => {
+    const parsed = parseJudgeVerdict(`Here is my assessment:\n\`\`\`json\n${verdict}\n\`\`\``, participants);
+
+    assert.equal(parsed.level, 72);
+    assert.deepEqual(parsed.agreements, ['Justice involves fairness']);
+    assert.deepEqual(parsed.contentions, ['Whether desert matters']);
+    assert.deepEqual(Object.keys(parsed.positions), ['Claude', 'ChatGPT']);
+  });
+
+  it('clamps the score and fills in a missing summary', () => {
+    const parsed = parseJudgeVerdict('{"score": 140, "agreements": "not a list"}');
+
+    assert.equal(parsed.level, 100);
+    assert.equal(parsed.summary, 'Strong consensus emerging');
+    assert.deepEqual(parsed.agreements, []);
+  });
+
+  it('rejects replies without a usable score', () => {
+    assert.throws(() => parseJudgeVerdict('We are nearly there.'), /no JSON object/);
+    assert.throws(() => parseJudgeVerdict('{"score": }'), /not valid JSON/);
+    assert.throws(() => parseJudgeVerdict('{"score": "high"}'), /numeric "score"/);
+  });
+
+  it('asks the provider with the recent turns and records who judged', async () => {
+    const prompts = [];
+    const provider = new MockProvider(undefined, {
+      name: 'Claude',
+      persona: { id: 'stoic', label: 'Stoic', stance: 'Be a Stoic' },
+      responses: message => {
+        prompts.push(message);
+        return verdict;
+      }
+    });
+
+    const result = await new ConsensusJudge(provider, { window: 2 }).assess(history, { topic: 'Justice', participants });
+
+    assert.equal(result.method, 'llm-judge');
+    assert.equal(result.judge, 'Claude');
+    assert.equal(result.level, 72);
+    assert.match(prompts[0], /judging a philosophical debate about "Justice"/);
+    assert.match(prompts[0], /ChatGPT: However, desert matters too\.\n\nClaude: I agree desert has a place\./);
+    assert.doesNotMatch(prompts[0], /What is justice\?/);
+    assert.equal(provider.conversationHistory.length, 0);
+  });
+
+  describe('server', () => {
+    let testServer;
+
+    // Gemini answers judging requests with a verdict; the others only ever debate
+    before(async () => {
+      const judgingGemini = new MockProvider(undefined, {
+        name: 'Gemini',
+        responses: message => (message.includes('RECENT TURNS') ? verdict : 'Justice is a virtue of institutions.')
+      });
+      testServer = await startTestServer({ providers: [...createMockProviders(['Claude', 'ChatGPT']), judgingGemini] });
+    });
+
+    after(async () => {
+      await testServer.stop();
+    });
+
+    async function conversationJudgedBy(consensusJudge) {
+      const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'Justice', config: { consensusJudge } });
+      for (const { speaker, content } of history) {
+        await testServer.server.memory.addMessage(speaker, content, body.conversationId);
+      }
+      return body;
+    }
+
+    it('judges with the configured provider', async () => {
+      const { conversationId, config } = await conversationJudgedBy('Gemini');
+      assert.equal(config.consensusJudge, 'Gemini');
+
+      const judged = await testServer.server.updateConsensus(conversationId);
+      assert.equal(judged.method, 'llm-judge');
+      assert.equal(judged.judge, 'Gemini');
+      assert.deepEqual(judged.positions, { Claude: 'Justice is fairness', ChatGPT: 'Justice tracks desert' });
+
+      // The judge's call is billed to the conversation and the day
+      const usage = testServer.server.memory.getUsage(conversationId);
+      assert.equal(usage.analysis.calls, 1);
+      assert.equal(usage.providers.Gemini.calls, 1);
+      assert.equal(testServer.server.memory.getConversation(conversationId).analysisUsage[0].purpose, 'consensus');
+      assert.equal(testServer.server.dailyUsage.totals().tokens, usage.totals.totalTokens);
+
+      const { analytics } = await (await fetch(`${testServer.baseUrl}/api/conversation/${conversationId}`)).json();
+      assert.deepEqual(analytics.consensusHistory.map(point => point.method), ['llm-judge']);
+    });
+
+    it('falls back to the heuristic when the judge reply is unusable', async () => {
+      // Default mock replies are prose, not JSON
+      const { conversationId } = await conversationJudgedBy('ChatGPT');
+      const fallback = await testServer.server.updateConsensus(conversationId);
+
+      assert.equal(fallback.method, 'heuristic');
+      assert.match(fallback.fallbackReason, /no JSON object/);
+    });
+
+    it('uses the heuristic without a judge and rejects unknown judges', async () => {
+      const { conversationId, config } = await conversationJudgedBy(undefined);
+      assert.equal(config.consensusJudge, null);
+      assert.equal((await testServer.server.updateConsensus(conversationId)).method, 'heuristic');
+
+      const { status, body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'Justice', config: { consensusJudge: 'Socrates' } });
+      assert.equal(status, 400);
+      assert.match(body.error, /Unknown consensus judge "Socrates"/);
+    });
+  });
+});
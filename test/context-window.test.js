@@ -0,0 +1,196 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClaudeProvider } from '../src/providers/claude-provider.js';
+import { GeminiProvider } from '../src/providers/gemini-provider.js';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import { ContextManager, ContextSummarizer, DEFAULT_CONTEXT_WINDOW, findContextWindow, excerptTurn } from '../src/utils/context-window.js';
+import { createMockProviders, postJSON, silenceConsole, startTestServer } from './helpers.js';
+
+const SPEAKERS = ['Claude', 'ChatGPT', 'Gemini'];
+
+// count turns of roughly 100 tokens each, with a moderator message at index 2
+function debate(count) {
+  return Array.from({ length: count }, (_, i) => i === 2
+    ? { speaker: 'Human', content: 'Please focus on moral responsibility from now on.' }
+    : { speaker: SPEAKERS[i % SPEAKERS.length], content: `Point ${i} stands. ${'Further reasoning follows here. '.repeat(12)}` });
+}
+
+describe('context window', () => {
+  it('looks up windows by model and sends short histories untouched', () => {
+    assert.equal(findContextWindow('claude-3-5-sonnet-20241022'), 200000);
+    assert.equal(findContextWindow('meta-llama/llama-2-70b-chat'), 4096);
+    assert.equal(findContextWindow('llama3.1'), DEFAULT_CONTEXT_WINDOW);
+
+    const history = debate(4);
+    const fitted = new ContextManager({ contextWindow: 4000 }).fit(history, { fixed: ['system', 'prompt'], reserve: 300 });
+    assert.equal(fitted.history, history);
+    assert.equal(fitted.summary, null);
+  });
+
+  it('cuts older turns to excerpts until they are summarized, moderator messages in full', () => {
+    const history = debate(120);
+    const fitted = new ContextManager({ contextWindow: 1500 }).fit(history, { fixed: ['system prompt'], reserve: 300 });
+
+    assert.ok(fitted.history.length > 0 && fitted.history.length < 120);
+    assert.deepEqual(fitted.history, history.slice(-fitted.history.length));
+    assert.ok(fitted.estimatedTokens <= 1500 - 300);
+
+    assert.match(fitted.summary, /Human moderator: Please focus on moral responsibility from now on\./);
+    assert.doesNotMatch(fitted.summary, /Further reasoning/);
+    // The oldest AI turns give way first
+    assert.match(fitted.summary, /^Moderator messages in full, .*:\n\(\d+ earlier messages not shown\)/);
+    assert.doesNotMatch(fitted.summary, /Point 0 stands/);
+    assert.equal(fitted.summarized, 0);
+    assert.equal(fitted.excerpted + fitted.omitted + fitted.history.length, 120);
+  });
+
+  it('extends the excerpts as the debate grows', () => {
+    const manager = new ContextManager({ contextWindow: 2000 });
+    const history = debate(20);
+    manager.fit(history.slice(0, 15));
+    const rolled = manager.excerpts.lines.length;
+
+    const fitted = manager.fit(history);
+    assert.ok(manager.excerpts.lines.length > rolled);
+    assert.equal(manager.excerpts.lines[0], excerptTurn(history[0]));
+    assert.equal(fitted.summary.split('\n').at(-1), excerptTurn(history[19 - fitted.history.length]));
+  });
+
+  it('extends the analyst\'s summary with the turns that age out, without rebuilding it', async () => {
+    const prompts = [];
+    const summarizer = new ContextSummarizer({
+      async run(prompt) {
+        prompts.push(prompt);
+        return { text: `Summary ${prompts.length}.`, provider: 'Claude' };
+      }
+    });
+    const manager = new ContextManager({ contextWindow: 2000 });
+    const history = debate(40);
+
+    await manager.summarize(history.slice(0, 30), summarizer, { topic: 'free will' });
+    const covered = manager.summary.entries.length;
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /Nothing yet/);
+    assert.match(prompts[0], /Claude: Point 0 stands/);
+
+    const fitted = manager.fit(history.slice(0, 30));
+    assert.match(fitted.summary, /^Summary 1\.\n\nModerator messages in full/);
+    assert.match(fitted.summary, /Human moderator: Please focus on moral responsibility/);
+    assert.equal(fitted.summarized, covered);
+    assert.equal(fitted.summarized + fitted.excerpted + fitted.omitted + fitted.history.length, 30);
+
+    // Nothing new has aged out, so the summary is reused as it is
+    await manager.summarize(history.slice(0, 30), summarizer);
+    assert.equal(prompts.length, 1);
+
+    // Later turns are folded into the previous summary; the covered ones are not sent again
+    await manager.summarize(history, summarizer);
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[1], /SUMMARY SO FAR:\nSummary 1\./);
+    assert.doesNotMatch(prompts[1], /Point 0 stands/);
+    assert.match(prompts[1], new RegExp(`Point ${covered} stands`));
+    assert.ok(manager.summary.entries.length > covered);
+    assert.match(manager.fit(history).summary, /^Summary 2\./);
+  });
+
+  it('falls back to excerpts when no analyst answers and never drops moderator messages', async () => {
+    const summarizer = new ContextSummarizer({
+      async run() {
+        throw new Error('No analyst could complete the request');
+      }
+    });
+    const manager = new ContextManager({ contextWindow: 1500 });
+    const history = debate(120).map((entry, i) => i % 10 === 5 ? { speaker: 'Human', content: `Moderator note ${i}.` } : entry);
+
+    await assert.rejects(manager.summarize(history, summarizer), /No analyst/);
+    const fitted = manager.fit(history, { fixed: ['system prompt'], reserve: 300 });
+
+    assert.equal(manager.summary.text, null);
+    assert.equal(fitted.summarized, 0);
+    assert.match(fitted.summary, /\(\d+ earlier messages not shown\)/);
+    const sent = fitted.summary + fitted.history.map(entry => entry.content).join('\n');
+    for (let i = 5; i < 120; i += 10) {
+      assert.match(sent, new RegExp(`Moderator note ${i}\\.`));
+    }
+  });
+
+  it('cuts the latest turn when it alone overflows the window', () => {
+    const history = [{ speaker: 'Claude', content: 'word '.repeat(2000) }];
+    const fitted = new ContextManager({ contextWindow: 500 }).fit(history);
+
+    assert.equal(fitted.history.length, 1);
+    assert.ok(fitted.history[0].content.startsWith('...'));
+    assert.ok(fitted.estimatedTokens <= 500);
+  });
+
+  describe('providers', () => {
+    const context = { topic: 'free will', participants: ['Human', 'Claude', 'ChatGPT', 'Gemini'], conversationHistory: debate(40) };
+
+    it('always send the system prompt and lead with the summary', () => {
+      const provider = new ClaudeProvider('key', { contextWindow: 2000, persona: { id: 'stoic', label: 'Stoic', stance: 'Accept fate.' } });
+      const request = provider.buildRequest('Respond', context);
+
+      assert.match(request.system, /free will/);
+      assert.match(request.system, /Accept fate\./);
+      assert.match(request.messages[0].content, /^Summary of the earlier discussion:\n/);
+      assert.ok(request.messages.length < 40);
+      assert.deepEqual(request.messages.at(-1), { role: 'user', content: 'Continue the discussion: Respond' });
+    });
+
+    it('fit text prompts the same way', () => {
+      const provider = new GeminiProvider('key', { contextWindow: 2000 });
+      const prompt = provider.buildRequest('Respond', context).contents[0].parts[0].text;
+
+      assert.match(prompt, /Summary of the earlier discussion:\n/);
+      assert.match(prompt, /Human moderator: Please focus on moral responsibility/);
+      assert.ok(prompt.length / 4 <= 2000);
+      assert.ok(prompt.endsWith('(no labels or participant names in your response):'));
+    });
+
+    it('estimate usage from the fitted context', async () => {
+      const small = new MockProvider(undefined, { name: 'Claude', contextWindow: 1500 });
+      const large = new MockProvider(undefined, { name: 'Claude' });
+      await small.sendMessage('Respond', context);
+      await large.sendMessage('Respond', context);
+
+      assert.ok(small.lastUsage.promptTokens <= 1500);
+      assert.ok(large.lastUsage.promptTokens > small.lastUsage.promptTokens);
+    });
+  });
+});
+
+describe('context summaries in the web flow', () => {
+  let restoreConsole;
+  let testServer;
+
+  before(async () => {
+    restoreConsole = silenceConsole();
+    // Small windows, and an analyst that answers the context prompt with a fixed summary
+    const responses = message => message.includes('TURNS TO ADD') ? 'The debaters argued about responsibility.' : 'Point taken. '.repeat(40);
+    testServer = await startTestServer({ providers: createMockProviders(['Claude', 'Gemini'], { contextWindow: 1500, responses }) });
+  });
+
+  after(async () => {
+    await testServer.stop();
+    restoreConsole();
+  });
+
+  it('summarize the turns that no longer fit before a provider speaks, billed as context', async () => {
+    const { server } = testServer;
+    const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'free will' });
+    const { conversationId } = body;
+    for (const entry of debate(40)) {
+      await server.memory.addMessage(entry.speaker, entry.content, conversationId);
+    }
+
+    const [provider] = server.getConversationProviders(conversationId);
+    const context = { topic: 'free will', participants: ['Human', 'Claude', 'Gemini'], conversationHistory: server.memory.getConversationHistory(conversationId) };
+    await server.streamProviderResponse(conversationId, provider, 'Respond', context);
+
+    const { summary } = provider.getContextManager();
+    assert.equal(summary.text, 'The debaters argued about responsibility.');
+    assert.ok(summary.entries.length > 0);
+    assert.match(provider.buildContext('Respond', context).summary, /^The debaters argued about responsibility\./);
+    assert.deepEqual(server.memory.getConversation(conversationId).analysisUsage.map(usage => usage.purpose), ['context']);
+  });
+});
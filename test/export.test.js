@@ -0,0 +1,158 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportFilename, listExportFormats, renderExport } from '../src/export/index.js';
+import { csvCell } from '../src/export/csv.js';
+import { createMockProviders, postJSON, silenceConsole, startTestServer } from './helpers.js';
+
+function sampleConversation() {
+  return {
+    id: 'conv-1',
+    topic: 'Is <free> will real?',
+    participants: ['Human', 'Claude'],
+    personas: { Claude: { label: 'Stoic' } },
+    createdAt: '2024-05-01T10:00:00.000Z',
+    status: 'ended',
+    history: [
+      { id: 'm1', speaker: 'Human', content: '=HYPERLINK("x") is "free" will, real?', timestamp: '2024-05-01T10:00:01.000Z' },
+      {
+        id: 'm2',
+        speaker: 'Claude',
+        content: '**Yes**, <script>alert(1)</script>\nwithin limits',
+        timestamp: '2024-05-01T10:00:05.000Z',
+        analysis: { sentiment: 'positive' },
+        usage: { model: 'mock', promptTokens: 100, completionTokens: 50, totalTokens: 150, cost: 0.002, latencyMs: 800, currency: 'USD' }
+      }
+    ]
+  };
+}
+
+const analytics = {
+  themes: [{ name: 'free will', type: 'concept', averageStrength: 0.5, count: 2 }],
+  wordMap: [{ word: 'free', frequency: 3, size: 'sm' }],
+  consensusHistory: [{ level: 40, summary: 'Mixed', method: 'heuristic', timestamp: '2024-05-01T10:00:06.000Z' }],
+  sentimentDistribution: { positive: 1, neutral: 1, negative: 0 },
+  positions: { shifts: [] },
+  summary: {}
+};
+
+describe('export formats', () => {
+  const exportedAt = '2024-05-02T00:00:00.000Z';
+
+  it('lists the formats and names files after the topic', () => {
+    assert.deepEqual(listExportFormats().map(format => format.id), ['markdown', 'html', 'pdf', 'csv', 'jsonl', 'json', 'text']);
+    assert.equal(exportFilename(sampleConversation(), 'markdown'), 'philosopher-chat-is-free-will-real-2024-05-01.md');
+    assert.throws(() => renderExport('docx', { conversation: sampleConversation() }), /Unknown export format "docx"/);
+  });
+
+  it('writes a Markdown transcript with analytics tables', () => {
+    const { content, contentType } = renderExport('markdown', { conversation: sampleConversation(), analytics, exportedAt });
+
+    assert.equal(contentType, 'text/markdown');
+    assert.match(content, /^# Is <free> will real\?\n/);
+    assert.match(content, /- \*\*Participants:\*\* Human, Claude \(Stoic\)/);
+    assert.match(content, /### Claude · 2024-05-01T10:00:05.000Z\n\n\*\*Yes\*\*/);
+    assert.match(content, /\| Claude \| 1 \| 150 \| 0\.0020 USD \| 800 ms \|/);
+    assert.match(content, /\| 2024-05-01T10:00:06.000Z \| 40% \| heuristic \| Mixed \|/);
+  });
+
+  it('builds a standalone HTML page with escaped messages and inline charts', () => {
+    const { content } = renderExport('html', { conversation: sampleConversation(), analytics, exportedAt });
+
+    assert.match(content, /^<!DOCTYPE html>/);
+    assert.match(content, /<title>Is &lt;free&gt; will real\?<\/title>/);
+    assert.match(content, /<strong>Yes<\/strong>, &lt;script&gt;alert\(1\)&lt;\/script&gt;<br>within limits/);
+    assert.doesNotMatch(content, /<script/);
+    assert.match(content, /aria-label="Consensus over time"/);
+    assert.match(content, /aria-label="Tokens by provider"/);
+    assert.doesNotMatch(content, /@page/);
+
+    const print = renderExport('pdf', { conversation: sampleConversation(), analytics, exportedAt }).content;
+    assert.match(print, /@page \{ size: A4/);
+  });
+
+  it('quotes CSV cells and defuses spreadsheet formulas', () => {
+    assert.equal(csvCell('plain'), 'plain');
+    assert.equal(csvCell('say "hi", then\nleave'), '"say ""hi"", then\nleave"');
+    assert.equal(csvCell('=1+1'), `'=1+1`);
+    assert.equal(csvCell(-3), '-3');
+    assert.equal(csvCell(null), '');
+
+    const rows = renderExport('csv', { conversation: sampleConversation(), exportedAt }).content.split('\r\n');
+    assert.equal(rows[0], 'id,timestamp,speaker,content,sentiment,model,promptTokens,completionTokens,totalTokens,cost,latencyMs');
+    assert.equal(rows[1], `m1,2024-05-01T10:00:01.000Z,Human,"'=HYPERLINK(""x"") is ""free"" will, real?",,,,,,,`);
+    assert.match(rows[2], /,positive,mock,100,50,150,0\.002,800$/);
+  });
+
+  it('writes JSON and JSON Lines tagged with the export schema', () => {
+    const json = JSON.parse(renderExport('json', { conversation: sampleConversation(), analytics, exportedAt }).content);
+    assert.equal(json.schema, 'ai-philosopher-chat');
+    assert.equal(json.version, 1);
+    assert.equal(json.id, 'conv-1');
+    assert.equal(json.history.length, 2);
+    assert.deepEqual(json.analytics.sentimentDistribution, analytics.sentimentDistribution);
+
+    const lines = renderExport('jsonl', { conversation: sampleConversation(), analytics, exportedAt }).content
+      .trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.type), ['conversation', 'message', 'message', 'analytics']);
+    assert.equal(lines[0].topic, 'Is <free> will real?');
+    assert.equal(lines[0].history, undefined);
+    assert.equal(lines[2].usage.totalTokens, 150);
+  });
+});
+
+describe('export route', () => {
+  let restoreConsole;
+  let testServer;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+  });
+
+  after(() => {
+    restoreConsole();
+  });
+
+  beforeEach(async () => {
+    testServer = await startTestServer({ providers: createMockProviders(['Claude']) });
+  });
+
+  afterEach(async () => {
+    await testServer.stop();
+  });
+
+  it('downloads open and stored conversations in the requested format', async () => {
+    const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'Free will' });
+    const { conversationId } = body;
+    const { memory } = testServer.server;
+    await memory.addMessage('Human', 'Is anything up to us?', conversationId);
+
+    const markdown = await fetch(`${testServer.baseUrl}/api/conversation/${conversationId}/export?format=markdown`);
+    assert.equal(markdown.status, 200);
+    assert.match(markdown.headers.get('content-type'), /^text\/markdown/);
+    assert.match(markdown.headers.get('content-disposition'), /attachment; filename="philosopher-chat-free-will-\d{4}-\d{2}-\d{2}\.md"/);
+    assert.match(await markdown.text(), /### Human · .*\n\nIs anything up to us\?/);
+
+    // A stored conversation that isn't open is exported without opening it
+    await memory.saveConversation(conversationId);
+    memory.conversations.delete(conversationId);
+    memory.conversationAnalytics.delete(conversationId);
+
+    const json = await (await fetch(`${testServer.baseUrl}/api/conversation/${conversationId}/export`)).json();
+    assert.equal(json.id, conversationId);
+    assert.equal(json.analytics.sentimentDistribution.neutral + json.analytics.sentimentDistribution.positive +
+      json.analytics.sentimentDistribution.negative, 1);
+    assert.equal(memory.getConversation(conversationId), null);
+
+    const formats = await (await fetch(`${testServer.baseUrl}/api/export-formats`)).json();
+    assert.equal(formats.default, 'json');
+  });
+
+  it('rejects unknown formats and conversations', async () => {
+    const unknownFormat = await fetch(`${testServer.baseUrl}/api/conversation/anything/export?format=docx`);
+    assert.equal(unknownFormat.status, 400);
+    assert.match((await unknownFormat.json()).error, /Unknown export format "docx"/);
+
+    const missing = await fetch(`${testServer.baseUrl}/api/conversation/missing/export?format=csv`);
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DevilsAdvocateFormat,
+  FreeformFormat,
+  OxfordFormat,
+  RoundRobinFormat,
+  SocraticFormat,
+  createDebateFormat,
+  listDebateFormats
+} from '../src/formats/index.js';
+import { createMockProviders, silenceConsole } from './helpers.js';
+
+const providers = createMockProviders(['Claude', 'ChatGPT', 'Gemini']);
+const names = list => list.map(p => p.name);
+
+// Run a format to completion, returning every turn as "speaker:phase"
+function runToCompletion(format, available = providers) {
+  const spoken = [];
+  let plan;
+  while ((plan = format.planRound(available, [])) !== null) {
+    for (const turn of plan.turns) {
+      spoken.push(`${turn.speaker}:${turn.phase}`);
+      format.completeTurn(turn);
+    }
+    format.finishRound(plan);
+  }
+  return spoken;
+}
+
+describe('debate formats', () => {
+  let restoreConsole;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+  });
+
+  after(() => {
+    restoreConsole();
+  });
+
+  describe('freeform', () => {
+    const format = new FreeformFormat();
+
+    it('uses the only provider even if it spoke last', () => {
+      const [claude] = providers;
+      const { providersToUse, selection } = format.selectSpeakers([claude], [
+        { speaker: 'Human', content: 'Hi' },
+        { speaker: 'Claude', content: 'Hello' }
+      ]);
+
+      assert.deepEqual(names(providersToUse), ['Claude']);
+      assert.equal(selection, null);
+    });
+
+    it('shuffles every provider for the first round', () => {
+      const { providersToUse, selection } = format.selectSpeakers(providers, [{ speaker: 'Human', content: 'Hi' }]);
+
+      assert.deepEqual(names(providersToUse).sort(), ['ChatGPT', 'Claude', 'Gemini']);
+      assert.equal(selection.type, 'first-round');
+      assert.deepEqual(selection.speakers, names(providersToUse));
+    });
+
+    it('never lets the last AI speaker go first', () => {
+      const history = [
+        { speaker: 'Human', content: 'Hi' },
+        { speaker: 'Gemini', content: 'Hello' },
+        { speaker: 'Human', content: 'Go on' }
+      ];
+
+      for (let i = 0; i < 20; i++) {
+        const { providersToUse, selection } = format.selectSpeakers(providers, history);
+
+        assert.notEqual(providersToUse[0].name, 'Gemini');
+        assert.ok(!names(providersToUse).includes('Gemini'));
+        assert.equal(selection.type, 'next-speaker');
+        assert.equal(selection.previousSpeaker, 'Gemini');
+        assert.equal(selection.eligibleCount, 2);
+      }
+    });
+
+    it('never completes', () => {
+      const plan = format.planRound(providers, [{ speaker: 'Human', content: 'Hi' }]);
+      plan.turns.forEach(turn => format.completeTurn(turn));
+      format.finishRound(plan);
+
+      assert.equal(format.isComplete, false);
+      assert.match(format.buildPrompt(plan.turns[0], { topic: 'Free will', history: [] }), /Free will/);
+    });
+  });
+
+  it('round robin keeps a fixed order for the configured rounds', () => {
+    const spoken = runToCompletion(new RoundRobinFormat({ rounds: 2 }));
+
+    assert.deepEqual(spoken, [
+      'Claude:turn', 'ChatGPT:turn', 'Gemini:turn',
+      'Claude:turn', 'ChatGPT:turn', 'Gemini:turn'
+    ]);
+  });
+
+  it('oxford runs opening, rebuttal and closing with alternating sides', () => {
+    const format = new OxfordFormat();
+    const plan = format.planRound(providers, []);
+
+    assert.equal(plan.selection.type, 'format-round');
+    assert.equal(plan.selection.phase, 'opening');
+    assert.equal(plan.selection.totalRounds, 3);
+    assert.deepEqual(plan.turns.map(turn => turn.role), ['proposition', 'opposition', 'proposition']);
+    assert.match(format.buildPrompt(plan.turns[1], { topic: 'AI should have rights', history: [] }), /against the motion/);
+
+    format.finishRound(plan);
+    assert.deepEqual(runToCompletion(format).map(turn => turn.split(':')[1]), [
+      'rebuttal', 'rebuttal', 'rebuttal', 'closing', 'closing', 'closing'
+    ]);
+    assert.equal(format.isComplete, true);
+    assert.equal(format.planRound(providers, []), null);
+  });
+
+  it('socratic has one questioner and everyone else answers', () => {
+    const format = new SocraticFormat({ questioner: 'Gemini', rounds: 1 });
+    const spoken = runToCompletion(format);
+
+    assert.deepEqual(spoken, ['Gemini:question', 'Claude:answer', 'ChatGPT:answer']);
+
+    const history = [{ speaker: 'Gemini', content: 'What do you mean by "free"?' }];
+    assert.match(format.buildPrompt({ phase: 'answer' }, { topic: 'Free will', history }), /Gemini asked: "What do you mean by "free"\?"/);
+  });
+
+  it("devil's advocate closes every round", () => {
+    const spoken = runToCompletion(new DevilsAdvocateFormat({ advocate: 'Claude', rounds: 2 }));
+
+    assert.deepEqual(spoken, [
+      'ChatGPT:argument', 'Gemini:argument', 'Claude:challenge',
+      'ChatGPT:argument', 'Gemini:argument', 'Claude:challenge'
+    ]);
+  });
+
+  it('resumes a round where a moderation pause interrupted it', () => {
+    const format = new RoundRobinFormat({ rounds: 1 });
+    const first = format.planRound(providers, []);
+    format.completeTurn(first.turns[0]);
+
+    const resumed = format.planRound(providers, []);
+    assert.deepEqual(resumed.turns.map(turn => turn.speaker), ['ChatGPT', 'Gemini']);
+  });
+
+  it('skips turns of providers that were switched off', () => {
+    const format = new RoundRobinFormat({ rounds: 2 });
+    format.finishRound(format.planRound(providers, []));
+
+    const withoutGemini = providers.filter(p => p.name !== 'Gemini');
+    const plan = format.planRound(withoutGemini, []);
+    assert.deepEqual(plan.turns.map(turn => turn.speaker), ['Claude', 'ChatGPT']);
+
+    format.finishRound(plan);
+    assert.equal(format.isComplete, true);
+  });
+
+  it('creates formats by id and rejects unknown ones', () => {
+    assert.ok(createDebateFormat('oxford') instanceof OxfordFormat);
+    assert.ok(createDebateFormat() instanceof FreeformFormat);
+    assert.equal(createDebateFormat('round-robin', { rounds: 99 }).rounds, 10);
+    assert.throws(() => createDebateFormat('shouting-match'), /Unknown debate format "shouting-match"/);
+    assert.deepEqual(listDebateFormats().map(f => f.id), ['freeform', 'round-robin', 'oxford', 'socratic', 'devils-advocate']);
+  });
+});
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { io as connectClient } from 'socket.io-client';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import { ConversationMemory } from '../src/utils/memory.js';
+import { InMemoryStorage } from '../src/storage/index.js';
+import { PhilosopherChatServer } from '../src/web-server.js';
+
+export function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'philosopher-chat-test-'));
+}
+
+export function removeDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+export function createMockProviders(names = ['Claude', 'ChatGPT', 'Gemini'], config = {}) {
+  return names.map(name => new MockProvider(undefined, { name, ...config }));
+}
+
+// Silence the app's progress logging for the duration of a test file
+export function silenceConsole() {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  return () => Object.assign(console, original);
+}
+
+// Start a server on a random port with mock providers and in-memory storage
+export async function startTestServer(options = {}) {
+  const server = new PhilosopherChatServer({
+    providers: createMockProviders(),
+    memory: new ConversationMemory({ storage: new InMemoryStorage() }),
+    timing: { responseDelay: [0, 1], autoRoundDelay: 0 },
+    ...options
+  });
+
+  await new Promise(resolve => server.server.listen(0, resolve));
+  const baseUrl = `http://localhost:${server.server.address().port}`;
+
+  return {
+    server,
+    baseUrl,
+    async stop() {
+      await server.close();
+    }
+  };
+}
+
+export function connectSocket(baseUrl) {
+  return new Promise((resolve, reject) => {
+    const socket = connectClient(baseUrl, { transports: ['websocket'], forceNew: true });
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+
+// Resolve with the first event payload that matches the predicate
+export function waitForEvent(socket, event, predicate = () => true, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, timeout);
+
+    function handler(data) {
+      if (predicate(data)) {
+        clearTimeout(timer);
+        socket.off(event, handler);
+        resolve(data);
+      }
+    }
+
+    socket.on(event, handler);
+  });
+}
+
+// Collect every payload of an event until stop() is called
+export function collectEvents(socket, event) {
+  const events = [];
+  const handler = data => events.push(data);
+  socket.on(event, handler);
+  return {
+    events,
+    stop: () => socket.off(event, handler)
+  };
+}
+
+export async function postJSON(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
@@ -0,0 +1,174 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectImportFormat, parseImport } from '../src/export/import.js';
+import { createMockProviders, postJSON, silenceConsole, startTestServer } from './helpers.js';
+
+describe('import parsing', () => {
+  it('detects the format from the content', () => {
+    assert.equal(detectImportFormat('{"schema": "ai-philosopher-chat"}'), 'json');
+    assert.equal(detectImportFormat('{"type": "conversation"}\n{"type": "message"}\n'), 'jsonl');
+    assert.equal(detectImportFormat('Claude: Hello'), 'transcript');
+  });
+
+  it('reads speaker-labelled transcripts with continuation lines', () => {
+    const record = parseImport([
+      'Topic: Ethics',
+      'Participants: Human, Claude (Stoic)',
+      'Created: 2024-05-01T10:00:00.000Z',
+      '',
+      '[2024-05-01T10:00:01.000Z] Human: What is the good?',
+      'Note: take your time.',
+      '',
+      '[2024-05-01T10:00:02.000Z] Claude: Virtue.',
+      '',
+      'Nothing else.'
+    ].join('\n'));
+
+    assert.equal(record.topic, 'Ethics');
+    assert.deepEqual(record.participants, ['Human', 'Claude']);
+    assert.equal(record.createdAt, '2024-05-01T10:00:00.000Z');
+    assert.deepEqual(record.history.map(msg => [msg.speaker, msg.content, msg.timestamp]), [
+      ['Human', 'What is the good?\nNote: take your time.', '2024-05-01T10:00:01.000Z'],
+      ['Claude', 'Virtue.\n\nNothing else.', '2024-05-01T10:00:02.000Z']
+    ]);
+
+    // Without a header any label starts a message, and the topic can be given
+    const chat = parseImport('**User:** Is time real?\nAssistant:\nPerhaps not.', { topic: 'Time' });
+    assert.equal(chat.topic, 'Time');
+    assert.deepEqual(chat.participants, ['User', 'Assistant']);
+    assert.deepEqual(chat.history.map(msg => msg.content), ['Is time real?', 'Perhaps not.']);
+
+    assert.throws(() => parseImport('just some prose'), /No speaker-labelled lines found/);
+    assert.throws(() => parseImport('  '), /Nothing to import/);
+  });
+
+  it('lists every schema problem in an export', () => {
+    assert.throws(
+      () => parseImport(JSON.stringify({ schema: 'other', version: 2, topic: '', history: [{ speaker: 'Claude' }, 'hi'] })),
+      error => {
+        assert.equal(error.name, 'ImportError');
+        assert.deepEqual(error.errors, [
+          '"schema" must be "ai-philosopher-chat"',
+          'version 2 is newer than this server reads (up to 1)',
+          '"topic" must be a non-empty string',
+          'history[0].content must be a string',
+          'history[1] must be an object'
+        ]);
+        return true;
+      }
+    );
+
+    // Names can't carry markup into the pages that list them
+    assert.throws(
+      () => parseImport(JSON.stringify({
+        schema: 'ai-philosopher-chat',
+        version: 1,
+        topic: 'T',
+        participants: ['<img src=x onerror=alert(1)>'],
+        history: [{ speaker: '<b>Claude</b>', content: 'hi' }]
+      })),
+      error => {
+        assert.match(error.errors[0], /^"participants" must be an array of names/);
+        assert.match(error.errors[1], /^history\[0\]\.speaker must be a name of up to four words/);
+        return true;
+      }
+    );
+    const transcript = parseImport('Participants: Human, <script>, Claude\nHuman: Hello\nClaude: Hi');
+    assert.deepEqual(transcript.participants, ['Human', 'Claude']);
+
+    assert.throws(
+      () => parseImport('{"type":"conversation","schema":"ai-philosopher-chat","version":1,"topic":"T"}\n{"type":"vote"}\nnot json'),
+      /Invalid JSON Lines export: line 3 is not valid JSON/
+    );
+  });
+});
+
+describe('import route', () => {
+  let restoreConsole;
+  let testServer;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+  });
+
+  after(() => {
+    restoreConsole();
+  });
+
+  beforeEach(async () => {
+    testServer = await startTestServer({ providers: createMockProviders(['Claude']) });
+  });
+
+  afterEach(async () => {
+    await testServer.stop();
+  });
+
+  async function exportConversation(format) {
+    const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'Free will' });
+    const { memory } = testServer.server;
+    await memory.addMessage('Human', 'Is anything up to us?', body.conversationId);
+    await memory.addMessage('Claude', 'I agree that consciousness matters, consciousness is central', body.conversationId, [], {
+      usage: { model: 'mock', promptTokens: 900, completionTokens: 100, totalTokens: 1000, cost: 5, currency: 'USD' }
+    });
+    const response = await fetch(`${testServer.baseUrl}/api/conversation/${body.conversationId}/export?format=${format}`);
+    return { original: memory.getConversation(body.conversationId), content: await response.text() };
+  }
+
+  for (const format of ['json', 'jsonl']) {
+    it(`imports a ${format} export under new ids with rebuilt analytics`, async () => {
+      const { original, content } = await exportConversation(format);
+
+      const { status, body } = await postJSON(`${testServer.baseUrl}/api/conversations/import`, { content });
+      assert.equal(status, 200);
+      assert.equal(body.conversation.topic, 'Free will');
+      assert.equal(body.conversation.status, 'imported');
+      assert.equal(body.conversation.messageCount, 2);
+      assert.notEqual(body.conversation.id, original.id);
+
+      const imported = await testServer.server.memory.storage.loadConversation(body.conversation.id);
+      assert.equal(imported.importedFrom.format, format);
+      assert.equal(imported.importedFrom.conversationId, original.id);
+      imported.history.forEach((msg, index) => {
+        assert.notEqual(msg.id, original.history[index].id);
+        assert.equal(imported.importedFrom.messageIds[original.history[index].id], msg.id);
+        assert.equal(msg.content, original.history[index].content);
+        assert.equal(msg.timestamp, original.history[index].timestamp);
+        assert.ok(msg.analysis.sentiment);
+        assert.equal(msg.usage, undefined);
+      });
+      // Imported usage was never spent here, so it isn't counted against today's budget
+      assert.ok(original.history[1].usage);
+      await testServer.server.memory.saveConversation(original.id);
+      const since = new Date(0).toISOString();
+      const stored = await testServer.server.memory.getStoredUsageSince(since);
+      assert.equal(stored.filter(record => record.cost === 5).length, 1);
+
+      // It shows up in the history and resumes like any stored conversation
+      const { conversations } = await (await fetch(`${testServer.baseUrl}/api/conversations`)).json();
+      assert.ok(conversations.some(conv => conv.id === body.conversation.id));
+      const resumed = await postJSON(`${testServer.baseUrl}/api/conversation/${body.conversation.id}/resume`, {});
+      assert.equal(resumed.body.history.length, 2);
+      assert.equal(testServer.server.memory.getWordMap(body.conversation.id)[0].word, 'consciousness');
+    });
+  }
+
+  it('imports transcripts and rejects invalid content', async () => {
+    const transcript = await postJSON(`${testServer.baseUrl}/api/conversations/import`, {
+      content: 'Human: Is the mind a machine?\nClaude: Not only.',
+      topic: 'Minds'
+    });
+    assert.equal(transcript.status, 200);
+    assert.equal(transcript.body.conversation.topic, 'Minds');
+    assert.deepEqual(transcript.body.conversation.participants, ['Human', 'Claude']);
+
+    const invalid = await postJSON(`${testServer.baseUrl}/api/conversations/import`, {
+      content: JSON.stringify({ schema: 'ai-philosopher-chat', version: 1, topic: 'T', history: [{ speaker: 'A', content: 3 }] })
+    });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.errors, ['history[0].content must be a string']);
+
+    const unknown = await postJSON(`${testServer.baseUrl}/api/conversations/import`, { content: 'x', format: 'xml' });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown import format "xml"/);
+  });
+});
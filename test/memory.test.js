@@ -0,0 +1,139 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationMemory } from '../src/utils/memory.js';
+import { createTempDir, removeDir, silenceConsole } from './helpers.js';
+
+describe('ConversationMemory', () => {
+  let restoreConsole;
+  let dir;
+  let memory;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+  });
+
+  after(() => {
+    restoreConsole();
+  });
+
+  beforeEach(() => {
+    dir = createTempDir();
+    memory = new ConversationMemory({ storageConfig: { backend: 'json', dir } });
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  it('keeps conversations and their analytics isolated', async () => {
+    const first = memory.createConversation('Free will', ['Human', 'Claude']);
+    const second = memory.createConversation('Justice', ['Human', 'ChatGPT']);
+
+    await memory.addMessage('Human', 'Are we free?', first);
+    await memory.addMessage('Claude', 'I agree that freedom is valuable', first);
+    await memory.addMessage('Human', 'What is fair?', second);
+
+    assert.equal(memory.getConversationHistory(first).length, 2);
+    assert.equal(memory.getConversationHistory(second).length, 1);
+    assert.equal(memory.getAnalytics(first).sentimentDistribution.positive, 1);
+    assert.equal(memory.getAnalytics(second).sentimentDistribution.positive, 0);
+  });
+
+  it('rejects messages for unknown conversations', async () => {
+    await assert.rejects(memory.addMessage('Human', 'Hello', 'missing'), /No active conversation found/);
+    await assert.rejects(memory.addMessage('Human', 'Hello'), /No active conversation found/);
+  });
+
+  it('returns empty results for unknown ids', () => {
+    assert.deepEqual(memory.getConversationHistory('missing'), []);
+    assert.equal(memory.getConversation('missing'), null);
+    assert.equal(memory.getAnalytics('missing'), null);
+    assert.deepEqual(memory.getWordMap('missing'), []);
+  });
+
+  it('attaches an analysis to each stored message', async () => {
+    const id = memory.createConversation('Ethics', ['Human']);
+    const messageId = await memory.addMessage('Human', 'Perhaps virtue is a habit', id);
+
+    const [message] = memory.getConversationHistory(id);
+    assert.equal(message.id, messageId);
+    assert.equal(message.analysis.speaker, 'Human');
+  });
+
+  it('updates consensus for the given conversation only', async () => {
+    const id = memory.createConversation('Ethics', ['Human', 'Claude', 'ChatGPT']);
+    const other = memory.createConversation('Other', ['Human']);
+    for (const [speaker, content] of [['Human', 'Thoughts?'], ['Claude', 'I agree'], ['ChatGPT', 'Exactly, I agree'], ['Claude', 'Indeed']]) {
+      await memory.addMessage(speaker, content, id);
+    }
+
+    const consensus = await memory.updateConsensus(id);
+    assert.ok(consensus.level > 50);
+    assert.equal(memory.getConsensusGraph(id).length, 1);
+    assert.equal(memory.getConsensusGraph(other).length, 0);
+    await assert.rejects(memory.updateConsensus(), /No active conversation/);
+  });
+
+  it('exports conversations as text or JSON', async () => {
+    const id = memory.createConversation('Ethics', ['Human', 'Claude']);
+    await memory.addMessage('Human', 'Define the good', id);
+
+    const text = memory.exportConversation(id, 'text');
+    assert.match(text, /^Topic: Ethics/);
+    assert.match(text, /Human: Define the good/);
+    assert.equal(JSON.parse(memory.exportConversation(id)).id, id);
+    assert.equal(memory.exportConversation('missing'), null);
+  });
+
+  it('forks open and stored conversations at a message', async () => {
+    const id = memory.createConversation('Fate', ['Human', 'Claude']);
+    const first = await memory.addMessage('Human', 'Is everything fated?', id);
+    const second = await memory.addMessage('Claude', 'Some things are up to us', id, [], {
+      usage: { model: 'mock', promptTokens: 10, completionTokens: 5, totalTokens: 15, cost: 0.01 }
+    });
+    await memory.addMessage('Human', 'Which things?', id);
+
+    const fork = await memory.forkConversation(id, second);
+    assert.deepEqual(fork.history.map(msg => msg.id), [first, second]);
+    assert.deepEqual(fork.forkedFrom, { parentId: id, rootId: id, messageId: second, messageIndex: 1 });
+    assert.equal(fork.status, 'active');
+    // The parent keeps its history and the token usage of the shared messages
+    assert.equal(memory.getConversationHistory(id).length, 3);
+    assert.equal(memory.getUsage(fork.id).totals.calls, 0);
+    assert.equal(memory.getUsage(id).totals.calls, 1);
+    const sentiments = Object.values(memory.getAnalytics(fork.id).sentimentDistribution);
+    assert.equal(sentiments.reduce((sum, count) => sum + count, 0), 2);
+
+    // A fork of a stored fork belongs to the same tree
+    const fresh = new ConversationMemory({ storageConfig: { backend: 'json', dir } });
+    const nested = await fresh.forkConversation(fork.id, first);
+    assert.deepEqual(nested.forkedFrom, { parentId: fork.id, rootId: id, messageId: first, messageIndex: 0 });
+
+    await assert.rejects(memory.forkConversation(id, 'missing'), /Message "missing" is not part of conversation/);
+    assert.equal(await memory.forkConversation('missing', first), null);
+  });
+
+  it('persists and resumes conversations with rebuilt analytics', async () => {
+    const id = memory.createConversation('Mind', ['Human', 'Claude']);
+    await memory.addMessage('Claude', 'I agree consciousness matters, consciousness is central', id);
+
+    const fresh = new ConversationMemory({ storageConfig: { backend: 'json', dir } });
+    const resumed = await fresh.resumeConversation(id);
+
+    assert.equal(resumed.status, 'resumed');
+    assert.equal(fresh.getConversationHistory(id).length, 1);
+    assert.equal(fresh.getWordMap(id)[0].word, 'consciousness');
+  });
+
+  it('ends conversations and deletes them from memory and storage', async () => {
+    const id = memory.createConversation('Mind', ['Human']);
+    await memory.addMessage('Human', 'Hello', id);
+
+    assert.equal(await memory.endConversation(id), true);
+    assert.equal(memory.getConversation(id).status, 'ended');
+
+    assert.equal(await memory.deleteConversation(id), true);
+    assert.equal(memory.getConversation(id), null);
+    assert.deepEqual(await memory.getAllConversations(), []);
+  });
+});
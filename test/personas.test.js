@@ -0,0 +1,92 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import { listPersonas, resolvePersona, resolvePersonas } from '../src/utils/personas.js';
+import { postJSON, silenceConsole, startTestServer } from './helpers.js';
+
+describe('personas', () => {
+  it('resolves presets, custom stances and empty assignments', () => {
+    assert.equal(resolvePersona('stoic').label, 'Stoic');
+    assert.equal(resolvePersona({ id: 'kantian' }).id, 'kantian');
+    assert.deepEqual(resolvePersona({ custom: '  Argue as a radical empiricist ', label: 'Empiricist' }), {
+      id: 'custom',
+      label: 'Empiricist',
+      stance: 'Argue as a radical empiricist'
+    });
+    assert.equal(resolvePersona(''), null);
+    assert.equal(resolvePersona({ custom: '   ' }), null);
+    assert.ok(listPersonas().some(persona => persona.id === 'utilitarian' && persona.stance));
+  });
+
+  it('rejects unknown personas, overlong stances and non-participants', () => {
+    assert.throws(() => resolvePersona('nihilist'), /Unknown persona "nihilist"/);
+    assert.throws(() => resolvePersona({ custom: 'x'.repeat(501) }), /at most 500 characters/);
+    assert.throws(() => resolvePersonas({ Grok: 'stoic' }, ['Claude']), /"Grok" - not a participant/);
+    assert.deepEqual(Object.keys(resolvePersonas({ Claude: 'skeptic', Gemini: '' }, ['Claude', 'Gemini'])), ['Claude']);
+  });
+
+  it('puts the stance in the system prompt instead of the consensus role', () => {
+    const plain = new MockProvider(undefined, { name: 'Claude' });
+    const stoic = plain.withConfig({ persona: resolvePersona('stoic') });
+    const participants = ['Human', 'Claude', 'ChatGPT'];
+
+    assert.match(plain.getSystemPrompt('Fate', participants), /consensus/);
+    assert.match(stoic.getSystemPrompt('Fate', participants), /Your persona \(Stoic\): You are a Stoic/);
+    assert.equal(plain.persona, null);
+  });
+
+  describe('routes', () => {
+    let restoreConsole;
+    let testServer;
+
+    before(async () => {
+      restoreConsole = silenceConsole();
+      testServer = await startTestServer();
+    });
+
+    after(async () => {
+      await testServer.stop();
+      restoreConsole();
+    });
+
+    it('lists the preset personas', async () => {
+      const body = await (await fetch(`${testServer.baseUrl}/api/personas`)).json();
+      assert.ok(body.personas.some(persona => persona.id === 'stoic'));
+    });
+
+    it('persists personas and hands them to the scoped providers', async () => {
+      const { status, body } = await postJSON(`${testServer.baseUrl}/api/conversation`, {
+        topic: 'Is lying ever right?',
+        personas: { Claude: 'kantian', Gemini: { custom: 'Lies are fine if nobody finds out' } }
+      });
+      const id = body.conversationId;
+
+      assert.equal(status, 200);
+      assert.equal(body.personas.Claude.label, 'Kantian');
+      assert.deepEqual(testServer.server.memory.getConversation(id).personas, body.personas);
+
+      const [claude, chatgpt, gemini] = testServer.server.getConversationProviders(id);
+      assert.equal(claude.persona.id, 'kantian');
+      assert.equal(chatgpt.persona, null);
+      assert.equal(gemini.persona.id, 'custom');
+
+      // Personas survive a config change and a resume
+      await testServer.server.memory.addMessage('Human', 'Would you lie to a murderer?', id);
+      await postJSON(`${testServer.baseUrl}/api/conversation/${id}/config`, { config: { maxTokens: 200 } });
+      assert.equal(testServer.server.getConversationProviders(id)[0].persona.id, 'kantian');
+
+      const resumed = await postJSON(`${testServer.baseUrl}/api/conversation/${id}/resume`, {});
+      assert.equal(resumed.body.conversation.personas.Gemini.stance, 'Lies are fine if nobody finds out');
+    });
+
+    it('rejects unknown personas', async () => {
+      const { status, body } = await postJSON(`${testServer.baseUrl}/api/conversation`, {
+        topic: 'Ethics',
+        personas: { Claude: 'sophist' }
+      });
+
+      assert.equal(status, 400);
+      assert.match(body.error, /Unknown persona "sophist"/);
+    });
+  });
+});
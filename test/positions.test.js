@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PositionTracker, describeStance } from '../src/utils/positions.js';
+import { ConversationAnalytics } from '../src/utils/analytics.js';
+import { ConversationMemory } from '../src/utils/memory.js';
+import { InMemoryStorage } from '../src/storage/memory-storage.js';
+
+const PARTICIPANTS = ['Human', 'Claude', 'ChatGPT', 'Gemini'];
+
+function tracker() {
+  return new PositionTracker({ topic: 'Is free will an illusion?', participants: PARTICIPANTS });
+}
+
+describe('PositionTracker', () => {
+  it('labels stance scores', () => {
+    assert.equal(describeStance(0.5), 'for');
+    assert.equal(describeStance(-0.2), 'against');
+    assert.equal(describeStance(0.1), 'undecided');
+  });
+
+  it('starts from the topic and adds the questions Human asks, once each', () => {
+    const positions = tracker();
+    positions.recordMessage('Is free will an illusion? And can anyone be blamed for determined choices?', 'Human');
+
+    const { participants, questions } = positions.exportPositions();
+    assert.deepEqual(participants, ['Claude', 'ChatGPT', 'Gemini']);
+    assert.deepEqual(questions.map(q => [q.id, q.raisedBy]), [['topic', null], ['q1', 'Human']]);
+  });
+
+  it('scores each sentence against the question it is about', () => {
+    const positions = tracker();
+    positions.recordMessage('Can anyone be blamed for determined choices?', 'Human');
+    const result = positions.recordMessage('I believe free will is not an illusion. Yes, we can be blamed for determined choices, that is certainly true.', 'Claude');
+
+    assert.deepEqual(result.stances.map(s => [s.questionId, s.stance]), [['topic', 'against'], ['q1', 'for']]);
+    assert.deepEqual(result.claims, ['free will is not an illusion']);
+    assert.equal(result.shift, false);
+  });
+
+  it('builds the agreement matrix from mentions and shared stances', () => {
+    const positions = tracker();
+    positions.recordMessage('Free will is not an illusion, it is not.', 'Claude');
+    positions.recordMessage('I agree with Claude that the core intuition is sound. Free will is no illusion.', 'ChatGPT');
+    positions.recordMessage('I see it differently from ChatGPT. Free will is indeed an illusion, certainly.', 'Gemini');
+
+    const { matrix } = positions.exportPositions();
+    assert.deepEqual(matrix.ChatGPT.Claude, { agree: 2, disagree: 0, score: 1 });
+    assert.deepEqual(matrix.Claude.ChatGPT, { agree: 1, disagree: 0, score: 1 });
+    assert.deepEqual(matrix.Gemini.ChatGPT, { agree: 0, disagree: 2, score: -1 });
+    assert.equal(matrix.Gemini.Claude.score, -1);
+  });
+
+  it('leaves pairs without evidence unscored', () => {
+    const positions = tracker();
+    assert.deepEqual(positions.getAgreementMatrix().Claude.Gemini, { agree: 0, disagree: 0, score: null });
+  });
+
+  it('moves stances gradually and records reversals', () => {
+    const positions = tracker();
+    positions.recordMessage('Free will is not an illusion.', 'Claude');
+    positions.recordMessage('It is true that free will is an illusion.', 'Claude');
+    assert.equal(positions.exportPositions().questions[0].stances.Claude.stance, 'undecided');
+    assert.equal(positions.shifts.length, 0);
+
+    positions.recordMessage('Free will is certainly an illusion, yes.', 'Claude');
+    const stance = positions.exportPositions().questions[0].stances.Claude;
+    assert.equal(stance.stance, 'for');
+    assert.equal(stance.history.length, 3);
+    assert.equal(positions.shifts.length, 0);
+
+    positions.recordMessage('Free will is not an illusion. No, never.', 'Claude');
+    positions.recordMessage('Free will is not an illusion, I doubt it.', 'Claude');
+    assert.deepEqual(positions.shifts.map(s => [s.from, s.to, s.reason]), [['for', 'against', 'reversal']]);
+  });
+
+  it('takes a stated change of mind at its word', () => {
+    const positions = tracker();
+    positions.recordMessage('Free will is not an illusion.', 'Claude');
+    const result = positions.recordMessage('On reflection, Gemini has convinced me. Free will is an illusion; that is true.', 'Claude');
+
+    assert.equal(result.shift, true);
+    assert.deepEqual(positions.shifts[0], {
+      speaker: 'Claude',
+      questionId: 'topic',
+      question: 'Is free will an illusion?',
+      from: 'against',
+      to: 'for',
+      reason: 'explicit',
+      excerpt: 'On reflection, Gemini has convinced me.',
+      timestamp: positions.shifts[0].timestamp,
+      messageIndex: 1
+    });
+  });
+
+  it('keeps judged positions for known participants only', () => {
+    const positions = tracker();
+    positions.recordJudgedPositions({ Claude: 'Compatibilist', Human: 'Moderating' }, '2026-01-01T00:00:00.000Z');
+
+    assert.deepEqual(positions.exportPositions().judged, { Claude: { position: 'Compatibilist', timestamp: '2026-01-01T00:00:00.000Z' } });
+  });
+
+  it('keeps the topic and the most recent questions', () => {
+    const positions = tracker();
+    const subjects = ['justice', 'beauty', 'truth', 'knowledge', 'language', 'memory', 'identity', 'causation', 'virtue'];
+    subjects.forEach(subject => positions.recordMessage(`What grounds ${subject} for us?`, 'Human'));
+
+    const questions = positions.exportPositions().questions;
+    assert.equal(questions.length, 9);
+    assert.equal(questions[0].id, 'topic');
+    assert.equal(questions[1].text, 'What grounds beauty for us?');
+  });
+});
+
+describe('position tracking in analytics', () => {
+  it('annotates message analysis and feeds in judge positions', async () => {
+    const analytics = new ConversationAnalytics({ topic: 'Is free will an illusion?', participants: PARTICIPANTS });
+    const analysis = analytics.analyzeMessage('Free will is not an illusion.', 'Claude', []);
+    assert.deepEqual(analysis.position.stances, [{ questionId: 'topic', stance: 'against', score: -1 }]);
+    assert.equal(analytics.analyzeMessage('Is it?', 'Human', []).position, undefined);
+
+    const history = [
+      { speaker: 'Human', content: 'Go' },
+      { speaker: 'Claude', content: 'No' },
+      { speaker: 'ChatGPT', content: 'Yes' },
+      { speaker: 'Gemini', content: 'Maybe' }
+    ];
+    const judge = { name: 'Claude', assess: async () => ({ level: 40, summary: 'Split', positions: { Gemini: 'Undecided' } }) };
+    await analytics.calculateConsensus(history, [], { judge });
+
+    assert.equal(analytics.exportAnalytics().positions.judged.Gemini.position, 'Undecided');
+  });
+
+  it('rebuilds stances when a conversation is loaded', async () => {
+    const storage = new InMemoryStorage();
+    const memory = new ConversationMemory({ storage });
+    const id = memory.createConversation('Is free will an illusion?', PARTICIPANTS);
+    await memory.addMessage('Claude', 'Free will is not an illusion.', id);
+
+    const reloaded = new ConversationMemory({ storage });
+    await reloaded.loadConversation(id);
+    assert.equal(reloaded.getAnalytics(id).positions.questions[0].stances.Claude.stance, 'against');
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FreeformFormat } from '../src/formats/index.js';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import { PromptLibrary, renderTemplate, templateVariables, validateTemplate } from '../src/prompts/index.js';
+import { createTempDir, postJSON, removeDir, silenceConsole, startTestServer } from './helpers.js';
+
+async function putJSON(url, body) {
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe('prompt templates', () => {
+  it('fills variables, fallbacks and lists', () => {
+    const body = 'On "{{topic}}" with {{participants}}: {{lastMessage|Begin.}}';
+
+    assert.equal(renderTemplate(body, { topic: 'Fate', participants: ['Claude', 'Gemini'] }), 'On "Fate" with Claude, Gemini: Begin.');
+    assert.equal(renderTemplate(body, { topic: 'Fate', lastMessage: 'Say {{topic}}' }), 'On "Fate" with : Say {{topic}}');
+    assert.deepEqual(templateVariables(body), ['topic', 'participants', 'lastMessage']);
+  });
+
+  it('picks one of several alternatives', () => {
+    const body = 'First {{topic}}\n--- or ---\nSecond {{topic}}\n';
+
+    assert.equal(renderTemplate(body, { topic: 'x' }, { random: () => 0 }), 'First x');
+    assert.equal(renderTemplate(body, { topic: 'x' }, { random: () => 0.99 }), 'Second x');
+  });
+
+  it('rejects empty templates and variables the kind does not offer', () => {
+    assert.deepEqual(validateTemplate('targeted', 'Reply to {{lastMessage}}'), []);
+    assert.match(validateTemplate('targeted', '{{transcript}}')[0], /Unknown variable \{\{transcript\}\}/);
+    assert.match(validateTemplate('summary', '  ')[0], /must not be empty/);
+    assert.match(validateTemplate('greeting', 'Hi')[0], /Unknown prompt kind "greeting"/);
+  });
+
+  it('renders the built-in system prompt with the persona role', () => {
+    const provider = new MockProvider(undefined, { name: 'Claude' });
+    const prompt = provider.getSystemPrompt('Fate', ['Human', 'Claude', 'Gemini']);
+
+    assert.match(prompt, /^You are Claude, participating in a philosophical debate about "Fate"/);
+    assert.match(prompt, /Never write dialogue for Human, Gemini/);
+    assert.match(prompt, /Work toward consensus/);
+
+    const custom = provider.withConfig({ systemPrompt: 'You are {{name}}. {{persona|No persona}}.' });
+    assert.equal(custom.getSystemPrompt('Fate', []), 'You are Claude. No persona.');
+  });
+
+  it('gives free discussion turns the discussion template', () => {
+    const format = new FreeformFormat();
+    const history = [{ speaker: 'Human', content: 'Is fate real?' }];
+
+    assert.match(format.buildPrompt({ speaker: 'Claude' }, { topic: 'Fate', history }), /"Fate".*Recent context: Is fate real\?/);
+
+    const seen = [];
+    format.buildPrompt({ speaker: 'Claude' }, { topic: 'Fate', history, renderPrompt: (kind, variables) => seen.push([kind, variables]) });
+    assert.deepEqual(seen, [['discussion', { topic: 'Fate', speaker: 'Claude', lastSpeaker: 'Human', lastMessage: 'Is fate real?' }]]);
+  });
+
+  describe('library', () => {
+    let dir;
+    let library;
+
+    before(() => {
+      dir = createTempDir();
+      library = new PromptLibrary({ dir });
+    });
+
+    after(() => {
+      removeDir(dir);
+    });
+
+    it('overrides built-ins, adds new templates and restores on removal', () => {
+      assert.deepEqual(library.list('targeted'), [{ kind: 'targeted', id: 'default', builtin: true, modified: false }]);
+
+      library.save('targeted', 'default', 'Answer {{lastMessage}}');
+      library.save('targeted', 'brief', 'Answer in one sentence: {{lastMessage}}');
+      assert.deepEqual(library.list('targeted').map(t => [t.id, t.modified]), [['default', true], ['brief', false]]);
+      assert.equal(library.render('targeted', 'default', { lastMessage: 'why?' }), 'Answer why?');
+
+      assert.equal(library.remove('targeted', 'default'), true);
+      assert.equal(library.remove('targeted', 'default'), false);
+      assert.match(library.body('targeted'), /specifically asked/);
+    });
+
+    it('falls back to the default when a chosen template is gone', () => {
+      assert.match(library.render('targeted', 'missing', { topic: 'Fate' }), /request about "Fate"/);
+    });
+
+    it('refuses invalid ids and templates', () => {
+      assert.throws(() => library.save('summary', '../escape', 'x'), /Template id/);
+      assert.throws(() => library.save('summary', 'short', '{{speaker}}'), /Unknown variable/);
+    });
+
+    it('resolves a conversation selection', () => {
+      assert.deepEqual(library.resolveSelection({ targeted: 'brief' }, { summary: 'default' }), {
+        system: 'default',
+        discussion: 'default',
+        targeted: 'brief',
+        consensus: 'default',
+        context: 'default',
+        summary: 'default'
+      });
+      assert.throws(() => library.resolveSelection({ summary: 'nope' }), /Unknown summary prompt template "nope"/);
+      assert.throws(() => library.resolveSelection({ opening: 'default' }), /Unknown prompt kind "opening"/);
+    });
+  });
+
+  describe('routes', () => {
+    let restoreConsole;
+    let dir;
+    let testServer;
+    let baseUrl;
+
+    before(async () => {
+      restoreConsole = silenceConsole();
+      dir = createTempDir();
+      testServer = await startTestServer({ prompts: new PromptLibrary({ dir }) });
+      baseUrl = testServer.baseUrl;
+    });
+
+    after(async () => {
+      await testServer.stop();
+      removeDir(dir);
+      restoreConsole();
+    });
+
+    it('lists kinds with their variables and the templates', async () => {
+      const body = await (await fetch(`${baseUrl}/api/prompts`)).json();
+
+      assert.deepEqual(body.kinds.map(kind => kind.id), ['system', 'discussion', 'targeted', 'consensus', 'context', 'summary']);
+      assert.ok(body.kinds[5].variables.some(variable => variable.name === 'transcript'));
+      assert.equal(body.templates.length, 10);
+
+      const { template } = await (await fetch(`${baseUrl}/api/prompts/discussion/default`)).json();
+      assert.match(template.body, /--- or ---/);
+      assert.equal((await fetch(`${baseUrl}/api/prompts/discussion/nope`)).status, 404);
+    });
+
+    it('previews every alternative with sample or conversation values', async () => {
+      const sample = await postJSON(`${baseUrl}/api/prompts/preview`, { kind: 'discussion', id: 'default' });
+      assert.equal(sample.body.previews.length, 5);
+      assert.match(sample.body.previews[0], /"Is free will an illusion\?"/);
+
+      const { body: created } = await postJSON(`${baseUrl}/api/conversation`, { topic: 'Beauty' });
+      await testServer.server.memory.addMessage('Human', 'Is beauty objective?', created.conversationId);
+      const live = await postJSON(`${baseUrl}/api/prompts/preview`, {
+        kind: 'summary',
+        body: '{{topic}} ({{messageCount}}): {{transcript}}',
+        conversationId: created.conversationId
+      });
+      assert.deepEqual(live.body.previews, ['Beauty (1): Human: Is beauty objective?']);
+
+      const invalid = await postJSON(`${baseUrl}/api/prompts/preview`, { kind: 'summary', body: '{{speaker}}' });
+      assert.equal(invalid.status, 400);
+    });
+
+    it('uses the templates a conversation selects and picks up edits', async () => {
+      await putJSON(`${baseUrl}/api/prompts/targeted/curt`, { body: 'Answer {{speaker}}: {{lastMessage}}' });
+      await putJSON(`${baseUrl}/api/prompts/system/terse`, { body: 'You are {{name}}.' });
+
+      const { body: created } = await postJSON(`${baseUrl}/api/conversation`, {
+        topic: 'Time',
+        config: { prompts: { targeted: 'curt', system: 'terse' } }
+      });
+      const id = created.conversationId;
+      await testServer.server.memory.addMessage('Human', 'Does time pass?', id);
+
+      assert.equal(created.config.prompts.targeted, 'curt');
+      assert.equal(testServer.server.renderConversationPrompt(id, 'targeted', { speaker: 'Gemini', lastMessage: 'Does time pass?' }), 'Answer Gemini: Does time pass?');
+      assert.equal(testServer.server.getConversationProviders(id)[0].getSystemPrompt('Time', []), 'You are Claude.');
+
+      const saved = await putJSON(`${baseUrl}/api/prompts/system/terse`, { body: 'You are {{name}}, briefly.' });
+      assert.equal(saved.body.template.body, 'You are {{name}}, briefly.\n');
+      assert.equal(testServer.server.getConversationProviders(id)[0].getSystemPrompt('Time', []), 'You are Claude, briefly.');
+
+      // Other settings changes keep the selection
+      const { body: updated } = await postJSON(`${baseUrl}/api/conversation/${id}/config`, { config: { maxTokens: 200 } });
+      assert.equal(updated.config.prompts.system, 'terse');
+    });
+
+    it('rejects invalid templates and unknown selections', async () => {
+      const invalid = await putJSON(`${baseUrl}/api/prompts/targeted/bad`, { body: '{{transcript}}' });
+      assert.equal(invalid.status, 400);
+      assert.match(invalid.body.error, /Unknown variable/);
+
+      const { status, body } = await postJSON(`${baseUrl}/api/conversation`, { topic: 'Time', config: { prompts: { summary: 'missing' } } });
+      assert.equal(status, 400);
+      assert.match(body.error, /Unknown summary prompt template "missing"/);
+    });
+
+    it('deletes saved templates and resets edited built-ins', async () => {
+      await putJSON(`${baseUrl}/api/prompts/summary/default`, { body: 'Summarise {{transcript}}' });
+
+      const reset = await (await fetch(`${baseUrl}/api/prompts/summary/default`, { method: 'DELETE' })).json();
+      assert.equal(reset.template.modified, false);
+
+      const missing = await fetch(`${baseUrl}/api/prompts/summary/default`, { method: 'DELETE' });
+      assert.equal(missing.status, 404);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildProviders, getRegisteredProviders } from '../src/providers/index.js';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import { BaseAIProvider } from '../src/providers/base-provider.js';
+import { silenceConsole } from './helpers.js';
+
+const context = {
+  topic: 'free will',
+  participants: ['Human', 'Claude', 'ChatGPT'],
+  conversationHistory: [
+    { speaker: 'Human', content: 'Are we free?' },
+    { speaker: 'ChatGPT', content: 'Perhaps.' }
+  ]
+};
+
+describe('BaseAIProvider', () => {
+  it('maps shared history onto chat roles from its own point of view', () => {
+    const provider = new BaseAIProvider('Claude', 'key');
+    const messages = provider.buildChatMessages('Respond', [
+      { speaker: 'Human', content: 'Hi' },
+      { speaker: 'Claude', content: 'Hello' },
+      { speaker: 'ChatGPT', content: 'Greetings' }
+    ]);
+
+    assert.deepEqual(messages, [
+      { role: 'user', content: 'Human moderator: Hi' },
+      { role: 'assistant', content: 'Hello' },
+      { role: 'user', content: 'ChatGPT responded: Greetings' },
+      { role: 'user', content: 'Continue the discussion: Respond' }
+    ]);
+  });
+
+  it('caps maxTokens at the configured tokenLimit and keeps it across withConfig', () => {
+    const provider = new MockProvider(undefined, { name: 'Claude', tokenLimit: 500 });
+    const scoped = provider.withConfig({ maxTokens: 8000, temperature: 0.2 });
+
+    assert.equal(scoped.maxTokens, 500);
+    assert.equal(scoped.temperature, 0.2);
+    assert.equal(scoped.name, 'Claude');
+    assert.notEqual(scoped, provider);
+  });
+});
+
+describe('MockProvider', () => {
+  it('replays identical replies for the same seed', async () => {
+    const first = new MockProvider(undefined, { name: 'Claude', seed: 7 });
+    const second = new MockProvider(undefined, { name: 'Claude', seed: 7 });
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal(await first.sendMessage('go', context), await second.sendMessage('go', context));
+    }
+  });
+
+  it('uses scripted responses in order with placeholders filled', async () => {
+    const provider = new MockProvider(undefined, {
+      name: 'Claude',
+      responses: ['{name} on {topic}, after {previous}', 'second']
+    });
+
+    assert.equal(await provider.sendMessage('go', context), 'Claude on free will, after ChatGPT');
+    assert.equal(await provider.sendMessage('go', context), 'second');
+    assert.equal(await provider.sendMessage('go', context), 'Claude on free will, after ChatGPT');
+  });
+
+  it('streams the same text it would send', async () => {
+    const provider = new MockProvider(undefined, { name: 'Gemini', seed: 3 });
+    const expected = await new MockProvider(undefined, { name: 'Gemini', seed: 3 }).sendMessage('go', context);
+
+    let streamed = '';
+    for await (const chunk of provider.streamMessage('go', context)) {
+      streamed += chunk;
+    }
+
+    assert.equal(streamed, expected);
+    assert.equal(provider.getHistory().length, 1);
+  });
+
+  it('injects failures on the requested calls', async () => {
+    const provider = new MockProvider(undefined, { name: 'Grok', responses: ['ok'], failOn: [2] });
+
+    assert.equal(await provider.sendMessage('go', context), 'ok');
+    await assert.rejects(provider.sendMessage('go', context), /Grok mock failure \(call 2\)/);
+    assert.equal(await provider.sendMessage('go', context), 'ok');
+  });
+});
+
+describe('provider registry', () => {
+  let restoreConsole;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+  });
+
+  after(() => {
+    restoreConsole();
+  });
+
+  it('registers the built-in providers in debate order', () => {
+    const builtIn = getRegisteredProviders().filter(definition => !definition.configOnly);
+
+    assert.deepEqual(builtIn.map(definition => definition.type), [
+      'claude', 'chatgpt', 'gemini', 'meta', 'watsonx', 'grok', 'mistral', 'deepseek'
+    ]);
+  });
+
+  it('skips providers without keys and never builds config-only types by default', () => {
+    const { providers, results } = buildProviders({ config: { providers: [] }, env: {} });
+
+    assert.equal(providers.length, 0);
+    assert.ok(results.every(result => result.status === 'skipped'));
+    assert.ok(!results.some(result => result.entry.type === 'mock'));
+  });
+
+  it('builds providers from config entries and reports unknown or disabled ones', () => {
+    const { providers, results } = buildProviders({
+      config: {
+        providers: [
+          { type: 'mock', name: 'Skeptic' },
+          { type: 'mock', name: 'Optimist', enabled: false },
+          { type: 'nonexistent' }
+        ]
+      },
+      env: {}
+    });
+
+    assert.deepEqual(providers.map(p => p.name), ['Skeptic']);
+    const statuses = results.filter(r => r.status !== 'skipped').map(r => r.status).sort();
+    assert.deepEqual(statuses, ['disabled', 'initialized', 'unknown']);
+  });
+
+  it('rejects duplicate display names', () => {
+    const { providers, results } = buildProviders({
+      config: { providers: [{ type: 'mock', name: 'Twin' }, { type: 'mock', name: 'Twin' }] },
+      env: {}
+    });
+
+    assert.equal(providers.length, 1);
+    assert.match(results.find(r => r.status === 'failed').error.message, /Duplicate provider name/);
+  });
+
+  it('builds a mock stand-in for every built-in provider in offline mode', () => {
+    const { providers } = buildProviders({ env: { OFFLINE_MODE: 'true', ANTHROPIC_API_KEY: 'real-key' } });
+
+    assert.ok(providers.every(provider => provider instanceof MockProvider));
+    assert.deepEqual(providers.map(p => p.name), [
+      'Claude', 'ChatGPT', 'Gemini', 'Meta AI', 'Watsonx', 'Grok', 'Mistral', 'DeepSeek'
+    ]);
+  });
+});
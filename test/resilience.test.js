@@ -0,0 +1,239 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatGPTProvider } from '../src/providers/chatgpt-provider.js';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import {
+  AuthenticationError,
+  CircuitOpenError,
+  InvalidRequestError,
+  ProviderError,
+  ProviderTimeoutError,
+  ProviderUnavailableError,
+  RateLimitError,
+  toProviderError
+} from '../src/providers/errors.js';
+import { CircuitBreaker, resolveResilience } from '../src/providers/resilience.js';
+import { collectEvents, connectSocket, createMockProviders, postJSON, silenceConsole, startTestServer, waitForEvent } from './helpers.js';
+
+const context = { topic: 'free will', participants: ['Human', 'Claude'], conversationHistory: [] };
+const FAST = { baseDelayMs: 1, maxDelayMs: 5 };
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+describe('provider resilience', () => {
+  let restoreConsole;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+  });
+
+  after(() => {
+    restoreConsole();
+  });
+
+  it('classifies SDK, axios and network errors', () => {
+    const limited = toProviderError(httpError(429, { 'retry-after': '2' }), 'Claude');
+    assert.ok(limited instanceof RateLimitError);
+    assert.equal(limited.retryAfterMs, 2000);
+    assert.equal(limited.provider, 'Claude');
+    assert.equal(limited.retryable, true);
+
+    assert.ok(toProviderError(httpError(503)) instanceof ProviderUnavailableError);
+    assert.ok(toProviderError(httpError(401)) instanceof AuthenticationError);
+    assert.ok(toProviderError(httpError(400)) instanceof InvalidRequestError);
+    assert.ok(toProviderError(Object.assign(new Error('Request failed'), { response: { status: 502, headers: {} } })) instanceof ProviderUnavailableError);
+    assert.ok(toProviderError(Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' })) instanceof ProviderUnavailableError);
+    assert.ok(toProviderError(new Error('Request timed out.')) instanceof ProviderTimeoutError);
+
+    const other = toProviderError(new Error('Candidate was blocked'));
+    assert.equal(other.constructor, ProviderError);
+    assert.equal(other.retryable, false);
+
+    assert.throws(() => resolveResilience({ retries: 3 }), /Unknown resilience setting "retries"/);
+    assert.throws(() => resolveResilience({ timeoutMs: 0 }), /"timeoutMs" must be a whole number of at least 1/);
+  });
+
+  it('retries rate limits and outages with backoff', async () => {
+    const provider = new MockProvider(undefined, { name: 'Claude', responses: ['ok'], failOn: [1, 2], failStatus: 503, resilience: FAST });
+
+    assert.equal(await provider.sendMessage('go', context), 'ok');
+    assert.equal(provider.callCount, 3);
+    assert.equal(provider.circuitBreaker.state, 'closed');
+    assert.equal(provider.circuitBreaker.failures, 0);
+  });
+
+  it('gives up after maxRetries and does not retry refused requests', async () => {
+    const outage = new MockProvider(undefined, { name: 'Claude', failureRate: 1, failStatus: 503, resilience: { ...FAST, maxRetries: 1 } });
+    await assert.rejects(outage.sendMessage('go', context), ProviderUnavailableError);
+    assert.equal(outage.callCount, 2);
+
+    const refused = new MockProvider(undefined, { name: 'Claude', failureRate: 1, failStatus: 400, resilience: FAST });
+    await assert.rejects(refused.sendMessage('go', context), InvalidRequestError);
+    assert.equal(refused.callCount, 1);
+    // A refused request says nothing about the provider's health
+    assert.equal(refused.circuitBreaker.failures, 0);
+  });
+
+  it('times out slow calls', async () => {
+    const provider = new MockProvider(undefined, { name: 'Claude', latency: 200, resilience: { timeoutMs: 20, maxRetries: 0 } });
+    await assert.rejects(provider.sendMessage('go', context), /Claude did not respond within 0.02s/);
+  });
+
+  it('opens the circuit after repeated failures, shared by every copy, and closes it on recovery', async () => {
+    const provider = new MockProvider(undefined, {
+      name: 'Claude',
+      responses: ['ok'],
+      // Each copy counts its own calls, so both fail their first
+      failOn: [1],
+      resilience: { ...FAST, failureThreshold: 2, cooldownMs: 50 }
+    });
+    const copy = provider.withConfig({ temperature: 0.1 });
+    const states = [];
+    provider.circuitBreaker.on('state', status => states.push(status.state));
+
+    await assert.rejects(provider.sendMessage('go', context));
+    await assert.rejects(copy.sendMessage('go', context));
+    assert.equal(provider.circuitBreaker.state, 'open');
+    assert.equal(provider.isAvailable(), false);
+    await assert.rejects(provider.sendMessage('go', context), CircuitOpenError);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(copy.isAvailable(), true);
+    assert.equal(await provider.sendMessage('go', context), 'ok');
+    assert.deepEqual(states, ['open', 'half-open', 'closed']);
+  });
+
+  it('lets a single trial call through once the cooldown has passed', async () => {
+    const provider = new MockProvider(undefined, {
+      name: 'Claude',
+      responses: ['ok'],
+      latency: 20,
+      failOn: [1],
+      resilience: { ...FAST, maxRetries: 0, failureThreshold: 1, cooldownMs: 10 }
+    });
+    await assert.rejects(provider.sendMessage('go', context));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => provider.sendMessage('go', context)));
+    assert.equal(results[0].value, 'ok');
+    results.slice(1).forEach(result => assert.ok(result.reason instanceof CircuitOpenError));
+    assert.match(results[1].reason.message, /trial call/);
+    assert.equal(provider.callCount, 2);
+    assert.equal(provider.circuitBreaker.state, 'closed');
+  });
+
+  it('reopens the circuit when the trial fails or says nothing about recovery', () => {
+    const breaker = new CircuitBreaker('Claude', { failureThreshold: 1, cooldownMs: 10 });
+    breaker.recordFailure(new Error('down'), 0);
+
+    breaker.check(20);
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.isAvailable(20), false);
+    assert.throws(() => breaker.check(20), CircuitOpenError);
+
+    // A refused request neither closes nor restarts the cooldown
+    breaker.releaseTrial();
+    assert.equal(breaker.isAvailable(20), true);
+
+    breaker.check(20);
+    breaker.recordFailure(new Error('still down'), 20);
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.isAvailable(25), false);
+  });
+
+  it('fails a stream that breaks off instead of yielding error text', async () => {
+    const provider = new ChatGPTProvider('key', { resilience: FAST });
+    let calls = 0;
+    provider.client = {
+      chat: {
+        completions: {
+          async create() {
+            calls++;
+            return (async function* () {
+              yield { choices: [{ delta: { content: 'Perhaps ' } }] };
+              throw Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' });
+            })();
+          }
+        }
+      }
+    };
+
+    const chunks = [];
+    await assert.rejects(async () => {
+      for await (const chunk of provider.streamMessage('Respond', context)) {
+        chunks.push(chunk);
+      }
+    }, ProviderUnavailableError);
+
+    assert.deepEqual(chunks, ['Perhaps ']);
+    assert.equal(calls, 1);
+    assert.equal(provider.getHistory().length, 0);
+  });
+
+  describe('in debates', () => {
+    let testServer;
+    let socket;
+
+    beforeEach(async () => {
+      testServer = await startTestServer({
+        providers: [
+          ...createMockProviders(['Claude', 'Gemini']),
+          new MockProvider(undefined, {
+            name: 'Grok',
+            failureRate: 1,
+            failStatus: 503,
+            resilience: { ...FAST, maxRetries: 1, failureThreshold: 1, cooldownMs: 60000 }
+          })
+        ]
+      });
+      socket = await connectSocket(testServer.baseUrl);
+    });
+
+    afterEach(async () => {
+      socket.disconnect();
+      await testServer.stop();
+    });
+
+    it('keeps failures out of the history and takes the provider out of rotation', async () => {
+      const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, {
+        topic: 'Is free will real?',
+        config: { format: 'round-robin', moderationPause: 20 }
+      });
+      const { conversationId } = body;
+      const state = waitForEvent(socket, 'conversation-state');
+      socket.emit('join-conversation', conversationId);
+      await state;
+
+      const failure = waitForEvent(socket, 'ai-error');
+      const status = waitForEvent(socket, 'provider-status');
+      const completions = collectEvents(socket, 'message-complete');
+      socket.emit('human-message', { conversationId, message: 'Go.', targetedProvider: 'Grok' });
+
+      const error = await failure;
+      assert.equal(error.provider, 'Grok');
+      assert.equal(error.type, 'ProviderUnavailableError');
+      assert.equal(error.retryable, true);
+      assert.match(error.streamId, /\S/);
+
+      const open = await status;
+      assert.equal(open.provider, 'Grok');
+      assert.equal(open.state, 'open');
+      assert.match(open.message, /Grok is taking a break/);
+
+      const { providers } = await (await fetch(`${testServer.baseUrl}/api/providers`)).json();
+      assert.equal(providers.find(p => p.name === 'Grok').status.state, 'open');
+
+      // The next round goes on without it
+      const round = waitForEvent(socket, 'message-complete', message => message.speaker === 'Gemini');
+      socket.emit('human-message', { conversationId, message: 'Carry on.' });
+      await round;
+      completions.stop();
+
+      assert.deepEqual(completions.events.map(message => message.speaker), ['Claude', 'Gemini']);
+      const history = testServer.server.memory.getConversationHistory(conversationId);
+      assert.deepEqual(history.map(message => message.speaker), ['Human', 'Human', 'Claude', 'Gemini']);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { postJSON, silenceConsole, startTestServer } from './helpers.js';
+
+describe('HTTP routes', () => {
+  let restoreConsole;
+  let testServer;
+  let baseUrl;
+
+  before(async () => {
+    restoreConsole = silenceConsole();
+    testServer = await startTestServer();
+    baseUrl = testServer.baseUrl;
+  });
+
+  after(async () => {
+    await testServer.stop();
+    restoreConsole();
+  });
+
+  it('reports health', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.equal(body.providers, 3);
+  });
+
+  it('lists providers', async () => {
+    const body = await (await fetch(`${baseUrl}/api/providers`)).json();
+
+    assert.deepEqual(body.providers.map(p => p.name), ['Claude', 'ChatGPT', 'Gemini']);
+    assert.equal(body.available, true);
+  });
+
+  it('lists debate formats and rejects unknown ones', async () => {
+    const body = await (await fetch(`${baseUrl}/api/formats`)).json();
+    assert.equal(body.default, 'freeform');
+    assert.ok(body.formats.some(format => format.id === 'oxford' && format.description));
+
+    const { status, body: error } = await postJSON(`${baseUrl}/api/conversation`, { topic: 'Ethics', config: { format: 'brawl' } });
+    assert.equal(status, 400);
+    assert.match(error.error, /Unknown debate format "brawl"/);
+  });
+
+  it('keeps format progress unless the format changes', async () => {
+    const { body: created } = await postJSON(`${baseUrl}/api/conversation`, { topic: 'Ethics', config: { format: 'socratic', formatOptions: { rounds: 2 } } });
+    const id = created.conversationId;
+    assert.equal(created.config.format, 'socratic');
+
+    const format = testServer.server.conversationFormats.get(id);
+    await postJSON(`${baseUrl}/api/conversation/${id}/config`, { config: { maxTokens: 200 } });
+    assert.equal(testServer.server.conversationFormats.get(id), format);
+
+    const { body } = await postJSON(`${baseUrl}/api/conversation/${id}/config`, { config: { format: 'oxford' } });
+    assert.equal(body.config.format, 'oxford');
+    assert.equal(testServer.server.conversationFormats.get(id).id, 'oxford');
+  });
+
+  it('creates a conversation with normalised config and scoped providers', async () => {
+    const { status, body } = await postJSON(`${baseUrl}/api/conversation`, {
+      topic: 'What is knowledge?',
+      config: { maxTokens: 450, autoRounds: 'yes' }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.participants, ['Human', 'Claude', 'ChatGPT', 'Gemini']);
+    assert.deepEqual(body.config, {
+      maxTokens: 450,
+      temperature: 0.7,
+      autoRounds: false,
+      moderationPause: 4,
+      format: 'freeform',
+      formatOptions: {},
+      prompts: { system: 'default', discussion: 'default', targeted: 'default', consensus: 'default', context: 'default', summary: 'default' },
+      consensusJudge: null,
+      analyst: [],
+      stopConditions: {
+        consensusThreshold: null,
+        consensusTurns: 3,
+        maxTurns: null,
+        maxTokens: null,
+        maxCost: null,
+        maxDurationMinutes: null,
+        summarize: false
+      },
+      budget: {
+        conversationTokens: null,
+        conversationCost: null,
+        dailyTokens: null,
+        dailyCost: null,
+        warnAt: 80,
+        action: 'pause'
+      }
+    });
+
+    const scoped = testServer.server.getConversationProviders(body.conversationId);
+    assert.equal(scoped.length, 3);
+    assert.equal(scoped[0].maxTokens, 450);
+    assert.notEqual(scoped[0], testServer.server.providers[0]);
+  });
+
+  it('updates config with fresh provider instances', async () => {
+    const { body: created } = await postJSON(`${baseUrl}/api/conversation`, { topic: 'Ethics' });
+    const before = testServer.server.getConversationProviders(created.conversationId);
+
+    const { body } = await postJSON(`${baseUrl}/api/conversation/${created.conversationId}/config`, {
+      config: { maxTokens: 900, temperature: 0.3 }
+    });
+    const after = testServer.server.getConversationProviders(created.conversationId);
+
+    assert.equal(body.success, true);
+    assert.equal(body.config.maxTokens, 900);
+    assert.equal(after[0].maxTokens, 900);
+    assert.equal(after[0].temperature, 0.3);
+    assert.equal(before[0].maxTokens, 300);
+  });
+
+  it('returns history and analytics for a conversation', async () => {
+    const { body: created } = await postJSON(`${baseUrl}/api/conversation`, { topic: 'Beauty' });
+    await testServer.server.memory.addMessage('Human', 'Is beauty objective?', created.conversationId);
+
+    const body = await (await fetch(`${baseUrl}/api/conversation/${created.conversationId}`)).json();
+
+    assert.equal(body.history.length, 1);
+    assert.ok(body.analytics.sentimentDistribution);
+  });
+
+  it('lists, searches, resumes and deletes stored conversations', async () => {
+    const { body: created } = await postJSON(`${baseUrl}/api/conversation`, { topic: 'Personal identity' });
+    const id = created.conversationId;
+    await testServer.server.memory.addMessage('Human', 'Consider the ship of Theseus', id);
+
+    const list = await (await fetch(`${baseUrl}/api/conversations`)).json();
+    assert.ok(list.conversations.some(c => c.id === id));
+
+    const search = await (await fetch(`${baseUrl}/api/conversations/search?q=theseus`)).json();
+    assert.deepEqual(search.results.map(r => r.id), [id]);
+
+    const resumed = await postJSON(`${baseUrl}/api/conversation/${id}/resume`, {});
+    assert.equal(resumed.body.conversation.status, 'resumed');
+    assert.equal(resumed.body.history.length, 1);
+
+    const deleted = await (await fetch(`${baseUrl}/api/conversation/${id}`, { method: 'DELETE' })).json();
+    assert.equal(deleted.success, true);
+    assert.equal(testServer.server.conversationProviders.has(id), false);
+
+    const missing = await fetch(`${baseUrl}/api/conversation/${id}`, { method: 'DELETE' });
+    assert.equal(missing.status, 404);
+  });
+
+  it('forks a conversation at a message with the parent\'s settings', async () => {
+    const { body: created } = await postJSON(`${baseUrl}/api/conversation`, { topic: 'Fate', config: { temperature: 0.3 } });
+    const id = created.conversationId;
+    const { memory } = testServer.server;
+    const first = await memory.addMessage('Human', 'Is everything fated?', id);
+    await memory.addMessage('Claude', 'Some things are up to us', id);
+
+    const forked = await postJSON(`${baseUrl}/api/conversation/${id}/fork`, { messageId: first });
+    assert.equal(forked.status, 200);
+    const fork = forked.body.conversation;
+    assert.notEqual(fork.id, id);
+    assert.deepEqual(fork.forkedFrom, { parentId: id, rootId: id, messageId: first, messageIndex: 0 });
+    assert.deepEqual(forked.body.history.map(msg => msg.id), [first]);
+    assert.equal(testServer.server.conversationConfigs.get(fork.id).temperature, 0.3);
+    assert.ok(testServer.server.conversationProviders.has(fork.id));
+    assert.equal(memory.getConversationHistory(id).length, 2);
+
+    const list = await (await fetch(`${baseUrl}/api/conversations`)).json();
+    assert.deepEqual(list.conversations.find(c => c.id === fork.id).forkedFrom.parentId, id);
+
+    const unknownMessage = await postJSON(`${baseUrl}/api/conversation/${id}/fork`, { messageId: 'nope' });
+    assert.equal(unknownMessage.status, 400);
+    assert.match(unknownMessage.body.error, /Message "nope" is not part of conversation/);
+    assert.equal((await postJSON(`${baseUrl}/api/conversation/${id}/fork`, {})).status, 400);
+    assert.equal((await postJSON(`${baseUrl}/api/conversation/does-not-exist/fork`, { messageId: first })).status, 404);
+  });
+
+  it('requires a search query', async () => {
+    const response = await fetch(`${baseUrl}/api/conversations/search`);
+    assert.equal(response.status, 400);
+  });
+
+  it('returns message hits and applies search filters', async () => {
+    const { body: created } = await postJSON(`${baseUrl}/api/conversation`, { topic: 'Mind and body' });
+    const id = created.conversationId;
+    const messageId = await testServer.server.memory.addMessage('Claude', 'Descartes split mind from body', id);
+    await testServer.server.memory.addMessage('Human', 'Was Descartes right?', id);
+
+    const search = await (await fetch(`${baseUrl}/api/conversations/search?q=descartes&provider=Claude`)).json();
+    const [result] = search.results;
+    assert.equal(result.id, id);
+    assert.deepEqual(result.hits.map(hit => hit.messageId), [messageId]);
+    assert.match(result.hits[0].snippet, /<mark>Descartes<\/mark>/);
+
+    const ended = await (await fetch(`${baseUrl}/api/conversations/search?q=descartes&status=ended`)).json();
+    assert.deepEqual(ended.results, []);
+  });
+
+  it('rejects invalid search filters', async () => {
+    const response = await fetch(`${baseUrl}/api/conversations/search?q=mind&from=someday`);
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.match(body.error, /"from" must be a valid date/);
+  });
+
+  it('returns 404 when resuming an unknown conversation', async () => {
+    const { status } = await postJSON(`${baseUrl}/api/conversation/does-not-exist/resume`, {});
+    assert.equal(status, 404);
+  });
+
+  it('reports storage stats', async () => {
+    const body = await (await fetch(`${baseUrl}/api/storage/stats`)).json();
+
+    assert.equal(body.success, true);
+    assert.ok(body.stats.totalConversations >= 1);
+  });
+});
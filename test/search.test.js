@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MARK_END,
+  MARK_START,
+  buildSnippet,
+  parseSearchFilters,
+  parseSearchQuery,
+  renderSnippet
+} from '../src/utils/search.js';
+
+describe('search helpers', () => {
+  it('parses queries into unique, normalised terms', () => {
+    assert.deepEqual(parseSearchQuery('Être or NOT être?! (Kant*)'), ['etre', 'or', 'not', 'kant']);
+    assert.deepEqual(parseSearchQuery('  ?! '), []);
+  });
+
+  it('builds snippets around the first match', () => {
+    const content = `${'Preamble words. '.repeat(20)}Then Kant arrives with the categorical imperative. ${'More words. '.repeat(20)}`;
+    const snippet = buildSnippet(content, ['kant']);
+
+    assert.ok(snippet.startsWith('…'));
+    assert.ok(snippet.endsWith('…'));
+    assert.ok(snippet.includes(`${MARK_START}Kant${MARK_END} arrives`));
+    assert.ok(snippet.length <= 162);
+  });
+
+  it('escapes snippet HTML before adding highlights', () => {
+    const html = renderSnippet(buildSnippet('<script>alert("kant")</script>', ['kant']));
+    assert.equal(html, '&lt;script&gt;alert(&quot;<mark>kant</mark>&quot;)&lt;/script&gt;');
+  });
+
+  it('parses and validates filters', () => {
+    const { filters, errors } = parseSearchFilters({ provider: 'Claude', from: '2024-01-01', to: '2024-01-31', limit: '500' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(filters.provider, 'Claude');
+    assert.equal(filters.from, '2024-01-01T00:00:00.000Z');
+    assert.equal(filters.to, '2024-01-31T23:59:59.999Z');
+    assert.equal(filters.limit, 100);
+
+    assert.deepEqual(parseSearchFilters({ to: 'soon', limit: '-2' }).errors, [
+      '"to" must be a valid date',
+      '"limit" must be a positive integer'
+    ]);
+  });
+});
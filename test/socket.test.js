@@ -0,0 +1,194 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  collectEvents,
+  connectSocket,
+  createMockProviders,
+  postJSON,
+  silenceConsole,
+  startTestServer,
+  waitForEvent
+} from './helpers.js';
+
+// Wait until `count` AI messages have completed in the conversation
+async function waitForCompletions(socket, count, timeout = 5000) {
+  const completed = [];
+  await waitForEvent(socket, 'message-complete', data => {
+    completed.push(data);
+    return completed.length === count;
+  }, timeout);
+  return completed;
+}
+
+describe('Socket.IO debate flow', () => {
+  let restoreConsole;
+  let testServer;
+  let socket;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+  });
+
+  after(() => {
+    restoreConsole();
+  });
+
+  beforeEach(async () => {
+    testServer = await startTestServer();
+    socket = await connectSocket(testServer.baseUrl);
+  });
+
+  afterEach(async () => {
+    socket.disconnect();
+    await testServer.stop();
+  });
+
+  async function joinNewConversation(config = {}, client = socket) {
+    const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'Is free will real?', config });
+    const state = waitForEvent(client, 'conversation-state');
+    client.emit('join-conversation', body.conversationId);
+    await state;
+    return body.conversationId;
+  }
+
+  it('streams a full first round from every provider', async () => {
+    const conversationId = await joinNewConversation();
+    const chunks = collectEvents(socket, 'message-chunk');
+    const selection = waitForEvent(socket, 'random-selection');
+    const humanMessage = waitForEvent(socket, 'new-message');
+    const analytics = waitForEvent(socket, 'analytics-update');
+    const completions = waitForCompletions(socket, 3);
+
+    socket.emit('human-message', { conversationId, message: 'Do we choose freely?' });
+
+    assert.equal((await humanMessage).speaker, 'Human');
+    assert.ok((await analytics).wordMap);
+    assert.equal((await selection).type, 'first-round');
+
+    const completed = await completions;
+    chunks.stop();
+
+    assert.deepEqual(completed.map(m => m.speaker).sort(), ['ChatGPT', 'Claude', 'Gemini']);
+    for (const message of completed) {
+      const streamed = chunks.events
+        .filter(chunk => chunk.streamId === message.streamId)
+        .map(chunk => chunk.chunk)
+        .join('');
+      assert.equal(streamed.trim(), message.content);
+    }
+
+    const history = testServer.server.memory.getConversationHistory(conversationId);
+    assert.equal(history.length, 4);
+  });
+
+  it('pauses for the moderator after the configured number of AI messages', async () => {
+    const conversationId = await joinNewConversation({ moderationPause: 2 });
+    const pause = waitForEvent(socket, 'moderation-pause');
+
+    socket.emit('human-message', { conversationId, message: 'Begin.' });
+
+    const data = await pause;
+    assert.equal(data.consecutiveMessages, 2);
+    assert.equal(data.threshold, 2);
+    assert.equal(testServer.server.memory.getConversationHistory(conversationId).length, 3);
+  });
+
+  it('routes targeted messages to a single provider', async () => {
+    const conversationId = await joinNewConversation();
+    const targeted = waitForEvent(socket, 'targeted-response');
+    const completed = collectEvents(socket, 'message-complete');
+    const completion = waitForCompletions(socket, 1);
+
+    socket.emit('human-message', { conversationId, message: '@ChatGPT what do you think?', targetedProvider: 'ChatGPT' });
+
+    assert.equal((await targeted).targetProvider, 'ChatGPT');
+    await completion;
+    // Give any stray responses a moment to show up
+    await new Promise(resolve => setTimeout(resolve, 50));
+    completed.stop();
+
+    assert.deepEqual(completed.events.map(m => m.speaker), ['ChatGPT']);
+  });
+
+  it('only asks the active providers', async () => {
+    const conversationId = await joinNewConversation();
+    const updated = waitForEvent(socket, 'providers-updated');
+
+    socket.emit('update-active-providers', { conversationId, activeProviders: ['Gemini'] });
+    assert.deepEqual((await updated).providers, [{ name: 'Gemini', active: true }]);
+
+    const completion = waitForCompletions(socket, 1);
+    socket.emit('human-message', { conversationId, message: 'Just Gemini, please.' });
+    const [message] = await completion;
+    assert.equal(message.speaker, 'Gemini');
+  });
+
+  it('reports provider failures without stopping the round', async () => {
+    await testServer.stop();
+    testServer = await startTestServer({
+      providers: [
+        ...createMockProviders(['Claude']),
+        ...createMockProviders(['Grok'], { failureRate: 1 })
+      ]
+    });
+    socket.disconnect();
+    socket = await connectSocket(testServer.baseUrl);
+
+    const conversationId = await joinNewConversation();
+    const failure = waitForEvent(socket, 'ai-error');
+    const completed = waitForCompletions(socket, 1);
+
+    socket.emit('human-message', { conversationId, message: 'Go.' });
+
+    assert.equal((await failure).provider, 'Grok');
+    assert.equal((await completed)[0].speaker, 'Claude');
+  });
+
+  it('keeps concurrent conversations isolated', async () => {
+    const other = await connectSocket(testServer.baseUrl);
+    try {
+      const first = await joinNewConversation();
+      const second = await joinNewConversation({}, other);
+      const leaked = collectEvents(other, 'message-complete');
+
+      const completions = waitForCompletions(socket, 3);
+      socket.emit('human-message', { conversationId: first, message: 'Only in the first room.' });
+      await completions;
+      leaked.stop();
+
+      assert.equal(leaked.events.length, 0);
+      assert.equal(testServer.server.memory.getConversationHistory(second).length, 0);
+    } finally {
+      other.disconnect();
+    }
+  });
+
+  it('runs a structured format to completion', async () => {
+    const conversationId = await joinNewConversation({ format: 'oxford', autoRounds: true, moderationPause: 20 });
+    const rounds = collectEvents(socket, 'format-round');
+    const completions = waitForCompletions(socket, 9);
+    const complete = waitForEvent(socket, 'format-complete');
+
+    socket.emit('human-message', { conversationId, message: 'This house believes machines can think.' });
+
+    const completed = await completions;
+    assert.equal((await complete).format, 'oxford');
+    rounds.stop();
+
+    assert.deepEqual(rounds.events.map(round => round.phase), ['opening', 'rebuttal', 'closing']);
+    assert.deepEqual(completed.slice(0, 3).map(m => m.speaker), ['Claude', 'ChatGPT', 'Gemini']);
+  });
+
+  it('ends a conversation with a formatted summary', async () => {
+    const conversationId = await joinNewConversation();
+    const completions = waitForCompletions(socket, 3);
+    socket.emit('human-message', { conversationId, message: 'What is a self?' });
+    await completions;
+
+    const summary = waitForEvent(socket, 'summary-generated');
+    socket.emit('end-conversation', conversationId);
+
+    assert.match((await summary).summary, /^<div class="summary-content">/);
+    assert.equal(testServer.server.memory.getConversation(conversationId).status, 'ended');
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_STOP_CONDITIONS,
+  checkStopConditions,
+  resolveStopConditions
+} from '../src/utils/stop-conditions.js';
+import { estimateTokens } from '../src/utils/usage.js';
+import { collectEvents, connectSocket, postJSON, silenceConsole, startTestServer, waitForEvent } from './helpers.js';
+
+describe('stop conditions', () => {
+  it('merges settings with the previous ones and turns empty values off', () => {
+    const previous = resolveStopConditions({ maxTurns: 10, consensusThreshold: 80 });
+    const updated = resolveStopConditions({ maxTurns: '', summarize: true }, previous);
+
+    assert.deepEqual(updated, { ...DEFAULT_STOP_CONDITIONS, consensusThreshold: 80, summarize: true });
+    assert.deepEqual(resolveStopConditions(undefined, previous), previous);
+    assert.deepEqual(resolveStopConditions(null, previous), DEFAULT_STOP_CONDITIONS);
+  });
+
+  it('rejects unknown and out-of-range settings', () => {
+    assert.throws(() => resolveStopConditions({ maxRounds: 3 }), /Unknown stop condition "maxRounds"/);
+    assert.throws(() => resolveStopConditions({ consensusThreshold: 150 }), /between 1 and 100/);
+    assert.throws(() => resolveStopConditions({ maxTurns: 2.5 }), /whole number/);
+    assert.throws(() => resolveStopConditions({ maxCost: -1 }), /Stop condition "maxCost" must be a number/);
+    assert.throws(() => resolveStopConditions('soon'), /must be an object/);
+  });
+
+  it('needs consensus to hold for the configured number of messages', () => {
+    const conditions = resolveStopConditions({ consensusThreshold: 70, consensusTurns: 3 });
+
+    assert.equal(checkStopConditions(conditions, { consensusLevels: [90, 60, 80, 85] }), null);
+    assert.deepEqual(checkStopConditions(conditions, { consensusLevels: [60, 80, 85, 75] }), {
+      reason: 'consensus',
+      message: 'Consensus has stayed at 70% or above for 3 messages',
+      level: 75
+    });
+  });
+
+  it('stops on turns, tokens, cost and time', () => {
+    const conditions = resolveStopConditions({ maxTurns: 6, maxTokens: 1000, maxCost: 0.5, maxDurationMinutes: 30 });
+
+    assert.equal(checkStopConditions(conditions, { turns: 5, tokens: 999, cost: 0.49, elapsedMinutes: 29 }), null);
+    assert.equal(checkStopConditions(conditions, { turns: 6 }).reason, 'max-turns');
+    assert.equal(checkStopConditions(conditions, { tokens: 1200 }).reason, 'max-tokens');
+    assert.deepEqual(checkStopConditions(conditions, { cost: 0.5, currency: 'EUR' }), {
+      reason: 'max-cost',
+      message: 'Reached the cost limit of 0.5 EUR',
+      cost: 0.5
+    });
+    assert.equal(checkStopConditions(conditions, { elapsedMinutes: 31 }).reason, 'time-limit');
+    assert.equal(estimateTokens('a'.repeat(10)), 3);
+  });
+
+  describe('in the web flow', () => {
+    let restoreConsole;
+    let testServer;
+    let socket;
+
+    before(() => {
+      restoreConsole = silenceConsole();
+    });
+
+    after(() => {
+      restoreConsole();
+    });
+
+    beforeEach(async () => {
+      testServer = await startTestServer();
+      socket = await connectSocket(testServer.baseUrl);
+    });
+
+    afterEach(async () => {
+      socket.disconnect();
+      await testServer.stop();
+    });
+
+    async function joinNewConversation(config) {
+      const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'Is time real?', config });
+      const state = waitForEvent(socket, 'conversation-state');
+      socket.emit('join-conversation', body.conversationId);
+      await state;
+      return body;
+    }
+
+    it('ends the debate at the turn limit and writes the summary', async () => {
+      const { conversationId, config } = await joinNewConversation({
+        autoRounds: true,
+        moderationPause: 20,
+        stopConditions: { maxTurns: 4, summarize: true }
+      });
+      assert.equal(config.stopConditions.maxTurns, 4);
+
+      const completions = collectEvents(socket, 'message-complete');
+      const stopped = waitForEvent(socket, 'debate-stopped');
+      const summary = waitForEvent(socket, 'summary-generated');
+      socket.emit('human-message', { conversationId, message: 'Does time pass?' });
+
+      const event = await stopped;
+      assert.equal(event.reason, 'max-turns');
+      assert.equal(event.summarize, true);
+      assert.match((await summary).summary, /summary-content/);
+      completions.stop();
+
+      assert.equal(completions.events.length, 4);
+      assert.equal(testServer.server.memory.getConversation(conversationId).status, 'ended');
+
+      // Nobody answers once the debate is over
+      const late = collectEvents(socket, 'message-complete');
+      socket.emit('request-ai-responses', conversationId);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      late.stop();
+      assert.equal(late.events.length, 0);
+    });
+
+    it('ends the debate when its time is up', async () => {
+      const { conversationId } = await joinNewConversation({ stopConditions: { maxDurationMinutes: 1 } });
+      testServer.server.debateStartTimes.set(conversationId, Date.now() - 2 * 60000);
+
+      const stopped = waitForEvent(socket, 'debate-stopped');
+      socket.emit('human-message', { conversationId, message: 'Is there still time?' });
+
+      assert.equal((await stopped).reason, 'time-limit');
+      assert.equal(testServer.server.memory.getConversationHistory(conversationId).length, 1);
+    });
+
+    it('ends the debate once its calls cost the limit', async () => {
+      // Price the mock model so every reply costs something
+      testServer.server.prices = { currency: 'USD', models: { mock: { input: 100, output: 100 } } };
+      const { conversationId, config } = await joinNewConversation({
+        autoRounds: true,
+        moderationPause: 20,
+        stopConditions: { maxCost: 0.01 }
+      });
+      assert.equal(config.stopConditions.maxCost, 0.01);
+
+      const stopped = waitForEvent(socket, 'debate-stopped');
+      socket.emit('human-message', { conversationId, message: 'What does time cost?' });
+
+      const event = await stopped;
+      assert.equal(event.reason, 'max-cost');
+      assert.ok(event.cost >= 0.01);
+      assert.equal(event.cost, testServer.server.memory.getUsage(conversationId).totals.cost);
+    });
+
+    it('counts consensus over AI turns only, skipping points taken after a human message', async () => {
+      const { conversationId } = await joinNewConversation({ stopConditions: { consensusThreshold: 70, consensusTurns: 3 } });
+      const server = testServer.server;
+      server.getConsensusJudge = () => ({
+        name: 'fixed',
+        assess: async () => ({ level: 90, summary: 'They agree', method: 'llm-judge' })
+      });
+
+      await server.memory.addMessage('Human', 'Is time real?', conversationId);
+      await server.memory.addMessage('Claude', 'Time is a measure of change.', conversationId);
+      await server.memory.addMessage('Gemini', 'Change needs time to happen in.', conversationId);
+      for (const [speaker, content] of [
+        ['Claude', 'Then we agree it is real.'],
+        ['Human', 'Are you sure?'],
+        ['Gemini', 'Yes, we agree.']
+      ]) {
+        await server.memory.addMessage(speaker, content, conversationId);
+        await server.updateConsensus(conversationId, server.getConversationProviders(conversationId));
+      }
+
+      const state = server.getStopState(conversationId);
+      assert.equal(server.memory.getConversationAnalytics(conversationId).consensusHistory.length, 3);
+      assert.deepEqual(state.consensusLevels, [90, 90]);
+      assert.equal(checkStopConditions(resolveStopConditions({ consensusThreshold: 70, consensusTurns: 3 }), state), null);
+    });
+
+    it('reports a failure to end the debate to the room', async () => {
+      const { conversationId } = await joinNewConversation({ stopConditions: { maxTurns: 1 } });
+      await testServer.server.memory.addMessage('Claude', 'Time passes.', conversationId);
+      testServer.server.memory.endConversation = async () => {
+        throw new Error('disk full');
+      };
+      const unhandled = [];
+      const onUnhandled = reason => unhandled.push(reason);
+      process.on('unhandledRejection', onUnhandled);
+
+      try {
+        const failed = waitForEvent(socket, 'error');
+        socket.emit('request-ai-responses', conversationId);
+        assert.match((await failed).message, /AI responses stopped: disk full/);
+        assert.equal(testServer.server.processingLocks.has(conversationId), false);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepEqual(unhandled, []);
+      } finally {
+        process.off('unhandledRejection', onUnhandled);
+      }
+    });
+
+    it('keeps stop conditions across settings changes and rejects invalid ones', async () => {
+      const { conversationId } = await joinNewConversation({ stopConditions: { maxTokens: 5000 } });
+
+      const { body } = await postJSON(`${testServer.baseUrl}/api/conversation/${conversationId}/config`, { config: { maxTokens: 200 } });
+      assert.equal(body.config.stopConditions.maxTokens, 5000);
+
+      const invalid = await postJSON(`${testServer.baseUrl}/api/conversation/${conversationId}/config`, { config: { stopConditions: { maxTurns: -1 } } });
+      assert.equal(invalid.status, 400);
+      assert.match(invalid.body.error, /maxTurns/);
+    });
+  });
+});
@@ -0,0 +1,342 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createStorage, InMemoryStorage, JsonFileStorage, SqliteStorage } from '../src/storage/index.js';
+import { createTempDir, removeDir, silenceConsole } from './helpers.js';
+
+const conversation = (id, overrides = {}) => ({
+  id,
+  topic: 'What is justice?',
+  participants: ['Human', 'Claude'],
+  history: [
+    { id: `${id}-1`, speaker: 'Human', content: 'Start with Plato', timestamp: '2024-01-01T00:00:00.000Z' },
+    { id: `${id}-2`, speaker: 'Claude', content: 'The Republic frames justice as harmony', timestamp: '2024-01-01T00:01:00.000Z' }
+  ],
+  createdAt: '2024-01-01T00:00:00.000Z',
+  status: 'active',
+  ...overrides
+});
+
+const backends = {
+  json: dir => new JsonFileStorage({ dir: path.join(dir, 'conversations') }),
+  sqlite: dir => new SqliteStorage({ filename: path.join(dir, 'conversations.db') }),
+  memory: () => new InMemoryStorage()
+};
+
+let restoreConsole;
+
+before(() => {
+  restoreConsole = silenceConsole();
+});
+
+after(() => {
+  restoreConsole();
+});
+
+for (const [backend, create] of Object.entries(backends)) {
+  describe(`${backend} storage`, () => {
+    let dir;
+    let storage;
+
+    beforeEach(() => {
+      dir = createTempDir();
+      storage = create(dir);
+    });
+
+    afterEach(async () => {
+      await storage.close();
+      removeDir(dir);
+    });
+
+    it('round-trips a conversation with save metadata', async () => {
+      assert.equal(await storage.saveConversation(conversation('a')), true);
+
+      const loaded = await storage.loadConversation('a');
+      assert.equal(loaded.topic, 'What is justice?');
+      assert.deepEqual(loaded.history, conversation('a').history);
+      assert.equal(loaded.version, '1.0');
+      assert.ok(loaded.savedAt);
+    });
+
+    it('lists forks with the conversation they came from', async () => {
+      const forkedFrom = { parentId: 'a', rootId: 'a', messageId: 'a-1', messageIndex: 0 };
+      await storage.saveConversation(conversation('a'));
+      await storage.saveConversation(conversation('b', { forkedFrom, createdAt: '2024-01-02T00:00:00.000Z' }));
+
+      const summaries = await storage.getAllConversations();
+      assert.deepEqual(summaries.map(summary => [summary.id, summary.forkedFrom]), [['b', forkedFrom], ['a', null]]);
+    });
+
+    it('returns null for unknown conversations', async () => {
+      assert.equal(await storage.loadConversation('missing'), null);
+    });
+
+    it('overwrites a conversation on re-save', async () => {
+      const original = conversation('a');
+      await storage.saveConversation(original);
+      original.history.push({ id: 'a-3', speaker: 'Human', content: 'And Rawls?', timestamp: '2024-01-01T00:02:00.000Z' });
+      await storage.saveConversation({ ...original, status: 'ended' });
+
+      const [summary] = await storage.getAllConversations();
+      assert.equal(summary.messageCount, 3);
+      assert.equal(summary.status, 'ended');
+      assert.equal(summary.lastMessage.content, 'And Rawls?');
+      assert.equal((await storage.loadConversation('a')).history.length, 3);
+    });
+
+    it('lists summaries newest first', async () => {
+      await storage.saveConversation(conversation('old', { createdAt: '2024-01-01T00:00:00.000Z' }));
+      await storage.saveConversation(conversation('new', { createdAt: '2024-02-01T00:00:00.000Z' }));
+
+      const all = await storage.getAllConversations();
+      assert.deepEqual(all.map(c => c.id), ['new', 'old']);
+      assert.equal(all[0].messageCount, 2);
+      assert.deepEqual(all[0].participants, ['Human', 'Claude']);
+      assert.equal(all[0].lastMessage.speaker, 'Claude');
+    });
+
+    it('reports whether a search matched the topic or the messages', async () => {
+      await storage.saveConversation(conversation('by-topic'));
+      await storage.saveConversation(conversation('by-content', { topic: 'Free will' }));
+
+      const results = await storage.searchConversations('JUSTICE');
+      const matches = results.map(r => [r.id, r.matchType]).sort();
+      assert.deepEqual(matches, [['by-content', 'content'], ['by-topic', 'topic']]);
+
+      assert.deepEqual(await storage.searchConversations('aristotle'), []);
+    });
+
+    it('treats query syntax as plain words', async () => {
+      await storage.saveConversation(conversation('a', { topic: '100% certain?' }));
+
+      const results = await storage.searchConversations('"plato" OR (NEAR');
+      assert.deepEqual(results, []);
+      assert.deepEqual((await storage.searchConversations('100%')).map(r => r.id), ['a']);
+    });
+
+    it('returns ranked message hits with highlighted snippets', async () => {
+      await storage.saveConversation(conversation('once'));
+      await storage.saveConversation(conversation('twice', {
+        topic: 'Free will',
+        history: [
+          { id: 'twice-1', speaker: 'Claude', content: 'Harmony <and> harmony again', timestamp: '2024-01-01T00:00:00.000Z' }
+        ]
+      }));
+
+      const results = await storage.searchConversations('harmon');
+      assert.deepEqual(results.map(r => r.id), ['twice', 'once']);
+      assert.ok(results[0].score > results[1].score);
+
+      const [hit] = results[0].hits;
+      assert.equal(hit.messageId, 'twice-1');
+      assert.equal(hit.speaker, 'Claude');
+      assert.equal(hit.position, 0);
+      assert.equal(hit.timestamp, '2024-01-01T00:00:00.000Z');
+      assert.equal(hit.snippet, '<mark>Harmony</mark> &lt;and&gt; <mark>harmony</mark> again');
+    });
+
+    it('requires every search term to match', async () => {
+      await storage.saveConversation(conversation('a'));
+
+      assert.deepEqual((await storage.searchConversations('republic justice')).map(r => r.hits.length), [1]);
+      assert.deepEqual(await storage.searchConversations('republic aristotle'), []);
+    });
+
+    it('filters search results by provider, status, topic and date', async () => {
+      await storage.saveConversation(conversation('early'));
+      await storage.saveConversation(conversation('late', {
+        topic: 'Justice as fairness',
+        status: 'ended',
+        createdAt: '2024-03-01T00:00:00.000Z',
+        history: [
+          { id: 'late-1', speaker: 'Human', content: 'Plato or Rawls?', timestamp: '2024-03-01T00:00:00.000Z' },
+          { id: 'late-2', speaker: 'Claude', content: 'Plato first', timestamp: '2024-03-01T00:01:00.000Z' }
+        ]
+      }));
+
+      const ids = async filters => (await storage.searchConversations('plato', filters)).map(r => r.id).sort();
+      const hitIds = async filters => (await storage.searchConversations('plato', filters)).flatMap(r => r.hits.map(h => h.messageId)).sort();
+
+      assert.deepEqual(await hitIds({ provider: 'claude' }), ['late-2']);
+      assert.deepEqual(await ids({ status: 'ended' }), ['late']);
+      assert.deepEqual(await ids({ topic: 'FAIRNESS' }), ['late']);
+      assert.deepEqual(await ids({ from: '2024-02-01T00:00:00.000Z' }), ['late']);
+      assert.deepEqual(await ids({ to: '2024-02-01T00:00:00.000Z' }), ['early']);
+      assert.deepEqual(await ids({ limit: 1 }), ['late']);
+    });
+
+    it('deletes conversations and reports missing ones', async () => {
+      await storage.saveConversation(conversation('gone'));
+
+      assert.equal(await storage.deleteConversation('gone'), true);
+      assert.equal(await storage.deleteConversation('gone'), false);
+      assert.equal(await storage.loadConversation('gone'), null);
+      assert.deepEqual(await storage.getAllConversations(), []);
+      assert.deepEqual(await storage.searchConversations('plato'), []);
+    });
+
+    it('reports storage stats', async () => {
+      await storage.saveConversation(conversation('a'));
+      await storage.saveConversation(conversation('b'));
+
+      const stats = await storage.getStorageStats();
+      assert.equal(stats.backend, backend);
+      assert.equal(stats.totalConversations, 2);
+      assert.equal(stats.totalMessages, 4);
+      assert.ok(stats.storageSize > 0);
+    });
+
+    it('totals token usage across conversations', async () => {
+      const usage = { model: 'mock', promptTokens: 90, completionTokens: 10, totalTokens: 100, latencyMs: 40, estimated: false, cost: 0.002, currency: 'USD' };
+      const withUsage = id => {
+        const conv = conversation(id);
+        conv.history[1].usage = usage;
+        return conv;
+      };
+      await storage.saveConversation(withUsage('a'));
+      await storage.saveConversation(withUsage('b'));
+      await storage.saveConversation(conversation('c'));
+
+      const stats = await storage.getStorageStats();
+      assert.equal(stats.usage.totals.calls, 2);
+      assert.equal(stats.usage.totals.totalTokens, 200);
+      assert.equal(stats.usage.providers.Claude.cost, 0.004);
+    });
+  });
+}
+
+describe('JsonFileStorage index', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  it('indexes files already on disk and stops re-reading them', async () => {
+    const writer = new JsonFileStorage({ dir });
+    await writer.saveConversation(conversation('existing'));
+
+    const storage = new JsonFileStorage({ dir });
+    assert.deepEqual((await storage.getAllConversations()).map(c => c.id), ['existing']);
+
+    // Changes made behind the index's back are not picked up - listing is served from memory
+    fs.unlinkSync(path.join(dir, 'existing.json'));
+    assert.deepEqual((await storage.getAllConversations()).map(c => c.id), ['existing']);
+  });
+});
+
+describe('SqliteStorage', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  it('persists across connections', async () => {
+    const filename = path.join(dir, 'conversations.db');
+    const first = new SqliteStorage({ filename });
+    await first.saveConversation(conversation('kept'));
+    await first.close();
+
+    const second = new SqliteStorage({ filename });
+    assert.equal((await second.loadConversation('kept')).topic, 'What is justice?');
+    await second.close();
+  });
+
+  it('inserts only the new messages when a save appends to the history', async () => {
+    const storage = new SqliteStorage({ filename: ':memory:' });
+    const rowids = () => storage.db
+      .prepare("SELECT rowid FROM messages WHERE conversation_id = 'grow' ORDER BY position")
+      .all()
+      .map(row => row.rowid);
+    const original = conversation('grow');
+    await storage.saveConversation(original);
+    // A later conversation holds the highest rowids, so reinserted rows could not reuse theirs
+    await storage.saveConversation(conversation('later'));
+    const before = rowids();
+
+    original.history.push({ id: 'grow-3', speaker: 'Human', content: 'And Rawls?', timestamp: '2024-01-01T00:02:00.000Z' });
+    await storage.saveConversation(original);
+
+    const after = rowids();
+    assert.equal(after.length, 3);
+    assert.deepEqual(after.slice(0, 2), before);
+    assert.deepEqual((await storage.searchConversations('rawls')).map(r => r.id), ['grow']);
+    await storage.close();
+  });
+
+  it('rewrites the messages when the stored ones are no longer a prefix of the history', async () => {
+    const storage = new SqliteStorage({ filename: ':memory:' });
+    await storage.saveConversation(conversation('swap'));
+    await storage.saveConversation(conversation('swap', {
+      history: [{ id: 'other-1', speaker: 'Human', content: 'Consider Aristotle instead', timestamp: '2024-01-02T00:00:00.000Z' }]
+    }));
+
+    const contents = storage.db
+      .prepare("SELECT content FROM messages WHERE conversation_id = 'swap' ORDER BY position")
+      .all()
+      .map(row => row.content);
+    assert.deepEqual(contents, ['Consider Aristotle instead']);
+    assert.deepEqual(await storage.searchConversations('republic'), []);
+    assert.deepEqual((await storage.searchConversations('aristotle')).map(r => r.id), ['swap']);
+    await storage.close();
+  });
+
+  it('indexes topic, creation date and status', async () => {
+    const storage = new SqliteStorage({ filename: ':memory:' });
+    const indexes = storage.db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'conversations' AND name LIKE 'idx_%'")
+      .all()
+      .map(row => row.name)
+      .sort();
+
+    assert.deepEqual(indexes, ['idx_conversations_created_at', 'idx_conversations_status', 'idx_conversations_topic']);
+    await storage.close();
+  });
+
+  it('builds the full-text index for databases created without one', async () => {
+    const filename = path.join(dir, 'conversations.db');
+    const first = new SqliteStorage({ filename });
+    await first.saveConversation(conversation('old'));
+    first.db.exec('DROP TRIGGER messages_fts_insert; DROP TRIGGER messages_fts_delete; DROP TABLE messages_fts;');
+    await first.close();
+
+    const second = new SqliteStorage({ filename });
+    assert.deepEqual((await second.searchConversations('republic')).map(r => r.id), ['old']);
+    await second.close();
+  });
+
+  it('adds the usage and fork columns to databases created without them', async () => {
+    const filename = path.join(dir, 'conversations.db');
+    const first = new SqliteStorage({ filename });
+    await first.saveConversation(conversation('old'));
+    first.db.exec('ALTER TABLE conversations DROP COLUMN usage; ALTER TABLE conversations DROP COLUMN forked_from');
+    await first.close();
+
+    const second = new SqliteStorage({ filename });
+    const [summary] = await second.getAllConversations();
+    assert.equal(summary.usage.totals.calls, 0);
+    assert.equal(summary.forkedFrom, null);
+    assert.equal((await second.getStorageStats()).usage.totals.calls, 0);
+    await second.close();
+  });
+});
+
+describe('createStorage', () => {
+  it('creates the requested backend', () => {
+    assert.ok(createStorage({ backend: 'memory' }) instanceof InMemoryStorage);
+  });
+
+  it('rejects unknown backends', () => {
+    assert.throws(() => createStorage({ backend: 'floppy' }), /Unknown conversation storage backend "floppy"/);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, renderMarkdown } from '../src/utils/markdown.js';
+import { renderSummaryHTML } from '../src/utils/summaries.js';
+import { connectSocket, createMockProviders, postJSON, silenceConsole, startTestServer, waitForEvent } from './helpers.js';
+
+describe('markdown rendering', () => {
+  it('escapes HTML from the model and only links to safe URLs', () => {
+    assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    assert.equal(
+      renderMarkdown('<img src=x onerror=alert(1)> **bold** [bad](javascript:alert(1))'),
+      '<p>&lt;img src=x onerror=alert(1)&gt; <strong>bold</strong> [bad](javascript:alert(1))</p>'
+    );
+    assert.equal(
+      renderMarkdown('See [Kant](https://plato.stanford.edu/entries/kant/) or https://example.com/a_b.'),
+      '<p>See <a href="https://plato.stanford.edu/entries/kant/" target="_blank" rel="noopener noreferrer">Kant</a> or ' +
+        '<a href="https://example.com/a_b" target="_blank" rel="noopener noreferrer">https://example.com/a_b</a>.</p>'
+    );
+    // Emphasis stays out of code spans and snake_case words
+    assert.equal(renderMarkdown('`a *b* <c>` and free_will_debate'), '<p><code>a *b* &lt;c&gt;</code> and free_will_debate</p>');
+    // Code spans inside a link label survive the label's own pass
+    assert.equal(
+      renderMarkdown('see [`foo` *docs*](https://x.com)'),
+      '<p>see <a href="https://x.com" target="_blank" rel="noopener noreferrer"><code>foo</code> <em>docs</em></a></p>'
+    );
+  });
+
+  it('nests lists and keeps single line breaks', () => {
+    const html = renderMarkdown([
+      'First thought',
+      'second line',
+      '',
+      '- Kant',
+      '  - duty',
+      '    1. the categorical imperative',
+      '  - autonomy',
+      '- Mill',
+      'still about Mill',
+      '',
+      '3. third',
+      '4. fourth'
+    ].join('\n'));
+
+    assert.equal(html, [
+      '<p>First thought<br>second line</p>',
+      '<ul><li>Kant<ul><li>duty<ol><li>the categorical imperative</li></ol></li><li>autonomy</li></ul></li>' +
+        '<li>Mill<br>still about Mill</li></ul>',
+      '<ol start="3"><li>third</li><li>fourth</li></ol>'
+    ].join(''));
+  });
+
+  it('renders headings, quotes, code blocks, rules and tables', () => {
+    const html = renderMarkdown([
+      '## Positions',
+      '> Know *thyself*',
+      '```',
+      '<script>x</script>',
+      '```',
+      '***',
+      '| Who | Stance |',
+      '|-----|:------:|',
+      '| Claude | **Stoic** |'
+    ].join('\n'));
+
+    assert.equal(html, [
+      '<h2>Positions</h2>',
+      '<blockquote>Know <em>thyself</em></blockquote>',
+      '<pre><code>&lt;script&gt;x&lt;/script&gt;</code></pre>',
+      '<hr>',
+      '<table><thead><tr><th>Who</th><th style="text-align: center">Stance</th></tr></thead>' +
+        '<tbody><tr><td>Claude</td><td style="text-align: center"><strong>Stoic</strong></td></tr></tbody></table>'
+    ].join(''));
+  });
+
+  it('gives summaries their white paper classes', () => {
+    assert.equal(
+      renderSummaryHTML('# Title\n\n- point'),
+      '<div class="summary-content"><h1 class="summary-title">Title</h1><ul class="summary-list"><li class="summary-bullet">point</li></ul></div>'
+    );
+  });
+});
+
+describe('summary styles', () => {
+  let restoreConsole;
+  let testServer;
+  let socket;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+  });
+
+  after(() => {
+    restoreConsole();
+  });
+
+  beforeEach(async () => {
+    testServer = await startTestServer({
+      providers: createMockProviders(['Claude', 'ChatGPT'], {
+        responses: message => /Executive Brief/.test(message) ? '# Brief\n\n- <b>point</b>' : '# White paper'
+      })
+    });
+    socket = await connectSocket(testServer.baseUrl);
+  });
+
+  afterEach(async () => {
+    socket.disconnect();
+    await testServer.stop();
+  });
+
+  it('lists the built-in styles with the white paper first and serves the renderer', async () => {
+    const { styles } = await (await fetch(`${testServer.baseUrl}/api/summary-styles`)).json();
+
+    assert.deepEqual(styles.map(style => style.id), ['default', 'executive-brief', 'open-questions', 'positions', 'timeline']);
+    assert.equal(styles[0].label, 'White paper');
+    assert.equal(styles[1].maxTokens, 1000);
+
+    // The browser renders chat messages with the same module
+    const module = await fetch(`${testServer.baseUrl}/js/markdown.js`);
+    assert.match(module.headers.get('content-type'), /javascript/);
+    assert.match(await module.text(), /export function renderMarkdown/);
+  });
+
+  it('writes a summary in the requested style without ending the conversation', async () => {
+    const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'Virtue' });
+    const { conversationId } = body;
+    await testServer.server.memory.addMessage('Human', 'Is virtue teachable?', conversationId);
+
+    const summary = waitForEvent(socket, 'summary-generated');
+    socket.emit('generate-summary', { conversationId, style: 'executive-brief' });
+    const generated = await summary;
+
+    assert.equal(generated.style, 'executive-brief');
+    assert.equal(generated.styleLabel, 'Executive brief');
+    assert.equal(generated.markdown, '# Brief\n\n- <b>point</b>');
+    assert.match(generated.summary, /<li class="summary-bullet">&lt;b&gt;point&lt;\/b&gt;<\/li>/);
+    assert.equal(testServer.server.memory.getConversation(conversationId).status, 'active');
+
+    const error = waitForEvent(socket, 'error');
+    socket.emit('generate-summary', { conversationId, style: 'haiku' });
+    assert.match((await error).message, /Unknown summary style "haiku"/);
+  });
+});
@@ -0,0 +1,247 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ChatGPTProvider } from '../src/providers/chatgpt-provider.js';
+import { MockProvider } from '../src/providers/mock-provider.js';
+import { OpenAICompatibleProvider } from '../src/providers/openai-compatible-provider.js';
+import { WatsonxProvider } from '../src/providers/watsonx-provider.js';
+import {
+  DEFAULT_PRICES,
+  calculateCost,
+  combineUsage,
+  findPrice,
+  loadPriceTable,
+  summarizeUsage
+} from '../src/utils/usage.js';
+import { connectSocket, createTempDir, postJSON, removeDir, silenceConsole, startTestServer, waitForEvent } from './helpers.js';
+
+function usageRecord(promptTokens, completionTokens, extra = {}) {
+  return { model: 'mock', promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, latencyMs: 100, estimated: false, cost: 0.01, currency: 'USD', ...extra };
+}
+
+describe('usage accounting', () => {
+  it('prices a model by the longest matching table entry', () => {
+    const table = { currency: 'USD', models: { ...DEFAULT_PRICES } };
+
+    assert.deepEqual(findPrice(table, 'gpt-4o-mini-2024-07-18'), DEFAULT_PRICES['gpt-4o-mini']);
+    assert.deepEqual(findPrice(table, 'GPT-4o-2024-08-06'), DEFAULT_PRICES['gpt-4o']);
+    assert.equal(findPrice(table, 'llama3.1'), null);
+
+    assert.equal(calculateCost({ promptTokens: 1000, completionTokens: 500 }, { input: 3, output: 15 }), 0.0105);
+    assert.equal(calculateCost({ promptTokens: 1000, completionTokens: 500 }, null), null);
+  });
+
+  describe('price table', () => {
+    let dir;
+    let restoreConsole;
+
+    before(() => {
+      restoreConsole = silenceConsole();
+      dir = createTempDir();
+    });
+
+    after(() => {
+      removeDir(dir);
+      restoreConsole();
+    });
+
+    it('merges prices.json over the defaults', () => {
+      const file = path.join(dir, 'prices.json');
+      fs.writeFileSync(file, JSON.stringify({ currency: 'EUR', models: { 'llama3.1': { input: 0, output: 0 }, 'gpt-4o': { input: 2, output: 8 } } }));
+
+      const table = loadPriceTable(file);
+      assert.equal(table.currency, 'EUR');
+      assert.deepEqual(table.models['gpt-4o'], { input: 2, output: 8 });
+      assert.deepEqual(table.models['llama3.1'], { input: 0, output: 0 });
+      assert.deepEqual(table.models['claude-3-5-sonnet'], DEFAULT_PRICES['claude-3-5-sonnet']);
+
+      assert.deepEqual(loadPriceTable(path.join(dir, 'missing.json')).models, { ...DEFAULT_PRICES });
+    });
+
+    it('rejects prices without input and output rates', () => {
+      const file = path.join(dir, 'bad-prices.json');
+      fs.writeFileSync(file, JSON.stringify({ models: { 'gpt-4o': { input: 2 } } }));
+
+      assert.throws(() => loadPriceTable(file), /"gpt-4o" needs non-negative "input" and "output"/);
+    });
+  });
+
+  it('totals messages per conversation and per provider', () => {
+    const summary = summarizeUsage([
+      { speaker: 'Human', content: 'Why?' },
+      { speaker: 'Claude', usage: usageRecord(100, 50) },
+      { speaker: 'Gemini', usage: usageRecord(120, 40, { cost: null, estimated: true, latencyMs: 300 }) },
+      { speaker: 'Claude', usage: usageRecord(200, 60) }
+    ]);
+
+    assert.equal(summary.currency, 'USD');
+    assert.deepEqual(summary.totals, {
+      calls: 3,
+      promptTokens: 420,
+      completionTokens: 150,
+      totalTokens: 570,
+      cost: 0.02,
+      unpricedCalls: 1,
+      estimatedCalls: 1,
+      latencyMs: 500,
+      averageLatencyMs: 167
+    });
+    assert.equal(summary.providers.Claude.calls, 2);
+    assert.equal(summary.providers.Gemini.unpricedCalls, 1);
+
+    const combined = combineUsage([summary, summarizeUsage([]), summary]);
+    assert.equal(combined.totals.calls, 6);
+    assert.equal(combined.totals.cost, 0.04);
+    assert.equal(combined.providers.Claude.totalTokens, 820);
+    assert.equal(combined.totals.averageLatencyMs, 167);
+
+    // Judge and summary calls count towards the totals and are broken out too
+    const withAnalysis = summarizeUsage([{ speaker: 'Claude', usage: usageRecord(100, 50) }], [
+      { ...usageRecord(300, 100), provider: 'Gemini', purpose: 'summary' }
+    ]);
+    assert.equal(withAnalysis.totals.calls, 2);
+    assert.equal(withAnalysis.totals.totalTokens, 550);
+    assert.equal(withAnalysis.analysis.totalTokens, 400);
+    assert.equal(withAnalysis.providers.Gemini.calls, 1);
+    assert.equal(summary.analysis.calls, 0);
+
+    // Summaries stored before then have no analysis totals
+    const { analysis, ...older } = summary;
+    assert.equal(combineUsage([older, withAnalysis]).analysis.totalTokens, 400);
+  });
+
+  describe('providers', () => {
+    it('estimate usage when the API reports none', async () => {
+      const provider = new MockProvider(undefined, { name: 'Claude', responses: ['x'.repeat(40)] });
+      await provider.sendMessage('Respond', { topic: 'Fate', participants: ['Human', 'Claude'], conversationHistory: [] });
+
+      assert.equal(provider.lastUsage.model, 'mock');
+      assert.equal(provider.lastUsage.completionTokens, 10);
+      assert.ok(provider.lastUsage.promptTokens > 10);
+      assert.equal(provider.lastUsage.estimated, true);
+    });
+
+    for (const provider of [
+      new ChatGPTProvider('key', { model: 'gpt-4o-mini' }),
+      new OpenAICompatibleProvider(undefined, { model: 'llama3.1' })
+    ]) {
+      it(`record the token counts a stream reports (${provider.name})`, async () => {
+        let request;
+        provider.client = {
+          chat: {
+            completions: {
+              async create(body) {
+                request = body;
+                return (async function* () {
+                  yield { choices: [{ delta: { content: 'Perhaps ' } }] };
+                  yield { choices: [{ delta: { content: 'not.' } }] };
+                  yield { choices: [], usage: { prompt_tokens: 321, completion_tokens: 4 } };
+                })();
+              }
+            }
+          }
+        };
+
+        let text = '';
+        for await (const chunk of provider.streamMessage('Respond', { topic: 'Fate', participants: [], conversationHistory: [] })) {
+          text += chunk;
+        }
+
+        assert.equal(text, 'Perhaps not.');
+        assert.deepEqual(request.stream_options, { include_usage: true });
+        assert.equal(provider.lastUsage.promptTokens, 321);
+        assert.equal(provider.lastUsage.completionTokens, 4);
+        assert.equal(provider.lastUsage.totalTokens, 325);
+        assert.equal(provider.lastUsage.estimated, false);
+      });
+    }
+
+    it('record the fallback model\'s usage when Watsonx retries with simplified input', async () => {
+      const provider = new WatsonxProvider('key', { projectId: 'project', modelId: 'meta-llama/llama-3-70b-instruct' });
+      const models = [];
+      provider.watsonxService = {
+        async generateText(params) {
+          models.push(params.modelId);
+          if (models.length === 1) {
+            throw Object.assign(new Error('Input too long'), { status: 400 });
+          }
+          return { result: { results: [{ generated_text: ' Perhaps not. ', input_token_count: 210, generated_token_count: 5 }] } };
+        }
+      };
+
+      const text = await provider.sendMessage('Respond', { topic: 'Fate', participants: [], conversationHistory: [] });
+
+      assert.equal(text, 'Perhaps not.');
+      assert.deepEqual(models, ['meta-llama/llama-3-70b-instruct', 'ibm/granite-13b-chat-v2']);
+      assert.equal(provider.lastUsage.model, 'ibm/granite-13b-chat-v2');
+      assert.equal(provider.lastUsage.promptTokens, 210);
+      assert.equal(provider.lastUsage.completionTokens, 5);
+      assert.equal(provider.lastUsage.estimated, false);
+    });
+
+    it('validate per-provider pricing', () => {
+      assert.deepEqual(new MockProvider(undefined, { pricing: { input: 1, output: 2 } }).pricing, { input: 1, output: 2 });
+      assert.throws(() => new MockProvider(undefined, { pricing: { input: -1, output: 2 } }), /non-negative/);
+    });
+  });
+
+  describe('routes', () => {
+    let restoreConsole;
+    let testServer;
+    let socket;
+
+    before(async () => {
+      restoreConsole = silenceConsole();
+      testServer = await startTestServer({ prices: { currency: 'USD', models: { mock: { input: 1, output: 2 } } } });
+      socket = await connectSocket(testServer.baseUrl);
+    });
+
+    after(async () => {
+      socket.disconnect();
+      await testServer.stop();
+      restoreConsole();
+    });
+
+    it('stores usage on messages and reports it per conversation and in the storage stats', async () => {
+      const { body } = await postJSON(`${testServer.baseUrl}/api/conversation`, { topic: 'Is time real?', config: { moderationPause: 20 } });
+      const { conversationId } = body;
+      const state = waitForEvent(socket, 'conversation-state');
+      socket.emit('join-conversation', conversationId);
+      await state;
+
+      const completed = waitForEvent(socket, 'message-complete');
+      const updated = waitForEvent(socket, 'usage-update');
+      socket.emit('human-message', { conversationId, message: 'Does time pass?', targetedProvider: 'Gemini' });
+
+      const message = await completed;
+      assert.equal(message.speaker, 'Gemini');
+      assert.equal(message.usage.estimated, true);
+      assert.equal(message.usage.cost, (message.usage.promptTokens * 1 + message.usage.completionTokens * 2) / 1e6);
+      assert.equal((await updated).usage.totals.calls, 1);
+
+      const response = await fetch(`${testServer.baseUrl}/api/conversation/${conversationId}/usage`);
+      const usage = await response.json();
+      assert.equal(usage.usage.providers.Gemini.totalTokens, message.usage.totalTokens);
+      assert.deepEqual(usage.messages.map(msg => msg.id), [message.id]);
+
+      // A summary belongs to no message but is billed all the same
+      const summarised = waitForEvent(socket, 'summary-generated');
+      socket.emit('generate-summary', { conversationId });
+      const { analyst } = await summarised;
+      const withSummary = await (await fetch(`${testServer.baseUrl}/api/conversation/${conversationId}/usage`)).json();
+      assert.equal(withSummary.usage.totals.calls, 2);
+      assert.deepEqual(withSummary.analysis.map(record => [record.provider, record.purpose]), [[analyst, 'summary']]);
+      const analysisCost = withSummary.analysis[0].cost;
+      assert.ok(analysisCost > 0);
+      assert.equal(withSummary.usage.analysis.cost, analysisCost);
+
+      const stats = await (await fetch(`${testServer.baseUrl}/api/storage/stats`)).json();
+      assert.equal(stats.stats.usage.totals.cost, withSummary.usage.totals.cost);
+      assert.equal(stats.stats.usage.analysis.cost, analysisCost);
+      assert.ok(Object.keys(stats.stats.usage.providers).includes('Gemini'));
+
+      assert.equal((await fetch(`${testServer.baseUrl}/api/conversation/missing/usage`)).status, 404);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationMemory } from '../src/utils/memory.js';
+import { InMemoryStorage } from '../src/storage/index.js';
+import { PhilosopherChatServer } from '../src/web-server.js';
+import { createMockProviders, silenceConsole } from './helpers.js';
+
+describe('PhilosopherChatServer helpers', () => {
+  let restoreConsole;
+  let server;
+
+  before(() => {
+    restoreConsole = silenceConsole();
+    server = new PhilosopherChatServer({
+      providers: createMockProviders(),
+      memory: new ConversationMemory({ storage: new InMemoryStorage() })
+    });
+  });
+
+  after(async () => {
+    await server.close();
+    restoreConsole();
+  });
+
+  describe('cleanResponseText', () => {
+    it('strips the speaker\'s own label', () => {
+      assert.equal(server.cleanResponseText('Claude: Virtue is a habit.', 'Claude'), 'Virtue is a habit.');
+    });
+
+    it('strips other participants\' labels', () => {
+      assert.equal(server.cleanResponseText('Meta AI: Consider Hume.', 'Gemini'), 'Consider Hume.');
+      assert.equal(server.cleanResponseText('Human: hi there', 'Claude'), 'hi there');
+    });
+
+    it('handles names containing regex characters', () => {
+      assert.equal(server.cleanResponseText('Llama (local): Yes.', 'Llama (local)'), 'Yes.');
+    });
+
+    it('leaves unlabeled text alone apart from trimming', () => {
+      assert.equal(server.cleanResponseText('  Knowledge is justified true belief.  ', 'Claude'), 'Knowledge is justified true belief.');
+    });
+  });
+
+  describe('formatSummaryHTML', () => {
+    it('converts headings and inline emphasis', () => {
+      const html = server.formatSummaryHTML('# Title\n## Section\n### Sub\n**bold** and *italic* and `code`');
+
+      assert.match(html, /<h1 class="summary-title">Title<\/h1>/);
+      assert.match(html, /<h2 class="summary-section">Section<\/h2>/);
+      assert.match(html, /<h3 class="summary-subsection">Sub<\/h3>/);
+      assert.match(html, /<strong>bold<\/strong>/);
+      assert.match(html, /<em>italic<\/em>/);
+      assert.match(html, /<code class="summary-code">code<\/code>/);
+    });
+
+    it('wraps content and splits paragraphs', () => {
+      const html = server.formatSummaryHTML('First paragraph.\n\nSecond paragraph.');
+
+      assert.ok(html.startsWith('<div class="summary-content"><p class="summary-paragraph">'));
+      assert.ok(html.endsWith('</p></div>'));
+      assert.match(html, /First paragraph\.<\/p><p class="summary-paragraph">Second paragraph\./);
+    });
+
+    it('renders bullets, quotes and dividers', () => {
+      const html = server.formatSummaryHTML('Intro\n- one\n- two\n> quoted\n---');
+
+      assert.match(html, /<li class="summary-bullet">one<\/li><li class="summary-bullet">two<\/li>/);
+      assert.match(html, /<blockquote class="summary-quote">quoted<\/blockquote>/);
+      assert.match(html, /<hr class="summary-divider">/);
+    });
+  });
+});